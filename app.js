@@ -48,6 +48,9 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
 const CONFIG = require('./config/config');
 const { logger } = require('./services/logger.service');
 const rabbitmq = require('./config/rabbitmq');
+const { dbReader, dbWriter } = require('./config/database');
+const metrics = require('./services/metrics.service');
+const smsProviders = require('./services/sms/providers');
 
 // Import workers
 const outboundMessageWorker = require('./workers/outboundMessageWorker');
@@ -59,6 +62,13 @@ const webhookWorker = require('./workers/webhookWorker');
 const preQueueWorker = require('./workers/preQueueWorker');
 const messageConsumer = require('./workers/messageConsumer');
 
+// Publishes the transactional outbox (webhook deliveries, queued sends)
+const outboxRelayWorker = require('./workers/outboxRelayWorker');
+const outboxService = require('./services/outbox/outbox.service');
+
+// Redirects tracked short links and records clicks
+const linkRedirectServer = require('./workers/linkRedirectServer');
+
 console.log('');
 console.log('╔════════════════════════════════════════════════════════════╗');
 console.log('║                    SENGINE WORKERS                         ║');
@@ -69,7 +79,9 @@ console.log('║  Message Workers:                                          ║'
 console.log('║  ├── Outbound Worker   : Send SMS via Twilio              ║');
 console.log('║  ├── Inbound Worker    : Process incoming messages        ║');
 console.log('║  ├── Delivery Report   : Update delivery status           ║');
-console.log('║  └── Webhook Worker    : Dispatch user webhooks           ║');
+console.log('║  ├── Webhook Worker    : Dispatch user webhooks           ║');
+console.log('║  ├── Outbox Relay      : outbox → RabbitMQ                ║');
+console.log('║  └── Link Redirect     : short links → clicks             ║');
 console.log('║                                                            ║');
 console.log('║  High-Scale Drip Workers (RabbitMQ-based):                 ║');
 console.log('║  ├── PreQueue Worker   : scheduled_messages → RabbitMQ    ║');
@@ -82,13 +94,17 @@ console.log('');
 console.log('Configuration:');
 console.log('  Environment    :', CONFIG.APP.ENVIRONMENT);
 console.log('  Database       :', CONFIG.DB.DATABASE_URL ? 'Connected via URL' : `${CONFIG.DB.HOST}:${CONFIG.DB.PORT}`);
-console.log('  RabbitMQ       :', CONFIG.RABBITMQ.ENABLED ? 'Enabled' : 'Disabled');
+console.log('  RabbitMQ       :', CONFIG.RABBITMQ.ENABLED ? `Enabled (${CONFIG.RABBITMQ.TRANSPORT})` : 'Disabled');
+console.log('  Metrics        :', CONFIG.METRICS.ENABLED ? `:${CONFIG.METRICS.PORT}${CONFIG.METRICS.PATH}` : 'Disabled');
+console.log('  Short Links    :', CONFIG.LINKS.BASE_URL || 'Disabled');
 console.log('');
 console.log('Workers Status:');
 console.log('  Outbound Worker   :', CONFIG.MESSAGE_WORKER.ENABLED ? '✓ Enabled' : '✗ Disabled');
 console.log('  Inbound Worker    :', CONFIG.MESSAGE_WORKER.ENABLED ? '✓ Enabled' : '✗ Disabled');
 console.log('  Delivery Report   :', CONFIG.MESSAGE_WORKER.ENABLED ? '✓ Enabled' : '✗ Disabled');
 console.log('  Webhook Worker    :', CONFIG.MESSAGE_WORKER.ENABLED ? '✓ Enabled' : '✗ Disabled');
+console.log('  Outbox Relay      :', CONFIG.OUTBOX.ENABLED ? '✓ Enabled' : '✗ Disabled');
+console.log('  Link Redirect     :', CONFIG.LINKS.SERVER_ENABLED ? `✓ Enabled (:${CONFIG.LINKS.PORT})` : '✗ Disabled');
 console.log('');
 console.log('High-Scale Drip:');
 console.log('  PreQueue Worker   :', CONFIG.HIGH_SCALE_DRIP.ENABLED ? '✓ Enabled' : '✗ Disabled');
@@ -145,6 +161,20 @@ const startWorkers = async () => {
             console.log('[App] Webhook Worker started ✓');
         }
 
+        // Start Outbox Relay (publishes outbox entries, re-publishes stuck ones)
+        if (CONFIG.OUTBOX.ENABLED) {
+            console.log('[App] Starting Outbox Relay...');
+            await outboxRelayWorker.start();
+            console.log('[App] Outbox Relay started ✓');
+        }
+
+        // Start Link Redirect Server (short links → original URL, records clicks)
+        if (CONFIG.LINKS.SERVER_ENABLED) {
+            console.log('[App] Starting Link Redirect Server...');
+            await linkRedirectServer.start();
+            console.log('[App] Link Redirect Server started ✓');
+        }
+
         // =======================================================================
         // HIGH-SCALE DRIP WORKERS (RabbitMQ-based)
         // This is the ONLY drip processing mode - optimized for 100K+ msgs/day
@@ -187,6 +217,10 @@ const startWorkers = async () => {
         // Start queue monitoring (every 30 seconds)
         startQueueMonitor();
 
+        // Prometheus endpoint
+        registerMetrics();
+        await metrics.startServer();
+
     } catch (error) {
         console.error('[App] Failed to start workers:', error);
         logger.error('[App] Failed to start workers:', error);
@@ -197,13 +231,14 @@ const startWorkers = async () => {
 /**
  * Graceful shutdown
  */
-const shutdown = async (signal) => {
+const shutdown = async (signal, exitCode = 0) => {
     console.log('');
     console.log(`[App] Received ${signal}, shutting down gracefully...`);
 
     try {
         // Stop queue monitor
         stopQueueMonitor();
+        await metrics.stopServer();
 
         // Stop High-Scale Drip Workers first (they have active consumers)
         if (CONFIG.HIGH_SCALE_DRIP.ENABLED) {
@@ -212,6 +247,16 @@ const shutdown = async (signal) => {
             await messageConsumer.stop();
         }
 
+        if (CONFIG.OUTBOX.ENABLED) {
+            console.log('[App] Stopping Outbox Relay...');
+            await outboxRelayWorker.stop();
+        }
+
+        if (CONFIG.LINKS.SERVER_ENABLED) {
+            console.log('[App] Stopping Link Redirect Server...');
+            await linkRedirectServer.stop();
+        }
+
         // Stop Message Workers
         if (CONFIG.MESSAGE_WORKER.ENABLED) {
             console.log('[App] Stopping Outbound Message Worker...');
@@ -234,7 +279,7 @@ const shutdown = async (signal) => {
         }
 
         console.log('[App] Shutdown complete ✓');
-        process.exit(0);
+        process.exit(exitCode);
 
     } catch (error) {
         console.error('[App] Error during shutdown:', error);
@@ -242,6 +287,14 @@ const shutdown = async (signal) => {
     }
 };
 
+// Exit when RabbitMQ reconnection is given up so PM2 restarts the process
+// (otherwise we'd look healthy while consuming nothing)
+rabbitmq.events.on('fatal', (error) => {
+    console.error('[App] RabbitMQ connection is in fatal state:', error.message);
+    logger.error('[App] RabbitMQ connection is in fatal state:', error);
+    shutdown('rabbitmqFatal', 1);
+});
+
 // Handle shutdown signals
 process.on('SIGINT', () => shutdown('SIGINT'));
 process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -272,6 +325,8 @@ const startQueueMonitor = () => {
     monitorInterval = setInterval(logQueueStats, 30000);
 };
 
+let lastPublisherStalls = 0;
+
 const logQueueStats = async () => {
     try {
         const stats = await rabbitmq.getAllQueueStats();
@@ -291,6 +346,24 @@ const logQueueStats = async () => {
             console.log('');
         }
 
+        // Worker channels that died and haven't come back yet
+        const downChannels = rabbitmq.getStatus().channels.filter(c => c.state !== 'open');
+        if (downChannels.length > 0) {
+            console.log('⚠️  [QueueMonitor] RabbitMQ channels not open:');
+            downChannels.forEach(c => {
+                console.log(`   ${c.name}: ${c.state} (restarts: ${c.restarts}, last error: ${c.lastError || '-'})`);
+            });
+        }
+
+        // Publisher backpressure since the last check
+        const publisher = rabbitmq.getPublisherStats();
+        if (publisher.paused || publisher.stalls > lastPublisherStalls) {
+            console.log(`⚠️  [QueueMonitor] Publisher stalled ${publisher.stalls - lastPublisherStalls} time(s) ` +
+                `(longest ${publisher.longestStallMs}ms, buffered now: ${publisher.bufferDepth}, ` +
+                `rejected buffer full: ${publisher.rejectedBufferFull}, buffer timeouts: ${publisher.bufferTimeouts})`);
+        }
+        lastPublisherStalls = publisher.stalls;
+
         // Log stats every 5 minutes (10 intervals of 30 seconds)
         const now = new Date();
         if (now.getMinutes() % 5 === 0 && now.getSeconds() < 30) {
@@ -304,6 +377,14 @@ const logQueueStats = async () => {
                 const msgs = String(q.messageCount).padStart(8);
                 const cons = String(q.consumerCount).padStart(9);
                 console.log(`│ ${name} │ ${msgs} │ ${cons} │`);
+
+                // Depth per priority lane, highest first
+                Object.entries(q.byPriority || {})
+                    .sort(([a], [b]) => b - a)
+                    .forEach(([priority, count]) => {
+                        const lane = `  priority ${priority}`.padEnd(26);
+                        console.log(`│ ${lane} │ ${String(count).padStart(8)} │ ${''.padStart(9)} │`);
+                    });
             });
             console.log('└────────────────────────────┴──────────┴───────────┘');
             console.log('');
@@ -321,5 +402,146 @@ const stopQueueMonitor = () => {
     }
 };
 
+/**
+ * Prometheus metrics read from module state at scrape time
+ * Message counters and latency histograms are recorded by the workers themselves
+ */
+const registerMetrics = () => {
+    const queueMessages = metrics.createGauge('rabbitmq_queue_messages', 'Messages ready in a queue', ['queue']);
+    const queueConsumers = metrics.createGauge('rabbitmq_queue_consumers', 'Consumers attached to a queue', ['queue']);
+    const queueMessagesByPriority = metrics.createGauge('rabbitmq_queue_messages_by_priority', 'Queue depth per priority lane (where known)', ['queue', 'priority']);
+
+    const connected = metrics.createGauge('rabbitmq_connected', '1 if the broker connection and core channels are up');
+    const reconnects = metrics.createCounter('rabbitmq_reconnects_total', 'Successful reconnects to the broker');
+    const reconnectAttempts = metrics.createGauge('rabbitmq_reconnect_attempts', 'Failed reconnect attempts in the current outage');
+    const channelOpen = metrics.createGauge('rabbitmq_channel_open', '1 if the named channel is open', ['channel']);
+    const channelRestarts = metrics.createCounter('rabbitmq_channel_restarts_total', 'Channel restarts after a channel error', ['channel']);
+    const channelErrors = metrics.createCounter('rabbitmq_channel_errors_total', 'Channel errors', ['channel']);
+
+    const publishStalls = metrics.createCounter('rabbitmq_publish_stalls_total', 'Times the publisher channel applied backpressure');
+    const publishStallSeconds = metrics.createCounter('rabbitmq_publish_stall_seconds_total', 'Time spent waiting for the publisher channel to drain');
+    const publishBuffered = metrics.createGauge('rabbitmq_publish_buffer_depth', 'Publishes waiting for the publisher channel');
+    const publishFailures = metrics.createCounter('rabbitmq_publish_failures_total', 'Publishes that failed', ['reason']);
+
+    const inFlight = metrics.createGauge('worker_in_flight_messages', 'Messages held by a worker', ['worker', 'priority']);
+    const rateLimiterTokens = metrics.createGauge('rate_limiter_tokens', 'Tokens available in the rate limiter', ['worker']);
+    const rateLimiterWaiting = metrics.createGauge('rate_limiter_waiting', 'Sends waiting for a rate limiter token', ['worker', 'priority']);
+    const workerRunning = metrics.createGauge('worker_running', '1 if the worker is running', ['worker']);
+
+    const twilioClientLookups = metrics.createCounter('twilio_client_cache_lookups_total', 'Twilio client cache lookups', ['result']);
+    const twilioClientDrops = metrics.createCounter('twilio_client_cache_drops_total', 'Cached Twilio clients dropped', ['reason']);
+    const twilioClients = metrics.createGauge('twilio_client_cache_size', 'Cached Twilio clients');
+    const twilioInFlight = metrics.createGauge('twilio_in_flight_requests', 'Twilio API requests in flight', ['account']);
+
+    const dbPoolConnections = metrics.createGauge('db_pool_connections', 'Database pool connections by state', ['pool', 'state']);
+    const dbPoolMax = metrics.createGauge('db_pool_max_connections', 'Database pool size limit', ['pool']);
+
+    const outboxEntries = metrics.createGauge('outbox_entries', 'Outbox entries not yet dispatched', ['status']);
+    const outboxOldestPending = metrics.createGauge('outbox_oldest_pending_seconds', 'How long the oldest due outbox entry has waited');
+
+    metrics.registerCollector(async () => {
+        queueMessages.reset();
+        queueConsumers.reset();
+        queueMessagesByPriority.reset();
+
+        if (!rabbitmq.isConnected()) return;
+
+        const stats = await rabbitmq.getAllQueueStats();
+        stats.forEach(q => {
+            queueMessages.set({ queue: q.name }, q.messageCount);
+            queueConsumers.set({ queue: q.name }, q.consumerCount);
+            Object.entries(q.byPriority || {}).forEach(([priority, count]) => {
+                queueMessagesByPriority.set({ queue: q.name, priority }, count);
+            });
+        });
+    });
+
+    metrics.registerCollector(async () => {
+        const status = rabbitmq.getStatus();
+
+        connected.set({}, status.connected ? 1 : 0);
+        reconnects.set({}, status.reconnects);
+        reconnectAttempts.set({}, status.reconnectAttempts);
+
+        channelOpen.reset();
+        status.channels.forEach(c => {
+            channelOpen.set({ channel: c.name }, c.state === 'open' ? 1 : 0);
+            channelRestarts.set({ channel: c.name }, c.restarts);
+            channelErrors.set({ channel: c.name }, c.errors);
+        });
+
+        const publisher = status.publisher;
+        publishStalls.set({}, publisher.stalls);
+        publishStallSeconds.set({}, (publisher.totalStallMs + publisher.currentStallMs) / 1000);
+        publishBuffered.set({}, publisher.bufferDepth);
+        publishFailures.set({ reason: 'nack' }, publisher.nacked);
+        publishFailures.set({ reason: 'confirm_timeout' }, publisher.confirmTimeouts);
+        publishFailures.set({ reason: 'buffer_full' }, publisher.rejectedBufferFull);
+        publishFailures.set({ reason: 'buffer_timeout' }, publisher.bufferTimeouts);
+    });
+
+    metrics.registerCollector(async () => {
+        const outbound = outboundMessageWorker.getStats();
+        const limiter = outbound.rateLimiterStatus;
+
+        inFlight.reset();
+        rateLimiterWaiting.reset();
+        Object.entries(outbound.inFlightByPriority).forEach(([priority, count]) => {
+            inFlight.set({ worker: 'outbound', priority }, count);
+        });
+        rateLimiterTokens.set({ worker: 'outbound' }, limiter.tokens);
+        Object.entries(limiter.waitingByPriority).forEach(([priority, count]) => {
+            rateLimiterWaiting.set({ worker: 'outbound', priority }, count);
+        });
+
+        workerRunning.set({ worker: 'outbound' }, outboundMessageWorker.isWorkerRunning() ? 1 : 0);
+        workerRunning.set({ worker: 'inbound' }, inboundMessageWorker.isWorkerRunning() ? 1 : 0);
+        workerRunning.set({ worker: 'delivery-report' }, deliveryReportWorker.isWorkerRunning() ? 1 : 0);
+        workerRunning.set({ worker: 'webhook' }, webhookWorker.isWorkerRunning() ? 1 : 0);
+        workerRunning.set({ worker: 'drip-consumer' }, messageConsumer.getStatus().running ? 1 : 0);
+        workerRunning.set({ worker: 'pre-queue' }, preQueueWorker.getStatus().running ? 1 : 0);
+        workerRunning.set({ worker: 'outbox-relay' }, outboxRelayWorker.getStatus().running ? 1 : 0);
+        workerRunning.set({ worker: 'link-redirect' }, linkRedirectServer.getStatus().running ? 1 : 0);
+    });
+
+    metrics.registerCollector(async () => {
+        const outbox = await outboxService.getStats();
+        if (!outbox) return;
+
+        outboxEntries.set({ status: 'pending' }, outbox.pending);
+        outboxEntries.set({ status: 'deferred' }, outbox.deferred);
+        outboxEntries.set({ status: 'dispatching' }, outbox.dispatching);
+        outboxOldestPending.set({}, (outbox.oldestPendingMs || 0) / 1000);
+    });
+
+    metrics.registerCollector(async () => {
+        const cache = smsProviders.getProvider('twilio').getClientCacheStats();
+
+        twilioClientLookups.set({ result: 'hit' }, cache.hits);
+        twilioClientLookups.set({ result: 'miss' }, cache.misses);
+        twilioClientDrops.set({ reason: 'token_changed' }, cache.invalidations);
+        twilioClientDrops.set({ reason: 'lru' }, cache.evictions);
+        twilioClients.set({}, cache.size);
+
+        twilioInFlight.reset();
+        Object.entries(cache.inFlightByAccount).forEach(([account, count]) => {
+            twilioInFlight.set({ account }, count);
+        });
+    });
+
+    metrics.registerCollector(async () => {
+        [['writer', dbWriter], ['reader', dbReader]].forEach(([pool, db]) => {
+            const tarn = db.client.pool;
+            if (!tarn) return;
+
+            dbPoolConnections.set({ pool, state: 'used' }, tarn.numUsed());
+            dbPoolConnections.set({ pool, state: 'free' }, tarn.numFree());
+            dbPoolConnections.set({ pool, state: 'pending_acquire' }, tarn.numPendingAcquires());
+            dbPoolConnections.set({ pool, state: 'pending_create' }, tarn.numPendingCreates());
+            dbPoolMax.set({ pool }, tarn.max);
+        });
+    });
+};
+
 // Start the workers
 startWorkers();
@@ -0,0 +1,269 @@
+/**
+ * sengine-workers - Command Line Tools
+ *
+ * Dead-letter queue inspector:
+ *   node cli.js dlq list    [--queue inbox.failed] [filters] [--json]
+ *   node cli.js dlq replay  [--queue inbox.failed] [filters] [--dry-run]
+ *   node cli.js dlq purge   [--queue inbox.failed] [filters] --yes
+ *   node cli.js dlq export  [--queue inbox.failed] [filters] [--out file.ndjson]
+ *
+ * Filters:
+ *   --type <SEND_SMS|DRIP_SEND|...>  --user-id <id>  --campaign-id <id>
+ *   --message-id <id> (repeatable)   --since <ISO date>  --until <ISO date>
+ *   --limit <n>
+ *
+ * Message templates:
+ *   node cli.js template check --workspace-id <id> (--drip-id <id> | --text "<template>") [--json]
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const rabbitmq = require('./config/rabbitmq');
+const dlqService = require('./services/dlq/dlq.service');
+
+const USAGE = `
+Usage: node cli.js dlq <list|replay|purge|export> [options]
+       node cli.js template check --workspace-id <id> (--drip-id <id> | --text "<template>") [--json]
+
+Options:
+  --queue <name>         ${dlqService.DLQ_QUEUES.join(' | ')} (default: ${dlqService.DLQ_QUEUES[0]})
+  --type <type>          Message type (SEND_SMS, DRIP_SEND, WEBHOOK_DISPATCH, ...)
+  --user-id <id>         Only messages for this user
+  --campaign-id <id>     Only messages for this campaign
+  --message-id <id>      Only this AMQP messageId (repeatable)
+  --since <date>         Dead-lettered at or after (ISO 8601)
+  --until <date>         Dead-lettered at or before (ISO 8601)
+  --limit <n>            Max messages to act on
+  --json                 list: print full JSON instead of a table
+  --dry-run              replay: show what would be replayed without publishing
+  --out <file>           export: NDJSON file (default: dlq-<queue>-<timestamp>.ndjson)
+  --yes                  purge: confirm deletion
+
+Template options:
+  --workspace-id <id>    Workspace whose contact custom fields count as defined (standard fields only without it)
+  --drip-id <id>         Check this drip's message
+  --text <template>      Check this text
+  --json                 Print the report as JSON
+`;
+
+/**
+ * Minimal argv parser: positionals plus --flag / --flag value pairs
+ */
+const parseArgs = (argv) => {
+    const positionals = [];
+    const flags = { 'message-id': [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        const next = argv[i + 1];
+        const value = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+
+        if (Array.isArray(flags[name])) {
+            flags[name].push(value);
+        } else {
+            flags[name] = value;
+        }
+    }
+
+    return { positionals, flags };
+};
+
+/**
+ * Print message summaries as a table
+ */
+const printTable = (summaries) => {
+    if (summaries.length === 0) {
+        console.log('No messages found');
+        return;
+    }
+
+    console.log('┌──────────────────────────┬──────────────────┬──────────┬──────────┬──────────────────────────┬─────────┬────────────────────────────────┐');
+    console.log('│ Message ID               │ Type             │ User     │ Campaign │ Dead-lettered at         │ Retries │ Last error / reason            │');
+    console.log('├──────────────────────────┼──────────────────┼──────────┼──────────┼──────────────────────────┼─────────┼────────────────────────────────┤');
+    summaries.forEach(s => {
+        const reason = s.lastError || s.deathReasons.map(d => d.reason).join(',') || '-';
+        console.log(
+            `│ ${String(s.messageId || '-').substring(0, 24).padEnd(24)} ` +
+            `│ ${String(s.type).substring(0, 16).padEnd(16)} ` +
+            `│ ${String(s.userId ?? '-').substring(0, 8).padEnd(8)} ` +
+            `│ ${String(s.campaignId ?? '-').substring(0, 8).padEnd(8)} ` +
+            `│ ${String(s.deadLetteredAt || '-').padEnd(24)} ` +
+            `│ ${String(s.retryCount).padStart(7)} ` +
+            `│ ${String(reason).substring(0, 30).padEnd(30)} │`
+        );
+        console.log(`│   └─ ${s.payloadSummary.replace(/\s+/g, ' ')}`);
+    });
+    console.log('└──────────────────────────┴──────────────────┴──────────┴──────────┴──────────────────────────┴─────────┴────────────────────────────────┘');
+    console.log(`${summaries.length} message(s)`);
+};
+
+/**
+ * dlq subcommand
+ */
+const runDlqCommand = async (command, flags) => {
+    const queueName = flags.queue || dlqService.DLQ_QUEUES[0];
+    const limit = flags.limit ? parseInt(flags.limit, 10) : undefined;
+    const filters = {
+        type: flags.type,
+        userId: flags['user-id'],
+        campaignId: flags['campaign-id'],
+        messageIds: flags['message-id'],
+        since: flags.since,
+        until: flags.until
+    };
+
+    switch (command) {
+        case 'list': {
+            const summaries = await dlqService.listMessages(queueName, filters, limit);
+            if (flags.json) {
+                console.log(JSON.stringify(summaries, null, 2));
+            } else {
+                printTable(summaries);
+            }
+            break;
+        }
+
+        case 'replay': {
+            const result = await dlqService.replayMessages(queueName, filters, {
+                dryRun: !!flags['dry-run'],
+                limit
+            });
+            const verb = result.dryRun ? 'Would replay' : 'Replayed';
+            result.replayed.forEach(r => {
+                console.log(`${verb}: ${r.messageId || '-'} (${r.type}) → ${r.exchange || '(default)'} / ${r.routingKey}`);
+            });
+            result.skipped.forEach(r => {
+                console.log(`Skipped: ${r.messageId || '-'} - ${r.reason}`);
+            });
+            console.log(`${verb} ${result.replayed.length} message(s), skipped ${result.skipped.length}`);
+            break;
+        }
+
+        case 'purge': {
+            if (!flags.yes) {
+                const preview = await dlqService.listMessages(queueName, filters, limit);
+                console.log(`${preview.length} message(s) in ${queueName} match. Re-run with --yes to delete them.`);
+                break;
+            }
+            const removed = await dlqService.purgeMessages(queueName, filters, limit);
+            console.log(`Purged ${removed} message(s) from ${queueName}`);
+            break;
+        }
+
+        case 'export': {
+            const file = flags.out || `dlq-${queueName}-${Date.now()}.ndjson`;
+            const output = fs.createWriteStream(file);
+            const count = await dlqService.exportMessages(queueName, filters, output, limit);
+            await new Promise(resolve => output.end(resolve));
+            console.log(`Exported ${count} message(s) to ${file}`);
+            break;
+        }
+
+        default:
+            console.log(USAGE);
+            process.exitCode = 1;
+    }
+};
+
+/**
+ * template subcommand - the report the drip editor gets when a template is saved
+ */
+const runTemplateCommand = async (command, flags, { dbReader, templateService }) => {
+    if (command !== 'check' || (!flags['drip-id'] && typeof flags.text !== 'string')) {
+        console.log(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    let template = flags.text;
+    const workspaceId = flags['workspace-id'] ? parseInt(flags['workspace-id'], 10) : null;
+
+    if (flags['drip-id']) {
+        const drip = await dbReader('drips')
+            .select('message_suggestion')
+            .where('id', flags['drip-id'])
+            .first();
+
+        if (!drip) {
+            console.error(`[CLI] Drip ${flags['drip-id']} not found`);
+            process.exitCode = 1;
+            return;
+        }
+
+        template = drip.message_suggestion || '';
+    }
+
+    const report = await templateService.validateForWorkspace(template, workspaceId);
+
+    if (flags.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Variables: ${report.variables.join(', ') || '-'}`);
+        report.errors.forEach(error => console.log(`Error at ${error.index}: ${error.message}`));
+        report.undefinedVariables.forEach(variable => {
+            console.log(`Undefined variable at ${variable.index}: ${variable.name}${variable.hasFallback ? ' (renders its fallback)' : ' (renders blank)'}`);
+        });
+        if (report.missingFallbacks.length > 0) {
+            console.log(`No fallback (blank for contacts without them): ${report.missingFallbacks.join(', ')}`);
+        }
+        console.log(report.valid ? 'Template OK' : 'Template has problems');
+    }
+
+    process.exitCode = report.valid ? 0 : 1;
+};
+
+const main = async () => {
+    const { positionals, flags } = parseArgs(process.argv.slice(2));
+    const [group, command] = positionals;
+
+    if (group === 'template' && !flags.help) {
+        // Only the template commands need the database - its pools would keep dlq commands running
+        const { dbReader, dbWriter } = require('./config/database');
+        const templateService = require('./services/template/template.service');
+
+        try {
+            await runTemplateCommand(command, flags, { dbReader, templateService });
+        } catch (error) {
+            console.error('[CLI] Error:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await Promise.all([dbReader.destroy(), dbWriter.destroy()]);
+        }
+        return;
+    }
+
+    if (group !== 'dlq' || !command || flags.help) {
+        console.log(USAGE);
+        process.exitCode = group ? 1 : 0;
+        return;
+    }
+
+    await rabbitmq.connect();
+    if (!rabbitmq.isConnected()) {
+        console.error('[CLI] Could not connect to RabbitMQ');
+        await rabbitmq.close();
+        process.exit(1);
+    }
+
+    try {
+        await runDlqCommand(command, flags);
+    } catch (error) {
+        console.error('[CLI] Error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await rabbitmq.close();
+    }
+};
+
+main();
@@ -38,6 +38,9 @@ function parseDatabaseUrl(url) {
 const dbUrl = process.env.DATABASE_URL;
 const parsedDbUrl = dbUrl ? parseDatabaseUrl(dbUrl) : null;
 
+// 'amqp' (RabbitMQ via amqplib) or 'memory' (in-process broker, no RabbitMQ needed)
+const rabbitmqTransport = process.env.RABBITMQ_TRANSPORT || 'amqp';
+
 const CONFIG = {
     APP: {
         ENVIRONMENT: process.env.APP || 'development'
@@ -53,14 +56,173 @@ const CONFIG = {
     },
 
     RABBITMQ: {
-        ENABLED: process.env.RABBITMQ_ENABLED === 'true',
-        URL: process.env.RABBITMQ_URL || 'amqp://localhost:5672'
+        ENABLED: process.env.RABBITMQ_ENABLED === 'true' || rabbitmqTransport === 'memory',
+        TRANSPORT: rabbitmqTransport,
+        URL: process.env.RABBITMQ_URL || 'amqp://localhost:5672',
+        CONFIRM_TIMEOUT_MS: parseInt(process.env.RABBITMQ_CONFIRM_TIMEOUT_MS || '10000', 10),   // Max wait for a broker ack
+        PUBLISH_BUFFER_SIZE: parseInt(process.env.RABBITMQ_PUBLISH_BUFFER_SIZE || '10000', 10),         // Publishes held while the channel drains
+        PUBLISH_BUFFER_TIMEOUT_MS: parseInt(process.env.RABBITMQ_PUBLISH_BUFFER_TIMEOUT_MS || '30000', 10), // Max wait in that buffer
+        MAX_PRIORITY: parseInt(process.env.RABBITMQ_MAX_PRIORITY || '0', 10),                  // x-max-priority for send queues (0 = off)
+        RETRY_DELAYS_MS: (process.env.RABBITMQ_RETRY_DELAYS_MS || '10000,60000,600000,3600000')    // Default retry tiers
+            .split(',')
+            .map(delay => parseInt(delay, 10))
+            .filter(delay => delay > 0)
+    },
+
+    // Prometheus /metrics endpoint (PM2 instance N listens on PORT + N)
+    METRICS: {
+        ENABLED: process.env.METRICS_ENABLED !== 'false',
+        HOST: process.env.METRICS_HOST || '0.0.0.0',
+        PORT: parseInt(process.env.METRICS_PORT || '9464', 10),
+        PATH: process.env.METRICS_PATH || '/metrics',
+        COLLECT_TIMEOUT_MS: parseInt(process.env.METRICS_COLLECT_TIMEOUT_MS || '5000', 10)
+    },
+
+    // Queue payload validation: 'enforce' | 'warn' | 'off'
+    SCHEMA: {
+        VALIDATION: process.env.SCHEMA_VALIDATION || 'enforce'
+    },
+
+    // Region for numbers without a country code, unless the workspace sets workspaces.default_region
+    PHONE: {
+        DEFAULT_REGION: (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase(),
+        REJECT_LANDLINES: process.env.PHONE_REJECT_LANDLINES !== 'false',
+        REGION_CACHE_TTL_MS: parseInt(process.env.PHONE_REGION_CACHE_TTL_MS || '300000', 10)
+    },
+
+    // SMS provider used when neither the sending number nor the user picks one
+    SMS: {
+        DEFAULT_PROVIDER: process.env.SMS_DEFAULT_PROVIDER || 'twilio',
+        HTTP_TIMEOUT_MS: parseInt(process.env.SMS_HTTP_TIMEOUT_MS || '30000', 10),        // Telnyx/Vonage/Bandwidth API calls
+        PROVIDER_CACHE_TTL_MS: parseInt(process.env.SMS_PROVIDER_CACHE_TTL_MS || '60000', 10),  // Per-sender provider lookups
+        CREDITS_PER_SEGMENT: parseFloat(process.env.SMS_CREDITS_PER_SEGMENT || '1'),            // Drip SMS charge per segment
+        CREDITS_PER_MMS: parseFloat(process.env.SMS_CREDITS_PER_MMS || '1'),                    // Drip MMS charge per message
+        SMART_ENCODING_DEFAULT: process.env.SMS_SMART_ENCODING_DEFAULT === 'true',              // For workspaces without a setting
+        SMART_ENCODING_CACHE_TTL_MS: parseInt(process.env.SMS_SMART_ENCODING_CACHE_TTL_MS || '300000', 10)
     },
 
     TWILIO: {
         ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID || '',
         AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || '',
-        STATUS_CALLBACK_URL: process.env.TWILIO_STATUS_CALLBACK_URL || ''
+        STATUS_CALLBACK_URL: process.env.TWILIO_STATUS_CALLBACK_URL || '',
+        CLIENT_CACHE_SIZE: parseInt(process.env.TWILIO_CLIENT_CACHE_SIZE || '500', 10),              // Cached clients (one per account SID)
+        MAX_SOCKETS_PER_ACCOUNT: parseInt(process.env.TWILIO_MAX_SOCKETS_PER_ACCOUNT || '10', 10),  // Keep-alive sockets per account
+        KEEP_ALIVE_MSECS: parseInt(process.env.TWILIO_KEEP_ALIVE_MSECS || '1000', 10)
+    },
+
+    TELNYX: {
+        API_KEY: process.env.TELNYX_API_KEY || '',
+        MESSAGING_PROFILE_ID: process.env.TELNYX_MESSAGING_PROFILE_ID || '',
+        STATUS_CALLBACK_URL: process.env.TELNYX_STATUS_CALLBACK_URL || ''
+    },
+
+    VONAGE: {
+        API_KEY: process.env.VONAGE_API_KEY || '',
+        API_SECRET: process.env.VONAGE_API_SECRET || '',
+        STATUS_CALLBACK_URL: process.env.VONAGE_STATUS_CALLBACK_URL || ''
+    },
+
+    // Bandwidth callbacks go to the URL set on the messaging application
+    BANDWIDTH: {
+        ACCOUNT_ID: process.env.BANDWIDTH_ACCOUNT_ID || '',
+        USERNAME: process.env.BANDWIDTH_USERNAME || '',
+        PASSWORD: process.env.BANDWIDTH_PASSWORD || '',
+        APPLICATION_ID: process.env.BANDWIDTH_APPLICATION_ID || ''
+    },
+
+    // Local fake provider - simulated sends and status callbacks, no carrier
+    FAKE_SMS: {
+        ENABLED: process.env.FAKE_SMS_ENABLED === 'true',
+        SEND_FAILURE_PERCENT: parseFloat(process.env.FAKE_SMS_SEND_FAILURE_PERCENT || '0'),      // Sends rejected outright
+        SEND_ERROR_CODES: (process.env.FAKE_SMS_SEND_ERROR_CODES || '21211,21610,21614,30001')
+            .split(',').map(code => code.trim()).filter(Boolean),
+        UNDELIVERED_PERCENT: parseFloat(process.env.FAKE_SMS_UNDELIVERED_PERCENT || '0'),        // Accepted sends that end undelivered
+        UNDELIVERED_ERROR_CODES: (process.env.FAKE_SMS_UNDELIVERED_ERROR_CODES || '30003,30005,30006,30007')
+            .split(',').map(code => code.trim()).filter(Boolean),
+        SENT_DELAY_MS: parseInt(process.env.FAKE_SMS_SENT_DELAY_MS || '500', 10),                // queued -> sent
+        DELIVERED_DELAY_MS: parseInt(process.env.FAKE_SMS_DELIVERED_DELAY_MS || '2000', 10)      // sent -> delivered/undelivered
+    },
+
+    // MMS media checks before send (carrier limits)
+    MEDIA: {
+        MAX_COUNT: parseInt(process.env.MEDIA_MAX_COUNT || '10', 10),                         // Media per message
+        MAX_TOTAL_BYTES: parseInt(process.env.MEDIA_MAX_TOTAL_BYTES || '5242880', 10),        // All media in one message (5MB)
+        IMAGE_MAX_BYTES: parseInt(process.env.MEDIA_IMAGE_MAX_BYTES || '614400', 10),         // Larger images are resized (600KB)
+        IMAGE_MAX_DIMENSION: parseInt(process.env.MEDIA_IMAGE_MAX_DIMENSION || '1600', 10),   // Longest side after resizing
+        MAX_DOWNLOAD_BYTES: parseInt(process.env.MEDIA_MAX_DOWNLOAD_BYTES || '20971520', 10), // Largest file we fetch to transcode
+        FETCH_TIMEOUT_MS: parseInt(process.env.MEDIA_FETCH_TIMEOUT_MS || '10000', 10),
+        CACHE_TTL_MS: parseInt(process.env.MEDIA_CACHE_TTL_MS || '3600000', 10),              // Per-URL result (drips reuse one file)
+        CACHE_SIZE: parseInt(process.env.MEDIA_CACHE_SIZE || '1000', 10),
+        LINK_FALLBACK: process.env.MEDIA_LINK_FALLBACK !== 'false',                            // Undeliverable media → link in the body
+        // Transcoded images are uploaded here
+        S3_BUCKET: process.env.MEDIA_S3_BUCKET || '',
+        S3_REGION: process.env.MEDIA_S3_REGION || process.env.AWS_REGION || 'us-east-1',
+        S3_PREFIX: process.env.MEDIA_S3_PREFIX || 'mms/',
+        PUBLIC_BASE_URL: process.env.MEDIA_PUBLIC_BASE_URL || ''                               // CDN in front of the bucket, optional
+    },
+
+    // Transactional outbox - broker messages written with their rows, published by the relay
+    OUTBOX: {
+        ENABLED: process.env.OUTBOX_RELAY_ENABLED !== 'false',                            // Run the relay and sweeper in this process
+        RELAY_INTERVAL_MS: parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS || '1000', 10),
+        BATCH_SIZE: parseInt(process.env.OUTBOX_BATCH_SIZE || '200', 10),
+        MAX_BATCHES_PER_CYCLE: parseInt(process.env.OUTBOX_MAX_BATCHES_PER_CYCLE || '10', 10),
+        SWEEP_INTERVAL_MS: parseInt(process.env.OUTBOX_SWEEP_INTERVAL_MS || '60000', 10),
+        CLAIM_TIMEOUT_MS: parseInt(process.env.OUTBOX_CLAIM_TIMEOUT_MS || '60000', 10),     // Dispatching longer than this = stuck
+        RETRY_BASE_MS: parseInt(process.env.OUTBOX_RETRY_BASE_MS || '1000', 10),
+        RETRY_MAX_MS: parseInt(process.env.OUTBOX_RETRY_MAX_MS || '300000', 10),
+        RETENTION_HOURS: parseInt(process.env.OUTBOX_RETENTION_HOURS || '72', 10),          // Dispatched entries kept this long
+        STALE_ALERT_MS: parseInt(process.env.OUTBOX_STALE_ALERT_MS || '300000', 10)         // Warn when the oldest pending entry is older
+    },
+
+    // Stages every send runs through (services/send/sendPipeline.service)
+    SEND_PIPELINE: {
+        // Optional stages to skip, e.g. "compliance,events" - validate, send and persist always run
+        DISABLED_STAGES: (process.env.SEND_PIPELINE_DISABLED_STAGES || '')
+            .split(',').map(stage => stage.trim()).filter(Boolean)
+    },
+
+    // Outbound body checks before send (services/compliance/contentScanner.service)
+    CONTENT_SCAN: {
+        ENABLED: process.env.CONTENT_SCAN_ENABLED !== 'false',
+        TERMS_ACTION: process.env.CONTENT_SCAN_TERMS_ACTION || 'warn',             // block | warn | off
+        SHORTENER_ACTION: process.env.CONTENT_SCAN_SHORTENER_ACTION || 'warn',     // block | warn | off
+        OPT_OUT_ACTION: process.env.CONTENT_SCAN_OPT_OUT_ACTION || 'warn',         // block | warn | append | off
+        OPT_OUT_TEXT: process.env.CONTENT_SCAN_OPT_OUT_TEXT || 'Reply STOP to opt out.',
+        CACHE_TTL_MS: parseInt(process.env.CONTENT_SCAN_CACHE_TTL_MS || '300000', 10)  // Workspace rules
+    },
+
+    // Send windows in the recipient's local time (services/compliance/quietHours.service)
+    QUIET_HOURS: {
+        DEFAULT_START: process.env.QUIET_HOURS_DEFAULT_START || '08:00',                   // TCPA: 8am-9pm local
+        DEFAULT_END: process.env.QUIET_HOURS_DEFAULT_END || '21:00',
+        DEFAULT_TIME_ZONE: process.env.QUIET_HOURS_DEFAULT_TIME_ZONE || 'America/New_York', // When the recipient's zone is unknown
+        STATE_RULES: process.env.QUIET_HOURS_STATE_RULES || '',                              // JSON, adds to / replaces the built-in state rules
+        EXEMPT_TRANSACTIONAL: process.env.QUIET_HOURS_EXEMPT_TRANSACTIONAL !== 'false',      // Conversation replies and OTPs send any time
+        CACHE_TTL_MS: parseInt(process.env.QUIET_HOURS_CACHE_TTL_MS || '300000', 10)         // Workspace send window
+    },
+
+    // Drip and scheduled message bodies (services/template/template.service)
+    TEMPLATE: {
+        MISSING_VARIABLE_ACTION: process.env.TEMPLATE_MISSING_VARIABLE_ACTION || 'blank',  // blank | fail - empty variables without a fallback
+        DEFAULT_DATE_FORMAT: process.env.TEMPLATE_DEFAULT_DATE_FORMAT || 'MMM D, YYYY',
+        CACHE_SIZE: parseInt(process.env.TEMPLATE_CACHE_SIZE || '500', 10),                // Parsed templates
+        FIELDS_CACHE_TTL_MS: parseInt(process.env.TEMPLATE_FIELDS_CACHE_TTL_MS || '300000', 10) // A workspace's custom fields
+    },
+
+    // Tracked short links in outbound bodies (services/links/linkTracking.service)
+    LINKS: {
+        BASE_URL: (process.env.LINK_TRACKING_BASE_URL || '').replace(/\/+$/, ''),       // e.g. https://go.example.com - links aren't rewritten without it
+        DEFAULT_ENABLED: process.env.LINK_TRACKING_DEFAULT_ENABLED !== 'false',         // Workspaces that haven't set link_tracking
+        CODE_LENGTH: parseInt(process.env.LINK_TRACKING_CODE_LENGTH || '8', 10),
+        CACHE_TTL_MS: parseInt(process.env.LINK_TRACKING_CACHE_TTL_MS || '300000', 10), // Workspace setting and resolved codes
+        CACHE_SIZE: parseInt(process.env.LINK_TRACKING_CACHE_SIZE || '10000', 10),
+        // Redirect server for the short domain
+        SERVER_ENABLED: process.env.LINK_REDIRECT_SERVER_ENABLED === 'true',
+        HOST: process.env.LINK_REDIRECT_HOST || '0.0.0.0',
+        PORT: parseInt(process.env.LINK_REDIRECT_PORT || '8080', 10),
+        NOT_FOUND_URL: process.env.LINK_REDIRECT_NOT_FOUND_URL || '',                   // Unknown codes go here instead of a 404
+        TRUST_PROXY: process.env.LINK_REDIRECT_TRUST_PROXY === 'true'                   // Take the click IP from X-Forwarded-For
     },
 
     // ==========================================================================
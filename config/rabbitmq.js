@@ -5,12 +5,59 @@
  * @module config/rabbitmq
  */
 
-const amqp = require('amqplib');
+const EventEmitter = require('events');
+const transports = require('./transports');
 const { logger } = require('../services/logger.service');
+const schemaRegistry = require('../services/schema/schemaRegistry.service');
+const metrics = require('../services/metrics.service');
 const CONFIG = require('./config');
 
+// amqplib, or the in-process broker when RABBITMQ_TRANSPORT=memory
+const amqp = transports.getTransport(CONFIG.RABBITMQ.TRANSPORT);
+
 let connection = null;
-let channel = null;
+let isClosing = false;
+
+// Emits 'connected', 'reconnected' and 'fatal'
+const events = new EventEmitter();
+
+// Named channels on the shared connection. Each worker gets its own channel
+// so its prefetch is its own and a channel error only takes down that worker.
+// - 'default'   topology, queue stats and management calls
+// - 'publisher' confirm channel used for every publish
+// - others      one per worker, holding that worker's consumers
+// name -> { name, confirm, prefetch, channel, state, openedAt, restarts, errors, lastError, ... }
+const channels = new Map();
+const DEFAULT_CHANNEL = 'default';
+const PUBLISHER_CHANNEL = 'publisher';
+const CHANNEL_RESTART_DELAY_MS = 2000;
+const CHANNEL_STABLE_MS = 60000;
+
+// Consumer registry - every subscribe() is remembered here so it can be
+// re-established after a reconnect, channel restart or broker-initiated cancel
+// consumerTag -> { queueName, onMessage, channelName, prefetch, consumerTag, retryPolicy, active }
+const consumers = new Map();
+
+// queueName -> async () => ({ [priority]: count }), see setPriorityDepthReporter()
+const priorityDepthReporters = new Map();
+
+// Retry delay queues asserted by consumers (topology queues are in QUEUES)
+const retryQueues = new Set();
+
+// Connection health
+const health = {
+    state: 'disconnected',  // disconnected | connected | reconnecting | fatal
+    since: Date.now(),
+    lastError: null
+};
+
+const setHealth = (state, error = null) => {
+    health.state = state;
+    health.since = Date.now();
+    if (error) {
+        health.lastError = error.message || String(error);
+    }
+};
 
 // Queue names (same as main sengine)
 const QUEUES = {
@@ -18,6 +65,7 @@ const QUEUES = {
     INBOUND_MESSAGE: 'inbox.inbound.message',
     STATUS_UPDATE: 'inbox.status.update',
     NOTIFICATION: 'inbox.notification',
+    INBOX_FAILED: 'inbox.failed',
     // High-scale drip queues
     DRIP_MESSAGES: 'drip.messages.queue',
     DRIP_DEAD_LETTER: 'drip.dead.letter',
@@ -48,117 +96,382 @@ const ROUTING_KEYS = {
     WEBHOOK: 'webhook'
 };
 
+// Message priority lanes (AMQP `priority` property, higher is served first)
+// Only honoured by the broker when RABBITMQ_MAX_PRIORITY > 0
+const PRIORITY = {
+    BULK: 0,            // Campaigns, drips
+    NORMAL: 5,
+    TRANSACTIONAL: 9    // Conversation replies, OTPs
+};
+
+// Retry tiers (delays in ms). A failed message is parked in a TTL'd delay
+// queue for the next tier and dead-lettered back to its work queue when the
+// TTL expires. Once the tiers are used up it goes to the queue's DLQ.
+const RETRY_POLICIES = {
+    DEFAULT: CONFIG.RABBITMQ.RETRY_DELAYS_MS,   // 10s, 1m, 10m, 1h
+    FAST: [2000, 10000, 60000],                 // 2s, 10s, 1m - user-facing work
+    NONE: []                                    // Straight to the DLQ
+};
+
+// Where exhausted messages go, per work queue
+const DEAD_LETTER_TARGETS = {
+    [QUEUES.SEND_MESSAGE]: { exchange: EXCHANGES.INBOX_DLX, routingKey: ROUTING_KEYS.FAILED },
+    [QUEUES.INBOUND_MESSAGE]: { exchange: EXCHANGES.INBOX_DLX, routingKey: ROUTING_KEYS.FAILED },
+    [QUEUES.STATUS_UPDATE]: { exchange: EXCHANGES.INBOX_DLX, routingKey: ROUTING_KEYS.FAILED },
+    [QUEUES.WEBHOOK]: { exchange: EXCHANGES.INBOX_DLX, routingKey: ROUTING_KEYS.FAILED },
+    [QUEUES.DRIP_MESSAGES]: { exchange: EXCHANGES.DRIP_DLX, routingKey: ROUTING_KEYS.DRIP_FAILED }
+};
+
+// Schema type for queues whose payloads have no `type` field
+const QUEUE_MESSAGE_TYPES = {
+    [QUEUES.DRIP_MESSAGES]: 'DRIP_SEND',
+    [QUEUES.INBOUND_MESSAGE]: 'INBOUND_SMS',
+    [QUEUES.STATUS_UPDATE]: 'STATUS_UPDATE'
+};
+
 /**
- * Connect to RabbitMQ and initialize queues
- * @returns {Promise<{connection, channel}>}
+ * Open connection/channels, assert topology and restore registered consumers
+ * Throws on failure - callers decide whether to retry
  */
-const connect = async () => {
+const establishConnection = async () => {
+    const url = CONFIG.RABBITMQ.URL;
+
+    console.log('[Workers:RabbitMQ] Connecting to:', CONFIG.RABBITMQ.TRANSPORT === 'memory'
+        ? 'in-memory broker'
+        : url.replace(/:[^:@]*@/, ':****@'));
+
+    const conn = await amqp.connect(url);
+    connection = conn;
+
     try {
-        const url = CONFIG.RABBITMQ.URL;
+        const ch = await openChannel(DEFAULT_CHANNEL, { prefetch: CONFIG.MESSAGE_WORKER.PREFETCH || 10 });
 
-        console.log('[Workers:RabbitMQ] Connecting to:', url.replace(/:[^:@]*@/, ':****@'));
+        // Separate confirm channel for publishing - the broker acks every message,
+        // so callers only treat a publish as done once RabbitMQ has it
+        await openChannel(PUBLISHER_CHANNEL, { confirm: true });
 
-        connection = await amqp.connect(url);
-        channel = await connection.createChannel();
+        await assertTopology(ch);
+    } catch (error) {
+        // Don't leak a half-initialized connection
+        connection = null;
+        resetChannels();
+        conn.close().catch(() => {});
+        throw error;
+    }
 
-        // Set prefetch for fair dispatch
-        await channel.prefetch(CONFIG.MESSAGE_WORKER.PREFETCH || 10);
+    // Handle connection errors ('close' always follows, so reconnect happens there)
+    conn.on('error', (err) => {
+        console.error('[Workers:RabbitMQ] Connection error:', err.message);
+        logger.error('[Workers:RabbitMQ] Connection error:', err);
+        setHealth(health.state, err);
+    });
 
-        // Create exchanges
-        await channel.assertExchange(EXCHANGES.INBOX, 'direct', { durable: true });
-        await channel.assertExchange(EXCHANGES.INBOX_DLX, 'direct', { durable: true });
+    conn.on('close', () => {
+        // Ignore late events from a connection we've already replaced
+        if (conn !== connection) return;
 
-        // Queue options with dead letter configuration
-        const queueOptions = {
-            durable: true,
-            deadLetterExchange: EXCHANGES.INBOX_DLX,
-            deadLetterRoutingKey: ROUTING_KEYS.FAILED,
-            arguments: {
-                'x-message-ttl': 86400000 // 24 hours TTL
-            }
+        connection = null;
+        resetChannels();
+
+        if (isClosing) return;
+
+        console.warn('[Workers:RabbitMQ] Connection closed');
+        logger.warn('[Workers:RabbitMQ] Connection closed');
+        reconnect();
+    });
+
+    await restoreConsumers();
+
+    setHealth('connected');
+
+    // Publishes made while we were disconnected
+    flushPublishBuffer();
+};
+
+/**
+ * Mark every channel closed and cancel pending channel restarts
+ * (the connection is gone - reconnect() rebuilds them)
+ */
+const resetChannels = () => {
+    for (const managed of channels.values()) {
+        if (managed.restartTimer) {
+            clearTimeout(managed.restartTimer);
+            managed.restartTimer = null;
+        }
+        managed.channel = null;
+        managed.opening = null;
+        managed.state = 'closed';
+    }
+    for (const entry of consumers.values()) {
+        entry.active = false;
+    }
+};
+
+/**
+ * Open (or return) a named channel on the current connection
+ * @param {string} name - Channel name
+ * @param {Object} options - { prefetch, confirm }
+ * @returns {Promise<Object>} amqplib channel
+ */
+const openChannel = async (name, options = {}) => {
+    const conn = getConnection();
+
+    let managed = channels.get(name);
+    if (!managed) {
+        managed = {
+            name,
+            confirm: !!options.confirm,
+            prefetch: options.prefetch || null,
+            channel: null,
+            opening: null,
+            state: 'closed',    // open | closed | restarting
+            openedAt: null,
+            restarts: 0,
+            recentRestarts: 0,
+            errors: 0,
+            lastError: null,
+            restartTimer: null,
+            closing: false
         };
+        channels.set(name, managed);
+    } else if (options.prefetch) {
+        managed.prefetch = options.prefetch;
+    }
 
-        // Create main queues
-        await channel.assertQueue(QUEUES.SEND_MESSAGE, queueOptions);
-        await channel.assertQueue(QUEUES.INBOUND_MESSAGE, queueOptions);
-        await channel.assertQueue(QUEUES.STATUS_UPDATE, queueOptions);
-        await channel.assertQueue(QUEUES.NOTIFICATION, { durable: true });
+    if (managed.channel) return managed.channel;
+    if (managed.opening) return managed.opening;
 
-        // Dead letter queue
-        await channel.assertQueue('inbox.failed', {
-            durable: true,
-            arguments: {
-                'x-message-ttl': 604800000 // 7 days TTL
-            }
-        });
-        await channel.bindQueue('inbox.failed', EXCHANGES.INBOX_DLX, ROUTING_KEYS.FAILED);
-
-        // Bind queues to exchange
-        await channel.bindQueue(QUEUES.SEND_MESSAGE, EXCHANGES.INBOX, ROUTING_KEYS.SEND);
-        await channel.bindQueue(QUEUES.INBOUND_MESSAGE, EXCHANGES.INBOX, ROUTING_KEYS.INBOUND);
-        await channel.bindQueue(QUEUES.STATUS_UPDATE, EXCHANGES.INBOX, ROUTING_KEYS.STATUS);
-        await channel.bindQueue(QUEUES.NOTIFICATION, EXCHANGES.INBOX, ROUTING_KEYS.NOTIFY);
-
-        // ============================================
-        // HIGH-SCALE DRIP QUEUES
-        // ============================================
-        await channel.assertExchange(EXCHANGES.DRIP, 'direct', { durable: true });
-        await channel.assertExchange(EXCHANGES.DRIP_DLX, 'direct', { durable: true });
-
-        // Drip messages queue
-        await channel.assertQueue(QUEUES.DRIP_MESSAGES, {
-            durable: true,
-            deadLetterExchange: EXCHANGES.DRIP_DLX,
-            deadLetterRoutingKey: ROUTING_KEYS.DRIP_FAILED,
-            arguments: {
-                'x-message-ttl': 3600000 // 1 hour TTL
-            }
+    managed.opening = (async () => {
+        const ch = managed.confirm
+            ? await conn.createConfirmChannel()
+            : await conn.createChannel();
+
+        if (managed.prefetch) {
+            await ch.prefetch(managed.prefetch);
+        }
+
+        ch.on('error', (err) => {
+            managed.errors++;
+            managed.lastError = err.message;
+            console.error(`[Workers:RabbitMQ] Channel error (${name}):`, err.message);
+            logger.error(`[Workers:RabbitMQ] Channel error (${name}):`, err);
         });
 
-        // Drip dead letter queue
-        await channel.assertQueue(QUEUES.DRIP_DEAD_LETTER, {
-            durable: true,
-            arguments: {
-                'x-message-ttl': 604800000 // 7 days TTL
-            }
+        // A channel error (e.g. ack with unknown delivery tag) closes only this
+        // channel - restart it and its consumers, leave everyone else alone
+        ch.on('close', () => {
+            if (managed.channel !== ch) return;
+
+            managed.channel = null;
+            managed.state = 'closed';
+            consumers.forEach(entry => {
+                if (entry.channelName === name) entry.active = false;
+            });
+
+            if (isClosing || managed.closing || conn !== connection) return;
+
+            console.warn(`[Workers:RabbitMQ] Channel closed unexpectedly (${name}), restarting`);
+            logger.warn(`[Workers:RabbitMQ] Channel closed unexpectedly (${name}), restarting`);
+            scheduleChannelRestart(managed, conn);
         });
 
-        // Bind drip queues
-        await channel.bindQueue(QUEUES.DRIP_MESSAGES, EXCHANGES.DRIP, ROUTING_KEYS.DRIP_SEND);
-        await channel.bindQueue(QUEUES.DRIP_DEAD_LETTER, EXCHANGES.DRIP_DLX, ROUTING_KEYS.DRIP_FAILED);
+        if (name === PUBLISHER_CHANNEL) {
+            attachPublisher(ch);
+        }
 
-        // ============================================
-        // WEBHOOK QUEUE
-        // ============================================
-        await channel.assertQueue(QUEUES.WEBHOOK, {
-            durable: true,
-            arguments: {
-                'x-message-ttl': 86400000 // 24 hours TTL
+        managed.channel = ch;
+        managed.state = 'open';
+        managed.openedAt = Date.now();
+        return ch;
+    })();
+
+    try {
+        return await managed.opening;
+    } finally {
+        managed.opening = null;
+    }
+};
+
+/**
+ * Re-open a channel that closed while the connection stayed up, with backoff
+ * Consumers registered on it are re-subscribed
+ */
+const scheduleChannelRestart = (managed, conn) => {
+    if (managed.restartTimer) return;
+
+    // Back off if the channel keeps dying right after a restart
+    if (managed.openedAt && Date.now() - managed.openedAt > CHANNEL_STABLE_MS) {
+        managed.recentRestarts = 0;
+    }
+    const delay = Math.min(CHANNEL_RESTART_DELAY_MS * Math.pow(2, managed.recentRestarts), 30000);
+
+    managed.state = 'restarting';
+    managed.restartTimer = setTimeout(async () => {
+        managed.restartTimer = null;
+
+        // Connection went away in the meantime - reconnect() takes over
+        if (isClosing || conn !== connection || managed.closing) return;
+
+        try {
+            await openChannel(managed.name);
+            managed.restarts++;
+            managed.recentRestarts++;
+            await restoreConsumers(managed.name);
+
+            if (managed.name === PUBLISHER_CHANNEL) {
+                flushPublishBuffer();
             }
-        });
-        await channel.bindQueue(QUEUES.WEBHOOK, EXCHANGES.INBOX, ROUTING_KEYS.WEBHOOK);
 
-        console.log('[Workers:RabbitMQ] Connected and queues initialized (including drip and webhook queues)');
-        logger.info('[Workers:RabbitMQ] Connected and queues initialized');
+            console.log(`[Workers:RabbitMQ] Channel restarted (${managed.name})`);
+            logger.info(`[Workers:RabbitMQ] Channel restarted (${managed.name})`);
+        } catch (error) {
+            managed.lastError = error.message;
+            managed.recentRestarts++;
+            console.error(`[Workers:RabbitMQ] Channel restart failed (${managed.name}):`, error.message);
+            scheduleChannelRestart(managed, conn);
+        }
+    }, delay);
+};
 
-        // Handle connection errors
-        connection.on('error', (err) => {
-            console.error('[Workers:RabbitMQ] Connection error:', err.message);
-            logger.error('[Workers:RabbitMQ] Connection error:', err);
-            reconnect();
-        });
+/**
+ * Close a worker's channel and drop its consumers from the registry
+ * @param {string} name - Channel name passed to subscribe()
+ */
+const closeChannel = async (name) => {
+    for (const [consumerTag, entry] of consumers) {
+        if (entry.channelName === name) {
+            await unsubscribe(consumerTag);
+        }
+    }
 
-        connection.on('close', () => {
-            console.warn('[Workers:RabbitMQ] Connection closed');
-            logger.warn('[Workers:RabbitMQ] Connection closed');
-            reconnect();
-        });
+    const managed = channels.get(name);
+    if (!managed) return;
 
-        return { connection, channel };
+    managed.closing = true;
+    if (managed.restartTimer) {
+        clearTimeout(managed.restartTimer);
+        managed.restartTimer = null;
+    }
+    channels.delete(name);
+
+    if (managed.channel) {
+        await managed.channel.close().catch(() => {});
+    }
+};
+
+/**
+ * Declare exchanges, queues and bindings
+ */
+const assertTopology = async (channel) => {
+    // Create exchanges
+    await channel.assertExchange(EXCHANGES.INBOX, 'direct', { durable: true });
+    await channel.assertExchange(EXCHANGES.INBOX_DLX, 'direct', { durable: true });
+
+    // Queue options with dead letter configuration
+    const queueOptions = {
+        durable: true,
+        deadLetterExchange: EXCHANGES.INBOX_DLX,
+        deadLetterRoutingKey: ROUTING_KEYS.FAILED,
+        arguments: {
+            'x-message-ttl': 86400000 // 24 hours TTL
+        }
+    };
+
+    // Create main queues
+    // Send queues get priority lanes when enabled. Changing x-max-priority on
+    // an existing queue fails with PRECONDITION_FAILED - see README before enabling
+    const priorityArguments = CONFIG.RABBITMQ.MAX_PRIORITY > 0
+        ? { 'x-max-priority': CONFIG.RABBITMQ.MAX_PRIORITY }
+        : {};
+
+    await channel.assertQueue(QUEUES.SEND_MESSAGE, {
+        ...queueOptions,
+        arguments: { ...queueOptions.arguments, ...priorityArguments }
+    });
+    await channel.assertQueue(QUEUES.INBOUND_MESSAGE, queueOptions);
+    await channel.assertQueue(QUEUES.STATUS_UPDATE, queueOptions);
+    await channel.assertQueue(QUEUES.NOTIFICATION, { durable: true });
+
+    // Dead letter queue
+    await channel.assertQueue(QUEUES.INBOX_FAILED, {
+        durable: true,
+        arguments: {
+            'x-message-ttl': 604800000 // 7 days TTL
+        }
+    });
+    await channel.bindQueue(QUEUES.INBOX_FAILED, EXCHANGES.INBOX_DLX, ROUTING_KEYS.FAILED);
+
+    // Bind queues to exchange
+    await channel.bindQueue(QUEUES.SEND_MESSAGE, EXCHANGES.INBOX, ROUTING_KEYS.SEND);
+    await channel.bindQueue(QUEUES.INBOUND_MESSAGE, EXCHANGES.INBOX, ROUTING_KEYS.INBOUND);
+    await channel.bindQueue(QUEUES.STATUS_UPDATE, EXCHANGES.INBOX, ROUTING_KEYS.STATUS);
+    await channel.bindQueue(QUEUES.NOTIFICATION, EXCHANGES.INBOX, ROUTING_KEYS.NOTIFY);
+
+    // ============================================
+    // HIGH-SCALE DRIP QUEUES
+    // ============================================
+    await channel.assertExchange(EXCHANGES.DRIP, 'direct', { durable: true });
+    await channel.assertExchange(EXCHANGES.DRIP_DLX, 'direct', { durable: true });
+
+    // Drip messages queue
+    await channel.assertQueue(QUEUES.DRIP_MESSAGES, {
+        durable: true,
+        deadLetterExchange: EXCHANGES.DRIP_DLX,
+        deadLetterRoutingKey: ROUTING_KEYS.DRIP_FAILED,
+        arguments: {
+            'x-message-ttl': 3600000, // 1 hour TTL
+            ...priorityArguments
+        }
+    });
+
+    // Drip dead letter queue
+    await channel.assertQueue(QUEUES.DRIP_DEAD_LETTER, {
+        durable: true,
+        arguments: {
+            'x-message-ttl': 604800000 // 7 days TTL
+        }
+    });
+
+    // Bind drip queues
+    await channel.bindQueue(QUEUES.DRIP_MESSAGES, EXCHANGES.DRIP, ROUTING_KEYS.DRIP_SEND);
+    await channel.bindQueue(QUEUES.DRIP_DEAD_LETTER, EXCHANGES.DRIP_DLX, ROUTING_KEYS.DRIP_FAILED);
+
+    // ============================================
+    // WEBHOOK QUEUE
+    // ============================================
+    await channel.assertQueue(QUEUES.WEBHOOK, {
+        durable: true,
+        arguments: {
+            'x-message-ttl': 86400000 // 24 hours TTL
+        }
+    });
+    await channel.bindQueue(QUEUES.WEBHOOK, EXCHANGES.INBOX, ROUTING_KEYS.WEBHOOK);
+
+    console.log('[Workers:RabbitMQ] Connected and queues initialized (including drip and webhook queues)');
+    logger.info('[Workers:RabbitMQ] Connected and queues initialized');
+};
+
+/**
+ * Connect to RabbitMQ and initialize queues
+ * Safe to call more than once - returns the existing connection if already open
+ * @returns {Promise<{connection, channel}>}
+ */
+const connect = async () => {
+    if (isConnected()) {
+        return { connection, channel: getChannel() };
+    }
+
+    isClosing = false;
+
+    try {
+        await establishConnection();
+        events.emit('connected');
+        return { connection, channel: getChannel() };
 
     } catch (error) {
         console.error('[Workers:RabbitMQ] Failed to connect:', error.message);
         logger.error('[Workers:RabbitMQ] Failed to connect:', error);
+        setHealth('disconnected', error);
         reconnect();
         return null;
     }
@@ -166,28 +479,44 @@ const connect = async () => {
 
 /**
  * Reconnect with exponential backoff
+ * After MAX_RECONNECT_ATTEMPTS the health state flips to 'fatal' and a 'fatal'
+ * event is emitted so the process can exit and be restarted by PM2
  */
 let reconnectAttempts = 0;
+let reconnects = 0;         // Successful reconnects since start
+let reconnectTimer = null;
 const MAX_RECONNECT_ATTEMPTS = 10;
 
 const reconnect = () => {
+    if (reconnectTimer || isClosing) return;
+
     if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
         console.error('[Workers:RabbitMQ] Max reconnection attempts reached');
         logger.error('[Workers:RabbitMQ] Max reconnection attempts reached');
+        setHealth('fatal');
+        events.emit('fatal', new Error(health.lastError || 'Max reconnection attempts reached'));
         return;
     }
 
     reconnectAttempts++;
     const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
 
+    setHealth('reconnecting');
     console.log(`[Workers:RabbitMQ] Reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
 
-    setTimeout(async () => {
+    reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
         try {
-            await connect();
+            await establishConnection();
             reconnectAttempts = 0;
+            reconnects++;
+            console.log('[Workers:RabbitMQ] Reconnected, consumers restored:', consumers.size);
+            logger.info('[Workers:RabbitMQ] Reconnected, consumers restored:', consumers.size);
+            events.emit('reconnected');
         } catch (error) {
             console.error('[Workers:RabbitMQ] Reconnection failed:', error.message);
+            setHealth('reconnecting', error);
+            reconnect();
         }
     }, delay);
 };
@@ -196,12 +525,24 @@ const reconnect = () => {
  * Get the channel instance
  */
 const getChannel = () => {
+    const channel = channels.get(DEFAULT_CHANNEL)?.channel;
     if (!channel) {
         throw new Error('RabbitMQ channel not initialized. Call connect() first.');
     }
     return channel;
 };
 
+/**
+ * Get the confirm channel instance (used for publishing)
+ */
+const getConfirmChannel = () => {
+    const confirmChannel = channels.get(PUBLISHER_CHANNEL)?.channel;
+    if (!confirmChannel) {
+        throw new Error('RabbitMQ confirm channel not initialized. Call connect() first.');
+    }
+    return confirmChannel;
+};
+
 /**
  * Get the connection instance
  */
@@ -216,16 +557,237 @@ const getConnection = () => {
  * Check if RabbitMQ is connected
  */
 const isConnected = () => {
-    return connection !== null && channel !== null;
+    return connection !== null
+        && !!channels.get(DEFAULT_CHANNEL)?.channel
+        && !!channels.get(PUBLISHER_CHANNEL)?.channel;
+};
+
+// =============================================================================
+// PUBLISHER BACKPRESSURE
+// =============================================================================
+// channel.publish() returns false once the channel's write buffer is full.
+// Writing more only grows memory, so we stop writing, park new publishes in a
+// bounded buffer and resume on the channel's 'drain' event. Publishes made
+// while the publisher channel is down (reconnect, restart) wait there too.
+
+const publishBuffer = [];
+let publisherPaused = false;
+
+const publisherStats = {
+    published: 0,           // Written to the channel
+    confirmed: 0,
+    nacked: 0,
+    confirmTimeouts: 0,
+    buffered: 0,            // Publishes that had to wait in the buffer
+    maxBufferDepth: 0,
+    rejectedBufferFull: 0,
+    bufferTimeouts: 0,
+    stalls: 0,              // Times the channel pushed back
+    totalStallMs: 0,
+    longestStallMs: 0,
+    stallStartedAt: null
+};
+
+const isPublisherOpen = () => !!channels.get(PUBLISHER_CHANNEL)?.channel;
+
+const startStall = () => {
+    if (publisherPaused) return;
+
+    publisherPaused = true;
+    publisherStats.stalls++;
+    publisherStats.stallStartedAt = Date.now();
+
+    console.warn('[Workers:RabbitMQ] Publisher channel buffer full, pausing until drain');
+};
+
+const endStall = () => {
+    if (!publisherPaused) return;
+
+    const stallMs = Date.now() - publisherStats.stallStartedAt;
+    publisherPaused = false;
+    publisherStats.totalStallMs += stallMs;
+    publisherStats.longestStallMs = Math.max(publisherStats.longestStallMs, stallMs);
+    publisherStats.stallStartedAt = null;
+
+    console.log(`[Workers:RabbitMQ] Publisher channel drained after ${stallMs}ms, ${publishBuffer.length} buffered`);
+};
+
+/**
+ * Write one publish to the confirm channel and settle it on the broker's confirm
+ * @returns {boolean} false if the channel asked us to stop writing
+ */
+const writePublish = (item) => {
+    const { exchange, routingKey, content, options, resolve, reject } = item;
+    let settled = false;
+
+    const timer = setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        publisherStats.confirmTimeouts++;
+        reject(new Error(`Publish confirm timed out after ${CONFIG.RABBITMQ.CONFIRM_TIMEOUT_MS}ms`));
+    }, CONFIG.RABBITMQ.CONFIRM_TIMEOUT_MS);
+
+    let writable;
+    try {
+        writable = getConfirmChannel().publish(exchange, routingKey, content, options, (err) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+
+            if (err) {
+                publisherStats.nacked++;
+                reject(new Error('Message nacked by broker'));
+            } else {
+                publisherStats.confirmed++;
+                resolve(true);
+            }
+        });
+    } catch (error) {
+        settled = true;
+        clearTimeout(timer);
+        reject(error);
+        return true;
+    }
+
+    publisherStats.published++;
+    if (!writable) {
+        startStall();
+    }
+    return writable;
+};
+
+/**
+ * Write buffered publishes until the buffer is empty or the channel pushes back
+ */
+const flushPublishBuffer = () => {
+    while (publishBuffer.length > 0 && !publisherPaused && isPublisherOpen()) {
+        const item = publishBuffer.shift();
+        clearTimeout(item.bufferTimer);
+        writePublish(item);
+    }
+};
+
+/**
+ * Wire up a (re)opened publisher channel
+ * A new channel starts with an empty write buffer, so any stall is over
+ */
+const attachPublisher = (ch) => {
+    ch.on('drain', () => {
+        endStall();
+        flushPublishBuffer();
+    });
+    endStall();
+};
+
+/**
+ * Fail everything still waiting in the buffer (on close)
+ */
+const rejectPublishBuffer = (error) => {
+    publishBuffer.splice(0).forEach(item => {
+        clearTimeout(item.bufferTimer);
+        item.reject(error);
+    });
+};
+
+/**
+ * Publisher throughput and backpressure stats
+ */
+const getPublisherStats = () => ({
+    ...publisherStats,
+    paused: publisherPaused,
+    bufferDepth: publishBuffer.length,
+    currentStallMs: publisherStats.stallStartedAt ? Date.now() - publisherStats.stallStartedAt : 0
+});
+
+/**
+ * Publish raw content on the confirm channel and wait for the broker to ack it
+ *
+ * channel.publish() returning true only means the bytes reached a local buffer;
+ * this resolves once RabbitMQ has actually taken responsibility for the message.
+ * While the channel is applying backpressure (or the publisher channel is being
+ * reopened) the publish waits in a bounded buffer instead of being written.
+ *
+ * @param {string} exchange - Exchange name
+ * @param {string} routingKey - Routing key
+ * @param {Buffer} content - Message body
+ * @param {Object} options - amqplib publish options
+ * @returns {Promise<boolean>} Resolves true on ack, rejects on nack, timeout or full buffer
+ */
+const publishConfirmed = (exchange, routingKey, content, options = {}) => {
+    return new Promise((resolve, reject) => {
+        const item = { exchange, routingKey, content, options, resolve, reject, bufferTimer: null };
+
+        if (!publisherPaused && publishBuffer.length === 0 && isPublisherOpen()) {
+            writePublish(item);
+            return;
+        }
+
+        // Nothing will reopen the publisher - fail now rather than after the buffer timeout
+        if (!isPublisherOpen() && (isClosing || ['disconnected', 'fatal'].includes(health.state))) {
+            reject(new Error('RabbitMQ publisher channel not available'));
+            return;
+        }
+
+        // Channel is applying backpressure (or reconnecting) - wait in the buffer
+        if (publishBuffer.length >= CONFIG.RABBITMQ.PUBLISH_BUFFER_SIZE) {
+            publisherStats.rejectedBufferFull++;
+            reject(new Error(`Publish buffer full (${publishBuffer.length} waiting)`));
+            return;
+        }
+
+        item.bufferTimer = setTimeout(() => {
+            const index = publishBuffer.indexOf(item);
+            if (index === -1) return;
+
+            publishBuffer.splice(index, 1);
+            publisherStats.bufferTimeouts++;
+            reject(new Error(`Publish timed out after ${CONFIG.RABBITMQ.PUBLISH_BUFFER_TIMEOUT_MS}ms waiting for the channel to drain`));
+        }, CONFIG.RABBITMQ.PUBLISH_BUFFER_TIMEOUT_MS);
+
+        publishBuffer.push(item);
+        publisherStats.buffered++;
+        publisherStats.maxBufferDepth = Math.max(publisherStats.maxBufferDepth, publishBuffer.length);
+    });
+};
+
+/**
+ * Publish a batch of messages and wait for all broker confirms
+ *
+ * @param {Array<{id, exchange, routingKey, content, options}>} messages
+ * @returns {Promise<{acked: Array, failed: Array<{id, error}>}>} IDs split by outcome
+ */
+const publishBatchConfirmed = async (messages) => {
+    const results = await Promise.allSettled(
+        messages.map(m => publishConfirmed(m.exchange, m.routingKey, m.content, m.options))
+    );
+
+    const acked = [];
+    const failed = [];
+
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            acked.push(messages[index].id);
+        } else {
+            failed.push({ id: messages[index].id, error: result.reason.message });
+        }
+    });
+
+    return { acked, failed };
 };
 
 /**
  * Publish message to exchange
+ * The payload is stamped with its schemaVersion and validated first;
+ * resolves true only after the broker has confirmed the message
  */
 const publish = async (routingKey, data, options = {}) => {
     try {
-        const ch = getChannel();
-        const message = Buffer.from(JSON.stringify(data));
+        const { payload, report } = schemaRegistry.preparePayload(data);
+        if (schemaRegistry.shouldReject(report, { routingKey })) {
+            throw new Error(schemaRegistry.formatReport(report));
+        }
+
+        const message = Buffer.from(JSON.stringify(payload));
 
         const publishOptions = {
             persistent: true,
@@ -234,13 +796,15 @@ const publish = async (routingKey, data, options = {}) => {
             ...options
         };
 
-        const success = ch.publish(EXCHANGES.INBOX, routingKey, message, publishOptions);
-
-        if (success) {
-            console.log(`[Workers:RabbitMQ] Published to ${routingKey}:`, data.type || 'message');
+        if (publishOptions.priority === undefined && payload.priority !== undefined) {
+            publishOptions.priority = normalizePriority(payload.priority);
         }
 
-        return success;
+        await publishConfirmed(EXCHANGES.INBOX, routingKey, message, publishOptions);
+
+        console.log(`[Workers:RabbitMQ] Published to ${routingKey}:`, data.type || 'message');
+
+        return true;
     } catch (error) {
         console.error('[Workers:RabbitMQ] Publish error:', error.message);
         logger.error('[Workers:RabbitMQ] Publish error:', error);
@@ -248,20 +812,351 @@ const publish = async (routingKey, data, options = {}) => {
     }
 };
 
+/**
+ * Clamp a priority to what the queues accept
+ */
+const normalizePriority = (priority) => {
+    const value = parseInt(priority, 10);
+    if (isNaN(value) || value < 0) return PRIORITY.BULK;
+    return Math.min(value, Math.max(CONFIG.RABBITMQ.MAX_PRIORITY, PRIORITY.TRANSACTIONAL));
+};
+
+/**
+ * Format a delay for use in a queue name (10000 -> '10s', 3600000 -> '1h')
+ */
+const formatDelay = (ms) => {
+    if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+    if (ms % 60000 === 0) return `${ms / 60000}m`;
+    if (ms % 1000 === 0) return `${ms / 1000}s`;
+    return `${ms}ms`;
+};
+
+/**
+ * Name of the delay queue for a work queue and retry tier
+ */
+const getRetryQueueName = (queueName, delayMs) => `${queueName}.retry.${formatDelay(delayMs)}`;
+
+/**
+ * Declare the delay queues for a work queue's retry policy
+ * Messages expire after the tier delay and are dead-lettered (via the default
+ * exchange) straight back onto the work queue
+ */
+const assertRetryQueues = async (queueName, retryPolicy) => {
+    const delays = RETRY_POLICIES[retryPolicy];
+    if (!delays) {
+        throw new Error(`Unknown retry policy: ${retryPolicy}`);
+    }
+
+    const ch = getChannel();
+    for (const delayMs of delays) {
+        const retryQueue = getRetryQueueName(queueName, delayMs);
+        retryQueues.add(retryQueue);
+
+        await ch.assertQueue(retryQueue, {
+            durable: true,
+            deadLetterExchange: '',
+            deadLetterRoutingKey: queueName,
+            arguments: {
+                'x-message-ttl': delayMs
+            }
+        });
+    }
+};
+
+/**
+ * Whether retryOrDeadLetter() would still retry this delivery
+ * Lets a handler treat its last attempt as final (mark failed, refund) itself
+ * @param {Object} msg - amqplib message
+ * @param {string} retryPolicy - Key of RETRY_POLICIES
+ */
+const hasRetriesLeft = (msg, retryPolicy) => {
+    const delays = RETRY_POLICIES[retryPolicy] || RETRY_POLICIES.DEFAULT;
+    return (msg?.properties?.headers?.['x-retry-count'] || 0) < delays.length;
+};
+
+/**
+ * Schedule a failed message for a delayed retry, or dead-letter it once the
+ * retry policy is exhausted. Always settles the original delivery.
+ *
+ * Headers carried on the message:
+ * - x-retry-count: attempts so far
+ * - x-last-error: error message of the latest failure
+ * - x-original-exchange / x-original-routing-key: where it was first published
+ *
+ * @param {Object} msg - amqplib message
+ * @param {Object} ch - Channel the message was delivered on
+ * @param {string} queueName - Work queue the message came from
+ * @param {string} retryPolicy - Key of RETRY_POLICIES
+ * @param {Error} error - Processing error
+ * @returns {Promise<'retry'|'dead-letter'>}
+ */
+const retryOrDeadLetter = async (msg, ch, queueName, retryPolicy, error) => {
+    const delays = RETRY_POLICIES[retryPolicy] || RETRY_POLICIES.DEFAULT;
+    const previousHeaders = msg.properties.headers || {};
+    const retryCount = previousHeaders['x-retry-count'] || 0;
+
+    const headers = {
+        ...previousHeaders,
+        'x-retry-count': retryCount + 1,
+        'x-last-error': String(error?.message || error).substring(0, 1000),
+        'x-original-exchange': previousHeaders['x-original-exchange'] ?? msg.fields.exchange,
+        'x-original-routing-key': previousHeaders['x-original-routing-key'] ?? msg.fields.routingKey
+    };
+
+    const publishOptions = {
+        ...msg.properties,
+        persistent: true,
+        headers
+    };
+
+    try {
+        if (retryCount < delays.length) {
+            const retryQueue = getRetryQueueName(queueName, delays[retryCount]);
+            await publishConfirmed('', retryQueue, msg.content, publishOptions);
+            ch.ack(msg);
+
+            console.log(`[Workers:RabbitMQ] Message scheduled for retry ${retryCount + 1}/${delays.length} via ${retryQueue}`);
+            return 'retry';
+        }
+
+        if (!(await publishToDeadLetter(msg, queueName, headers))) {
+            // No explicit DLQ - let the queue's own dead-letter config handle it
+            ch.nack(msg, false, false);
+            return 'dead-letter';
+        }
+        ch.ack(msg);
+
+        console.log(`[Workers:RabbitMQ] Message dead-lettered after ${retryCount + 1} attempts: ${queueName}`);
+        logger.warn('[Workers:RabbitMQ] Message dead-lettered:', { queue: queueName, attempts: retryCount + 1, error: headers['x-last-error'] });
+        return 'dead-letter';
+
+    } catch (publishError) {
+        // Couldn't park the message - reject it so the queue's DLX keeps a copy
+        console.error('[Workers:RabbitMQ] Failed to schedule retry, rejecting to DLX:', publishError.message);
+        logger.error('[Workers:RabbitMQ] Failed to schedule retry:', publishError);
+        ch.nack(msg, false, false);
+        return 'dead-letter';
+    }
+};
+
+/**
+ * Publish a message to its work queue's DLQ (DEAD_LETTER_TARGETS)
+ * Adds x-failed-queue / x-dead-lettered-at to the given headers
+ * @returns {Promise<boolean>} false if the queue has no explicit DLQ
+ */
+const publishToDeadLetter = async (msg, queueName, headers) => {
+    const target = DEAD_LETTER_TARGETS[queueName];
+    if (!target) return false;
+
+    await publishConfirmed(target.exchange, target.routingKey, msg.content, {
+        ...msg.properties,
+        persistent: true,
+        headers: {
+            ...headers,
+            'x-failed-queue': queueName,
+            'x-dead-lettered-at': new Date().toISOString()
+        }
+    });
+    return true;
+};
+
+/**
+ * Check a delivery against its payload schema before the handler sees it
+ * Invalid messages go straight to the DLQ (no retries - they'd fail the same
+ * way) with the validation report in x-validation-report
+ * @returns {Promise<boolean>} true if the handler should process the message
+ */
+const validateDelivery = async (msg, ch, queueName, channelName) => {
+    if (CONFIG.SCHEMA.VALIDATION === 'off') return true;
+
+    const report = schemaRegistry.validateContent(msg.content, QUEUE_MESSAGE_TYPES[queueName]);
+    if (!schemaRegistry.shouldReject(report, { queue: queueName, messageId: msg.properties.messageId })) {
+        return true;
+    }
+
+    const previousHeaders = msg.properties.headers || {};
+    const headers = {
+        ...previousHeaders,
+        'x-last-error': schemaRegistry.formatReport(report).substring(0, 1000),
+        'x-validation-report': JSON.stringify({
+            type: report.type,
+            schemaVersion: report.schemaVersion,
+            errors: report.errors
+        }).substring(0, 4000),
+        'x-original-exchange': previousHeaders['x-original-exchange'] ?? msg.fields.exchange,
+        'x-original-routing-key': previousHeaders['x-original-routing-key'] ?? msg.fields.routingKey
+    };
+
+    metrics.workerMessages.inc({ worker: channelName, queue: queueName, outcome: 'failed' });
+
+    console.warn(`[Workers:RabbitMQ] Invalid payload on ${queueName}, dead-lettering:`, headers['x-last-error']);
+    logger.warn('[Workers:RabbitMQ] Invalid payload dead-lettered:', { queue: queueName, report });
+
+    try {
+        if (!(await publishToDeadLetter(msg, queueName, headers))) {
+            ch.nack(msg, false, false);
+            return false;
+        }
+        ch.ack(msg);
+    } catch (error) {
+        logger.error('[Workers:RabbitMQ] Failed to dead-letter invalid payload:', error);
+        ch.nack(msg, false, false);
+    }
+    return false;
+};
+
+/**
+ * Start a broker consumer for a registry entry on the current channel
+ */
+const startConsumer = async (entry) => {
+    const ch = await openChannel(entry.channelName, { prefetch: entry.prefetch });
+
+    if (entry.retryPolicy) {
+        await assertRetryQueues(entry.queueName, entry.retryPolicy);
+    }
+
+    // Prefetch applies to consumers created after it on the channel
+    if (entry.prefetch) {
+        await ch.prefetch(entry.prefetch);
+    }
+
+    const result = await ch.consume(entry.queueName, async (msg) => {
+        // null means the broker cancelled the consumer (queue deleted, node failover, ...)
+        if (!msg) {
+            handleConsumerCancelled(entry);
+            return;
+        }
+        if (entry.validate && !(await validateDelivery(msg, ch, entry.queueName, entry.channelName))) {
+            return;
+        }
+        await entry.onMessage(msg, ch);
+    }, { noAck: false, consumerTag: entry.consumerTag || undefined });
+
+    entry.consumerTag = result.consumerTag;
+    entry.active = true;
+    return entry.consumerTag;
+};
+
+/**
+ * Re-subscribe a consumer the broker cancelled, once the queue is usable again
+ */
+const CONSUMER_RESTORE_DELAY_MS = 5000;
+
+const handleConsumerCancelled = (entry) => {
+    entry.active = false;
+
+    console.warn(`[Workers:RabbitMQ] Consumer cancelled by broker: ${entry.consumerTag} (${entry.queueName})`);
+    logger.warn('[Workers:RabbitMQ] Consumer cancelled by broker:', { consumerTag: entry.consumerTag, queue: entry.queueName });
+
+    setTimeout(async () => {
+        // Unsubscribed in the meantime, or a reconnect already restored it
+        if (!consumers.has(entry.consumerTag) || entry.active || !isConnected()) return;
+
+        try {
+            await startConsumer(entry);
+            console.log(`[Workers:RabbitMQ] Consumer re-subscribed: ${entry.consumerTag} (${entry.queueName})`);
+        } catch (error) {
+            console.error(`[Workers:RabbitMQ] Failed to re-subscribe ${entry.consumerTag}:`, error.message);
+            logger.error('[Workers:RabbitMQ] Failed to re-subscribe consumer:', error);
+        }
+    }, CONSUMER_RESTORE_DELAY_MS);
+};
+
+/**
+ * Re-establish registered consumers (after a reconnect, or for one restarted channel)
+ * @param {string|null} channelName - Only restore consumers on this channel
+ */
+const restoreConsumers = async (channelName = null) => {
+    for (const entry of consumers.values()) {
+        if (channelName && entry.channelName !== channelName) continue;
+
+        entry.active = false;
+        try {
+            await startConsumer(entry);
+            console.log(`[Workers:RabbitMQ] Consumer restored: ${entry.consumerTag} (${entry.queueName})`);
+        } catch (error) {
+            console.error(`[Workers:RabbitMQ] Failed to restore consumer ${entry.consumerTag}:`, error.message);
+            logger.error('[Workers:RabbitMQ] Failed to restore consumer:', error);
+        }
+    }
+};
+
+/**
+ * Subscribe a raw message handler to a queue
+ *
+ * The subscription is kept in the consumer registry and automatically
+ * re-established after a reconnect or a broker-initiated cancel.
+ * The handler owns ack/nack and must use the channel it is given.
+ *
+ * @param {string} queueName - Queue to consume from
+ * Pass `retryPolicy` to have its delay queues declared, then call
+ * retryOrDeadLetter() from the handler for messages that should be retried.
+ * Pass `channelName` to consume on a dedicated channel (one per worker).
+ * Payloads are checked against the schema registry before onMessage is
+ * called; pass `validate: false` to skip that.
+ *
+ * @param {Function} onMessage - async (msg, channel) => void
+ * @param {Object} options - { channelName, prefetch, consumerTag, retryPolicy, validate }
+ * @returns {Promise<string>} Consumer tag
+ */
+const subscribe = async (queueName, onMessage, options = {}) => {
+    const entry = {
+        queueName,
+        onMessage,
+        channelName: options.channelName || DEFAULT_CHANNEL,
+        prefetch: options.prefetch || null,
+        consumerTag: options.consumerTag || null,
+        retryPolicy: options.retryPolicy || null,
+        validate: options.validate !== false,
+        active: false
+    };
+
+    const consumerTag = await startConsumer(entry);
+    consumers.set(consumerTag, entry);
+
+    console.log(`[Workers:RabbitMQ] Consumer started for: ${queueName} (${consumerTag})`);
+    logger.info(`[Workers:RabbitMQ] Consumer started for: ${queueName}`);
+
+    return consumerTag;
+};
+
+/**
+ * Cancel a consumer and drop it from the registry
+ * @param {string} consumerTag - Tag returned by subscribe()/consume()
+ */
+const unsubscribe = async (consumerTag) => {
+    const entry = consumers.get(consumerTag);
+    consumers.delete(consumerTag);
+
+    const ch = entry && channels.get(entry.channelName)?.channel;
+
+    if (entry && entry.active && ch) {
+        try {
+            await ch.cancel(consumerTag);
+        } catch (error) {
+            // Channel may already be gone - nothing left to cancel
+        }
+    }
+};
+
 /**
  * Consume messages from a queue
+ * Parses JSON, calls the handler and acks on success. Failures are retried
+ * with backoff according to the retry policy (default: DEFAULT), then
+ * dead-lettered.
  * @param {string} queueName - Queue to consume from
  * @param {Function} handler - Message handler function
+ * @param {Object} options - { channelName, prefetch, consumerTag, retryPolicy }
+ * @returns {Promise<string>} Consumer tag
  */
-const consume = async (queueName, handler) => {
-    try {
-        const ch = getChannel();
+const consume = async (queueName, handler, options = {}) => {
+    const retryPolicy = options.retryPolicy || 'DEFAULT';
+    const metricLabels = { worker: options.channelName || DEFAULT_CHANNEL, queue: queueName };
 
+    try {
         console.log(`[Workers:RabbitMQ] Starting consumer for queue: ${queueName}`);
 
-        await ch.consume(queueName, async (msg) => {
-            if (!msg) return;
-
+        return await subscribe(queueName, async (msg, ch) => {
             try {
                 const content = JSON.parse(msg.content.toString());
                 console.log(`[Workers:RabbitMQ] Received message from ${queueName}:`, content.type);
@@ -270,26 +1165,18 @@ const consume = async (queueName, handler) => {
 
                 // Acknowledge message after successful processing
                 ch.ack(msg);
+                metrics.workerMessages.inc({ ...metricLabels, outcome: 'processed' });
                 console.log(`[Workers:RabbitMQ] Message acknowledged: ${queueName}`);
 
             } catch (error) {
                 console.error(`[Workers:RabbitMQ] Error processing message from ${queueName}:`, error.message);
                 logger.error(`[Workers:RabbitMQ] Error processing message:`, error);
 
-                // Reject and requeue (or send to DLX after max retries)
-                const retryCount = (msg.properties.headers?.['x-retry-count'] || 0) + 1;
-                if (retryCount >= 3) {
-                    ch.nack(msg, false, false); // Send to DLX
-                    console.log(`[Workers:RabbitMQ] Message sent to DLX after ${retryCount} retries`);
-                } else {
-                    ch.nack(msg, false, true); // Requeue
-                    console.log(`[Workers:RabbitMQ] Message requeued (retry ${retryCount})`);
-                }
+                // Park in a delay queue (or dead-letter once the policy is exhausted)
+                const outcome = await retryOrDeadLetter(msg, ch, queueName, retryPolicy, error);
+                metrics.workerMessages.inc({ ...metricLabels, outcome: outcome === 'retry' ? 'retried' : 'failed' });
             }
-        }, { noAck: false });
-
-        console.log(`[Workers:RabbitMQ] Consumer started for: ${queueName}`);
-        logger.info(`[Workers:RabbitMQ] Consumer started for: ${queueName}`);
+        }, { ...options, retryPolicy });
 
     } catch (error) {
         console.error(`[Workers:RabbitMQ] Failed to start consumer for ${queueName}:`, error.message);
@@ -298,6 +1185,64 @@ const consume = async (queueName, handler) => {
     }
 };
 
+/**
+ * Health of a single named channel
+ */
+const getChannelStatus = (name) => {
+    const managed = channels.get(name);
+    if (!managed) return null;
+
+    const channelConsumers = Array.from(consumers.values()).filter(entry => entry.channelName === name);
+
+    return {
+        name,
+        state: managed.state,
+        confirm: managed.confirm,
+        prefetch: managed.prefetch,
+        openedAt: managed.openedAt ? new Date(managed.openedAt).toISOString() : null,
+        restarts: managed.restarts,
+        errors: managed.errors,
+        lastError: managed.lastError,
+        consumers: channelConsumers.length,
+        activeConsumers: channelConsumers.filter(entry => entry.active).length
+    };
+};
+
+/**
+ * Get connection health, per-channel health and registered consumers
+ * state 'fatal' means reconnection was given up - the process should restart
+ */
+const getStatus = () => {
+    return {
+        ...health,
+        transport: CONFIG.RABBITMQ.TRANSPORT,
+        connected: isConnected(),
+        reconnectAttempts,
+        reconnects,
+        channels: Array.from(channels.keys()).map(getChannelStatus),
+        publisher: getPublisherStats(),
+        consumers: Array.from(consumers.values()).map(entry => ({
+            queue: entry.queueName,
+            channel: entry.channelName,
+            consumerTag: entry.consumerTag,
+            prefetch: entry.prefetch,
+            retryPolicy: entry.retryPolicy,
+            active: entry.active
+        }))
+    };
+};
+
+/**
+ * Register where a queue's depth per priority comes from
+ * AMQP only reports a total, so the owner of a queue supplies the breakdown
+ * (e.g. from the database)
+ * @param {string} queueName - Queue name
+ * @param {Function} reporter - async () => ({ [priority]: count })
+ */
+const setPriorityDepthReporter = (queueName, reporter) => {
+    priorityDepthReporters.set(queueName, reporter);
+};
+
 /**
  * Get queue statistics
  */
@@ -305,11 +1250,18 @@ const getQueueStats = async (queueName) => {
     try {
         const ch = getChannel();
         const stats = await ch.checkQueue(queueName);
-        return {
+        const result = {
             name: queueName,
             messageCount: stats.messageCount,
             consumerCount: stats.consumerCount
         };
+
+        const reporter = priorityDepthReporters.get(queueName);
+        if (reporter) {
+            result.byPriority = await reporter().catch(() => null);
+        }
+
+        return result;
     } catch (error) {
         console.error('[Workers:RabbitMQ] GetQueueStats error:', error.message);
         return null;
@@ -317,32 +1269,48 @@ const getQueueStats = async (queueName) => {
 };
 
 /**
- * Get all queue statistics
+ * Get statistics for every declared queue
  */
 const getAllQueueStats = async () => {
-    const stats = await Promise.all([
-        getQueueStats(QUEUES.SEND_MESSAGE),
-        getQueueStats(QUEUES.INBOUND_MESSAGE),
-        getQueueStats(QUEUES.STATUS_UPDATE),
-        getQueueStats(QUEUES.NOTIFICATION),
-        getQueueStats('inbox.failed')
-    ]);
+    const stats = await Promise.all(getDeclaredQueues().map(getQueueStats));
     return stats.filter(Boolean);
 };
 
+/**
+ * Every queue this process has declared: the topology plus retry delay queues
+ */
+const getDeclaredQueues = () => [...Object.values(QUEUES), ...retryQueues];
+
 /**
  * Close connection gracefully
  */
 const close = async () => {
+    isClosing = true;
+
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+
     try {
-        if (channel) {
-            await channel.close();
-            channel = null;
+        for (const managed of channels.values()) {
+            managed.closing = true;
+            if (managed.restartTimer) {
+                clearTimeout(managed.restartTimer);
+                managed.restartTimer = null;
+            }
+            if (managed.channel) {
+                await managed.channel.close().catch(() => {});
+            }
         }
+        channels.clear();
+        rejectPublishBuffer(new Error('RabbitMQ connection closed'));
+
         if (connection) {
             await connection.close();
             connection = null;
         }
+        setHealth('disconnected');
         console.log('[Workers:RabbitMQ] Connection closed gracefully');
         logger.info('[Workers:RabbitMQ] Connection closed gracefully');
     } catch (error) {
@@ -354,14 +1322,34 @@ const close = async () => {
 module.exports = {
     connect,
     getChannel,
+    getConfirmChannel,
     getConnection,
+    openChannel,
+    closeChannel,
     isConnected,
     publish,
+    publishConfirmed,
+    publishBatchConfirmed,
+    subscribe,
+    unsubscribe,
     consume,
+    retryOrDeadLetter,
+    hasRetriesLeft,
+    getRetryQueueName,
+    normalizePriority,
+    getStatus,
+    getChannelStatus,
+    getPublisherStats,
     getQueueStats,
     getAllQueueStats,
+    getDeclaredQueues,
+    setPriorityDepthReporter,
     close,
+    events,
     QUEUES,
     EXCHANGES,
-    ROUTING_KEYS
+    ROUTING_KEYS,
+    RETRY_POLICIES,
+    PRIORITY,
+    DEAD_LETTER_TARGETS
 };
@@ -0,0 +1,28 @@
+/**
+ * Broker Transports for sengine-workers
+ * config/rabbitmq.js talks to whichever one RABBITMQ_TRANSPORT selects;
+ * both expose amqplib's promise API (connect() → connection → channels)
+ *
+ * @module config/transports
+ */
+
+const TRANSPORTS = {
+    amqp: () => require('amqplib'),     // RabbitMQ
+    memory: () => require('./memory')   // In-process broker (local dev, tests)
+};
+
+/**
+ * Load a transport by name
+ * @param {string} name - 'amqp' | 'memory'
+ */
+const getTransport = (name) => {
+    const load = TRANSPORTS[name];
+    if (!load) {
+        throw new Error(`Unknown RabbitMQ transport: ${name} (expected one of ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return load();
+};
+
+module.exports = {
+    getTransport
+};
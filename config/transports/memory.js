@@ -0,0 +1,762 @@
+/**
+ * In-Memory Broker for sengine-workers
+ * Stands in for RabbitMQ so the full worker set can run locally and in tests
+ *
+ * Implements the part of the amqplib promise API that config/rabbitmq.js and
+ * the DLQ tools use - connect(), createChannel()/createConfirmChannel(),
+ * assert/check/bind/purge, publish/sendToQueue, consume/cancel/get and
+ * ack/nack/reject - with the broker semantics we rely on:
+ * - the default exchange ('') plus direct, fanout and topic exchanges
+ * - per-consumer prefetch, round-robin dispatch, requeue with `redelivered`
+ * - dead-lettering of rejected and expired messages, with x-death headers
+ * - queue (x-message-ttl) and per-message (expiration) TTL
+ * - x-max-priority, x-max-length and inequivalent-argument errors
+ * - channel errors (404/406) that close only the offending channel
+ *
+ * State lives in this process only: nothing is persisted and separate
+ * processes (e.g. app.js and cli.js) do not share queues.
+ *
+ * @module config/transports/memory
+ */
+
+const EventEmitter = require('events');
+
+// name -> { name, type, bindings: [{ queue, pattern }] }
+const exchanges = new Map();
+
+// name -> { name, durable, exclusive, autoDelete, args, owner, messages, consumers, cursor, ... }
+const queues = new Map();
+
+let consumerSequence = 0;
+let queueSequence = 0;
+
+// amqplib assertQueue() options and the x-arguments they become
+const QUEUE_ARGUMENT_OPTIONS = {
+    messageTtl: 'x-message-ttl',
+    expires: 'x-expires',
+    deadLetterExchange: 'x-dead-letter-exchange',
+    deadLetterRoutingKey: 'x-dead-letter-routing-key',
+    maxLength: 'x-max-length',
+    maxPriority: 'x-max-priority',
+    overflow: 'x-overflow',
+    queueMode: 'x-queue-mode'
+};
+
+// Message properties as amqplib decodes them
+const PROPERTY_NAMES = [
+    'contentType', 'contentEncoding', 'headers', 'deliveryMode', 'priority',
+    'correlationId', 'replyTo', 'expiration', 'messageId', 'timestamp',
+    'type', 'userId', 'appId', 'clusterId'
+];
+
+/**
+ * Build an error shaped like amqplib's "Channel closed by server" errors
+ */
+const serverError = (code, text) => {
+    const names = { 404: 'NOT_FOUND', 406: 'PRECONDITION_FAILED', 530: 'NOT_ALLOWED' };
+    const error = new Error(`Channel closed by server: ${code} (${names[code]}) with message "${names[code]} - ${text}"`);
+    error.code = code;
+    return error;
+};
+
+const illegalOperation = (text) => {
+    const error = new Error(text);
+    error.name = 'IllegalOperationError';
+    return error;
+};
+
+/**
+ * Convert publish options to decoded message properties
+ */
+const toProperties = (options = {}) => {
+    const properties = {};
+    PROPERTY_NAMES.forEach(name => {
+        properties[name] = options[name];
+    });
+
+    properties.headers = { ...(options.headers || {}) };
+    if (properties.deliveryMode === undefined && options.persistent !== undefined) {
+        properties.deliveryMode = options.persistent ? 2 : 1;
+    }
+    if (properties.expiration !== undefined) {
+        properties.expiration = String(properties.expiration);
+    }
+
+    return properties;
+};
+
+/**
+ * Convert assertQueue options to x-arguments
+ */
+const toQueueArguments = (options = {}) => {
+    const args = { ...(options.arguments || {}) };
+    Object.entries(QUEUE_ARGUMENT_OPTIONS).forEach(([option, argument]) => {
+        if (options[option] !== undefined) {
+            args[argument] = options[option];
+        }
+    });
+    return args;
+};
+
+const sameArguments = (a, b) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).every(key => a[key] === b[key]);
+};
+
+/**
+ * AMQP topic matching: '*' is one word, '#' is zero or more
+ */
+const topicMatches = (pattern, routingKey) => {
+    const match = (p, k) => {
+        if (p.length === 0) return k.length === 0;
+        if (p[0] === '#') {
+            for (let i = 0; i <= k.length; i++) {
+                if (match(p.slice(1), k.slice(i))) return true;
+            }
+            return false;
+        }
+        if (k.length === 0) return false;
+        return (p[0] === '*' || p[0] === k[0]) && match(p.slice(1), k.slice(1));
+    };
+    return match(pattern.split('.'), routingKey.split('.'));
+};
+
+const priorityOf = (queue, message) => {
+    return Math.min(message.properties.priority || 0, queue.args['x-max-priority']);
+};
+
+/**
+ * Put a message on a queue's ready list
+ * With x-max-priority higher priorities go first, FIFO within a priority;
+ * requeued messages go back to the front of their priority band.
+ */
+const insertMessage = (queue, message, atFront = false) => {
+    if (!queue.args['x-max-priority']) {
+        atFront ? queue.messages.unshift(message) : queue.messages.push(message);
+        return;
+    }
+
+    const priority = priorityOf(queue, message);
+    let index = atFront
+        ? queue.messages.findIndex(m => priorityOf(queue, m) <= priority)
+        : queue.messages.findIndex(m => priorityOf(queue, m) < priority);
+    if (index === -1) index = queue.messages.length;
+
+    queue.messages.splice(index, 0, message);
+};
+
+const removeMessage = (queue, message) => {
+    const index = queue.messages.indexOf(message);
+    if (index === -1) return false;
+    queue.messages.splice(index, 1);
+    return true;
+};
+
+const clearExpiry = (message) => {
+    if (message.expiryTimer) {
+        clearTimeout(message.expiryTimer);
+        message.expiryTimer = null;
+    }
+};
+
+/**
+ * Add a routed message to a queue, applying TTL and max-length
+ */
+const enqueue = (queue, exchange, routingKey, content, properties) => {
+    const message = {
+        content,
+        properties: { ...properties, headers: { ...(properties.headers || {}) } },
+        exchange,
+        routingKey,
+        redelivered: false,
+        expiryTimer: null
+    };
+
+    // Effective TTL is the lower of the queue's and the message's
+    const ttls = [queue.args['x-message-ttl'], properties.expiration]
+        .filter(ttl => ttl !== undefined && ttl !== null)
+        .map(Number);
+
+    if (ttls.length > 0) {
+        const ttl = Math.min(...ttls);
+        message.expiryTimer = setTimeout(() => {
+            message.expiryTimer = null;
+            if (removeMessage(queue, message)) {
+                deadLetter(queue, message, 'expired');
+            }
+        }, ttl);
+        message.expiryTimer.unref();
+    }
+
+    insertMessage(queue, message);
+
+    // Default overflow behaviour is drop-head
+    const maxLength = queue.args['x-max-length'];
+    while (maxLength !== undefined && queue.messages.length > maxLength) {
+        const dropped = queue.messages.shift();
+        clearExpiry(dropped);
+        deadLetter(queue, dropped, 'maxlen');
+    }
+
+    scheduleDispatch(queue);
+};
+
+/**
+ * Route a message through an exchange
+ * @returns {number} Queues the message was delivered to
+ */
+const route = (exchangeName, routingKey, content, properties) => {
+    let targets = [];
+
+    if (exchangeName === '') {
+        if (queues.has(routingKey)) targets = [routingKey];
+    } else {
+        const exchange = exchanges.get(exchangeName);
+        if (!exchange) return 0;
+
+        targets = exchange.bindings
+            .filter(binding => {
+                if (exchange.type === 'fanout') return true;
+                if (exchange.type === 'topic') return topicMatches(binding.pattern, routingKey);
+                return binding.pattern === routingKey;
+            })
+            .map(binding => binding.queue);
+    }
+
+    const unique = Array.from(new Set(targets)).filter(name => queues.has(name));
+    unique.forEach(name => enqueue(queues.get(name), exchangeName, routingKey, content, properties));
+    return unique.length;
+};
+
+/**
+ * Dead-letter a message the way RabbitMQ does: x-death bookkeeping, then
+ * republish to the queue's dead-letter exchange (dropped if it has none)
+ * @param {string} reason - rejected | expired | maxlen
+ */
+const deadLetter = (queue, message, reason) => {
+    const dlx = queue.args['x-dead-letter-exchange'];
+    if (dlx === undefined || dlx === null) return;
+
+    const routingKey = queue.args['x-dead-letter-routing-key'] || message.routingKey;
+    const properties = { ...message.properties, headers: { ...message.properties.headers } };
+    const headers = properties.headers;
+
+    const deaths = Array.isArray(headers['x-death']) ? headers['x-death'].map(death => ({ ...death })) : [];
+    const existing = deaths.findIndex(death => death.queue === queue.name && death.reason === reason);
+    const time = { '!': 'timestamp', value: Math.floor(Date.now() / 1000) };
+
+    let entry;
+    if (existing !== -1) {
+        entry = deaths.splice(existing, 1)[0];
+        entry.count += 1;
+        entry.time = time;
+    } else {
+        entry = {
+            count: 1,
+            reason,
+            queue: queue.name,
+            time,
+            exchange: message.exchange,
+            'routing-keys': [message.routingKey]
+        };
+    }
+    deaths.unshift(entry);
+    headers['x-death'] = deaths;
+
+    if (!headers['x-first-death-reason']) {
+        headers['x-first-death-reason'] = reason;
+        headers['x-first-death-queue'] = queue.name;
+        headers['x-first-death-exchange'] = message.exchange;
+    }
+    headers['x-last-death-reason'] = reason;
+    headers['x-last-death-queue'] = queue.name;
+    headers['x-last-death-exchange'] = message.exchange;
+
+    // RabbitMQ strips per-message TTL so the message can't expire again downstream
+    if (properties.expiration !== undefined) {
+        headers['original-expiration'] = properties.expiration;
+        properties.expiration = undefined;
+    }
+
+    route(dlx, routingKey, message.content, properties);
+};
+
+const scheduleDispatch = (queue) => {
+    if (queue.dispatchScheduled) return;
+    queue.dispatchScheduled = true;
+    setImmediate(() => {
+        queue.dispatchScheduled = false;
+        dispatch(queue);
+    });
+};
+
+const hasCapacity = (consumer) => {
+    return consumer.noAck || consumer.prefetch === 0 || consumer.unacked < consumer.prefetch;
+};
+
+/**
+ * Hand ready messages to consumers, round-robin, within their prefetch
+ */
+const dispatch = (queue) => {
+    while (queue.messages.length > 0 && queues.get(queue.name) === queue) {
+        const count = queue.consumers.length;
+        let consumer = null;
+
+        for (let i = 0; i < count; i++) {
+            const candidate = queue.consumers[(queue.cursor + i) % count];
+            if (hasCapacity(candidate)) {
+                consumer = candidate;
+                queue.cursor = (queue.cursor + i + 1) % count;
+                break;
+            }
+        }
+
+        if (!consumer) return;
+
+        const message = queue.messages.shift();
+        clearExpiry(message);
+        consumer.channel.deliver(queue, message, consumer);
+    }
+};
+
+/**
+ * Remove a queue and tell its consumers (amqplib passes them null)
+ */
+const removeQueue = (queue) => {
+    queues.delete(queue.name);
+    queue.messages.forEach(clearExpiry);
+
+    exchanges.forEach(exchange => {
+        exchange.bindings = exchange.bindings.filter(binding => binding.queue !== queue.name);
+    });
+
+    queue.consumers.splice(0).forEach(consumer => {
+        consumer.channel.consumers.delete(consumer.tag);
+        setImmediate(() => consumer.callback(null));
+    });
+};
+
+const removeConsumer = (consumer) => {
+    const queue = queues.get(consumer.queue);
+    if (!queue) return;
+
+    queue.consumers = queue.consumers.filter(c => c !== consumer);
+    if (queue.autoDelete && queue.hadConsumers && queue.consumers.length === 0) {
+        removeQueue(queue);
+    }
+};
+
+class MemoryChannel extends EventEmitter {
+    constructor(connection, confirm) {
+        super();
+        this.connection = connection;
+        this.confirm = confirm;
+        this.closed = false;
+        this.prefetchCount = 0;
+        this.deliveryTag = 0;
+        this.unacked = new Map();     // deliveryTag -> { queue, message, consumer }
+        this.consumers = new Map();   // consumerTag -> consumer
+    }
+
+    /**
+     * Close the channel because of a protocol error, like the server would
+     */
+    fail(code, text) {
+        const error = serverError(code, text);
+        setImmediate(() => this.shutdown(error));
+        return error;
+    }
+
+    guard() {
+        if (this.closed) {
+            throw illegalOperation('Channel closed');
+        }
+    }
+
+    async assertExchange(name, type = 'direct', options = {}) {
+        this.guard();
+        const existing = exchanges.get(name);
+
+        if (existing && existing.type !== type) {
+            throw this.fail(406, `inequivalent arg 'type' for exchange '${name}': received '${type}' but current is '${existing.type}'`);
+        }
+        if (!existing) {
+            exchanges.set(name, { name, type, durable: options.durable !== false, bindings: [] });
+        }
+
+        return { exchange: name };
+    }
+
+    async checkExchange(name) {
+        this.guard();
+        if (name !== '' && !exchanges.has(name)) {
+            throw this.fail(404, `no exchange '${name}' in vhost '/'`);
+        }
+        return {};
+    }
+
+    async deleteExchange(name) {
+        this.guard();
+        exchanges.delete(name);
+        return {};
+    }
+
+    async assertQueue(name = '', options = {}) {
+        this.guard();
+        const queueName = name || `amq.gen-${++queueSequence}`;
+        const args = toQueueArguments(options);
+        const existing = queues.get(queueName);
+
+        if (existing) {
+            if (!sameArguments(existing.args, args)) {
+                throw this.fail(406, `inequivalent arg for queue '${queueName}' in vhost '/'`);
+            }
+            return this.queueInfo(existing);
+        }
+
+        const queue = {
+            name: queueName,
+            durable: options.durable !== false,
+            exclusive: !!options.exclusive,
+            autoDelete: !!options.autoDelete,
+            args,
+            owner: options.exclusive ? this.connection : null,
+            messages: [],
+            consumers: [],
+            cursor: 0,
+            hadConsumers: false,
+            dispatchScheduled: false
+        };
+        queues.set(queueName, queue);
+
+        return this.queueInfo(queue);
+    }
+
+    queueInfo(queue) {
+        return { queue: queue.name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+    }
+
+    getQueue(name) {
+        const queue = queues.get(name);
+        if (!queue) {
+            throw this.fail(404, `no queue '${name}' in vhost '/'`);
+        }
+        return queue;
+    }
+
+    async checkQueue(name) {
+        this.guard();
+        return this.queueInfo(this.getQueue(name));
+    }
+
+    async deleteQueue(name) {
+        this.guard();
+        const queue = queues.get(name);
+        if (!queue) return { messageCount: 0 };
+
+        const messageCount = queue.messages.length;
+        removeQueue(queue);
+        return { messageCount };
+    }
+
+    async purgeQueue(name) {
+        this.guard();
+        const queue = this.getQueue(name);
+        const messageCount = queue.messages.length;
+
+        queue.messages.splice(0).forEach(clearExpiry);
+        return { messageCount };
+    }
+
+    async bindQueue(queueName, exchangeName, pattern = '') {
+        this.guard();
+        this.getQueue(queueName);
+        const exchange = exchanges.get(exchangeName);
+        if (!exchange) {
+            throw this.fail(404, `no exchange '${exchangeName}' in vhost '/'`);
+        }
+
+        const exists = exchange.bindings.some(b => b.queue === queueName && b.pattern === pattern);
+        if (!exists) {
+            exchange.bindings.push({ queue: queueName, pattern });
+        }
+        return {};
+    }
+
+    async unbindQueue(queueName, exchangeName, pattern = '') {
+        this.guard();
+        const exchange = exchanges.get(exchangeName);
+        if (exchange) {
+            exchange.bindings = exchange.bindings.filter(b => !(b.queue === queueName && b.pattern === pattern));
+        }
+        return {};
+    }
+
+    /**
+     * Like amqplib (non-global), applies to consumers created afterwards
+     */
+    async prefetch(count) {
+        this.guard();
+        this.prefetchCount = count || 0;
+        return {};
+    }
+
+    async consume(queueName, callback, options = {}) {
+        this.guard();
+        const queue = this.getQueue(queueName);
+        const tag = options.consumerTag || `amq.ctag-memory-${++consumerSequence}`;
+
+        if (this.consumers.has(tag)) {
+            throw this.fail(530, `attempt to reuse consumer tag '${tag}'`);
+        }
+
+        const consumer = {
+            tag,
+            queue: queueName,
+            channel: this,
+            callback,
+            noAck: !!options.noAck,
+            prefetch: this.prefetchCount,
+            unacked: 0
+        };
+
+        this.consumers.set(tag, consumer);
+        queue.consumers.push(consumer);
+        queue.hadConsumers = true;
+        scheduleDispatch(queue);
+
+        return { consumerTag: tag };
+    }
+
+    async cancel(consumerTag) {
+        this.guard();
+        const consumer = this.consumers.get(consumerTag);
+        if (consumer) {
+            this.consumers.delete(consumerTag);
+            removeConsumer(consumer);
+        }
+        return { consumerTag };
+    }
+
+    async get(queueName, options = {}) {
+        this.guard();
+        const queue = this.getQueue(queueName);
+        const message = queue.messages.shift();
+        if (!message) return false;
+
+        clearExpiry(message);
+        return this.deliver(queue, message, null, !!options.noAck);
+    }
+
+    /**
+     * Build the amqplib-shaped message and track it until it's settled
+     */
+    deliver(queue, message, consumer, noAck = consumer ? consumer.noAck : false) {
+        const deliveryTag = ++this.deliveryTag;
+        const msg = {
+            fields: {
+                deliveryTag,
+                redelivered: message.redelivered,
+                exchange: message.exchange,
+                routingKey: message.routingKey
+            },
+            properties: message.properties,
+            content: message.content
+        };
+
+        if (consumer) {
+            msg.fields.consumerTag = consumer.tag;
+        } else {
+            msg.fields.messageCount = queue.messages.length;
+        }
+
+        if (!noAck) {
+            this.unacked.set(deliveryTag, { queue, message, consumer });
+            if (consumer) consumer.unacked++;
+        }
+
+        if (consumer) {
+            consumer.callback(msg);
+        }
+        return msg;
+    }
+
+    publish(exchange, routingKey, content, options = {}, callback) {
+        this.guard();
+
+        if (!Buffer.isBuffer(content)) {
+            throw new TypeError('content is not a buffer');
+        }
+
+        if (exchange !== '' && !exchanges.has(exchange)) {
+            const error = this.fail(404, `no exchange '${exchange}' in vhost '/'`);
+            if (this.confirm && callback) setImmediate(() => callback(error));
+            return true;
+        }
+
+        route(exchange, routingKey, content, toProperties(options));
+
+        // Unroutable messages are still confirmed, same as RabbitMQ without `mandatory`
+        if (this.confirm && callback) setImmediate(() => callback(null));
+        return true;
+    }
+
+    sendToQueue(queueName, content, options = {}, callback) {
+        return this.publish('', queueName, content, options, callback);
+    }
+
+    async waitForConfirms() {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    /**
+     * Settle one delivery tag (or everything up to it)
+     * @param {string} action - ack | requeue | dead-letter
+     */
+    settle(deliveryTag, allUpTo, action) {
+        if (this.closed) return;
+
+        if (!this.unacked.has(deliveryTag)) {
+            this.fail(406, `unknown delivery tag ${deliveryTag}`);
+            return;
+        }
+
+        const tags = allUpTo
+            ? Array.from(this.unacked.keys()).filter(tag => tag <= deliveryTag)
+            : [deliveryTag];
+
+        this.settleTags(tags, action);
+    }
+
+    settleTags(tags, action) {
+        const touched = new Set();
+
+        // Requeue in reverse so the oldest ends up back at the front
+        const ordered = action === 'requeue' ? [...tags].sort((a, b) => b - a) : tags;
+
+        ordered.forEach(tag => {
+            const { queue, message, consumer } = this.unacked.get(tag);
+            this.unacked.delete(tag);
+            if (consumer) consumer.unacked--;
+
+            if (queues.get(queue.name) !== queue) return;
+
+            if (action === 'requeue') {
+                message.redelivered = true;
+                insertMessage(queue, message, true);
+            } else if (action === 'dead-letter') {
+                deadLetter(queue, message, 'rejected');
+            }
+            touched.add(queue);
+        });
+
+        touched.forEach(scheduleDispatch);
+    }
+
+    ack(msg, allUpTo = false) {
+        this.settle(msg.fields.deliveryTag, allUpTo, 'ack');
+    }
+
+    nack(msg, allUpTo = false, requeue = true) {
+        this.settle(msg.fields.deliveryTag, allUpTo, requeue ? 'requeue' : 'dead-letter');
+    }
+
+    reject(msg, requeue = true) {
+        this.settle(msg.fields.deliveryTag, false, requeue ? 'requeue' : 'dead-letter');
+    }
+
+    ackAll() {
+        this.settleTags(Array.from(this.unacked.keys()), 'ack');
+    }
+
+    nackAll(requeue = true) {
+        this.settleTags(Array.from(this.unacked.keys()), requeue ? 'requeue' : 'dead-letter');
+    }
+
+    async close() {
+        if (this.closed) {
+            throw illegalOperation('Channel closed');
+        }
+        this.shutdown(null);
+    }
+
+    /**
+     * Cancel consumers, requeue unacked messages, emit 'error' (if any) and 'close'
+     */
+    shutdown(error) {
+        if (this.closed) return;
+        this.closed = true;
+
+        this.consumers.forEach(removeConsumer);
+        this.consumers.clear();
+        this.settleTags(Array.from(this.unacked.keys()), 'requeue');
+        this.connection.channels.delete(this);
+
+        // amqplib always emits 'error'; we skip it when nobody listens so a
+        // short-lived channel (e.g. the DLQ scanner) can't crash the process
+        if (error && this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        this.emit('close');
+    }
+}
+
+class MemoryConnection extends EventEmitter {
+    constructor() {
+        super();
+        this.channels = new Set();
+        this.closed = false;
+    }
+
+    async createChannel() {
+        if (this.closed) throw illegalOperation('Connection closed');
+        const channel = new MemoryChannel(this, false);
+        this.channels.add(channel);
+        return channel;
+    }
+
+    async createConfirmChannel() {
+        if (this.closed) throw illegalOperation('Connection closed');
+        const channel = new MemoryChannel(this, true);
+        this.channels.add(channel);
+        return channel;
+    }
+
+    async close() {
+        if (this.closed) {
+            throw illegalOperation('Connection closed');
+        }
+        this.closed = true;
+
+        Array.from(this.channels).forEach(channel => channel.shutdown(null));
+
+        // Exclusive queues belong to their connection
+        queues.forEach(queue => {
+            if (queue.owner === this) removeQueue(queue);
+        });
+
+        this.emit('close');
+    }
+}
+
+/**
+ * Open a connection to the in-process broker (the URL is ignored)
+ * @returns {Promise<MemoryConnection>}
+ */
+const connect = async () => {
+    return new MemoryConnection();
+};
+
+/**
+ * Drop every exchange, queue and message - for tests
+ */
+const reset = () => {
+    queues.forEach(queue => queue.messages.forEach(clearExpiry));
+    queues.clear();
+    exchanges.clear();
+};
+
+module.exports = {
+    connect,
+    reset
+};
@@ -0,0 +1,321 @@
+/**
+ * Content Scanner Service for sengine-workers
+ * Checks outbound bodies for what carriers filter (error 30007), before the
+ * send is paid for:
+ * - prohibited_terms  SHAFT content (sex, hate, alcohol, firearms, tobacco) and cannabis
+ * - url_shortener     links on public shorteners (bit.ly, tinyurl, ...)
+ * - opt_out           no "Reply STOP" on a contact's first marketing message
+ *
+ * Each rule has an action:
+ * - block   the message is not sent
+ * - warn    sent, with the flag recorded on the message
+ * - append  opt_out only - the opt-out text is added to the body
+ * - off     not checked
+ *
+ * Defaults come from CONTENT_SCAN_*; a workspace overrides them, and adds or
+ * allows terms and domains, in workspaces.content_rules:
+ *
+ *   {
+ *     "enabled": true,
+ *     "prohibitedTerms": { "action": "block", "add": ["casino"], "allow": ["wine"] },
+ *     "urlShorteners": { "action": "warn", "add": [], "allow": ["bit.ly"] },
+ *     "optOut": { "action": "append", "text": "Text STOP to unsubscribe" }
+ *   }
+ *
+ * @module services/compliance/contentScanner.service
+ */
+
+const { dbReader } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const metrics = require('../metrics.service');
+const CONFIG = require('../../config/config');
+
+const RULES = {
+    PROHIBITED_TERMS: 'prohibited_terms',
+    URL_SHORTENER: 'url_shortener',
+    OPT_OUT: 'opt_out'
+};
+
+const ACTIONS = {
+    BLOCK: 'block',
+    WARN: 'warn',
+    APPEND: 'append',
+    OFF: 'off'
+};
+
+// Terms by category, matched as whole words, case-insensitive.
+// Hate speech varies too much for a fixed list - workspaces add their own.
+const PROHIBITED_TERMS = {
+    sex: ['sex', 'sexy', 'xxx', 'porn', 'nude', 'nudes', 'escort', 'escorts', 'onlyfans'],
+    alcohol: ['alcohol', 'beer', 'wine', 'liquor', 'vodka', 'whiskey', 'tequila', 'rum', 'happy hour'],
+    firearms: ['gun', 'guns', 'firearm', 'firearms', 'ammo', 'ammunition', 'rifle', 'rifles', 'pistol', 'handgun'],
+    tobacco: ['tobacco', 'cigarette', 'cigarettes', 'cigar', 'cigars', 'vape', 'vapes', 'vaping', 'e-cig', 'nicotine', 'hookah'],
+    cannabis: ['cannabis', 'marijuana', 'weed', 'thc', 'cbd', 'dispensary', 'edibles', 'kratom']
+};
+
+const URL_SHORTENERS = [
+    'bit.ly', 'bitly.com', 'tinyurl.com', 'goo.gl', 'ow.ly', 't.co', 'is.gd', 'buff.ly', 'rebrand.ly',
+    'cutt.ly', 'shorturl.at', 'rb.gy', 'tiny.cc', 'bl.ink', 't.ly', 'v.gd', 'shorte.st', 'adf.ly',
+    'lnkd.in', 'soo.gd', 's.id', 'qrco.de', 'short.io', 'tr.im'
+];
+
+// "Reply STOP", "Text END to ...", "STOP to opt out", "STOP2END"
+const OPT_OUT_PATTERN = /\b(?:reply|text|txt|send|respond)\s+(?:with\s+)?["'“]?(?:stop|end|quit|cancel|unsubscribe)\b|\b(?:stop|end)\s*(?:to|2)\s*(?:opt[\s-]?out|unsubscribe|end|cancel|quit|stop)\b/i;
+
+// Hosts in a body, with or without a scheme
+const HOST_PATTERN = /(?:https?:\/\/)?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,})(?=[/?#:\s.,;!)'"]|$)/gi;
+
+// workspaceId -> { rules, expiresAt }
+const rulesCache = new Map();
+
+const contentFlags = metrics.createCounter(
+    'content_scan_flags_total',
+    'Outbound bodies flagged by the content scanner, by rule and action',
+    ['rule', 'action', 'source']
+);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const lower = (list) => (Array.isArray(list) ? list.map(item => String(item).toLowerCase().trim()).filter(Boolean) : []);
+
+const pickAction = (action, fallback, allowed) => (allowed.includes(action) ? action : fallback);
+
+/**
+ * Defaults merged with a workspace's content_rules
+ */
+const buildRules = (custom = {}) => {
+    const terms = custom.prohibitedTerms || {};
+    const shorteners = custom.urlShorteners || {};
+    const optOut = custom.optOut || {};
+
+    const allowedTerms = lower(terms.allow);
+    const termList = [];
+    Object.entries(PROHIBITED_TERMS).forEach(([category, list]) => {
+        list.forEach(term => termList.push({ term, category }));
+    });
+    lower(terms.add).forEach(term => termList.push({ term, category: 'custom' }));
+
+    const allowedDomains = lower(shorteners.allow);
+
+    return {
+        enabled: custom.enabled !== false && CONFIG.CONTENT_SCAN.ENABLED,
+        terms: {
+            action: pickAction(terms.action, CONFIG.CONTENT_SCAN.TERMS_ACTION, [ACTIONS.BLOCK, ACTIONS.WARN, ACTIONS.OFF]),
+            list: termList
+                .filter(({ term }) => !allowedTerms.includes(term))
+                .map(({ term, category }) => ({
+                    term,
+                    category,
+                    pattern: new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(term).replace(/ /g, '\\s+')}(?![\\p{L}\\p{N}])`, 'iu')
+                }))
+        },
+        shorteners: {
+            action: pickAction(shorteners.action, CONFIG.CONTENT_SCAN.SHORTENER_ACTION, [ACTIONS.BLOCK, ACTIONS.WARN, ACTIONS.OFF]),
+            domains: [...URL_SHORTENERS, ...lower(shorteners.add)].filter(domain => !allowedDomains.includes(domain))
+        },
+        optOut: {
+            action: pickAction(optOut.action, CONFIG.CONTENT_SCAN.OPT_OUT_ACTION, Object.values(ACTIONS)),
+            text: optOut.text || CONFIG.CONTENT_SCAN.OPT_OUT_TEXT
+        }
+    };
+};
+
+const defaultRules = buildRules();
+
+/**
+ * A workspace's rules (workspaces.content_rules)
+ * Cached for CONTENT_SCAN_CACHE_TTL_MS; database errors fall back to the defaults
+ * @param {number} workspaceId
+ */
+const getWorkspaceRules = async (workspaceId) => {
+    if (!workspaceId) return defaultRules;
+
+    const cached = rulesCache.get(workspaceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.rules;
+    }
+
+    const [err, workspace] = await to(
+        dbReader('workspaces')
+            .select('content_rules')
+            .where({ id: workspaceId })
+            .first()
+    );
+
+    if (err) {
+        logger.error('[ContentScanner] Workspace rules lookup failed:', { workspaceId, error: err.message });
+        return defaultRules;
+    }
+
+    let rules = defaultRules;
+    if (workspace?.content_rules) {
+        try {
+            const custom = typeof workspace.content_rules === 'string' ? JSON.parse(workspace.content_rules) : workspace.content_rules;
+            rules = buildRules(custom);
+        } catch (error) {
+            logger.warn('[ContentScanner] Invalid content_rules, using the defaults:', { workspaceId, error: error.message });
+        }
+    }
+
+    rulesCache.set(workspaceId, { rules, expiresAt: Date.now() + CONFIG.CONTENT_SCAN.CACHE_TTL_MS });
+    return rules;
+};
+
+/**
+ * Prohibited terms in a body, with their categories
+ */
+const findTerms = (body, rules) => rules.terms.list
+    .filter(({ pattern }) => pattern.test(body))
+    .map(({ term, category }) => ({ term, category }));
+
+/**
+ * Shortener domains linked in a body
+ */
+const findShorteners = (body, rules) => {
+    const found = new Set();
+
+    for (const match of body.matchAll(HOST_PATTERN)) {
+        const host = match[1].toLowerCase().replace(/^www\./, '');
+        const domain = rules.shorteners.domains.find(candidate => host === candidate || host.endsWith(`.${candidate}`));
+        if (domain) {
+            found.add(domain);
+        }
+    }
+
+    return [...found];
+};
+
+/**
+ * Whether a contact has had a marketing (drip) message before
+ * @param {number} contactId
+ * @param {number} excludeMessageId - The row for this send, if it exists already
+ */
+const hasPriorMarketingMessage = async (contactId, excludeMessageId = null) => {
+    const [err, message] = await to(
+        dbReader('messages')
+            .select('id')
+            .where({ contact_id: contactId, is_drip: 1, direction: 'outbound' })
+            .whereNot('status', '3')
+            .where(function() {
+                if (excludeMessageId) {
+                    this.whereNot('id', excludeMessageId);
+                }
+            })
+            .first()
+    );
+
+    // Unknown - assume it's the first, so the opt-out text isn't missed
+    if (err) {
+        logger.error('[ContentScanner] Prior message lookup failed:', { contactId, error: err.message });
+        return false;
+    }
+
+    return !!message;
+};
+
+/**
+ * Contacts that have had a marketing (drip) message before, in one query
+ * @param {Array<number>} contactIds
+ * @returns {Promise<Set<string>>} Contact ids, as strings
+ */
+const getContactsWithPriorMarketing = async (contactIds) => {
+    const ids = [...new Set(contactIds.filter(Boolean))];
+    if (ids.length === 0) return new Set();
+
+    const [err, rows] = await to(
+        dbReader('messages')
+            .distinct('contact_id')
+            .whereIn('contact_id', ids)
+            .where({ is_drip: 1, direction: 'outbound' })
+            .whereNot('status', '3')
+    );
+
+    // Unknown - assume they're all first messages, so the opt-out text isn't missed
+    if (err) {
+        logger.error('[ContentScanner] Prior message lookup failed:', { contacts: ids.length, error: err.message });
+        return new Set();
+    }
+
+    return new Set(rows.map(row => String(row.contact_id)));
+};
+
+/**
+ * Scan a body before it is sent
+ * @param {Object} params
+ * @param {string} params.body - Text about to be sent
+ * @param {number} params.workspaceId
+ * @param {number} params.contactId
+ * @param {boolean} params.isMarketing - Drip / campaign send (opt-out language applies)
+ * @param {number} params.excludeMessageId - The message row for this send, if any
+ * @param {boolean} params.hasPriorMarketing - Already known (batch lookup); looked up when omitted
+ * @param {string} params.source - Label for metrics
+ * @returns {Promise<{blocked: boolean, reason: string|null, body: string, flags: Array}>}
+ *          body: with the opt-out text appended when the rule says so.
+ *          flags: [{ rule, action, matches? }] - recorded on the message
+ */
+const scanContent = async ({ body, workspaceId = null, contactId = null, isMarketing = false, excludeMessageId = null, hasPriorMarketing = null, source = 'send' }) => {
+    const text = body || '';
+    const rules = await getWorkspaceRules(workspaceId);
+    const flags = [];
+
+    if (!rules.enabled || !text) {
+        return { blocked: false, reason: null, body, flags };
+    }
+
+    if (rules.terms.action !== ACTIONS.OFF) {
+        const terms = findTerms(text, rules);
+        if (terms.length > 0) {
+            flags.push({ rule: RULES.PROHIBITED_TERMS, action: rules.terms.action, matches: terms });
+        }
+    }
+
+    if (rules.shorteners.action !== ACTIONS.OFF) {
+        const domains = findShorteners(text, rules);
+        if (domains.length > 0) {
+            flags.push({ rule: RULES.URL_SHORTENER, action: rules.shorteners.action, matches: domains });
+        }
+    }
+
+    let scanned = text;
+
+    if (isMarketing && contactId && rules.optOut.action !== ACTIONS.OFF && !OPT_OUT_PATTERN.test(text)) {
+        const isFirst = hasPriorMarketing === null
+            ? !(await hasPriorMarketingMessage(contactId, excludeMessageId))
+            : !hasPriorMarketing;
+
+        if (isFirst) {
+            flags.push({ rule: RULES.OPT_OUT, action: rules.optOut.action });
+
+            if (rules.optOut.action === ACTIONS.APPEND) {
+                scanned = `${text.trimEnd()}\n${rules.optOut.text}`;
+            }
+        }
+    }
+
+    flags.forEach(flag => contentFlags.inc({ rule: flag.rule, action: flag.action, source }));
+
+    const blocking = flags.filter(flag => flag.action === ACTIONS.BLOCK);
+    const reason = blocking.length > 0
+        ? `Blocked by content rules: ${blocking.map(flag => (flag.matches ? `${flag.rule} (${flag.matches.map(match => match.term || match).join(', ')})` : flag.rule)).join('; ')}`
+        : null;
+
+    if (flags.length > 0) {
+        logger.info('[ContentScanner] Content flagged:', { workspaceId, contactId, source, flags });
+    }
+
+    return {
+        blocked: blocking.length > 0,
+        reason,
+        body: scanned,
+        flags
+    };
+};
+
+module.exports = {
+    RULES,
+    ACTIONS,
+    getWorkspaceRules,
+    getContactsWithPriorMarketing,
+    scanContent
+};
@@ -0,0 +1,380 @@
+/**
+ * Quiet Hours Service for sengine-workers
+ * Send windows in the recipient's local time (TCPA and state telemarketing laws)
+ *
+ * A send is allowed when the recipient's local time is inside every window
+ * that applies to it:
+ * - the default window, QUIET_HOURS_DEFAULT_START-END (TCPA: 8am-9pm)
+ * - the rule for the recipient's state, for US numbers (see DEFAULT_STATE_RULES)
+ * - the workspace's own window (workspaces.send_window_*), if it set one
+ *
+ * The recipient's time zone is, in order: contacts.timezone, the zone(s) of
+ * the number's area code (NANP), the zone(s) of its country, or
+ * QUIET_HOURS_DEFAULT_TIME_ZONE. An area code that spans two zones must be
+ * inside the window in both.
+ *
+ * Outside the window, checkSendWindow() returns the next time the send is
+ * allowed - callers defer the send to then rather than failing it.
+ *
+ * @module services/compliance/quietHours.service
+ */
+
+const { dbReader } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const phoneService = require('../phone/phone.service');
+const timeZoneData = require('./timeZoneData');
+const CONFIG = require('../../config/config');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MON_TO_SAT = [1, 2, 3, 4, 5, 6];
+
+/**
+ * State rules stricter than the TCPA's 8am-9pm
+ * { start, end } local time, days: allowed weekdays (0 = Sunday),
+ * byDay: other hours (or null = none) for a weekday.
+ * QUIET_HOURS_STATE_RULES (JSON, same shape) adds or replaces states.
+ */
+const DEFAULT_STATE_RULES = {
+    AL: { start: '08:00', end: '20:00', days: MON_TO_SAT },
+    CT: { start: '09:00', end: '20:00' },
+    FL: { start: '08:00', end: '20:00' },
+    LA: { start: '08:00', end: '20:00', days: MON_TO_SAT },
+    MA: { start: '08:00', end: '20:00' },
+    MD: { start: '08:00', end: '20:00' },
+    MS: { start: '08:00', end: '20:00', days: MON_TO_SAT },
+    OK: { start: '08:00', end: '20:00' },
+    TX: { start: '09:00', end: '21:00', byDay: { 0: { start: '12:00', end: '21:00' } } },
+    WA: { start: '08:00', end: '20:00' }
+};
+
+// IANA zone -> Intl.DateTimeFormat
+const formatters = new Map();
+
+// workspaceId -> { rule, expiresAt }
+const windowCache = new Map();
+
+let stateRules = null;
+
+/**
+ * 'HH:MM' or 'HH:MM:SS' (Postgres time) → minutes after midnight
+ */
+const toMinutes = (value) => {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(value || ''));
+    if (!match) return null;
+    return Math.min(parseInt(match[1], 10) * 60 + parseInt(match[2], 10), MINUTES_PER_DAY);
+};
+
+const toHours = (hours) => {
+    if (!hours) return null;
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+    return start === null || end === null ? null : { start, end };
+};
+
+/**
+ * Turn a configured rule into minutes
+ * @param {Object} rule - { start, end, days?, byDay? }
+ * @returns {Object|null} null when it has no usable hours
+ */
+const normalizeRule = (rule) => {
+    const hours = toHours(rule);
+    if (!hours) return null;
+
+    const byDay = {};
+    Object.entries(rule.byDay || {}).forEach(([day, dayHours]) => {
+        byDay[day] = toHours(dayHours);
+    });
+
+    return {
+        ...hours,
+        days: Array.isArray(rule.days) && rule.days.length > 0 ? rule.days.map(Number) : null,
+        byDay
+    };
+};
+
+/**
+ * State rules, with QUIET_HOURS_STATE_RULES applied (parsed once)
+ */
+const getStateRules = () => {
+    if (stateRules) return stateRules;
+
+    let overrides = {};
+    if (CONFIG.QUIET_HOURS.STATE_RULES) {
+        try {
+            overrides = JSON.parse(CONFIG.QUIET_HOURS.STATE_RULES);
+        } catch (error) {
+            logger.error('[QuietHours] QUIET_HOURS_STATE_RULES is not valid JSON, using the built-in rules:', { error: error.message });
+        }
+    }
+
+    stateRules = {};
+    Object.entries({ ...DEFAULT_STATE_RULES, ...overrides }).forEach(([state, rule]) => {
+        const normalized = rule ? normalizeRule(rule) : null;
+        if (normalized) {
+            stateRules[state.toUpperCase()] = normalized;
+        }
+    });
+
+    return stateRules;
+};
+
+const getFormatter = (timeZone) => {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+};
+
+/**
+ * Whether a string is an IANA zone this runtime knows
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock time of an instant in a zone
+ * @returns {{year, month, day, hour, minute, second}}
+ */
+const localParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10) % 24,
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10)
+    };
+};
+
+/**
+ * Zone's offset from UTC at an instant, in ms
+ */
+const offsetMs = (timestamp, timeZone) => {
+    const p = localParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Instant of a local date and time in a zone
+ * Re-checks the offset once, for dates on the other side of a DST change
+ */
+const zonedTimeToDate = (year, month, day, minutes, timeZone) => {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    const offset = offsetMs(guess, timeZone);
+    let timestamp = guess - offset;
+
+    const actual = offsetMs(timestamp, timeZone);
+    if (actual !== offset) {
+        timestamp = guess - actual;
+    }
+
+    return new Date(timestamp);
+};
+
+/**
+ * Hours allowed on a weekday by every rule, or null if none
+ */
+const windowForDay = (rules, weekday) => {
+    let start = 0;
+    let end = MINUTES_PER_DAY;
+
+    for (const rule of rules) {
+        if (rule.days && !rule.days.includes(weekday)) return null;
+
+        const hours = weekday in rule.byDay ? rule.byDay[weekday] : rule;
+        if (!hours) return null;
+
+        start = Math.max(start, hours.start);
+        end = Math.min(end, hours.end);
+    }
+
+    return start < end ? { start, end } : null;
+};
+
+/**
+ * First instant at or after `at` inside the window in one zone
+ * @returns {Date|null} null when no day in the next week has hours
+ */
+const nextAllowedInZone = (at, timeZone, rules) => {
+    const now = localParts(at, timeZone);
+    const nowMinutes = now.hour * 60 + now.minute;
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = new Date(Date.UTC(now.year, now.month - 1, now.day + offset));
+        const hours = windowForDay(rules, date.getUTCDay());
+        if (!hours) continue;
+
+        if (offset === 0) {
+            if (nowMinutes >= hours.end) continue;
+            if (nowMinutes >= hours.start) return at;
+        }
+
+        return zonedTimeToDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hours.start, timeZone);
+    }
+
+    return null;
+};
+
+/**
+ * First instant at or after `at` inside the window in every zone
+ * @param {Date} at
+ * @param {string[]} timeZones
+ * @param {Object[]} rules - Normalized rules
+ * @returns {Date|null}
+ */
+const findNextAllowed = (at, timeZones, rules) => {
+    let candidate = at;
+
+    // Moving forward for one zone can leave another's window - a few passes settle it
+    for (let pass = 0; pass < 8; pass++) {
+        let moved = false;
+
+        for (const timeZone of timeZones) {
+            const next = nextAllowedInZone(candidate, timeZone, rules);
+            if (!next) return null;
+            if (next.getTime() > candidate.getTime()) {
+                candidate = next;
+                moved = true;
+            }
+        }
+
+        if (!moved) return candidate;
+    }
+
+    return null;
+};
+
+/**
+ * Recipient's time zone(s) and, for NANP numbers, state
+ * @param {Object} params
+ * @param {Object} params.contact - Contact row (timezone)
+ * @param {string} params.phone - Recipient number, E.164
+ * @returns {{timeZones: string[], state: string|null, source: string}}
+ *          source: 'contact', 'area_code', 'country' or 'default'
+ */
+const resolveTimeZones = ({ contact = null, phone }) => {
+    const parsed = phoneService.parsePhone(phone);
+    const areaCode = parsed?.countryCallingCode === '1'
+        ? timeZoneData.lookupAreaCode(parsed.nationalNumber.substring(0, 3))
+        : null;
+    const state = areaCode?.state || null;
+
+    if (isValidTimeZone(contact?.timezone)) {
+        return { timeZones: [contact.timezone], state, source: 'contact' };
+    }
+
+    if (areaCode) {
+        return { timeZones: areaCode.timeZones, state, source: 'area_code' };
+    }
+
+    const countryZones = timeZoneData.COUNTRY_TIME_ZONES[parsed?.country];
+    if (countryZones) {
+        return { timeZones: countryZones, state, source: 'country' };
+    }
+
+    return { timeZones: [CONFIG.QUIET_HOURS.DEFAULT_TIME_ZONE], state, source: 'default' };
+};
+
+/**
+ * A workspace's own send window (workspaces.send_window_start/_end/_days)
+ * Cached for QUIET_HOURS_CACHE_TTL_MS; null when it has none or on database errors
+ * @param {number} workspaceId
+ * @returns {Promise<Object|null>} Normalized rule
+ */
+const getWorkspaceWindow = async (workspaceId) => {
+    if (!workspaceId) return null;
+
+    const cached = windowCache.get(workspaceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.rule;
+    }
+
+    const [err, workspace] = await to(
+        dbReader('workspaces')
+            .select('send_window_start', 'send_window_end', 'send_window_days')
+            .where({ id: workspaceId })
+            .first()
+    );
+
+    if (err) {
+        logger.error('[QuietHours] Workspace send window lookup failed:', { workspaceId, error: err.message });
+        return null;
+    }
+
+    const rule = workspace?.send_window_start && workspace?.send_window_end
+        ? normalizeRule({
+            start: workspace.send_window_start,
+            end: workspace.send_window_end,
+            days: workspace.send_window_days
+        })
+        : null;
+
+    windowCache.set(workspaceId, { rule, expiresAt: Date.now() + CONFIG.QUIET_HOURS.CACHE_TTL_MS });
+    return rule;
+};
+
+/**
+ * Check whether a send to a recipient is allowed now
+ * @param {Object} params
+ * @param {number} params.workspaceId
+ * @param {Object} params.contact - Contact row (timezone), optional
+ * @param {string} params.phone - Recipient number, E.164
+ * @param {Date} params.at - Defaults to now
+ * @returns {Promise<{allowed: boolean, nextAllowedAt: Date|null, timeZones: string[], state: string|null, source: string}>}
+ *          nextAllowedAt is null when no time in the next week is allowed
+ */
+const checkSendWindow = async ({ workspaceId = null, contact = null, phone, at = new Date() }) => {
+    const recipient = resolveTimeZones({ contact, phone });
+
+    const rules = [normalizeRule({ start: CONFIG.QUIET_HOURS.DEFAULT_START, end: CONFIG.QUIET_HOURS.DEFAULT_END })];
+
+    const stateRule = recipient.state ? getStateRules()[recipient.state] : null;
+    if (stateRule) {
+        rules.push(stateRule);
+    }
+
+    const workspaceRule = await getWorkspaceWindow(workspaceId);
+    if (workspaceRule) {
+        rules.push(workspaceRule);
+    }
+
+    const nextAllowedAt = findNextAllowed(at, recipient.timeZones, rules.filter(Boolean));
+
+    return {
+        allowed: !!nextAllowedAt && nextAllowedAt.getTime() === at.getTime(),
+        nextAllowedAt,
+        ...recipient
+    };
+};
+
+module.exports = {
+    isValidTimeZone,
+    resolveTimeZones,
+    getWorkspaceWindow,
+    checkSendWindow
+};
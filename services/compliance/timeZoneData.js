@@ -0,0 +1,174 @@
+/**
+ * Time zone data for send windows
+ *
+ * NANP area code → state/province and IANA zone(s). Area codes that straddle
+ * a zone line list every zone they cover, first the one most of its numbers
+ * are in; a send window is then enforced in all of them.
+ *
+ * Countries outside NANP map to their zone(s) by ISO code. Countries not
+ * listed fall back to QUIET_HOURS_DEFAULT_TIME_ZONE.
+ *
+ * @module services/compliance/timeZoneData
+ */
+
+const EASTERN = 'America/New_York';
+const CENTRAL = 'America/Chicago';
+const MOUNTAIN = 'America/Denver';
+const ARIZONA = 'America/Phoenix';
+const PACIFIC = 'America/Los_Angeles';
+
+// State/province → zone most of it is in
+const STATE_TIME_ZONES = {
+    AL: CENTRAL, AK: 'America/Anchorage', AZ: ARIZONA, AR: CENTRAL, CA: PACIFIC,
+    CO: MOUNTAIN, CT: EASTERN, DC: EASTERN, DE: EASTERN, FL: EASTERN,
+    GA: EASTERN, HI: 'Pacific/Honolulu', IA: CENTRAL, ID: 'America/Boise', IL: CENTRAL,
+    IN: 'America/Indiana/Indianapolis', KS: CENTRAL, KY: EASTERN, LA: CENTRAL, MA: EASTERN,
+    MD: EASTERN, ME: EASTERN, MI: 'America/Detroit', MN: CENTRAL, MO: CENTRAL,
+    MS: CENTRAL, MT: MOUNTAIN, NC: EASTERN, ND: CENTRAL, NE: CENTRAL,
+    NH: EASTERN, NJ: EASTERN, NM: MOUNTAIN, NV: PACIFIC, NY: EASTERN,
+    OH: EASTERN, OK: CENTRAL, OR: PACIFIC, PA: EASTERN, RI: EASTERN,
+    SC: EASTERN, SD: CENTRAL, TN: CENTRAL, TX: CENTRAL, UT: MOUNTAIN,
+    VA: EASTERN, VT: EASTERN, WA: PACIFIC, WI: CENTRAL, WV: EASTERN,
+    WY: MOUNTAIN, PR: 'America/Puerto_Rico',
+    // Canada
+    AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+    NL: 'America/St_Johns', NS: 'America/Halifax', ON: 'America/Toronto', PE: 'America/Halifax',
+    QC: 'America/Toronto', SK: 'America/Regina', YT: 'America/Whitehorse', NT: 'America/Yellowknife',
+    NU: 'America/Iqaluit'
+};
+
+const AREA_CODES_BY_STATE = {
+    AL: [205, 251, 256, 334, 659, 938],
+    AK: [907],
+    AZ: [480, 520, 602, 623, 928],
+    AR: [327, 479, 501, 870],
+    CA: [209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628,
+        650, 657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951],
+    CO: [303, 719, 720, 970, 983],
+    CT: [203, 475, 860, 959],
+    DC: [202, 771],
+    DE: [302],
+    FL: [239, 305, 321, 324, 352, 386, 407, 448, 561, 645, 656, 689, 727, 728, 754, 772, 786, 813,
+        850, 863, 904, 941, 954],
+    GA: [229, 404, 470, 478, 678, 706, 762, 770, 912, 943],
+    HI: [808],
+    IA: [319, 515, 563, 641, 712],
+    ID: [208, 986],
+    IL: [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872],
+    IN: [219, 260, 317, 463, 574, 765, 812, 930],
+    KS: [316, 620, 785, 913],
+    KY: [270, 364, 502, 606, 859],
+    LA: [225, 318, 337, 504, 985],
+    MA: [339, 351, 413, 508, 617, 774, 781, 857, 978],
+    MD: [227, 240, 301, 410, 443, 667],
+    ME: [207],
+    MI: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989],
+    MN: [218, 320, 507, 612, 651, 763, 924, 952],
+    MO: [314, 417, 557, 573, 636, 660, 816, 975],
+    MS: [228, 601, 662, 769],
+    MT: [406],
+    NC: [252, 336, 472, 704, 743, 828, 910, 919, 980, 984],
+    ND: [701],
+    NE: [308, 402, 531],
+    NH: [603],
+    NJ: [201, 551, 609, 640, 732, 848, 856, 862, 908, 973],
+    NM: [505, 575],
+    NV: [702, 725, 775],
+    NY: [212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845,
+        914, 917, 929, 934],
+    OH: [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937],
+    OK: [405, 539, 572, 580, 918],
+    OR: [458, 503, 541, 971],
+    PA: [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878],
+    RI: [401],
+    SC: [803, 821, 839, 843, 854, 864],
+    SD: [605],
+    TN: [423, 615, 629, 731, 865, 901, 931],
+    TX: [210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817,
+        830, 832, 903, 915, 936, 940, 945, 956, 972, 979],
+    UT: [385, 435, 801],
+    VA: [276, 434, 540, 571, 686, 703, 757, 804, 826, 948],
+    VT: [802],
+    WA: [206, 253, 360, 425, 509, 564],
+    WI: [262, 274, 353, 414, 534, 608, 715, 920],
+    WV: [304, 681],
+    WY: [307],
+    PR: [787, 939],
+    AB: [368, 403, 587, 780, 825],
+    BC: [236, 250, 257, 604, 672, 778],
+    MB: [204, 431, 584],
+    NB: [428, 506],
+    NL: [709],
+    NS: [782, 902],
+    ON: [226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 807, 905],
+    QC: [263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873],
+    SK: [306, 474, 639],
+    YT: [867]
+};
+
+// Area codes that differ from their state's zone, or span more than one
+const AREA_CODE_TIME_ZONES = {
+    208: ['America/Boise', PACIFIC],          // ID panhandle
+    219: [CENTRAL],                            // NW Indiana
+    270: [CENTRAL, EASTERN],                   // Western Kentucky
+    308: [CENTRAL, MOUNTAIN],                  // Western Nebraska
+    364: [CENTRAL, EASTERN],
+    423: [EASTERN, CENTRAL],                   // East Tennessee
+    541: [PACIFIC, 'America/Boise'],           // Eastern Oregon
+    605: [CENTRAL, MOUNTAIN],                  // West River South Dakota
+    606: [EASTERN],
+    620: [CENTRAL, MOUNTAIN],                  // SW Kansas
+    701: [CENTRAL, MOUNTAIN],                  // SW North Dakota
+    785: [CENTRAL, MOUNTAIN],                  // NW Kansas
+    807: ['America/Toronto', 'America/Winnipeg'],
+    812: ['America/Indiana/Indianapolis', CENTRAL], // SW Indiana
+    850: [EASTERN, CENTRAL],                   // Florida panhandle
+    865: [EASTERN],                            // Knoxville
+    867: ['America/Whitehorse', 'America/Yellowknife', 'America/Iqaluit'],
+    906: ['America/Detroit', CENTRAL],         // Upper Peninsula
+    915: [MOUNTAIN],                           // El Paso
+    930: ['America/Indiana/Indianapolis', CENTRAL],
+    931: [CENTRAL, EASTERN]
+};
+
+// Outside NANP - countries with one zone, or the zones a number could be in
+const COUNTRY_TIME_ZONES = {
+    GB: ['Europe/London'], GG: ['Europe/Guernsey'], JE: ['Europe/Jersey'], IM: ['Europe/Isle_of_Man'],
+    IE: ['Europe/Dublin'], FR: ['Europe/Paris'], DE: ['Europe/Berlin'],
+    ES: ['Europe/Madrid', 'Atlantic/Canary'], IT: ['Europe/Rome'], NL: ['Europe/Amsterdam'],
+    BE: ['Europe/Brussels'], PT: ['Europe/Lisbon', 'Atlantic/Azores'], CH: ['Europe/Zurich'],
+    AT: ['Europe/Vienna'], SE: ['Europe/Stockholm'], NO: ['Europe/Oslo'], DK: ['Europe/Copenhagen'],
+    FI: ['Europe/Helsinki'], PL: ['Europe/Warsaw'], IL: ['Asia/Jerusalem'], AE: ['Asia/Dubai'],
+    IN: ['Asia/Kolkata'], SG: ['Asia/Singapore'], PH: ['Asia/Manila'], JP: ['Asia/Tokyo'],
+    ZA: ['Africa/Johannesburg'], NZ: ['Pacific/Auckland'],
+    AU: ['Australia/Sydney', 'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Perth'],
+    BR: ['America/Sao_Paulo', 'America/Manaus'],
+    MX: ['America/Mexico_City', 'America/Cancun', 'America/Chihuahua', 'America/Tijuana']
+};
+
+// Area code → state, built once
+const AREA_CODE_STATES = {};
+Object.entries(AREA_CODES_BY_STATE).forEach(([state, codes]) => {
+    codes.forEach(code => { AREA_CODE_STATES[code] = state; });
+});
+
+/**
+ * State/province and zones for a NANP area code
+ * @param {string|number} areaCode
+ * @returns {{state: string, timeZones: string[]}|null} null for unknown / non-geographic codes
+ */
+const lookupAreaCode = (areaCode) => {
+    const code = parseInt(areaCode, 10);
+    const state = AREA_CODE_STATES[code];
+    if (!state) return null;
+
+    return {
+        state,
+        timeZones: AREA_CODE_TIME_ZONES[code] || [STATE_TIME_ZONES[state]]
+    };
+};
+
+module.exports = {
+    COUNTRY_TIME_ZONES,
+    lookupAreaCode
+};
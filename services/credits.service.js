@@ -104,7 +104,75 @@ const deductCredits = async (userId, amount, options = {}) => {
     }
 };
 
+/**
+ * Give credits back to a user account (e.g. a send that never went out)
+ * @param {string} userId - User ID
+ * @param {number} amount - Credit amount to refund
+ * @param {Object} options - Transaction options
+ * @returns {Promise<Object>} Updated credits and transaction
+ */
+const refundCredits = async (userId, amount, options = {}) => {
+    if (!userId) throw new Error('User ID is required');
+    if (!amount || amount <= 0) throw new Error('Valid credit amount is required');
+
+    const {
+        description = 'Credits refunded',
+        referenceType = null,
+        referenceId = null,
+    } = options;
+
+    const trx = await dbWriter.transaction();
+
+    try {
+        const credits = await trx('user_credits').where({ user_id: userId }).first();
+
+        if (!credits) {
+            await trx.rollback();
+            throw new Error('User credits not found');
+        }
+
+        const newBalance = credits.balance + amount;
+        const newTotalSpent = Math.max(credits.total_spent - amount, 0);
+
+        await trx('user_credits')
+            .where({ user_id: userId })
+            .update({
+                balance: newBalance,
+                total_spent: newTotalSpent,
+            });
+
+        const [transaction] = await trx('credit_transactions')
+            .insert({
+                user_id: userId,
+                type: 'credit',
+                amount: amount,
+                balance_after: newBalance,
+                description: description,
+                reference_type: referenceType,
+                reference_id: referenceId,
+            })
+            .returning('*');
+
+        await trx.commit();
+
+        console.log(`[Credits] Refunded ${amount} credits to user ${userId}. New balance: ${newBalance}`);
+
+        return {
+            credits: {
+                balance: newBalance,
+                totalSpent: newTotalSpent,
+            },
+            transaction,
+        };
+    } catch (error) {
+        await trx.rollback();
+        logger.error('[Credits] Error refunding credits:', error);
+        throw error;
+    }
+};
+
 module.exports = {
     hasEnoughCredits,
     deductCredits,
+    refundCredits,
 };
@@ -0,0 +1,350 @@
+/**
+ * Dead-Letter Queue Service for sengine-workers
+ * Inspect, replay, purge and export messages parked in the DLQs
+ *
+ * Messages are read with basic.get on a dedicated channel and held unacked
+ * while we look at them. Anything not replayed or purged is nacked back onto
+ * the DLQ (requeue), so browsing is non-destructive.
+ *
+ * @module services/dlq/dlq.service
+ */
+
+const rabbitmq = require('../../config/rabbitmq');
+const { logger } = require('../logger.service');
+
+// Queues that hold dead-lettered messages
+const DLQ_QUEUES = [
+    rabbitmq.QUEUES.INBOX_FAILED,
+    rabbitmq.QUEUES.DRIP_DEAD_LETTER
+];
+
+// Headers that describe a previous failure - dropped when a message is replayed
+const FAILURE_HEADERS = [
+    'x-death',
+    'x-first-death-exchange',
+    'x-first-death-queue',
+    'x-first-death-reason',
+    'x-last-death-exchange',
+    'x-last-death-queue',
+    'x-last-death-reason',
+    'x-retry-count',
+    'x-last-error',
+    'x-failed-queue',
+    'x-dead-lettered-at',
+    'x-validation-report'
+];
+
+const PAYLOAD_PREVIEW_LENGTH = 80;
+
+/**
+ * Convert an AMQP timestamp header value to a Date
+ * amqplib decodes table timestamps as { '!': 'timestamp', value: seconds }
+ */
+const toDate = (value) => {
+    if (value === undefined || value === null) return null;
+    const seconds = typeof value === 'object' ? value.value : value;
+    const date = new Date(Number(seconds) * 1000);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse the JSON body of a message, tolerating garbage
+ */
+const parseContent = (msg) => {
+    try {
+        return JSON.parse(msg.content.toString());
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Parse the x-validation-report header set when a payload failed its schema
+ */
+const parseValidationReport = (headers) => {
+    if (!headers['x-validation-report']) return null;
+    try {
+        return JSON.parse(headers['x-validation-report']);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Work out the message type - drip payloads have no `type` field
+ */
+const getMessageType = (content) => {
+    if (!content) return 'UNPARSEABLE';
+    if (content.type) return content.type;
+    if (content.scheduledMessageId) return 'DRIP_SEND';
+    return 'UNKNOWN';
+};
+
+/**
+ * Build a readable summary of a dead-lettered message
+ * @param {Object} msg - amqplib message from channel.get()
+ * @returns {Object} Summary
+ */
+const summarizeMessage = (msg) => {
+    const headers = msg.properties.headers || {};
+    const content = parseContent(msg);
+    const data = content?.data || content || {};
+    const deaths = Array.isArray(headers['x-death']) ? headers['x-death'] : [];
+
+    const deadLetteredAt = headers['x-dead-lettered-at']
+        ? new Date(headers['x-dead-lettered-at'])
+        : toDate(deaths[0]?.time) || (msg.properties.timestamp ? new Date(msg.properties.timestamp) : null);
+
+    const body = data.message || data.body || '';
+
+    return {
+        deliveryTag: msg.fields.deliveryTag,
+        messageId: msg.properties.messageId || null,
+        type: getMessageType(content),
+        userId: data.userId ?? null,
+        campaignId: data.campaignId ?? null,
+        deadLetteredAt: deadLetteredAt ? deadLetteredAt.toISOString() : null,
+        retryCount: headers['x-retry-count'] || 0,
+        lastError: headers['x-last-error'] || null,
+        validation: parseValidationReport(headers),
+        failedQueue: headers['x-failed-queue'] || deaths[0]?.queue || null,
+        deathReasons: deaths.map(death => ({
+            reason: death.reason,
+            queue: death.queue,
+            count: death.count,
+            time: toDate(death.time)?.toISOString() || null
+        })),
+        original: getReplayTarget(msg),
+        payloadSummary: body
+            ? String(body).substring(0, PAYLOAD_PREVIEW_LENGTH)
+            : JSON.stringify(content || {}).substring(0, PAYLOAD_PREVIEW_LENGTH),
+        headers
+    };
+};
+
+/**
+ * Where a message was originally published
+ * Prefers the x-original-* headers set by the retry pipeline, falls back to x-death
+ */
+const getReplayTarget = (msg) => {
+    const headers = msg.properties.headers || {};
+
+    if (headers['x-original-exchange'] !== undefined && headers['x-original-routing-key']) {
+        return {
+            exchange: headers['x-original-exchange'],
+            routingKey: headers['x-original-routing-key']
+        };
+    }
+
+    // x-death is newest-first; the oldest entry holds the first publish
+    const deaths = Array.isArray(headers['x-death']) ? headers['x-death'] : [];
+    const firstDeath = deaths[deaths.length - 1];
+
+    if (firstDeath && firstDeath.exchange !== undefined && firstDeath['routing-keys']?.length) {
+        return {
+            exchange: firstDeath.exchange,
+            routingKey: firstDeath['routing-keys'][0]
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Check a summary against list filters
+ * @param {Object} summary - From summarizeMessage()
+ * @param {Object} filters - { type, userId, campaignId, since, until, messageIds }
+ */
+const matchesFilters = (summary, filters = {}) => {
+    if (filters.type && summary.type !== filters.type) return false;
+    if (filters.userId && String(summary.userId) !== String(filters.userId)) return false;
+    if (filters.campaignId && String(summary.campaignId) !== String(filters.campaignId)) return false;
+    if (filters.messageIds?.length && !filters.messageIds.includes(summary.messageId)) return false;
+
+    if (filters.since || filters.until) {
+        if (!summary.deadLetteredAt) return false;
+        const at = new Date(summary.deadLetteredAt);
+        if (filters.since && at < new Date(filters.since)) return false;
+        if (filters.until && at > new Date(filters.until)) return false;
+    }
+
+    return true;
+};
+
+/**
+ * Pull messages off a DLQ, hand them to a visitor, then settle them
+ *
+ * The visitor returns 'ack' to remove a message from the DLQ; anything else
+ * puts it back. All gets happen on one channel so requeues can't be re-read
+ * within the same pass.
+ *
+ * @param {string} queueName - DLQ name
+ * @param {Object} filters - See matchesFilters()
+ * @param {Function} visitor - async (msg, summary) => 'ack' | 'requeue'
+ * @param {number} limit - Max matching messages to visit
+ * @returns {Promise<{scanned: number, matched: number}>}
+ */
+const scanQueue = async (queueName, filters, visitor, limit = Infinity) => {
+    if (!DLQ_QUEUES.includes(queueName)) {
+        throw new Error(`Not a dead-letter queue: ${queueName} (expected one of ${DLQ_QUEUES.join(', ')})`);
+    }
+
+    const ch = await rabbitmq.getConnection().createChannel();
+    const held = [];
+    let scanned = 0;
+    let matched = 0;
+
+    try {
+        const { messageCount } = await ch.checkQueue(queueName);
+
+        // Only look at what was there when we started - replays of other
+        // queues can't land here, but new failures can
+        while (scanned < messageCount && matched < limit) {
+            const msg = await ch.get(queueName, { noAck: false });
+            if (!msg) break;
+
+            scanned++;
+            const summary = summarizeMessage(msg);
+
+            if (!matchesFilters(summary, filters)) {
+                held.push(msg);
+                continue;
+            }
+
+            matched++;
+            const action = await visitor(msg, summary);
+
+            if (action === 'ack') {
+                ch.ack(msg);
+            } else {
+                held.push(msg);
+            }
+        }
+    } finally {
+        // Put back everything we didn't consume
+        for (const msg of held) {
+            ch.nack(msg, false, true);
+        }
+        await ch.close().catch(() => {});
+    }
+
+    return { scanned, matched };
+};
+
+/**
+ * List DLQ contents
+ * @returns {Promise<Array<Object>>} Message summaries
+ */
+const listMessages = async (queueName, filters = {}, limit = 100) => {
+    const summaries = [];
+
+    await scanQueue(queueName, filters, async (msg, summary) => {
+        summaries.push(summary);
+        return 'requeue';
+    }, limit);
+
+    return summaries;
+};
+
+/**
+ * Replay matching messages to their original exchange/routing key
+ * @param {Object} options - { dryRun, limit }
+ * @returns {Promise<{replayed: Array, skipped: Array, dryRun: boolean}>}
+ */
+const replayMessages = async (queueName, filters = {}, options = {}) => {
+    const { dryRun = false, limit = Infinity } = options;
+    const replayed = [];
+    const skipped = [];
+
+    await scanQueue(queueName, filters, async (msg, summary) => {
+        const target = getReplayTarget(msg);
+
+        if (!target) {
+            skipped.push({ messageId: summary.messageId, reason: 'Original exchange/routing key unknown' });
+            return 'requeue';
+        }
+
+        if (dryRun) {
+            replayed.push({ messageId: summary.messageId, type: summary.type, ...target });
+            return 'requeue';
+        }
+
+        const headers = { ...(msg.properties.headers || {}) };
+        FAILURE_HEADERS.forEach(header => delete headers[header]);
+        headers['x-replayed-at'] = new Date().toISOString();
+        headers['x-replay-count'] = (headers['x-replay-count'] || 0) + 1;
+
+        try {
+            await rabbitmq.publishConfirmed(target.exchange, target.routingKey, msg.content, {
+                ...msg.properties,
+                persistent: true,
+                headers
+            });
+        } catch (error) {
+            skipped.push({ messageId: summary.messageId, reason: error.message });
+            return 'requeue';
+        }
+
+        replayed.push({ messageId: summary.messageId, type: summary.type, ...target });
+        return 'ack';
+    }, limit);
+
+    if (!dryRun && replayed.length > 0) {
+        logger.info('[DLQ] Replayed messages:', { queue: queueName, count: replayed.length });
+    }
+
+    return { replayed, skipped, dryRun };
+};
+
+/**
+ * Remove matching messages from a DLQ
+ * Without filters the whole queue is purged in one call
+ * @returns {Promise<number>} Messages removed
+ */
+const purgeMessages = async (queueName, filters = {}, limit = Infinity) => {
+    const hasFilters = Object.values(filters).some(value => value !== undefined && value !== null && value !== '');
+
+    if (!hasFilters && limit === Infinity) {
+        if (!DLQ_QUEUES.includes(queueName)) {
+            throw new Error(`Not a dead-letter queue: ${queueName}`);
+        }
+        const { messageCount } = await rabbitmq.getChannel().purgeQueue(queueName);
+        logger.info('[DLQ] Purged queue:', { queue: queueName, count: messageCount });
+        return messageCount;
+    }
+
+    const { matched } = await scanQueue(queueName, filters, async () => 'ack', limit);
+    logger.info('[DLQ] Purged messages:', { queue: queueName, count: matched });
+    return matched;
+};
+
+/**
+ * Write matching messages to a stream as NDJSON (one message per line)
+ * Messages stay on the DLQ
+ * @param {stream.Writable} output - Destination stream
+ * @returns {Promise<number>} Messages exported
+ */
+const exportMessages = async (queueName, filters = {}, output, limit = Infinity) => {
+    const { matched } = await scanQueue(queueName, filters, async (msg, summary) => {
+        const line = JSON.stringify({
+            ...summary,
+            queue: queueName,
+            properties: msg.properties,
+            content: parseContent(msg) ?? msg.content.toString('base64')
+        });
+        output.write(line + '\n');
+        return 'requeue';
+    }, limit);
+
+    return matched;
+};
+
+module.exports = {
+    DLQ_QUEUES,
+    summarizeMessage,
+    matchesFilters,
+    listMessages,
+    replayMessages,
+    purgeMessages,
+    exportMessages
+};
@@ -12,6 +12,8 @@ const { to, TE } = require('../util.service');
 const { dbReader, dbWriter } = require('../../config/database');
 const { logger } = require('../logger.service');
 const messageService = require('../message/message.service');
+const smartEncodingService = require('../sms/smartEncoding.service');
+const templateService = require('../template/template.service');
 const CONFIG = require('../../config/config');
 
 // Drip contact status constants
@@ -63,10 +65,13 @@ const getPendingDrips = async (limit = 100) => {
                     'contacts.phone',
                     'contacts.name as contact_name',
                     'contacts.email as contact_email',
+                    'contacts.timezone as contact_timezone',
+                    'contacts.custom_fields as contact_custom_fields',
                     'contacts.opted_out',
                     'contacts.is_block',
                     'campaigns.title as campaign_title',
                     'campaigns.status as campaign_status',
+                    'campaigns.messaging_service_sid',
                     'campaign_contact.identifier as from_number_identifier'
                 )
                 .join('drips', dbReader.raw('drip_contact.drip_id::text'), 'drips.id')
@@ -101,26 +106,20 @@ const getPendingDrips = async (limit = 100) => {
 };
 
 /**
- * Personalize message with contact data
+ * Personalize message with contact data (see template.service for the syntax)
+ * @param {string} message - Template
+ * @param {Object} data - { name, phone, email, campaign, customFields }
+ * @param {Object} options - renderTemplate options (timeZone, seed)
  */
-const personalizeMessage = (message, data) => {
+const personalizeMessage = (message, data, options = {}) => {
     if (!message) return '';
 
-    let personalized = message;
-
-    personalized = personalized.replace(/\[first\]/gi, data.first || data.name || '');
-    personalized = personalized.replace(/\[name\]/gi, data.name || '');
-    personalized = personalized.replace(/\[phone\]/gi, data.phone || '');
-    personalized = personalized.replace(/\[email\]/gi, data.email || '');
-    personalized = personalized.replace(/\[campaign\]/gi, data.campaign || '');
-
-    personalized = personalized.replace(/\{\{first\}\}/gi, data.first || data.name || '');
-    personalized = personalized.replace(/\{\{name\}\}/gi, data.name || '');
-    personalized = personalized.replace(/\{\{phone\}\}/gi, data.phone || '');
-    personalized = personalized.replace(/\{\{email\}\}/gi, data.email || '');
-    personalized = personalized.replace(/\{\{campaign\}\}/gi, data.campaign || '');
+    const variables = templateService.buildVariables({
+        contact: { name: data.name, phone: data.phone, email: data.email, custom_fields: data.customFields },
+        campaign: data.campaign
+    });
 
-    return personalized.trim();
+    return templateService.renderTemplate(message, variables, options).body;
 };
 
 /**
@@ -282,22 +281,34 @@ const executeDrip = async (dripContact, prefetchedUserNumbers = null) => {
         }
 
         // Personalize message
-        let message = dripContact.message_suggestion || '';
-        message = personalizeMessage(message, {
-            name: dripContact.contact_name,
-            first: dripContact.contact_name?.split(' ')[0],
-            phone: dripContact.phone,
-            email: dripContact.contact_email,
-            campaign: dripContact.campaign_title
+        const rendered = templateService.renderForContact(dripContact.message_suggestion || '', {
+            contact: {
+                id: dripContact.contact_id,
+                name: dripContact.contact_name,
+                phone: dripContact.phone,
+                email: dripContact.contact_email,
+                timezone: dripContact.contact_timezone,
+                custom_fields: dripContact.contact_custom_fields
+            },
+            campaign: dripContact.campaign_title,
+            seed: `${dripContact.contact_id}:${dripContact.drip_id}`,
+            source: 'drip_scheduler'
         });
 
+        if (rendered.failed) {
+            await updateDripContactStatus(dripContact.id, DRIP_STATUS.FAILED, rendered.reason);
+            return { success: false, error: rendered.reason };
+        }
+
+        const message = await smartEncodingService.applyForWorkspace(rendered.body, dripContact.workspace_id, 'drip_scheduler');
+
         console.log('[DripScheduler:Worker] Sending drip message:', {
             to: dripContact.phone,
             from: userNumber.phone,
             messageLength: message.length
         });
 
-        // Send the message
+        // Queue the message - the outbound worker sends it, and marks the drip contact FAILED if it fails
         const sendResult = await messageService.sendMessage({
             userId: dripContact.user_id,
             workspaceId: dripContact.workspace_id,
@@ -307,35 +318,26 @@ const executeDrip = async (dripContact, prefetchedUserNumbers = null) => {
             mediaUrl: dripContact.media_path || null,
             isDrip: true,
             dripId: dripContact.drip_id,
-            dripContactId: dripContact.id
+            dripContactId: dripContact.id,
+            messagingServiceSid: dripContact.messaging_service_sid || null
         });
 
-        if (sendResult.success) {
-            console.log('[DripScheduler:Worker] Drip sent successfully:', {
-                messageId: sendResult.message?.id,
-                bRef: sendResult.message?.b_ref
-            });
+        console.log('[DripScheduler:Worker] Drip queued successfully:', {
+            messageId: sendResult.message?.id,
+            bRef: sendResult.message?.b_ref
+        });
 
-            await updateDripContactStatus(
-                dripContact.id,
-                DRIP_STATUS.SENT,
-                null,
-                sendResult.message?.id,
-                sendResult.message?.b_ref
-            );
+        await updateDripContactStatus(
+            dripContact.id,
+            DRIP_STATUS.SENT,
+            null,
+            sendResult.message?.id,
+            sendResult.message?.b_ref
+        );
 
-            await updateCampaignContactProgress(dripContact);
+        await updateCampaignContactProgress(dripContact);
 
-            return { success: true, messageId: sendResult.message?.id };
-        } else {
-            console.log('[DripScheduler:Worker] Drip send failed:', sendResult.twilioResponse?.errorMessage);
-            await updateDripContactStatus(
-                dripContact.id,
-                DRIP_STATUS.FAILED,
-                sendResult.twilioResponse?.errorMessage || 'Send failed'
-            );
-            return { success: false, error: sendResult.twilioResponse?.errorMessage };
-        }
+        return { success: true, messageId: sendResult.message?.id };
 
     } catch (error) {
         logger.error('[DripScheduler:Worker] executeDrip error:', error);
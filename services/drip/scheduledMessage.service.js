@@ -8,6 +8,7 @@
 const { to } = require('../util.service');
 const { dbReader, dbWriter } = require('../../config/database');
 const { logger } = require('../logger.service');
+const templateService = require('../template/template.service');
 const CONFIG = require('../../config/config');
 
 // Status constants
@@ -24,9 +25,13 @@ const SCHEDULED_MESSAGE_STATUS = {
 // Configuration from config
 const HIGH_SCALE_CONFIG = CONFIG.HIGH_SCALE_DRIP;
 
+// scheduled_messages.priority is only added when priority lanes are turned on
+const PRIORITY_ENABLED = CONFIG.RABBITMQ.MAX_PRIORITY > 0;
+
 /**
  * Get messages ready to be queued (Pre-Queue Worker calls this)
- * Returns messages scheduled within the next X minutes
+ * Returns messages scheduled within the next X minutes, highest priority first
+ * (with RABBITMQ_MAX_PRIORITY > 0), then oldest first
  */
 const getMessagesReadyForQueue = async (minutes = HIGH_SCALE_CONFIG.PRE_QUEUE_MINUTES, limit = HIGH_SCALE_CONFIG.PRE_QUEUE_BATCH) => {
     console.log('[ScheduledMessage] Fetching messages ready for queue...');
@@ -39,7 +44,10 @@ const getMessagesReadyForQueue = async (minutes = HIGH_SCALE_CONFIG.PRE_QUEUE_MI
             dbReader('scheduled_messages')
                 .where('status', SCHEDULED_MESSAGE_STATUS.PENDING)
                 .where('scheduled_at', '<=', futureTime)
-                .orderBy('scheduled_at', 'asc')
+                .orderBy([
+                    ...(PRIORITY_ENABLED ? [{ column: 'priority', order: 'desc' }] : []),
+                    { column: 'scheduled_at', order: 'asc' }
+                ])
                 .limit(limit)
         );
 
@@ -138,6 +146,112 @@ const markMessageAsFailed = async (scheduledMessageId, errorMessage) => {
     }
 };
 
+/**
+ * Fail a message before it's queued (content scanner block, template error), and its drip contact
+ * @param {Object} scheduledMessage - scheduled_messages row
+ * @param {string} reason
+ * @param {Array} flags - Content scanner flags, if any
+ */
+const markMessageAsBlocked = async (scheduledMessage, reason, flags) => {
+    try {
+        const [err] = await to(
+            dbWriter('scheduled_messages')
+                .where('id', scheduledMessage.id)
+                .update({
+                    status: SCHEDULED_MESSAGE_STATUS.FAILED,
+                    error_message: reason,
+                    content_flags: flags ? JSON.stringify(flags) : null,
+                    updated_at: new Date()
+                })
+        );
+
+        if (scheduledMessage.drip_contact_id) {
+            await to(
+                dbWriter('drip_contact')
+                    .where('id', scheduledMessage.drip_contact_id)
+                    .update({ status: 3, error_message: reason, updated_at: new Date() }) // FAILED
+            );
+        }
+
+        return !err;
+
+    } catch (error) {
+        logger.error('[ScheduledMessage] markMessageAsBlocked error:', error);
+        return false;
+    }
+};
+
+/**
+ * Contacts and campaign titles to render message templates with
+ * Only loaded for bodies that have template syntax
+ * @param {Array} messages - scheduled_messages rows
+ * @returns {Promise<{contacts: Map, campaigns: Map}|null>} Keyed by id; null on database errors
+ */
+const getTemplateData = async (messages) => {
+    const templated = messages.filter(msg => templateService.hasTemplateSyntax(msg.message));
+    const contactIds = [...new Set(templated.map(msg => msg.contact_id).filter(Boolean))];
+    const campaignIds = [...new Set(templated.map(msg => msg.campaign_id).filter(Boolean).map(String))];
+
+    const data = { contacts: new Map(), campaigns: new Map() };
+    if (contactIds.length === 0) return data;
+
+    const [contactsErr, contacts] = await to(
+        dbReader('contacts')
+            .select('id', 'name', 'phone', 'email', 'timezone', 'custom_fields')
+            .whereIn('id', contactIds)
+    );
+
+    if (contactsErr) {
+        logger.error('[ScheduledMessage] Error loading contacts for templates:', contactsErr);
+        return null;
+    }
+
+    (contacts || []).forEach(contact => data.contacts.set(String(contact.id), contact));
+
+    if (campaignIds.length > 0) {
+        const [campaignsErr, campaigns] = await to(
+            dbReader('campaigns')
+                .select('id', 'title')
+                .whereIn('id', campaignIds)
+        );
+
+        if (campaignsErr) {
+            logger.error('[ScheduledMessage] Error loading campaigns for templates:', campaignsErr);
+            return null;
+        }
+
+        (campaigns || []).forEach(campaign => data.campaigns.set(String(campaign.id), campaign.title));
+    }
+
+    return data;
+};
+
+/**
+ * Put a message back to pending for a later time (e.g. outside the send window)
+ * The pre-queue worker queues it again as scheduled_at comes round
+ */
+const rescheduleMessage = async (scheduledMessageId, scheduledAt, reason = null) => {
+    try {
+        const [err] = await to(
+            dbWriter('scheduled_messages')
+                .where('id', scheduledMessageId)
+                .update({
+                    status: SCHEDULED_MESSAGE_STATUS.PENDING,
+                    scheduled_at: scheduledAt,
+                    queued_at: null,
+                    error_message: reason,
+                    updated_at: new Date()
+                })
+        );
+
+        return !err;
+
+    } catch (error) {
+        logger.error('[ScheduledMessage] rescheduleMessage error:', error);
+        return false;
+    }
+};
+
 /**
  * Get scheduled message statistics
  */
@@ -196,11 +310,42 @@ const getScheduledMessageStats = async (campaignId = null, userId = null) => {
     }
 };
 
+/**
+ * Count QUEUED messages per priority - i.e. the drip queue's depth per lane
+ * @returns {Promise<Object|null>} { [priority]: count } - null without priority lanes
+ */
+const getQueuedCountsByPriority = async () => {
+    if (!PRIORITY_ENABLED) return null;
+
+    const [err, rows] = await to(
+        dbReader('scheduled_messages')
+            .select('priority')
+            .count('id as count')
+            .where('status', SCHEDULED_MESSAGE_STATUS.QUEUED)
+            .groupBy('priority')
+    );
+
+    if (err) {
+        logger.error('[ScheduledMessage] Error counting queued messages by priority:', err);
+        return null;
+    }
+
+    const result = {};
+    for (const row of rows || []) {
+        result[row.priority ?? 0] = parseInt(row.count, 10);
+    }
+    return result;
+};
+
 module.exports = {
     SCHEDULED_MESSAGE_STATUS,
     getMessagesReadyForQueue,
     markMessagesAsQueued,
     markMessageAsSent,
     markMessageAsFailed,
-    getScheduledMessageStats
+    markMessageAsBlocked,
+    getTemplateData,
+    rescheduleMessage,
+    getScheduledMessageStats,
+    getQueuedCountsByPriority
 };
@@ -0,0 +1,340 @@
+/**
+ * Link Tracking Service for sengine-workers
+ * Rewrites the URLs in an outbound body to short links on our own domain
+ * (LINK_TRACKING_BASE_URL) and records who clicks them.
+ *
+ * Every link in every message gets its own code, so a click is tied to the
+ * message, contact, drip and campaign it was sent with (tracked_links).
+ * The redirect server (workers/linkRedirectServer) resolves the code, sends
+ * the visitor on, and records the click (link_clicks) with a
+ * message.link_clicked webhook.
+ *
+ * Workspaces opt out with workspaces.link_tracking = false; null uses
+ * LINK_TRACKING_DEFAULT_ENABLED.
+ *
+ * @module services/links/linkTracking.service
+ */
+
+const crypto = require('crypto');
+const { dbReader, dbWriter } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const metrics = require('../metrics.service');
+const webhookProducer = require('../webhook/webhookProducer.service');
+const CONFIG = require('../../config/config');
+
+const CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// A code already taken fails the insert (Postgres unique_violation) - new
+// codes are drawn this many times before the original links are sent
+const INSERT_ATTEMPTS = 3;
+const UNIQUE_VIOLATION = '23505';
+
+// http(s) URLs in a body; trailing punctuation is trimmed off the match
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+
+// workspaceId -> { enabled, expiresAt }
+const workspaceCache = new Map();
+
+// code -> { link, expiresAt }
+const linkCache = new Map();
+
+const linksCreated = metrics.createCounter(
+    'tracked_links_created_total',
+    'Links in outbound bodies rewritten to tracked short links',
+    ['source']
+);
+
+const linkClicks = metrics.createCounter(
+    'link_clicks_total',
+    'Requests to the short link redirect server by result',
+    ['result']
+);
+
+/**
+ * Random code from CODE_ALPHABET
+ */
+const generateCode = (length = CONFIG.LINKS.CODE_LENGTH) => {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+};
+
+const shortUrl = (code) => `${CONFIG.LINKS.BASE_URL}/${code}`;
+
+/**
+ * Whether a workspace's links are tracked (workspaces.link_tracking)
+ * Cached for LINK_TRACKING_CACHE_TTL_MS; database errors fall back to the default
+ * @param {number} workspaceId
+ */
+const isEnabledForWorkspace = async (workspaceId) => {
+    if (!CONFIG.LINKS.BASE_URL) return false;
+    if (!workspaceId) return CONFIG.LINKS.DEFAULT_ENABLED;
+
+    const cached = workspaceCache.get(workspaceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.enabled;
+    }
+
+    const [err, workspace] = await to(
+        dbReader('workspaces')
+            .select('link_tracking')
+            .where({ id: workspaceId })
+            .first()
+    );
+
+    if (err) {
+        logger.error('[LinkTracking] Workspace setting lookup failed:', { workspaceId, error: err.message });
+        return CONFIG.LINKS.DEFAULT_ENABLED;
+    }
+
+    const setting = workspace?.link_tracking;
+    const enabled = setting === null || setting === undefined ? CONFIG.LINKS.DEFAULT_ENABLED : !!setting;
+
+    workspaceCache.set(workspaceId, { enabled, expiresAt: Date.now() + CONFIG.LINKS.CACHE_TTL_MS });
+    return enabled;
+};
+
+/**
+ * URLs in a body to rewrite, with where they are
+ * Links already on the short domain are left alone
+ * @param {string} body
+ * @returns {Array<{url: string, index: number}>}
+ */
+const findLinks = (body) => {
+    const links = [];
+    if (!body) return links;
+
+    for (const match of body.matchAll(URL_PATTERN)) {
+        const url = match[0].replace(TRAILING_PUNCTUATION, '');
+        if (url.length < 'http://a.b'.length) continue;
+        if (CONFIG.LINKS.BASE_URL && url.toLowerCase().startsWith(`${CONFIG.LINKS.BASE_URL.toLowerCase()}/`)) continue;
+        links.push({ url, index: match.index });
+    }
+
+    return links;
+};
+
+/**
+ * Rewrite the links in a body to tracked short links
+ * Never fails the send - if the links can't be saved the body goes out as it was
+ * @param {Object} params
+ * @param {string} params.body
+ * @param {number} params.userId
+ * @param {number} params.workspaceId
+ * @param {number} params.contactId
+ * @param {number} params.messageId - messages.id, when the row exists already
+ * @param {string} params.bRef - The send's b_ref, to find the row when it's inserted after the send
+ * @param {number} params.dripId
+ * @param {number} params.campaignId
+ * @param {string} params.source - Label for metrics
+ * @returns {Promise<{body: string, links: Array}>} links: the tracked_links rows created
+ */
+const shortenLinks = async ({ body, userId, workspaceId, contactId = null, messageId = null, bRef = null, dripId = null, campaignId = null, source = 'send' }) => {
+    const found = findLinks(body);
+    if (found.length === 0) {
+        return { body, links: [] };
+    }
+
+    const now = new Date();
+    let rows;
+    let err;
+    let links;
+
+    for (let attempt = 1; attempt <= INSERT_ATTEMPTS; attempt++) {
+        rows = found.map(({ url }) => ({
+            code: generateCode(),
+            url,
+            message_id: messageId,
+            b_ref: bRef,
+            user_id: userId,
+            workspace_id: workspaceId,
+            contact_id: contactId,
+            drip_id: dripId,
+            campaign_id: campaignId,
+            click_count: 0,
+            created_at: now
+        }));
+
+        // Not to() - it drops the driver's error code
+        err = null;
+        try {
+            links = await dbWriter('tracked_links')
+                .insert(rows)
+                .returning('*');
+        } catch (error) {
+            err = error;
+        }
+
+        if (!err || err.code !== UNIQUE_VIOLATION) break;
+
+        logger.warn('[LinkTracking] Short code collision, drawing new codes:', { bRef, attempt });
+    }
+
+    if (err) {
+        logger.error('[LinkTracking] Error saving tracked links, sending the original links:', { bRef, error: err.message });
+        return { body, links: [] };
+    }
+
+    // Replace from the end so earlier indexes stay valid
+    let rewritten = body;
+    for (let i = found.length - 1; i >= 0; i--) {
+        const { url, index } = found[i];
+        rewritten = rewritten.slice(0, index) + shortUrl(rows[i].code) + rewritten.slice(index + url.length);
+    }
+
+    linksCreated.inc({ source }, links.length);
+
+    return { body: rewritten, links };
+};
+
+/**
+ * Tie links to the message row once it exists (drip sends insert it after the send)
+ * @param {Array<number>} linkIds
+ * @param {number} messageId
+ */
+const attachMessage = async (linkIds, messageId) => {
+    if (!linkIds?.length || !messageId) return;
+
+    const [err] = await to(
+        dbWriter('tracked_links')
+            .whereIn('id', linkIds)
+            .update({ message_id: messageId })
+    );
+
+    if (err) {
+        logger.error('[LinkTracking] Error attaching links to message:', { messageId, error: err.message });
+    }
+};
+
+/**
+ * Remove links for a send that never went out
+ * @param {Array<number>} linkIds
+ */
+const deleteLinks = async (linkIds) => {
+    if (!linkIds?.length) return;
+
+    const [err] = await to(
+        dbWriter('tracked_links')
+            .whereIn('id', linkIds)
+            .del()
+    );
+
+    if (err) {
+        logger.error('[LinkTracking] Error removing unsent links:', { linkIds, error: err.message });
+    }
+};
+
+/**
+ * Link for a code, cached for LINK_TRACKING_CACHE_TTL_MS
+ * @param {string} code
+ * @returns {Promise<Object|null>} tracked_links row
+ */
+const resolveLink = async (code) => {
+    if (!code || code.length > 64) return null;
+
+    const cached = linkCache.get(code);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.link;
+    }
+
+    const [err, link] = await to(
+        dbReader('tracked_links')
+            .where({ code })
+            .first()
+    );
+
+    if (err) {
+        logger.error('[LinkTracking] Link lookup failed:', { code, error: err.message });
+        return null;
+    }
+
+    if (!link) return null;
+
+    linkCache.delete(code);
+    linkCache.set(code, { link, expiresAt: Date.now() + CONFIG.LINKS.CACHE_TTL_MS });
+
+    while (linkCache.size > CONFIG.LINKS.CACHE_SIZE) {
+        linkCache.delete(linkCache.keys().next().value);
+    }
+
+    return link;
+};
+
+/**
+ * Record a click and queue the message.link_clicked webhook
+ * @param {Object} link - tracked_links row
+ * @param {Object} request - { ip, userAgent, referer }
+ * @returns {Promise<Object|null>} link_clicks row
+ */
+const recordClick = async (link, { ip = null, userAgent = null, referer = null } = {}) => {
+    const clickedAt = new Date();
+
+    const [err, result] = await to(
+        dbWriter.transaction(async (trx) => {
+            // message_id may have been set after the link was cached
+            const [current] = await trx('tracked_links')
+                .where({ id: link.id })
+                .update({
+                    click_count: trx.raw('click_count + 1'),
+                    first_clicked_at: trx.raw('COALESCE(first_clicked_at, ?)', [clickedAt]),
+                    last_clicked_at: clickedAt
+                })
+                .returning('*');
+
+            const [click] = await trx('link_clicks')
+                .insert({
+                    link_id: link.id,
+                    message_id: current?.message_id || link.message_id || null,
+                    contact_id: link.contact_id,
+                    drip_id: link.drip_id,
+                    campaign_id: link.campaign_id,
+                    user_id: link.user_id,
+                    workspace_id: link.workspace_id,
+                    ip,
+                    user_agent: userAgent ? userAgent.slice(0, 512) : null,
+                    referer: referer ? referer.slice(0, 512) : null,
+                    clicked_at: clickedAt
+                })
+                .returning('*');
+
+            return { link: current || link, click };
+        })
+    );
+
+    if (err) {
+        logger.error('[LinkTracking] Error recording click:', { linkId: link.id, error: err.message });
+        return null;
+    }
+
+    const { link: current, click } = result;
+
+    await webhookProducer.queueLinkClickedEvent({
+        userId: current.user_id,
+        workspaceId: current.workspace_id,
+        messageId: click.message_id,
+        contactId: current.contact_id,
+        dripId: current.drip_id,
+        campaignId: current.campaign_id,
+        url: current.url,
+        shortUrl: shortUrl(current.code),
+        clickCount: current.click_count,
+        clickedAt
+    });
+
+    return click;
+};
+
+module.exports = {
+    linkClicks,
+    isEnabledForWorkspace,
+    findLinks,
+    shortenLinks,
+    attachMessage,
+    deleteLinks,
+    resolveLink,
+    recordClick
+};
@@ -0,0 +1,494 @@
+/**
+ * Media Service for sengine-workers
+ * Checks MMS media against carrier limits before a send is charged
+ *
+ * Each media URL is inspected (HEAD, or a download when that isn't enough):
+ * - a supported type within its size limit is sent as is
+ * - an image that is too large or in a format carriers don't take (WebP, TIFF,
+ *   AVIF, SVG) is resized and re-encoded as JPEG, then uploaded to
+ *   MEDIA_S3_BUCKET and sent from there
+ * - anything else can't be delivered as media and becomes a link in the body
+ *   (MEDIA_LINK_FALLBACK), so the recipient still gets it
+ * - a URL that is invalid or doesn't resolve fails the send
+ * - only public http(s) hosts are fetched: loopback, private and link-local
+ *   addresses (cloud metadata, internal services) are refused, redirects included
+ *
+ * Drips send the same file to every contact, so results are cached per URL.
+ *
+ * @module services/media/media.service
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const sharp = require('sharp');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { logger } = require('../logger.service');
+const metrics = require('../metrics.service');
+const CONFIG = require('../../config/config');
+
+const MEDIA_STATUS = {
+    OK: 'ok',                   // Sent as is
+    TRANSCODED: 'transcoded',   // Sent from our bucket after resizing/re-encoding
+    FALLBACK: 'fallback',       // Sent as a link in the body
+    REJECTED: 'rejected'        // Send fails
+};
+
+// Types carriers accept as MMS media
+const SUPPORTED_TYPES = new Set([
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'video/mp4',
+    'video/3gpp',
+    'audio/mpeg',
+    'audio/mp4',
+    'audio/amr',
+    'text/vcard',
+    'text/x-vcard',
+    'application/pdf'
+]);
+
+// Images we can re-encode as JPEG (GIF is left alone - resizing loses the animation)
+const TRANSCODABLE_TYPES = new Set([
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/tiff',
+    'image/avif',
+    'image/svg+xml'
+]);
+
+// JPEG qualities tried in turn until the image fits IMAGE_MAX_BYTES
+const JPEG_QUALITIES = [80, 70, 60, 50, 40];
+
+// Addresses media is never fetched from - customers choose the URL, and an
+// image we fetch is republished from our public bucket
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],     // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],    // Link-local, cloud metadata
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],       // Multicast
+    ['240.0.0.0', 4, 'ipv4'],       // Reserved, broadcast
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],          // Unique local
+    ['fe80::', 10, 'ipv6'],         // Link-local
+    ['ff00::', 8, 'ipv6']           // Multicast
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+// url -> { promise, expiresAt }
+const resultCache = new Map();
+
+let s3Client = null;
+
+const mediaResults = metrics.createCounter(
+    'mms_media_results_total',
+    'MMS media URLs checked before send, by outcome',
+    ['status']
+);
+
+/**
+ * 'image/jpeg; charset=binary' -> 'image/jpeg'
+ */
+const parseContentType = (header) => (header ? String(header).split(';')[0].trim().toLowerCase() : null);
+
+const parseSize = (header) => {
+    const size = parseInt(header, 10);
+    return isNaN(size) ? null : size;
+};
+
+const sizeLimitFor = (contentType) => (
+    contentType?.startsWith('image/') ? CONFIG.MEDIA.IMAGE_MAX_BYTES : CONFIG.MEDIA.MAX_TOTAL_BYTES
+);
+
+const result = (url, status, fields = {}) => ({
+    url,
+    originalUrl: url,
+    status,
+    contentType: null,
+    size: null,
+    reason: null,
+    ...fields
+});
+
+/**
+ * Whether an IP address is loopback, private, link-local or reserved
+ */
+const isBlockedAddress = (address) => {
+    const version = net.isIP(address);
+    if (version === 0) return false;
+
+    // ::ffff:10.0.0.1 (also written ::ffff:a00:1) reaches 10.0.0.1
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return blockedAddresses.check(mapped[1], 'ipv4');
+    }
+    const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (mappedHex) {
+        const high = parseInt(mappedHex[1], 16);
+        const low = parseInt(mappedHex[2], 16);
+        return blockedAddresses.check(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`, 'ipv4');
+    }
+
+    return blockedAddresses.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup that refuses blocked addresses
+ * Runs for every connection, redirects included, so a public name can't
+ * point at an internal address
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(new Error(`Media host ${hostname} is not a public address`));
+        }
+
+        callback(null, address, family);
+    });
+};
+
+const fetchAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Refuse a URL we must not fetch: not http(s), or an IP literal (those skip
+ * the DNS lookup) that isn't public
+ * @returns {string|null} Reason, null when it may be fetched
+ */
+const checkFetchable = ({ protocol, hostname }) => {
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        return 'Invalid media URL';
+    }
+
+    const host = (hostname || '').replace(/^\[|\]$/g, '');
+    if (!host || isBlockedAddress(host)) {
+        return `Media host ${host || '(none)'} is not a public address`;
+    }
+
+    return null;
+};
+
+// Applied to every fetch: follows redirects only to public http(s) hosts
+const fetchOptions = () => ({
+    ...fetchAgents,
+    timeout: CONFIG.MEDIA.FETCH_TIMEOUT_MS,
+    maxRedirects: 5,
+    beforeRedirect: (options) => {
+        const reason = checkFetchable(options);
+        if (reason) {
+            throw new Error(reason);
+        }
+    }
+});
+
+/**
+ * HEAD the URL for its type and size
+ * Servers that refuse HEAD get { contentType: null, size: null } - the download decides
+ */
+const inspectMedia = async (url) => {
+    try {
+        const response = await axios.head(url, {
+            ...fetchOptions(),
+            validateStatus: null
+        });
+
+        if (response.status === 404 || response.status === 410) {
+            return { ok: false, error: `Media not found (HTTP ${response.status})` };
+        }
+
+        if (response.status >= 400) {
+            return { ok: true, contentType: null, size: null };
+        }
+
+        return {
+            ok: true,
+            contentType: parseContentType(response.headers['content-type']),
+            size: parseSize(response.headers['content-length'])
+        };
+    } catch (error) {
+        return { ok: false, error: `Media unreachable: ${error.message}` };
+    }
+};
+
+/**
+ * Fetch the file, up to MEDIA_MAX_DOWNLOAD_BYTES
+ */
+const downloadMedia = async (url) => {
+    const response = await axios.get(url, {
+        ...fetchOptions(),
+        responseType: 'arraybuffer',
+        maxContentLength: CONFIG.MEDIA.MAX_DOWNLOAD_BYTES
+    });
+
+    return {
+        buffer: Buffer.from(response.data),
+        contentType: parseContentType(response.headers['content-type'])
+    };
+};
+
+/**
+ * Resize to IMAGE_MAX_DIMENSION and re-encode as JPEG until it fits IMAGE_MAX_BYTES
+ * @returns {Promise<Buffer|null>} null when even the lowest quality is too large
+ */
+const transcodeImage = async (buffer) => {
+    const image = sharp(buffer, { failOn: 'none' })
+        .rotate()
+        .resize({
+            width: CONFIG.MEDIA.IMAGE_MAX_DIMENSION,
+            height: CONFIG.MEDIA.IMAGE_MAX_DIMENSION,
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .flatten({ background: '#ffffff' });
+
+    for (const quality of JPEG_QUALITIES) {
+        const output = await image.clone().jpeg({ quality, mozjpeg: true }).toBuffer();
+        if (output.length <= CONFIG.MEDIA.IMAGE_MAX_BYTES) {
+            return output;
+        }
+    }
+
+    return null;
+};
+
+const getS3Client = () => {
+    if (!s3Client) {
+        s3Client = new S3Client({ region: CONFIG.MEDIA.S3_REGION });
+    }
+    return s3Client;
+};
+
+/**
+ * Upload a transcoded image and return its public URL
+ * Keyed by content hash, so the same image is stored once
+ * @returns {Promise<string|null>} null when no bucket is configured
+ */
+const uploadMedia = async (buffer, contentType = 'image/jpeg') => {
+    if (!CONFIG.MEDIA.S3_BUCKET) return null;
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const key = `${CONFIG.MEDIA.S3_PREFIX}${hash}.jpg`;
+
+    await getS3Client().send(new PutObjectCommand({
+        Bucket: CONFIG.MEDIA.S3_BUCKET,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+    }));
+
+    return CONFIG.MEDIA.PUBLIC_BASE_URL
+        ? `${CONFIG.MEDIA.PUBLIC_BASE_URL.replace(/\/$/, '')}/${key}`
+        : `https://${CONFIG.MEDIA.S3_BUCKET}.s3.${CONFIG.MEDIA.S3_REGION}.amazonaws.com/${key}`;
+};
+
+/**
+ * Decide what to do with one media URL
+ * @returns {Promise<Object>} { url, originalUrl, status, contentType, size, reason }
+ */
+const processMedia = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return result(url, MEDIA_STATUS.REJECTED, { reason: 'Invalid media URL' });
+    }
+
+    const refused = checkFetchable(parsed);
+    if (refused) {
+        return result(url, MEDIA_STATUS.REJECTED, { reason: refused });
+    }
+
+    const info = await inspectMedia(url);
+    if (!info.ok) {
+        return result(url, MEDIA_STATUS.REJECTED, { reason: info.error });
+    }
+
+    let { contentType, size } = info;
+
+    if (contentType && SUPPORTED_TYPES.has(contentType)) {
+        if (size !== null && size <= sizeLimitFor(contentType)) {
+            return result(url, MEDIA_STATUS.OK, { contentType, size });
+        }
+        if (!TRANSCODABLE_TYPES.has(contentType)) {
+            return size === null
+                ? result(url, MEDIA_STATUS.OK, { contentType })
+                : result(url, MEDIA_STATUS.FALLBACK, { contentType, size, reason: 'Media too large' });
+        }
+    } else if (contentType && !TRANSCODABLE_TYPES.has(contentType)) {
+        return result(url, MEDIA_STATUS.FALLBACK, { contentType, size, reason: `Unsupported media type ${contentType}` });
+    }
+
+    // Transcodable, or HEAD didn't tell us enough - look at the file itself
+    let downloaded;
+    try {
+        downloaded = await downloadMedia(url);
+    } catch (error) {
+        return error.message?.includes('maxContentLength')
+            ? result(url, MEDIA_STATUS.FALLBACK, { contentType, reason: 'Media too large to fetch' })
+            : result(url, MEDIA_STATUS.REJECTED, { contentType, reason: `Media unreachable: ${error.message}` });
+    }
+
+    contentType = contentType || downloaded.contentType;
+    size = downloaded.buffer.length;
+
+    if (SUPPORTED_TYPES.has(contentType) && size <= sizeLimitFor(contentType)) {
+        return result(url, MEDIA_STATUS.OK, { contentType, size });
+    }
+
+    if (!TRANSCODABLE_TYPES.has(contentType)) {
+        return result(url, MEDIA_STATUS.FALLBACK, {
+            contentType,
+            size,
+            reason: SUPPORTED_TYPES.has(contentType) ? 'Media too large' : `Unsupported media type ${contentType}`
+        });
+    }
+
+    try {
+        const output = await transcodeImage(downloaded.buffer);
+        if (!output) {
+            return result(url, MEDIA_STATUS.FALLBACK, { contentType, size, reason: 'Image too large after resizing' });
+        }
+
+        const hostedUrl = await uploadMedia(output);
+        if (!hostedUrl) {
+            return result(url, MEDIA_STATUS.FALLBACK, { contentType, size, reason: 'No media storage for the resized image' });
+        }
+
+        console.log('[Media] Transcoded image:', { url, from: contentType, size, transcodedSize: output.length });
+
+        return result(hostedUrl, MEDIA_STATUS.TRANSCODED, {
+            originalUrl: url,
+            contentType: 'image/jpeg',
+            size: output.length
+        });
+    } catch (error) {
+        logger.error('[Media] Transcode failed:', { url, error: error.message });
+        return result(url, MEDIA_STATUS.FALLBACK, { contentType, size, reason: 'Image could not be converted' });
+    }
+};
+
+/**
+ * processMedia, cached per URL for MEDIA_CACHE_TTL_MS
+ * Concurrent sends of the same file share one check; failed checks aren't cached
+ */
+const getMediaResult = (url) => {
+    const cached = resultCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.promise;
+    }
+
+    const promise = processMedia(url).then((outcome) => {
+        if (outcome.status === MEDIA_STATUS.REJECTED) {
+            resultCache.delete(url);
+        }
+        return outcome;
+    }).catch((error) => {
+        resultCache.delete(url);
+        throw error;
+    });
+
+    resultCache.delete(url);
+    resultCache.set(url, { promise, expiresAt: Date.now() + CONFIG.MEDIA.CACHE_TTL_MS });
+
+    // Oldest first
+    while (resultCache.size > CONFIG.MEDIA.CACHE_SIZE) {
+        resultCache.delete(resultCache.keys().next().value);
+    }
+
+    return promise;
+};
+
+/**
+ * Check a message's media and work out what to send
+ * Run before charging: a rejected URL fails the send without costing credits.
+ *
+ * @param {string} body - Message text
+ * @param {string|string[]} mediaUrl - One URL or several
+ * @returns {Promise<{body: string, mediaUrl: string|string[]|null, fallbackUrls: string[], items: Object[], error: string|null}>}
+ *          mediaUrl keeps the caller's shape (a string for one URL); error is set when the send must fail
+ */
+const prepareMedia = async (body, mediaUrl) => {
+    const urls = [].concat(mediaUrl || []).filter(Boolean);
+    if (urls.length === 0) {
+        return { body, mediaUrl: null, fallbackUrls: [], items: [], error: null };
+    }
+
+    const items = [];
+    for (const url of urls) {
+        items.push(await getMediaResult(url));
+    }
+
+    items.forEach(item => mediaResults.inc({ status: item.status }));
+
+    const rejected = items.find(item => item.status === MEDIA_STATUS.REJECTED);
+    if (rejected) {
+        return { body, mediaUrl: null, fallbackUrls: [], items, error: `${rejected.reason}: ${rejected.originalUrl}` };
+    }
+
+    // Keep what fits the per-message count and size limits, in order
+    const deliverable = [];
+    const fallbackUrls = [];
+    let totalBytes = 0;
+
+    for (const item of items) {
+        const fits = deliverable.length < CONFIG.MEDIA.MAX_COUNT
+            && totalBytes + (item.size || 0) <= CONFIG.MEDIA.MAX_TOTAL_BYTES;
+
+        if (item.status === MEDIA_STATUS.FALLBACK || !fits) {
+            fallbackUrls.push(item.originalUrl);
+        } else {
+            deliverable.push(item.url);
+            totalBytes += item.size || 0;
+        }
+    }
+
+    if (fallbackUrls.length > 0) {
+        const reasons = items.filter(item => item.reason).map(item => item.reason);
+
+        if (!CONFIG.MEDIA.LINK_FALLBACK) {
+            return { body, mediaUrl: null, fallbackUrls: [], items, error: `Media can't be delivered: ${reasons.join('; ') || 'over the message limits'}` };
+        }
+
+        logger.warn('[Media] Sending media as links:', { fallbackUrls, reasons });
+    }
+
+    const sendBody = fallbackUrls.length > 0
+        ? [body, ...fallbackUrls].filter(Boolean).join('\n')
+        : body;
+
+    let sendMedia = null;
+    if (deliverable.length > 0) {
+        sendMedia = Array.isArray(mediaUrl) ? deliverable : deliverable[0];
+    }
+
+    return { body: sendBody, mediaUrl: sendMedia, fallbackUrls, items, error: null };
+};
+
+module.exports = {
+    MEDIA_STATUS,
+    SUPPORTED_TYPES,
+    TRANSCODABLE_TYPES,
+    transcodeImage,
+    uploadMedia,
+    prepareMedia
+};
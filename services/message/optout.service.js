@@ -6,32 +6,21 @@
  */
 
 const { to } = require('../util.service');
-const { dbReader } = require('../../config/database');
+const { dbReader, dbWriter } = require('../../config/database');
 const { logger } = require('../logger.service');
-
-/**
- * Normalize phone number for comparison
- */
-const normalizePhone = (phone) => {
-    if (!phone) return '';
-    return phone.replace(/\D/g, '');
-};
+const { phoneVariants, toE164 } = require('../phone/phone.service');
 
 /**
  * Check if a phone number is opted out for a user
+ * @param {string} phone - Number in any format
+ * @param {number} userId
+ * @param {string} region - Region for numbers without a country code (the workspace's)
  */
-const checkOptOut = async (phone, userId) => {
-    const normalizedPhone = normalizePhone(phone);
-
+const checkOptOut = async (phone, userId, region) => {
     const [err, optout] = await to(
         dbReader('contacts_optout')
             .where({ user_id: userId })
-            .where(function() {
-                this.where('phone', phone)
-                    .orWhere('phone', normalizedPhone)
-                    .orWhere('phone', '+' + normalizedPhone)
-                    .orWhere('phone', '+1' + normalizedPhone);
-            })
+            .whereIn('phone', phoneVariants(phone, region))
             .first()
     );
 
@@ -43,6 +32,50 @@ const checkOptOut = async (phone, userId) => {
     return !!optout;
 };
 
+/**
+ * Add a number to a user's opt-out list (no-op if it is already there)
+ * @returns {Promise<boolean>} false on database error
+ */
+const addOptOut = async (phone, userId, region) => {
+    if (await checkOptOut(phone, userId, region)) return true;
+
+    const [err] = await to(
+        dbWriter('contacts_optout')
+            .insert({
+                user_id: userId,
+                phone: toE164(phone, region) || phone,
+                created_at: new Date()
+            })
+    );
+
+    if (err) {
+        logger.error('[OptOut] Error adding opt-out:', err);
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Remove a number from a user's opt-out list, in every stored format
+ * @returns {Promise<boolean>} false on database error
+ */
+const removeOptOut = async (phone, userId, region) => {
+    const [err] = await to(
+        dbWriter('contacts_optout')
+            .where({ user_id: userId })
+            .whereIn('phone', phoneVariants(phone, region))
+            .del()
+    );
+
+    if (err) {
+        logger.error('[OptOut] Error removing opt-out:', err);
+        return false;
+    }
+
+    return true;
+};
+
 /**
  * Check if a contact is opted out
  */
@@ -64,6 +97,7 @@ const checkContactOptOut = async (contactId) => {
 
 module.exports = {
     checkOptOut,
-    checkContactOptOut,
-    normalizePhone
+    addOptOut,
+    removeOptOut,
+    checkContactOptOut
 };
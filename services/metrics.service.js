@@ -0,0 +1,311 @@
+/**
+ * Metrics Service for sengine-workers
+ * Minimal Prometheus registry and the HTTP /metrics endpoint
+ *
+ * Counters and histograms are updated where things happen (consumers,
+ * senders). Values that already live in module state - queue depth, DB pool,
+ * worker stats - are read by collectors when Prometheus scrapes, so there is
+ * no polling loop.
+ *
+ * @module services/metrics.service
+ */
+
+const http = require('http');
+const CONFIG = require('../config/config');
+const { logger } = require('./logger.service');
+
+const PREFIX = 'sengine_';
+
+// Latency buckets in seconds (Twilio API calls, rate limiter waits)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// name -> metric
+const metrics = new Map();
+
+// async () => void, run before every scrape
+const collectors = [];
+
+let server = null;
+
+/**
+ * Escape a label value for the text format
+ */
+const escapeLabel = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+/**
+ * Build a stable series key / label string from a labels object
+ */
+const formatLabels = (labelNames, labels = {}) => {
+    const pairs = labelNames
+        .filter(name => labels[name] !== undefined && labels[name] !== null)
+        .map(name => `${name}="${escapeLabel(labels[name])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+/**
+ * Counter or gauge: one value per label set
+ * Counters mirrored from a module's own totals use set() from a collector
+ */
+const createSimpleMetric = (type, name, help, labelNames = []) => {
+    const series = new Map();
+
+    const metric = {
+        name: PREFIX + name,
+        type,
+        help,
+
+        inc(labels = {}, value = 1) {
+            const key = formatLabels(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + value);
+        },
+
+        set(labels = {}, value) {
+            series.set(formatLabels(labelNames, labels), Number(value) || 0);
+        },
+
+        reset() {
+            series.clear();
+        },
+
+        render() {
+            return Array.from(series.entries())
+                .map(([labels, value]) => `${metric.name}${labels} ${formatValue(value)}`);
+        }
+    };
+
+    return metric;
+};
+
+/**
+ * Histogram with cumulative buckets, _sum and _count
+ */
+const createHistogramMetric = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const series = new Map();
+    const bounds = [...buckets].sort((a, b) => a - b);
+
+    const metric = {
+        name: PREFIX + name,
+        type: 'histogram',
+        help,
+
+        observe(labels = {}, value) {
+            const key = formatLabels(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, counts: bounds.map(() => 0), sum: 0, count: 0 });
+            }
+
+            const entry = series.get(key);
+            bounds.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+
+        /**
+         * Start a timer; call the returned function to observe the elapsed seconds
+         */
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (extraLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                metric.observe({ ...labels, ...extraLabels }, seconds);
+                return seconds;
+            };
+        },
+
+        reset() {
+            series.clear();
+        },
+
+        render() {
+            const lines = [];
+            series.forEach(entry => {
+                bounds.forEach((bound, index) => {
+                    const labels = formatLabels([...labelNames, 'le'], { ...entry.labels, le: formatValue(bound) });
+                    lines.push(`${metric.name}_bucket${labels} ${entry.counts[index]}`);
+                });
+                const infLabels = formatLabels([...labelNames, 'le'], { ...entry.labels, le: '+Inf' });
+                lines.push(`${metric.name}_bucket${infLabels} ${entry.count}`);
+
+                const labels = formatLabels(labelNames, entry.labels);
+                lines.push(`${metric.name}_sum${labels} ${entry.sum}`);
+                lines.push(`${metric.name}_count${labels} ${entry.count}`);
+            });
+            return lines;
+        }
+    };
+
+    return metric;
+};
+
+const register = (metric) => {
+    if (metrics.has(metric.name)) {
+        throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+};
+
+/**
+ * Create and register a counter (name without the sengine_ prefix)
+ */
+const createCounter = (name, help, labelNames) => register(createSimpleMetric('counter', name, help, labelNames));
+
+/**
+ * Create and register a gauge
+ */
+const createGauge = (name, help, labelNames) => register(createSimpleMetric('gauge', name, help, labelNames));
+
+/**
+ * Create and register a histogram
+ */
+const createHistogram = (name, help, labelNames, buckets) => register(createHistogramMetric(name, help, labelNames, buckets));
+
+/**
+ * Add a function that refreshes gauges (or mirrored counters) before each scrape
+ * @param {Function} collector - async () => void
+ */
+const registerCollector = (collector) => {
+    collectors.push(collector);
+};
+
+/**
+ * Run a collector, giving up after COLLECT_TIMEOUT_MS
+ * A collector waiting on a dead database must not hang the scrape
+ */
+const runCollector = (collector) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Collector timed out after ${CONFIG.METRICS.COLLECT_TIMEOUT_MS}ms`)), CONFIG.METRICS.COLLECT_TIMEOUT_MS);
+    });
+
+    return Promise.race([collector(), timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run collectors and render every metric in Prometheus text format
+ * Metrics a failed collector owns keep their previous values
+ * @returns {Promise<string>}
+ */
+const render = async () => {
+    const results = await Promise.allSettled(collectors.map(runCollector));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => logger.warn('[Metrics] Collector failed:', result.reason?.message || result.reason));
+
+    const lines = [];
+    metrics.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...metric.render());
+    });
+    return lines.join('\n') + '\n';
+};
+
+// =============================================================================
+// SHARED METRICS
+// =============================================================================
+
+const workerMessages = createCounter(
+    'worker_messages_total',
+    'Messages handled by a worker, by outcome (processed, retried, failed)',
+    ['worker', 'queue', 'outcome']
+);
+
+const sendDuration = createHistogram(
+    'sms_send_duration_seconds',
+    'Time spent in the SMS provider API call',
+    ['worker', 'result']
+);
+
+const rateLimiterWait = createHistogram(
+    'rate_limiter_wait_seconds',
+    'Time a send waited for a rate limiter token',
+    ['worker']
+);
+
+// =============================================================================
+// HTTP ENDPOINT
+// =============================================================================
+
+/**
+ * Port for this process - PM2 fork instances get consecutive ports
+ */
+const getPort = () => CONFIG.METRICS.PORT + parseInt(process.env.NODE_APP_INSTANCE || '0', 10);
+
+/**
+ * Start the /metrics HTTP server
+ * @returns {Promise<http.Server|null>}
+ */
+const startServer = () => {
+    if (!CONFIG.METRICS.ENABLED || server) return Promise.resolve(server);
+
+    const port = getPort();
+
+    server = http.createServer(async (req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== CONFIG.METRICS.PATH) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        try {
+            const body = await render();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            logger.error('[Metrics] Error rendering metrics:', error);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Error rendering metrics\n');
+        }
+    });
+
+    return new Promise((resolve) => {
+        server.once('error', (error) => {
+            // Metrics are optional - never take the workers down over a busy port
+            console.error(`[Metrics] Could not listen on port ${port}:`, error.message);
+            logger.error('[Metrics] Server error:', error);
+            server = null;
+            resolve(null);
+        });
+
+        server.listen(port, CONFIG.METRICS.HOST, () => {
+            console.log(`[Metrics] Serving http://${CONFIG.METRICS.HOST}:${port}${CONFIG.METRICS.PATH}`);
+            resolve(server);
+        });
+    });
+};
+
+/**
+ * Stop the /metrics HTTP server
+ */
+const stopServer = () => {
+    if (!server) return Promise.resolve();
+
+    const closing = server;
+    server = null;
+    return new Promise(resolve => closing.close(() => resolve()));
+};
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    registerCollector,
+    render,
+    startServer,
+    stopServer,
+    workerMessages,
+    sendDuration,
+    rateLimiterWait
+};
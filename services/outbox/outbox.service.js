@@ -0,0 +1,318 @@
+/**
+ * Outbox Service for sengine-workers
+ * Transactional outbox: a broker message is written to the `outbox` table in
+ * the same transaction as the row it belongs to, then published from there.
+ *
+ * Writing a row and then publishing separately loses the message if the
+ * process dies in between - the row is left for nothing to process. With the
+ * outbox both commit or neither does, and publishing is retried until the
+ * broker confirms:
+ *
+ *   pending ──claim──► dispatching ──confirm──► dispatched
+ *      ▲                    │
+ *      └──── nack/error ────┘  (backoff)
+ *
+ * - Fast path: the producer calls dispatch() right after its commit
+ * - Relay (outboxRelayWorker): publishes whatever is pending
+ * - Sweeper (outboxRelayWorker): re-publishes entries stuck in dispatching
+ *   because the process claiming them died before marking them
+ *
+ * Claims use FOR UPDATE SKIP LOCKED, so any number of relays can run.
+ * Delivery is at-least-once - consumers skip work that is already done.
+ *
+ * @module services/outbox/outbox.service
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { dbWriter } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const rabbitmq = require('../../config/rabbitmq');
+const schemaRegistry = require('../schema/schemaRegistry.service');
+const metrics = require('../metrics.service');
+const CONFIG = require('../../config/config');
+
+const TABLE = 'outbox';
+
+const STATUS = {
+    PENDING: 'pending',
+    DISPATCHING: 'dispatching',
+    DISPATCHED: 'dispatched'
+};
+
+const outboxPublished = metrics.createCounter(
+    'outbox_published_total',
+    'Outbox entries published, by aggregate type, result and who published them',
+    ['aggregate_type', 'result', 'publisher']
+);
+
+/**
+ * Write a broker message in the caller's transaction
+ * The payload is validated (and stamped with its schemaVersion) now, so a bad
+ * message rolls back the transaction instead of failing on every relay cycle.
+ *
+ * @param {Object} trx - Knex transaction (or dbWriter outside one)
+ * @param {Object} entry
+ * @param {string} entry.aggregateType - What the message is about, e.g. 'message', 'webhook_delivery'
+ * @param {number} entry.aggregateId - Id of that row
+ * @param {string} entry.routingKey - rabbitmq.ROUTING_KEYS value (inbox exchange)
+ * @param {Object} entry.payload - Message to publish
+ * @param {Date} entry.availableAt - Not published before this (defaults to now)
+ * @returns {Promise<Object>} The outbox row
+ */
+const enqueue = async (trx, { aggregateType, aggregateId = null, routingKey, payload, availableAt = new Date() }) => {
+    const { payload: prepared, report } = schemaRegistry.preparePayload(payload);
+    if (schemaRegistry.shouldReject(report, { routingKey, aggregateType, aggregateId })) {
+        throw new Error(schemaRegistry.formatReport(report));
+    }
+
+    const [entry] = await trx(TABLE)
+        .insert({
+            uid: uuidv4(),
+            aggregate_type: aggregateType,
+            aggregate_id: aggregateId,
+            routing_key: routingKey,
+            payload: prepared,
+            status: STATUS.PENDING,
+            attempts: 0,
+            available_at: availableAt,
+            created_at: new Date()
+        })
+        .returning('*');
+
+    return entry;
+};
+
+/**
+ * Move entries to dispatching and return them
+ * @param {Function} scope - Narrows the candidate rows (this = query builder)
+ * @param {number} limit
+ */
+const claim = async (scope, limit) => {
+    const now = new Date();
+
+    const [err, entries] = await to(
+        dbWriter(TABLE)
+            .whereIn('id', function() {
+                this.select('id')
+                    .from(TABLE)
+                    .where(scope)
+                    .orderBy('id')
+                    .limit(limit)
+                    .forUpdate()
+                    .skipLocked();
+            })
+            .update({
+                status: STATUS.DISPATCHING,
+                claimed_at: now,
+                attempts: dbWriter.raw('attempts + 1')
+            })
+            .returning('*')
+    );
+
+    if (err) {
+        logger.error('[Outbox] Claim failed:', { error: err.message });
+        return [];
+    }
+
+    return entries || [];
+};
+
+const claimPending = (limit) => claim(function() {
+    this.where('status', STATUS.PENDING).where('available_at', '<=', new Date());
+}, limit);
+
+const claimByIds = (ids) => claim(function() {
+    this.whereIn('id', ids).where('status', STATUS.PENDING);
+}, ids.length);
+
+const claimStuck = (limit) => claim(function() {
+    this.where('status', STATUS.DISPATCHING)
+        .where('claimed_at', '<', new Date(Date.now() - CONFIG.OUTBOX.CLAIM_TIMEOUT_MS));
+}, limit);
+
+/**
+ * Wait before the next attempt: doubles per attempt, capped
+ */
+const backoffMs = (attempts) => Math.min(
+    CONFIG.OUTBOX.RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)),
+    CONFIG.OUTBOX.RETRY_MAX_MS
+);
+
+/**
+ * Publish claimed entries and record the outcome
+ * Confirmed entries become dispatched; the rest go back to pending with a backoff
+ * @param {Array} entries - Claimed outbox rows
+ * @param {string} publisher - 'producer', 'relay' or 'sweeper' (metrics)
+ * @returns {Promise<{dispatched: number, failed: number}>}
+ */
+const publishEntries = async (entries, publisher) => {
+    if (entries.length === 0) {
+        return { dispatched: 0, failed: 0 };
+    }
+
+    const results = await Promise.all(entries.map(entry =>
+        rabbitmq.publish(entry.routing_key, entry.payload, { messageId: entry.uid })
+    ));
+
+    const dispatched = entries.filter((entry, index) => results[index]);
+    const failed = entries.filter((entry, index) => !results[index]);
+
+    if (dispatched.length > 0) {
+        const [markErr] = await to(
+            dbWriter(TABLE)
+                .whereIn('id', dispatched.map(entry => entry.id))
+                .update({ status: STATUS.DISPATCHED, dispatched_at: new Date(), last_error: null })
+        );
+
+        // Published but still dispatching - the sweeper publishes them again
+        if (markErr) {
+            logger.error('[Outbox] Failed to mark entries dispatched:', { count: dispatched.length, error: markErr.message });
+        }
+    }
+
+    for (const entry of failed) {
+        await to(
+            dbWriter(TABLE)
+                .where({ id: entry.id })
+                .update({
+                    status: STATUS.PENDING,
+                    available_at: new Date(Date.now() + backoffMs(entry.attempts)),
+                    last_error: 'Publish not confirmed by the broker'
+                })
+        );
+    }
+
+    dispatched.forEach(entry => outboxPublished.inc({ aggregate_type: entry.aggregate_type, result: 'dispatched', publisher }));
+    failed.forEach(entry => outboxPublished.inc({ aggregate_type: entry.aggregate_type, result: 'failed', publisher }));
+
+    if (failed.length > 0) {
+        logger.warn('[Outbox] Entries not published, will retry:', {
+            publisher,
+            ids: failed.map(entry => entry.id)
+        });
+    }
+
+    return { dispatched: dispatched.length, failed: failed.length };
+};
+
+/**
+ * Publish entries the caller just committed (fast path)
+ * Never throws - whatever isn't published here is left to the relay
+ * @param {Array} entries - Rows returned by enqueue()
+ */
+const dispatch = async (entries) => {
+    const ids = (entries || []).filter(Boolean).map(entry => entry.id);
+    if (ids.length === 0 || !rabbitmq.isConnected()) {
+        return { dispatched: 0, failed: 0 };
+    }
+
+    try {
+        return await publishEntries(await claimByIds(ids), 'producer');
+    } catch (error) {
+        logger.error('[Outbox] Dispatch error (relay will publish):', { ids, error: error.message });
+        return { dispatched: 0, failed: ids.length };
+    }
+};
+
+/**
+ * Publish one batch of pending entries (relay)
+ */
+const relayBatch = async (limit = CONFIG.OUTBOX.BATCH_SIZE) => {
+    const entries = await claimPending(limit);
+    const result = await publishEntries(entries, 'relay');
+    return { claimed: entries.length, ...result };
+};
+
+/**
+ * Re-publish entries stuck in dispatching (sweeper)
+ */
+const sweepStuck = async (limit = CONFIG.OUTBOX.BATCH_SIZE) => {
+    const entries = await claimStuck(limit);
+
+    if (entries.length > 0) {
+        logger.warn('[Outbox] Re-publishing stuck entries:', { ids: entries.map(entry => entry.id) });
+    }
+
+    const result = await publishEntries(entries, 'sweeper');
+    return { claimed: entries.length, ...result };
+};
+
+/**
+ * Delete dispatched entries older than OUTBOX_RETENTION_HOURS
+ * @returns {Promise<number>} Rows deleted
+ */
+const purgeDispatched = async () => {
+    const cutoff = new Date(Date.now() - CONFIG.OUTBOX.RETENTION_HOURS * 60 * 60 * 1000);
+
+    const [err, deleted] = await to(
+        dbWriter(TABLE)
+            .where('status', STATUS.DISPATCHED)
+            .where('dispatched_at', '<', cutoff)
+            .del()
+    );
+
+    if (err) {
+        logger.error('[Outbox] Purge failed:', { error: err.message });
+        return 0;
+    }
+
+    return deleted || 0;
+};
+
+/**
+ * Entries per status, and how long the oldest due entry has waited
+ * Pending entries held for later (available_at in the future, e.g. sends
+ * deferred to the recipient's send window) are counted as deferred and
+ * don't age until they are due
+ */
+const getStats = async () => {
+    const now = new Date();
+
+    const [err, rows] = await to(
+        dbWriter(TABLE)
+            .select('status')
+            .count('* as count')
+            .min('available_at as oldest')
+            .where(function() {
+                this.where('status', STATUS.DISPATCHING)
+                    .orWhere(function() {
+                        this.where('status', STATUS.PENDING).where('available_at', '<=', now);
+                    });
+            })
+            .groupBy('status')
+    );
+
+    const [deferredErr, deferred] = await to(
+        dbWriter(TABLE)
+            .count('* as count')
+            .where('status', STATUS.PENDING)
+            .where('available_at', '>', now)
+            .first()
+    );
+
+    if (err || deferredErr) {
+        logger.error('[Outbox] Stats query failed:', { error: (err || deferredErr).message });
+        return null;
+    }
+
+    const stats = { pending: 0, deferred: parseInt(deferred?.count || 0, 10), dispatching: 0, oldestPendingMs: null };
+    (rows || []).forEach(row => {
+        stats[row.status] = parseInt(row.count, 10);
+        if (row.status === STATUS.PENDING && row.oldest) {
+            stats.oldestPendingMs = Math.max(0, now.getTime() - new Date(row.oldest).getTime());
+        }
+    });
+
+    return stats;
+};
+
+module.exports = {
+    STATUS,
+    enqueue,
+    dispatch,
+    relayBatch,
+    sweepStuck,
+    purgeDispatched,
+    getStats
+};
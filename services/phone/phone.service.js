@@ -0,0 +1,146 @@
+/**
+ * Phone Service for sengine-workers
+ * Country-aware parsing, validation and E.164 normalization
+ *
+ * Numbers without a country code are read in a default region: the
+ * workspace's `default_region`, else PHONE_DEFAULT_REGION. Older rows stored
+ * numbers as bare digits ('5551234567', '15551234567'), so lookups match
+ * every format a number may have been saved in (see phoneVariants).
+ *
+ * @module services/phone/phone.service
+ */
+
+// The "max" metadata is needed for number types (mobile/landline)
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { dbReader } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const CONFIG = require('../../config/config');
+
+// workspaceId -> { region, expiresAt }
+const regionCache = new Map();
+
+/**
+ * Parse a phone number
+ * Numbers saved without their '+' ('447700900123') are retried as international
+ * @param {string} phone - Raw number in any format
+ * @param {string} region - ISO 3166 region for national numbers
+ * @returns {Object|null} { e164, country, countryCallingCode, nationalNumber, type, valid } or null when unparseable
+ */
+const parsePhone = (phone, region = CONFIG.PHONE.DEFAULT_REGION) => {
+    if (!phone) return null;
+
+    const raw = String(phone).trim();
+    const digits = raw.replace(/\D/g, '');
+    if (!digits) return null;
+
+    const candidates = raw.startsWith('+')
+        ? [parsePhoneNumberFromString(raw)]
+        : [parsePhoneNumberFromString(raw, region), parsePhoneNumberFromString('+' + digits)];
+
+    const possible = candidates.filter(parsed => parsed && parsed.isPossible());
+    const parsed = possible.find(candidate => candidate.isValid()) || possible[0];
+    if (!parsed) return null;
+
+    return {
+        e164: parsed.number,
+        country: parsed.country || null,
+        countryCallingCode: parsed.countryCallingCode,
+        nationalNumber: parsed.nationalNumber,
+        type: parsed.getType() || null,
+        valid: parsed.isValid()
+    };
+};
+
+/**
+ * Canonical E.164 (+447700900123), or null when unparseable
+ */
+const toE164 = (phone, region) => parsePhone(phone, region)?.e164 || null;
+
+/**
+ * E.164 without the '+' - the format messages.from_number / to_number use
+ */
+const toDigits = (phone, region) => toE164(phone, region)?.substring(1) || '';
+
+/**
+ * Every format a number may be stored in, for WHERE phone IN (...) lookups
+ * The bare 10-digit form only exists for NANP numbers (the old '+1' guess)
+ * @returns {string[]}
+ */
+const phoneVariants = (phone, region) => {
+    if (!phone) return [];
+
+    const parsed = parsePhone(phone, region);
+    const variants = [String(phone)];
+
+    if (parsed) {
+        variants.push(parsed.e164, parsed.e164.substring(1));
+        if (parsed.countryCallingCode === '1') {
+            variants.push(parsed.nationalNumber);
+        }
+    } else {
+        // Unparseable - still match rows saved with the same digits
+        variants.push(String(phone).replace(/\D/g, ''));
+    }
+
+    return [...new Set(variants.filter(Boolean))];
+};
+
+/**
+ * Check a number we are about to send to
+ * Landlines can't receive SMS; FIXED_LINE_OR_MOBILE (all of NANP) is allowed
+ * @returns {{valid: boolean, e164: string|null, type: string|null, error: string|null}}
+ */
+const validateRecipient = (phone, region) => {
+    const parsed = parsePhone(phone, region);
+
+    if (!parsed || !parsed.valid) {
+        return { valid: false, e164: parsed?.e164 || null, type: parsed?.type || null, error: 'Invalid phone number' };
+    }
+
+    if (CONFIG.PHONE.REJECT_LANDLINES && parsed.type === 'FIXED_LINE') {
+        return { valid: false, e164: parsed.e164, type: parsed.type, error: 'Phone number is a landline' };
+    }
+
+    return { valid: true, e164: parsed.e164, type: parsed.type, error: null };
+};
+
+/**
+ * Default region for a workspace (workspaces.default_region)
+ * Cached for PHONE_REGION_CACHE_TTL_MS; database errors fall back to PHONE_DEFAULT_REGION
+ * @param {number} workspaceId
+ * @returns {Promise<string>}
+ */
+const getWorkspaceRegion = async (workspaceId) => {
+    if (!workspaceId) return CONFIG.PHONE.DEFAULT_REGION;
+
+    const cached = regionCache.get(workspaceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.region;
+    }
+
+    const [err, workspace] = await to(
+        dbReader('workspaces')
+            .select('default_region')
+            .where({ id: workspaceId })
+            .first()
+    );
+
+    if (err) {
+        logger.error('[Phone] Workspace region lookup failed:', { workspaceId, error: err.message });
+        return CONFIG.PHONE.DEFAULT_REGION;
+    }
+
+    const region = workspace?.default_region ? String(workspace.default_region).toUpperCase() : CONFIG.PHONE.DEFAULT_REGION;
+    regionCache.set(workspaceId, { region, expiresAt: Date.now() + CONFIG.PHONE.REGION_CACHE_TTL_MS });
+    return region;
+};
+
+module.exports = {
+    parsePhone,
+    toE164,
+    toDigits,
+    phoneVariants,
+    validateRecipient,
+    getWorkspaceRegion
+};
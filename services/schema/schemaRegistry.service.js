@@ -0,0 +1,403 @@
+/**
+ * Queue Payload Schema Registry for sengine-workers
+ * Versioned schemas for every message we publish or consume
+ *
+ * Every payload carries a `schemaVersion` (payloads without one are treated
+ * as version 1, i.e. published before versioning). Several versions of a type
+ * can be registered at once so producers and consumers can be rolled out
+ * independently: consumers accept any registered version, producers stamp
+ * the newest one unless the payload already names a version.
+ *
+ * Validation mode (SCHEMA_VALIDATION):
+ * - enforce: invalid payloads are not published / are dead-lettered on consume
+ * - warn:    invalid payloads are logged and processed anyway
+ * - off:     no validation
+ *
+ * @module services/schema/schemaRegistry.service
+ */
+
+const { logger } = require('../logger.service');
+const { PROVIDER_NAMES } = require('../sms/providers');
+const CONFIG = require('../../config/config');
+
+// type -> { version -> schema }
+const registry = new Map();
+
+const LEGACY_VERSION = 1;
+
+/**
+ * Field rule shorthands
+ * A rule is { type, required, nullable, enum, format, properties, check }
+ * `type` may be an array of types; `check(value, payload)` returns an error message or null
+ */
+const required = (type, extra = {}) => ({ type, required: true, ...extra });
+const optional = (type, extra = {}) => ({ type, required: false, nullable: true, ...extra });
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    // Database ids arrive as numbers or numeric strings depending on the producer
+    id: value => (Number.isInteger(value) && value > 0) || (typeof value === 'string' && /^\d+$/.test(value)),
+    // Date objects (before serialization) or date strings (after)
+    date: value => (value instanceof Date && !isNaN(value.getTime()))
+        || (typeof value === 'string' && !isNaN(new Date(value).getTime())),
+    any: () => true
+};
+
+const FORMAT_CHECKS = {
+    url: value => /^https?:\/\/\S+$/i.test(value)
+};
+
+/**
+ * Validate a value against a rule, collecting errors
+ * Unknown object keys are reported as warnings - extra fields don't break consumers
+ */
+const validateValue = (value, rule, path, report, root) => {
+    if (value === undefined) {
+        if (rule.required) report.errors.push({ path, message: 'is required' });
+        return;
+    }
+
+    if (value === null) {
+        if (!rule.nullable) report.errors.push({ path, message: 'must not be null' });
+        return;
+    }
+
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+        report.errors.push({ path, message: `must be ${types.join(' or ')}` });
+        return;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        report.errors.push({ path, message: `must be one of ${rule.enum.join(', ')}` });
+    }
+
+    if (rule.format && typeof value === 'string' && !FORMAT_CHECKS[rule.format](value)) {
+        report.errors.push({ path, message: `must be a valid ${rule.format}` });
+    }
+
+    if (rule.properties && TYPE_CHECKS.object(value)) {
+        validateObject(value, rule.properties, path, report, root);
+    }
+
+    if (rule.check) {
+        const message = rule.check(value, root);
+        if (message) report.errors.push({ path, message });
+    }
+};
+
+const validateObject = (object, properties, path, report, root) => {
+    Object.entries(properties).forEach(([key, rule]) => {
+        validateValue(object[key], rule, path ? `${path}.${key}` : key, report, root);
+    });
+
+    Object.keys(object)
+        .filter(key => !properties[key])
+        .forEach(key => report.warnings.push({ path: path ? `${path}.${key}` : key, message: 'is not in the schema' }));
+};
+
+/**
+ * Register a schema version for a message type
+ * @param {string} type - Message type (payload.type, or the queue default)
+ * @param {number} version - Schema version
+ * @param {Object} properties - Top-level field rules
+ */
+const registerSchema = (type, version, properties) => {
+    if (!registry.has(type)) {
+        registry.set(type, new Map());
+    }
+    registry.get(type).set(version, {
+        properties: {
+            ...properties,
+            schemaVersion: optional('integer')
+        }
+    });
+};
+
+/**
+ * Newest registered version of a type (what producers stamp)
+ */
+const getCurrentVersion = (type) => {
+    const versions = registry.get(type);
+    return versions ? Math.max(...versions.keys()) : null;
+};
+
+const getVersions = (type) => {
+    const versions = registry.get(type);
+    return versions ? Array.from(versions.keys()).sort((a, b) => a - b) : [];
+};
+
+/**
+ * Work out which schema type applies to a payload
+ * @param {string|null} defaultType - Type for queues whose payloads carry no (known) `type`
+ */
+const resolveType = (payload, defaultType = null) => {
+    if (payload && typeof payload.type === 'string' && registry.has(payload.type)) {
+        return payload.type;
+    }
+    return defaultType || payload?.type || null;
+};
+
+/**
+ * Validate a payload against its registered schema
+ * @param {Object} payload - Parsed message body
+ * @param {Object} options - { type, defaultType }
+ * @returns {{valid: boolean, type: string|null, schemaVersion: number|null, errors: Array, warnings: Array}}
+ */
+const validatePayload = (payload, options = {}) => {
+    const report = { valid: false, type: null, schemaVersion: null, errors: [], warnings: [] };
+
+    if (!TYPE_CHECKS.object(payload)) {
+        report.errors.push({ path: '', message: 'payload must be a JSON object' });
+        return report;
+    }
+
+    const type = options.type || resolveType(payload, options.defaultType);
+    report.type = type;
+
+    if (!type || !registry.has(type)) {
+        report.errors.push({ path: 'type', message: `unknown message type: ${type}` });
+        return report;
+    }
+
+    const version = payload.schemaVersion ?? LEGACY_VERSION;
+    report.schemaVersion = version;
+
+    const schema = registry.get(type).get(version);
+    if (!schema) {
+        report.errors.push({
+            path: 'schemaVersion',
+            message: `unsupported version ${version} for ${type} (supported: ${getVersions(type).join(', ')})`
+        });
+        return report;
+    }
+
+    validateObject(payload, schema.properties, '', report, payload);
+    report.valid = report.errors.length === 0;
+    return report;
+};
+
+/**
+ * Validate a raw AMQP message body (as delivered to a consumer)
+ * @param {Buffer} content - Message content
+ * @param {string|null} defaultType - See resolveType()
+ */
+const validateContent = (content, defaultType = null) => {
+    let payload;
+    try {
+        payload = JSON.parse(content.toString());
+    } catch (error) {
+        return {
+            valid: false,
+            type: null,
+            schemaVersion: null,
+            errors: [{ path: '', message: `invalid JSON: ${error.message}` }],
+            warnings: []
+        };
+    }
+    return validatePayload(payload, { defaultType });
+};
+
+/**
+ * Stamp the current schemaVersion on an outgoing payload and validate it
+ * Returns a copy - the caller's object is left alone
+ * @param {Object} payload - Outgoing payload
+ * @param {string} type - Message type, when the payload has no `type` field
+ * @returns {{payload: Object, report: Object}}
+ */
+const preparePayload = (payload, type = null) => {
+    const resolvedType = type || resolveType(payload);
+    const stamped = {
+        ...payload,
+        schemaVersion: payload.schemaVersion ?? getCurrentVersion(resolvedType) ?? LEGACY_VERSION
+    };
+
+    return { payload: stamped, report: validatePayload(stamped, { type: resolvedType }) };
+};
+
+/**
+ * One-line summary of a report, for logs and the x-last-error header
+ */
+const formatReport = (report) => {
+    const label = `${report.type || 'unknown'} v${report.schemaVersion ?? '?'}`;
+    const errors = report.errors.map(error => (error.path ? `${error.path} ${error.message}` : error.message));
+    return `Schema validation failed (${label}): ${errors.join('; ')}`;
+};
+
+const getMode = () => CONFIG.SCHEMA.VALIDATION;
+
+/**
+ * Apply the validation mode to a report
+ * @returns {boolean} true if the message should be rejected
+ */
+const shouldReject = (report, context) => {
+    if (report.valid || getMode() === 'off') return false;
+
+    if (getMode() === 'warn') {
+        logger.warn('[SchemaRegistry] Invalid payload (warn mode, not rejected):', { context, report });
+        return false;
+    }
+    return true;
+};
+
+// =============================================================================
+// SCHEMAS
+// =============================================================================
+
+// AMQP priority is an octet; queues clamp it to their x-max-priority
+const PRIORITY_RULE = optional('integer', { check: value => (value < 0 || value > 255 ? 'must be between 0 and 255' : null) });
+
+const PROVIDER_RULE = optional('string', { enum: PROVIDER_NAMES });
+
+registerSchema('SEND_SMS', 1, {
+    type: required('string', { enum: ['SEND_SMS'] }),
+    retryCount: optional('integer'),
+    priority: PRIORITY_RULE,
+    data: required('object', {
+        properties: {
+            messageId: required('id'),
+            bRef: optional('string'),
+            userId: required('id'),
+            workspaceId: optional('id'),
+            contactId: required('id'),
+            sid: optional('id'),
+            fromNumber: required('string'),
+            toNumber: required('string'),
+            message: optional('string', {
+                check: (value, root) => (!value && !root.data.mediaUrl ? 'is required when there is no mediaUrl' : null)
+            }),
+            mediaUrl: optional(['string', 'array']),
+            statusCallbackUrl: optional('string', { format: 'url' }),
+            twilioCredentials: optional('object'),
+            provider: PROVIDER_RULE,
+            providerCredentials: optional('object'),
+            messagingServiceSid: optional('string'),
+            creditCost: optional('number'),
+            // Sends queued by message.service for legacy drips
+            dripId: optional('id'),
+            dripContactId: optional('id'),
+            isLoadTest: optional('boolean')
+        }
+    })
+});
+
+registerSchema('WEBHOOK_DISPATCH', 1, {
+    type: required('string', { enum: ['WEBHOOK_DISPATCH'] }),
+    deliveryId: required('id'),
+    webhookId: required('id'),
+    url: required('string', { format: 'url' }),
+    secret: optional('string'),
+    eventId: required('string'),
+    eventType: required('string'),
+    payload: required('object'),
+    timestamp: optional('number')
+});
+
+registerSchema('WEBHOOK_RETRY', 1, {
+    type: required('string', { enum: ['WEBHOOK_RETRY'] }),
+    deliveryId: required('id'),
+    webhookId: optional('id'),
+    timestamp: optional('number')
+});
+
+registerSchema('DRIP_SEND', 1, {
+    scheduledMessageId: required('id'),
+    dripContactId: optional('id'),
+    userId: required('id'),
+    workspaceId: optional('id'),
+    contactId: required('id'),
+    dripId: optional('id'),
+    campaignId: optional('id'),
+    fromNumber: required('string'),
+    toNumber: required('string'),
+    sid: optional('string'),
+    message: optional('string'),
+    mediaUrl: optional(['string', 'array']),
+    scheduledAt: optional('date'),
+    queuedAt: optional('date'),
+    // Content scanner flags from queue time - the consumer doesn't scan again
+    contentFlags: optional('array'),
+    priority: PRIORITY_RULE
+});
+
+// Published by the main API from Twilio's inbound webhook
+registerSchema('INBOUND_SMS', 1, {
+    type: optional('string'),
+    retryCount: optional('integer'),
+    data: required('object', {
+        properties: {
+            messageSid: required('string'),
+            from: required('string'),
+            to: required('string'),
+            body: optional('string'),
+            mediaUrl: optional(['string', 'array']),
+            numMedia: optional(['integer', 'string'])
+        }
+    })
+});
+
+// v2: the provider's raw webhook body, parsed by the worker's provider adapter
+registerSchema('INBOUND_SMS', 2, {
+    type: optional('string'),
+    retryCount: optional('integer'),
+    data: required('object', {
+        properties: {
+            provider: required('string', { enum: PROVIDER_NAMES }),
+            payload: required(['object', 'array'])
+        }
+    })
+});
+
+// Published by the main API from Twilio's status callback
+registerSchema('STATUS_UPDATE', 1, {
+    type: optional('string'),
+    retryCount: optional('integer'),
+    data: required('object', {
+        properties: {
+            messageSid: required('string'),
+            status: required('string'),
+            bRef: optional('string'),
+            errorCode: optional(['string', 'integer']),
+            errorMessage: optional('string'),
+            from: optional('string'),
+            provider: PROVIDER_RULE
+        }
+    })
+});
+
+// v2: the provider's raw status callback body, parsed by the worker's provider adapter
+registerSchema('STATUS_UPDATE', 2, {
+    type: optional('string'),
+    retryCount: optional('integer'),
+    data: required('object', {
+        properties: {
+            provider: required('string', { enum: PROVIDER_NAMES }),
+            bRef: optional('string'),
+            payload: required(['object', 'array'])
+        }
+    })
+});
+
+registerSchema('WEBSOCKET_NOTIFICATION', 1, {
+    type: required('string', { enum: ['WEBSOCKET_NOTIFICATION'] }),
+    channel: required('string'),
+    data: required('object'),
+    timestamp: optional('number')
+});
+
+module.exports = {
+    registerSchema,
+    getCurrentVersion,
+    getVersions,
+    resolveType,
+    validatePayload,
+    validateContent,
+    preparePayload,
+    formatReport,
+    shouldReject
+};
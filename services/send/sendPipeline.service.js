@@ -0,0 +1,269 @@
+/**
+ * Send Pipeline for sengine-workers
+ * The one path every outbound message takes, whoever sends it:
+ * - API sends     outboundMessageWorker (SEND_SMS, message row and credits from the API)
+ * - drip sends    messageConsumer (DRIP_SEND, charged here)
+ * - direct sends  message.service (drip scheduler)
+ *
+ * A send runs through ordered stages:
+ *   validate → compliance → content → quietHours → links → credits → send → persist → events
+ *
+ * A stage is { name, run(ctx), rollback?(ctx), complete?(ctx), always?, required? }:
+ * - run       does the work; ctx.fail() stops the send, ctx.defer() puts it off
+ *             until a later time (the caller reschedules it)
+ * - rollback  undoes it when the send fails, newest stage first - e.g. refund credits.
+ *             Called on every active stage, including ones the failure skipped, so
+ *             it checks ctx for what there is to undo
+ * - complete  runs once the send succeeded - e.g. settle credits with the provider's count
+ * - always    still runs after an earlier stage failed (record the failure, emit events)
+ * - required  can't be disabled
+ *
+ * SEND_PIPELINE_DISABLED_STAGES turns optional stages off; registerStage()
+ * adds a deployment's own stage before or after an existing one.
+ *
+ * @module services/send/sendPipeline.service
+ */
+
+const { logger } = require('../logger.service');
+const metrics = require('../metrics.service');
+const CONFIG = require('../../config/config');
+
+// Who is sending - decides billing, bookkeeping and credit references
+const SOURCES = {
+    API: 'api',
+    DRIP: 'drip',
+    DIRECT: 'direct'
+};
+
+// How the send is paid for
+const BILLING = {
+    CHARGE: 'charge',       // Charge per segment here, refund on failure
+    PREPAID: 'prepaid',     // Charged by the API (creditCost), refund on failure
+    NONE: 'none'
+};
+
+const stages = [
+    require('./stages/validate'),
+    require('./stages/compliance'),
+    require('./stages/content'),
+    require('./stages/quietHours'),
+    require('./stages/links'),
+    require('./stages/credits'),
+    require('./stages/send'),
+    require('./stages/persist'),
+    require('./stages/events')
+];
+
+const pipelineResults = metrics.createCounter(
+    'send_pipeline_results_total',
+    'Sends through the send pipeline by source, result and the stage that stopped them',
+    ['source', 'result', 'stage']
+);
+
+let warnedRequired = false;
+
+/**
+ * Add a stage
+ * @param {Object} stage - { name, run, rollback?, complete?, always?, required? }
+ * @param {Object} position - { before } or { after } an existing stage name; appended otherwise
+ */
+const registerStage = (stage, { before = null, after = null } = {}) => {
+    if (!stage?.name || typeof stage.run !== 'function') {
+        throw new Error('A send pipeline stage needs a name and a run(ctx) function');
+    }
+    if (stages.some(existing => existing.name === stage.name)) {
+        throw new Error(`Send pipeline stage already registered: ${stage.name}`);
+    }
+
+    const anchor = before || after;
+    const index = anchor ? stages.findIndex(existing => existing.name === anchor) : -1;
+
+    if (anchor && index === -1) {
+        throw new Error(`Unknown send pipeline stage: ${anchor}`);
+    }
+
+    if (index === -1) {
+        stages.push(stage);
+    } else {
+        stages.splice(before ? index : index + 1, 0, stage);
+    }
+
+    logger.info('[SendPipeline] Stage registered:', { stage: stage.name, before, after });
+};
+
+/**
+ * Stages that run, in order (SEND_PIPELINE_DISABLED_STAGES removed)
+ */
+const getActiveStages = () => {
+    const disabled = CONFIG.SEND_PIPELINE.DISABLED_STAGES;
+
+    const ignored = stages.filter(stage => stage.required && disabled.includes(stage.name));
+    if (ignored.length > 0 && !warnedRequired) {
+        warnedRequired = true;
+        logger.warn('[SendPipeline] Required stages cannot be disabled:', ignored.map(stage => stage.name));
+    }
+
+    return stages.filter(stage => stage.required || !disabled.includes(stage.name));
+};
+
+/**
+ * Stage names in order, with whether each is active
+ */
+const describeStages = () => {
+    const active = getActiveStages();
+    return stages.map(stage => ({ name: stage.name, active: active.includes(stage), required: !!stage.required }));
+};
+
+/**
+ * Build the context the stages share
+ * @param {Object} params - See runSendPipeline
+ */
+const createContext = (params) => {
+    const ctx = {
+        source: SOURCES.DIRECT,
+        billing: BILLING.NONE,
+        worker: null,
+        canRetry: false,
+        openChat: true,
+        ...params,
+
+        // Filled in by the stages
+        contact: null,
+        user: null,
+        userNumber: null,
+        region: null,
+        recipient: null,
+        sender: null,
+        media: null,
+        segmentInfo: null,
+        creditsCharged: 0,
+        sendResult: null,
+        classification: null,
+        messageRow: null,
+
+        stage: null,
+        error: null,
+        errorDetails: null,
+        retry: false,
+        deferUntil: null,
+        failedStage: null
+    };
+
+    /**
+     * Stop the send; stages marked `always` still run
+     * @param {string} error - Reason, saved on the message / scheduled message
+     * @param {Object} options - { retry, details }
+     */
+    ctx.fail = (error, { retry = false, details = null } = {}) => {
+        ctx.error = error;
+        ctx.retry = retry;
+        ctx.errorDetails = details;
+        ctx.failedStage = ctx.stage;
+    };
+
+    /**
+     * Stop the send for now - nothing is recorded as failed or refunded,
+     * and the caller sends it again at `until`
+     * @param {Date} until - When the send may go out
+     * @param {string} reason
+     */
+    ctx.defer = (until, reason) => {
+        ctx.fail(reason);
+        ctx.deferUntil = until;
+    };
+
+    return ctx;
+};
+
+/**
+ * Run a hook on each stage, logging (not throwing) failures
+ */
+const runHooks = async (ctx, list, hook) => {
+    for (const stage of list) {
+        if (typeof stage[hook] !== 'function') continue;
+        try {
+            await stage[hook](ctx);
+        } catch (error) {
+            logger.error(`[SendPipeline] ${stage.name}.${hook} failed:`, { source: ctx.source, error: error.message });
+        }
+    }
+};
+
+/**
+ * Send one message through the pipeline
+ *
+ * @param {Object} params
+ * @param {string} params.source - SOURCES value
+ * @param {string} params.billing - BILLING value
+ * @param {string} params.worker - Label for send metrics
+ * @param {boolean} params.canRetry - Retryable provider errors stop with { retry: true }
+ * @param {boolean} params.openChat - Surface the conversation in the inbox on success
+ * @param {number|null} params.priority - rabbitmq.PRIORITY value, null when the sender didn't set one
+ *        (transactional sends, and API sends without one that aren't drips, skip quiet hours)
+ * @param {Object} params.* - Message fields: userId, workspaceId, contactId, sid, fromNumber,
+ *        toNumber, message, mediaUrl, campaignId, messagingServiceSid, provider,
+ *        providerCredentials, twilioCredentials, bRef, statusCallbackUrl,
+ *        messageId (existing row), creditCost, isDrip, dripId, dripContactId,
+ *        contentFlags (body already scanned when queued)
+ * @returns {Promise<{success, retry, deferred, deferUntil, error, stage, messageId, message, sendResult, classification, bRef}>}
+ *          Never throws - stage errors come back as a failure. deferred: send again at deferUntil
+ */
+const runSendPipeline = async (params) => {
+    const ctx = createContext(params);
+    const active = getActiveStages();
+    const executed = [];
+
+    for (const stage of active) {
+        if (ctx.error && !stage.always) continue;
+
+        ctx.stage = stage.name;
+        executed.push(stage);
+
+        try {
+            await stage.run(ctx);
+        } catch (error) {
+            logger.error(`[SendPipeline] Stage ${stage.name} error:`, { source: ctx.source, contactId: ctx.contactId, error: error.message });
+            if (!ctx.error) {
+                ctx.fail(error.message);
+            }
+        }
+    }
+
+    if (ctx.error) {
+        await runHooks(ctx, [...active].reverse(), 'rollback');
+    } else {
+        await runHooks(ctx, executed, 'complete');
+    }
+
+    let result = 'sent';
+    if (ctx.retry) {
+        result = 'retry';
+    } else if (ctx.deferUntil) {
+        result = 'deferred';
+    } else if (ctx.error) {
+        result = 'failed';
+    }
+    pipelineResults.inc({ source: ctx.source, result, stage: ctx.failedStage || 'none' });
+
+    return {
+        success: !ctx.error,
+        retry: ctx.retry,
+        deferred: !!ctx.deferUntil,
+        deferUntil: ctx.deferUntil,
+        error: ctx.error,
+        stage: ctx.failedStage,
+        messageId: ctx.messageRow?.id || ctx.messageId || null,
+        message: ctx.messageRow,
+        sendResult: ctx.sendResult,
+        classification: ctx.classification,
+        bRef: ctx.bRef || null
+    };
+};
+
+module.exports = {
+    SOURCES,
+    BILLING,
+    registerStage,
+    describeStages,
+    runSendPipeline
+};
@@ -0,0 +1,53 @@
+/**
+ * Send pipeline: compliance
+ * Refuses sends to blocked, opted-out and undeliverable recipients.
+ *
+ * @module services/send/stages/compliance
+ */
+
+const { to } = require('../../util.service');
+const { dbReader } = require('../../../config/database');
+const { logger } = require('../../logger.service');
+const optoutService = require('../../message/optout.service');
+const phoneService = require('../../phone/phone.service');
+
+const run = async (ctx) => {
+    const { contact } = ctx;
+
+    if (contact?.is_block === 1) {
+        return ctx.fail('Cannot send message to blocked contact');
+    }
+
+    if (contact?.opted_out === 1) {
+        return ctx.fail('Cannot send message to opted out contact');
+    }
+
+    // Flagged by an earlier send error (invalid or non-mobile number)
+    if (contact?.undeliverable === 1) {
+        return ctx.fail(contact.undeliverable_reason || 'Cannot send message to undeliverable contact');
+    }
+
+    const isOptedOut = await optoutService.checkOptOut(ctx.recipient.e164, ctx.userId, ctx.region);
+    if (isOptedOut) {
+        return ctx.fail('Cannot send message to opted out contact');
+    }
+
+    const [blockErr, blockedNumber] = await to(
+        dbReader('global_block_numbers')
+            .whereIn('phone', phoneService.phoneVariants(ctx.recipient.e164, ctx.region))
+            .first()
+    );
+
+    if (blockErr) {
+        logger.error('[SendPipeline] Global block lookup failed:', { error: blockErr.message });
+    }
+
+    if (blockedNumber) {
+        return ctx.fail('This phone number is blocked');
+    }
+};
+
+module.exports = {
+    name: 'compliance',
+    run
+};
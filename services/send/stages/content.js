@@ -0,0 +1,45 @@
+/**
+ * Send pipeline: content
+ * Scans the body for what carriers filter - prohibited terms, public URL
+ * shorteners, missing opt-out language on a contact's first marketing
+ * message - and blocks, flags or appends the opt-out text per the
+ * workspace's rules. The flags are recorded on the message.
+ *
+ * Drip bodies are scanned when the pre-queue worker queues them; their
+ * flags arrive with the send (ctx.contentFlags) and aren't scanned again.
+ *
+ * @module services/send/stages/content
+ */
+
+const contentScanner = require('../../compliance/contentScanner.service');
+const segmentService = require('../../sms/segment.service');
+
+const run = async (ctx) => {
+    if (Array.isArray(ctx.contentFlags)) return;
+
+    const scan = await contentScanner.scanContent({
+        body: ctx.media.body,
+        workspaceId: ctx.workspaceId,
+        contactId: ctx.contactId,
+        isMarketing: !!(ctx.isDrip || ctx.dripId || ctx.campaignId),
+        excludeMessageId: ctx.messageId,
+        source: ctx.source
+    });
+
+    ctx.contentFlags = scan.flags;
+
+    if (scan.blocked) {
+        return ctx.fail(scan.reason, { details: { contentFlags: scan.flags } });
+    }
+
+    // Opt-out text appended - charge and send what goes out
+    if (scan.body !== ctx.media.body) {
+        ctx.media = { ...ctx.media, body: scan.body };
+        ctx.segmentInfo = segmentService.calculateSegments(ctx.media.body, { mediaUrl: ctx.media.mediaUrl });
+    }
+};
+
+module.exports = {
+    name: 'content',
+    run
+};
@@ -0,0 +1,132 @@
+/**
+ * Send pipeline: credits
+ * - charge:  charge per segment (per message for MMS) before sending, refund if
+ *            the send fails, then settle against the provider's segment count
+ * - prepaid: the API charged creditCost when it queued the message - refund it
+ *            if the send fails for good (a retry or deferral keeps the charge)
+ * - none:    nothing to charge
+ *
+ * @module services/send/stages/credits
+ */
+
+const { logger } = require('../../logger.service');
+const creditsService = require('../../credits.service');
+const segmentService = require('../../sms/segment.service');
+const CONFIG = require('../../../config/config');
+
+const describe = (ctx) => (ctx.source === 'drip' ? 'Drip SMS' : 'SMS');
+
+/**
+ * Credit transaction reference for this send
+ */
+const reference = (ctx, refund) => {
+    if (ctx.source === 'drip') {
+        return { referenceType: refund ? 'drip_sms_refund' : 'drip_sms', referenceId: ctx.dripId || null };
+    }
+    return { referenceType: refund ? 'sms_refund' : 'sms', referenceId: ctx.messageId || null };
+};
+
+const refund = async (ctx, amount, description) => {
+    if (!amount || amount <= 0 || !ctx.userId) return;
+
+    try {
+        await creditsService.refundCredits(ctx.userId, amount, { description, ...reference(ctx, true) });
+        logger.info('[SendPipeline] Credit refunded:', { userId: ctx.userId, amount, description });
+    } catch (error) {
+        logger.error('[SendPipeline] Failed to refund credit:', { userId: ctx.userId, amount, error: error.message });
+    }
+};
+
+const run = async (ctx) => {
+    if (ctx.billing !== 'charge') return;
+
+    const creditCost = segmentService.calculateCredits(ctx.segmentInfo);
+
+    console.log('[SendPipeline] Checking credits for user:', {
+        userId: ctx.userId,
+        encoding: ctx.segmentInfo.encoding,
+        segments: ctx.segmentInfo.segments,
+        isMms: ctx.segmentInfo.isMms,
+        creditCost
+    });
+
+    const hasCredits = await creditsService.hasEnoughCredits(ctx.userId, creditCost);
+    if (!hasCredits) {
+        return ctx.fail('Insufficient credits');
+    }
+
+    try {
+        const deductResult = await creditsService.deductCredits(ctx.userId, creditCost, {
+            description: `${describe(ctx)} sent to ${ctx.recipient.e164}`,
+            ...reference(ctx, false)
+        });
+        ctx.creditsCharged = creditCost;
+        console.log('[SendPipeline] Credit deducted. New balance:', deductResult?.credits?.balance);
+    } catch (creditErr) {
+        return ctx.fail(creditErr.message || 'Failed to deduct credits');
+    }
+};
+
+/**
+ * The send failed - give back what it cost
+ */
+const rollback = async (ctx) => {
+    if (ctx.creditsCharged > 0) {
+        // A retry is charged again when it runs
+        await refund(ctx, ctx.creditsCharged, `${describe(ctx)} ${ctx.retry ? 'retry' : 'failed'} to ${ctx.recipient?.e164 || ctx.toNumber}`);
+        ctx.creditsCharged = 0;
+        return;
+    }
+
+    // Retried and deferred sends keep the API's charge - they are sent later
+    if (ctx.billing === 'prepaid' && !ctx.retry && !ctx.deferUntil) {
+        await refund(ctx, ctx.creditCost, `Refund: ${ctx.error}`);
+    }
+};
+
+/**
+ * Settle the charge against the segment count the provider billed
+ * We charge up front from our own count; the provider's count is the one
+ * we pay for. MMS is charged per message, so there is nothing to settle.
+ */
+const complete = async (ctx) => {
+    const { segmentInfo, sendResult } = ctx;
+    const providerSegments = segmentService.parseProviderSegments(sendResult.numSegments);
+    if (!providerSegments || segmentInfo.isMms || providerSegments === segmentInfo.segments) {
+        return;
+    }
+
+    logger.warn('[SendPipeline] Segment count differs from provider:', {
+        source: ctx.source,
+        sid: sendResult.sid,
+        encoding: segmentInfo.encoding,
+        calculated: segmentInfo.segments,
+        provider: providerSegments,
+        creditCost: ctx.creditCost
+    });
+
+    // Prepaid sends were priced by the API - recorded on the message, not settled here
+    if (ctx.billing !== 'charge' || ctx.creditsCharged <= 0) return;
+
+    const difference = (providerSegments - segmentInfo.segments) * CONFIG.SMS.CREDITS_PER_SEGMENT;
+    const description = `${describe(ctx)} segment adjustment for ${ctx.recipient.e164}`;
+
+    if (difference < 0) {
+        await refund(ctx, -difference, description);
+        return;
+    }
+
+    // The message is already out - a failed top-up is logged, not retried
+    try {
+        await creditsService.deductCredits(ctx.userId, difference, { description, ...reference(ctx, false) });
+    } catch (error) {
+        logger.error('[SendPipeline] Failed to charge segment adjustment:', { userId: ctx.userId, difference, error: error.message });
+    }
+};
+
+module.exports = {
+    name: 'credits',
+    run,
+    rollback,
+    complete
+};
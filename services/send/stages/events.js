@@ -0,0 +1,53 @@
+/**
+ * Send pipeline: events
+ * Queues message.outbound / message.failed webhooks. Non-blocking - a webhook
+ * problem never fails a send.
+ *
+ * @module services/send/stages/events
+ */
+
+const webhookProducer = require('../../webhook/webhookProducer.service');
+
+const run = async (ctx) => {
+    const message = ctx.messageRow;
+
+    if (!ctx.error) {
+        webhookProducer.queueOutboundMessageEvent({
+            userId: ctx.userId,
+            workspaceId: ctx.workspaceId,
+            messageId: message?.id || ctx.messageId,
+            contactId: ctx.contactId,
+            toNumber: ctx.recipient.e164,
+            fromNumber: ctx.sendResult.from || ctx.fromNumber,
+            message: ctx.media.body,
+            twilioSid: ctx.sendResult.sid
+        }).then(result => {
+            if (result.queued > 0) {
+                console.log('[SendPipeline] Webhook events queued:', result.queued);
+            }
+        }).catch(err => {
+            console.error('[SendPipeline] Webhook error:', err.message);
+        });
+        return;
+    }
+
+    // A retry or deferral isn't a failure yet, and a send with no message row has nothing to report
+    if (ctx.retry || ctx.deferUntil || !message) return;
+
+    webhookProducer.queueMessageFailedEvent({
+        userId: ctx.userId,
+        workspaceId: ctx.workspaceId,
+        messageId: message.id,
+        contactId: ctx.contactId,
+        errorCode: ctx.sendResult?.errorCode || null,
+        errorMessage: ctx.error
+    }).catch(err => {
+        console.error('[SendPipeline] Webhook error:', err.message);
+    });
+};
+
+module.exports = {
+    name: 'events',
+    always: true,
+    run
+};
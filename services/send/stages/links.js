@@ -0,0 +1,64 @@
+/**
+ * Send pipeline: links
+ * Rewrites the URLs in the body to tracked short links, one per link per
+ * message, so clicks can be tied back to the message, drip and campaign.
+ * Skipped without LINK_TRACKING_BASE_URL or when the workspace turned
+ * tracking off.
+ *
+ * Runs before credits so the shorter body is what's charged. The links are
+ * removed again when the send doesn't go out, and tied to the message row
+ * once it exists.
+ *
+ * @module services/send/stages/links
+ */
+
+const linkTrackingService = require('../../links/linkTracking.service');
+const segmentService = require('../../sms/segment.service');
+const { generateBRef } = require('./send');
+
+const run = async (ctx) => {
+    if (!ctx.media.body || linkTrackingService.findLinks(ctx.media.body).length === 0) return;
+    if (!(await linkTrackingService.isEnabledForWorkspace(ctx.workspaceId))) return;
+
+    // Drip rows are inserted after the send - the b_ref finds them until then
+    ctx.bRef = ctx.bRef || generateBRef();
+
+    const { body, links } = await linkTrackingService.shortenLinks({
+        body: ctx.media.body,
+        userId: ctx.userId,
+        workspaceId: ctx.workspaceId,
+        contactId: ctx.contactId,
+        messageId: ctx.messageId || null,
+        bRef: ctx.bRef,
+        dripId: ctx.dripId,
+        campaignId: ctx.campaignId,
+        source: ctx.source
+    });
+
+    if (links.length === 0) return;
+
+    ctx.trackedLinks = links;
+    ctx.media = { ...ctx.media, body };
+    ctx.segmentInfo = segmentService.calculateSegments(ctx.media.body, { mediaUrl: ctx.media.mediaUrl });
+};
+
+const rollback = async (ctx) => {
+    // The recipient has the links - keep them
+    if (!ctx.trackedLinks?.length || ctx.sendResult?.success) return;
+
+    await linkTrackingService.deleteLinks(ctx.trackedLinks.map(link => link.id));
+};
+
+const complete = async (ctx) => {
+    const messageId = ctx.messageRow?.id;
+    if (!ctx.trackedLinks?.length || !messageId || messageId === ctx.messageId) return;
+
+    await linkTrackingService.attachMessage(ctx.trackedLinks.map(link => link.id), messageId);
+};
+
+module.exports = {
+    name: 'links',
+    run,
+    rollback,
+    complete
+};
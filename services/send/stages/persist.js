@@ -0,0 +1,226 @@
+/**
+ * Send pipeline: persist
+ * Records the outcome on the message row - updating the row the API created
+ * (messageId), or inserting one for drip and direct sends - and moves the
+ * conversation up the contact's inbox on success.
+ *
+ * Runs after a failure too, so a failed send is recorded as failed.
+ *
+ * @module services/send/stages/persist
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { to } = require('../../util.service');
+const { dbWriter } = require('../../../config/database');
+const { logger } = require('../../logger.service');
+const phoneService = require('../../phone/phone.service');
+const segmentService = require('../../sms/segment.service');
+
+/**
+ * Content scanner flags for messages.content_flags
+ */
+const contentFlagsColumn = (ctx) => (ctx.contentFlags?.length ? JSON.stringify(ctx.contentFlags) : null);
+
+/**
+ * Mark the API's row failed when the send stopped before reaching the provider
+ */
+const markFailed = async (ctx) => {
+    const [updateErr, rows] = await to(
+        dbWriter('messages')
+            .where({ id: ctx.messageId })
+            .update({
+                status: '3',
+                delivery_status: 'failed',
+                response: JSON.stringify({ error: ctx.error, ...ctx.errorDetails }),
+                content_flags: contentFlagsColumn(ctx),
+                is_charged: 0,
+                updated_at: new Date()
+            })
+            .returning('*')
+    );
+
+    if (updateErr) {
+        logger.error('[SendPipeline] Error marking message failed:', { messageId: ctx.messageId, error: updateErr.message });
+        return;
+    }
+
+    ctx.messageRow = rows?.[0] || null;
+};
+
+/**
+ * Message fields for a send the provider answered
+ */
+const buildOutcome = (ctx) => {
+    const { sendResult, classification, segmentInfo, sender } = ctx;
+
+    const outcome = {
+        msg_id: sendResult.sid,
+        status: sendResult.success ? '1' : '3',
+        delivery_status: sendResult.success ? sendResult.status : 'failed',
+        response: JSON.stringify(classification ? { ...sendResult, classification } : sendResult),
+        messaging_service_sid: sender.messagingServiceSid || null,
+        segments: segmentInfo.segments,
+        encoding: segmentInfo.encoding,
+        provider_segments: segmentService.parseProviderSegments(sendResult.numSegments),
+        content_flags: contentFlagsColumn(ctx),
+        updated_at: new Date()
+    };
+
+    // Pool sends: the sender Twilio picked (or later, from the status callback)
+    if (sendResult.from) {
+        outcome.from_number = phoneService.toDigits(sendResult.from);
+    }
+
+    return outcome;
+};
+
+/**
+ * Update the row the API created
+ */
+const updateMessage = async (ctx, outcome) => {
+    const updateData = {
+        ...outcome,
+        is_charged: ctx.billing === 'prepaid' && ctx.sendResult.success ? 1 : 0
+    };
+
+    // What was actually sent when media was resized, turned into links or the opt-out text was added
+    if (ctx.media.body !== ctx.message || ctx.media.mediaUrl !== ctx.mediaUrl) {
+        updateData.message = ctx.media.body || '';
+        updateData.media_html = ctx.media.mediaUrl;
+        updateData.message_type = ctx.media.mediaUrl ? 2 : 0;
+    }
+
+    const [updateErr, rows] = await to(
+        dbWriter('messages')
+            .where({ id: ctx.messageId })
+            .update(updateData)
+            .returning('*')
+    );
+
+    if (updateErr) {
+        logger.error('[SendPipeline] Error updating message record:', { messageId: ctx.messageId, error: updateErr.message });
+        return;
+    }
+
+    ctx.messageRow = rows?.[0] || null;
+};
+
+/**
+ * Insert the row for a drip or direct send
+ */
+const insertMessage = async (ctx, outcome) => {
+    const messageData = {
+        uid: uuidv4(),
+        sid: ctx.sid || null,
+        from_number: phoneService.toDigits(ctx.fromNumber),
+        to_number: phoneService.toDigits(ctx.recipient.e164),
+        message: ctx.media.body || '',
+        media_html: ctx.media.mediaUrl,
+        user_id: ctx.userId,
+        workspace_id: ctx.workspaceId,
+        contact_id: ctx.contactId,
+        b_ref: ctx.bRef,
+        is_read: 1,
+        is_drip: ctx.isDrip ? 1 : 0,
+        drip_id: ctx.dripId || null,
+        drip_contact_id: ctx.dripContactId || null,
+        is_charged: 0,
+        counter: 0,
+        direction: 'outbound',
+        intent: 0,
+        message_type: ctx.media.mediaUrl ? 2 : 0,
+        created_at: new Date(),
+        ...outcome
+    };
+
+    const [insertErr, rows] = await to(
+        dbWriter('messages')
+            .insert(messageData)
+            .returning('*')
+    );
+
+    if (insertErr) {
+        // The provider has the message - a missing row is logged, not a failed send
+        logger.error('[SendPipeline] Error creating message record:', { bRef: ctx.bRef, error: insertErr.message });
+        return;
+    }
+
+    ctx.messageRow = rows?.[0] || null;
+    console.log('[SendPipeline] Message record created:', { id: ctx.messageRow?.id, bRef: ctx.bRef });
+};
+
+/**
+ * Move the conversation up the inbox
+ */
+const touchContact = async (ctx) => {
+    const now = new Date();
+    const update = { last_message: now, updated_at: now };
+
+    if (ctx.openChat) {
+        update.open_chat = 1;
+        update.archive = 0;
+    }
+
+    await to(
+        dbWriter('contacts')
+            .where({ id: ctx.contactId })
+            .update(update)
+    );
+
+    if (!ctx.openChat || !ctx.sid) return;
+
+    await to(
+        dbWriter('contact_phone')
+            .insert({
+                contact_id: ctx.contactId,
+                user_id: ctx.userId,
+                sid: ctx.sid,
+                ...update
+            })
+            .onConflict(['contact_id', 'sid'])
+            .merge(update)
+    );
+};
+
+const run = async (ctx) => {
+    // Deferred - the caller records when it will be sent
+    if (ctx.deferUntil) return;
+
+    if (!ctx.sendResult) {
+        if (ctx.messageId && !ctx.retry) {
+            await markFailed(ctx);
+        }
+        return;
+    }
+
+    // Retrying - the message stays pending and charged, only the response is kept
+    if (ctx.retry) {
+        if (ctx.messageId) {
+            await to(
+                dbWriter('messages')
+                    .where({ id: ctx.messageId })
+                    .update({ response: JSON.stringify({ ...ctx.sendResult, classification: ctx.classification }), updated_at: new Date() })
+            );
+        }
+        return;
+    }
+
+    const outcome = buildOutcome(ctx);
+
+    if (ctx.messageId) {
+        await updateMessage(ctx, outcome);
+    } else {
+        await insertMessage(ctx, outcome);
+    }
+
+    if (ctx.sendResult.success && ctx.contactId) {
+        await touchContact(ctx);
+    }
+};
+
+module.exports = {
+    name: 'persist',
+    required: true,
+    always: true,
+    run
+};
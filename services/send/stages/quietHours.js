@@ -0,0 +1,58 @@
+/**
+ * Send pipeline: quiet hours
+ * Defers sends that would reach the recipient outside their send window
+ * (TCPA, state rules, the workspace's own hours) to the next allowed time.
+ * Nothing has been charged yet; the caller reschedules the send.
+ *
+ * Transactional sends (conversation replies, OTPs) are exempt with
+ * QUIET_HOURS_EXEMPT_TRANSACTIONAL. The main API doesn't set a priority on
+ * its one-to-one sends, so a SEND_SMS without one that isn't a drip counts
+ * as transactional too.
+ *
+ * @module services/send/stages/quietHours
+ */
+
+const quietHoursService = require('../../compliance/quietHours.service');
+const rabbitmq = require('../../../config/rabbitmq');
+const CONFIG = require('../../../config/config');
+
+const isTransactional = (ctx) => {
+    if (ctx.priority >= rabbitmq.PRIORITY.TRANSACTIONAL) return true;
+    return ctx.source === 'api' && !ctx.dripId && (ctx.priority === null || ctx.priority === undefined);
+};
+
+const run = async (ctx) => {
+    if (CONFIG.QUIET_HOURS.EXEMPT_TRANSACTIONAL && isTransactional(ctx)) {
+        return;
+    }
+
+    const window = await quietHoursService.checkSendWindow({
+        workspaceId: ctx.workspaceId,
+        contact: ctx.contact,
+        phone: ctx.recipient.e164
+    });
+
+    if (window.allowed) return;
+
+    const zones = window.timeZones.join(', ');
+
+    if (!window.nextAllowedAt) {
+        return ctx.fail(`No send window open for the recipient in the next week (${zones})`);
+    }
+
+    console.log('[SendPipeline] Outside the send window, deferring:', {
+        source: ctx.source,
+        contactId: ctx.contactId,
+        timeZones: window.timeZones,
+        state: window.state,
+        timeZoneSource: window.source,
+        deferUntil: window.nextAllowedAt.toISOString()
+    });
+
+    ctx.defer(window.nextAllowedAt, `Outside the recipient's send window (${zones}${window.state ? `, ${window.state}` : ''})`);
+};
+
+module.exports = {
+    name: 'quietHours',
+    run
+};
@@ -0,0 +1,86 @@
+/**
+ * Send pipeline: send
+ * Hands the message to the provider and classifies a failure: retryable
+ * errors are left for the queue's retry policy while retries remain;
+ * the rest run their error action (opt-out, undeliverable flag, alert).
+ *
+ * @module services/send/stages/send
+ */
+
+const smsService = require('../../sms/sms.service');
+const sendErrorService = require('../../sms/sendError.service');
+const metrics = require('../../metrics.service');
+
+/**
+ * Generate unique b_ref for message tracking
+ */
+const generateBRef = () => {
+    const timestamp = Date.now();
+    const random = Math.floor(Math.random() * 900000) + 100000;
+    return `DM-${timestamp}-${random}`;
+};
+
+const run = async (ctx) => {
+    const { sender, media } = ctx;
+
+    ctx.bRef = ctx.bRef || generateBRef();
+    const statusCallback = ctx.statusCallbackUrl || smsService.buildStatusCallbackUrl(sender.provider, ctx.bRef);
+
+    console.log('[SendPipeline] Sending via provider:', {
+        source: ctx.source,
+        provider: sender.provider,
+        from: ctx.fromNumber,
+        messagingServiceSid: sender.messagingServiceSid,
+        to: ctx.recipient.e164,
+        bRef: ctx.bRef
+    });
+
+    const endSendTimer = metrics.sendDuration.startTimer({ worker: ctx.worker || ctx.source });
+    const sendResult = await smsService.sendSMS({
+        provider: sender.provider,
+        credentials: sender.credentials,
+        from: ctx.fromNumber,
+        to: ctx.recipient.e164,
+        body: media.body,
+        mediaUrl: media.mediaUrl,
+        statusCallback,
+        reference: ctx.bRef,
+        messagingServiceSid: sender.messagingServiceSid
+    });
+    endSendTimer({ result: sendResult.success ? 'success' : 'failed' });
+
+    ctx.sendResult = sendResult;
+
+    if (sendResult.success) {
+        console.log('[SendPipeline] Send success:', { sid: sendResult.sid, bRef: ctx.bRef });
+        return;
+    }
+
+    const classification = sendErrorService.classifyError(sendResult.provider, sendResult.errorCode);
+    const errorMessage = sendResult.errorMessage || sendResult.error || 'SMS send failed';
+    ctx.classification = classification;
+
+    console.log('[SendPipeline] Send failed:', { error: errorMessage, code: sendResult.errorCode });
+
+    // Transient error - the caller requeues it with backoff
+    if (classification.retryable && ctx.canRetry) {
+        return ctx.fail(`${errorMessage} (${classification.code})`, { retry: true });
+    }
+
+    await sendErrorService.applyErrorAction(classification, {
+        userId: ctx.userId,
+        contactId: ctx.contactId,
+        toNumber: ctx.recipient.e164,
+        sid: ctx.sid,
+        fromNumber: ctx.fromNumber
+    });
+
+    ctx.fail(`${errorMessage} (${classification.category})`);
+};
+
+module.exports = {
+    name: 'send',
+    required: true,
+    run,
+    generateBRef
+};
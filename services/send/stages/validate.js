@@ -0,0 +1,143 @@
+/**
+ * Send pipeline: validate
+ * Loads who is sending to whom and checks the send can go out at all:
+ * contact, recipient number, account, sender number, provider and media.
+ *
+ * @module services/send/stages/validate
+ */
+
+const { to } = require('../../util.service');
+const { dbReader } = require('../../../config/database');
+const smsService = require('../../sms/sms.service');
+const phoneService = require('../../phone/phone.service');
+const segmentService = require('../../sms/segment.service');
+const mediaService = require('../../media/media.service');
+
+/**
+ * Provider, credentials and sender pool for the send
+ * The API may pin the provider; otherwise it comes from the sending number
+ */
+const resolveSender = async (ctx) => {
+    const resolved = ctx.provider
+        ? { provider: String(ctx.provider).toLowerCase(), credentials: ctx.providerCredentials || null, messagingServiceSid: null }
+        : await smsService.resolveProvider({
+            userId: ctx.userId,
+            sid: ctx.sid,
+            fromNumber: ctx.fromNumber,
+            campaignId: ctx.campaignId
+        });
+
+    // Copy - the resolved sender is shared through the lookup cache
+    const sender = { ...resolved };
+
+    if (sender.provider === 'twilio') {
+        // Older SEND_SMS payloads carry Twilio credentials under their own key
+        if (ctx.twilioCredentials) {
+            sender.credentials = ctx.twilioCredentials;
+        }
+        // A Messaging Service picked by the caller wins over the number's own
+        if (ctx.messagingServiceSid) {
+            sender.messagingServiceSid = ctx.messagingServiceSid;
+        }
+    }
+
+    return sender;
+};
+
+const run = async (ctx) => {
+    if (!ctx.message && !ctx.mediaUrl) {
+        return ctx.fail('Message or media is required');
+    }
+
+    if (ctx.contactId) {
+        const [contactErr, contact] = await to(
+            dbReader('contacts')
+                .where({ id: ctx.contactId, user_id: ctx.userId })
+                .where(function() {
+                    if (ctx.workspaceId) {
+                        this.where('workspace_id', ctx.workspaceId);
+                    }
+                })
+                .whereNull('deleted_at')
+                .first()
+        );
+
+        if (contactErr || !contact) {
+            return ctx.fail('Contact not found or deleted');
+        }
+
+        ctx.contact = contact;
+        ctx.workspaceId = ctx.workspaceId || contact.workspace_id;
+    }
+
+    // Parse the recipient in the workspace's region
+    const phone = ctx.toNumber || ctx.contact?.phone;
+    ctx.region = await phoneService.getWorkspaceRegion(ctx.workspaceId);
+    ctx.recipient = phoneService.validateRecipient(phone, ctx.region);
+    if (!ctx.recipient.valid) {
+        return ctx.fail(`Cannot send message to ${phone}: ${ctx.recipient.error}`);
+    }
+
+    const [userErr, user] = await to(
+        dbReader('users')
+            .select('id', 'messaging_status')
+            .where({ id: ctx.userId })
+            .first()
+    );
+
+    if (userErr || !user) {
+        return ctx.fail('User not found');
+    }
+
+    if (user.messaging_status !== 1) {
+        return ctx.fail('Messaging is not enabled for this account');
+    }
+
+    ctx.user = user;
+
+    // Sender number - pool sends may come without one
+    if (ctx.sid || ctx.fromNumber) {
+        const [numberErr, userNumber] = await to(
+            dbReader('user_numbers')
+                .select('id', 'phone', 'status', 'provider', 'messaging_service_sid')
+                .where({ user_id: ctx.userId })
+                .where(function() {
+                    if (ctx.sid) {
+                        this.where('id', ctx.sid);
+                    } else {
+                        this.whereIn('phone', phoneService.phoneVariants(ctx.fromNumber));
+                    }
+                })
+                .whereNull('deleted_at')
+                .first()
+        );
+
+        if (numberErr || !userNumber) {
+            return ctx.fail('Sender phone number not found');
+        }
+
+        if (userNumber.status !== 1 && userNumber.status !== 4) {
+            return ctx.fail('Sender phone number is not active');
+        }
+
+        ctx.userNumber = userNumber;
+        ctx.sid = ctx.sid || userNumber.id;
+        ctx.fromNumber = ctx.fromNumber || userNumber.phone;
+    }
+
+    ctx.sender = await resolveSender(ctx);
+
+    // Undeliverable media becomes a link in the body; a bad URL fails the send
+    ctx.media = await mediaService.prepareMedia(ctx.message, ctx.mediaUrl);
+    if (ctx.media.error) {
+        return ctx.fail(ctx.media.error, { details: { media: ctx.media.items } });
+    }
+
+    ctx.segmentInfo = segmentService.calculateSegments(ctx.media.body, { mediaUrl: ctx.media.mediaUrl });
+};
+
+module.exports = {
+    name: 'validate',
+    required: true,
+    run
+};
@@ -0,0 +1,191 @@
+/**
+ * Bandwidth SMS Provider for sengine-workers
+ * Messaging API v2 over HTTPS
+ *
+ * Bandwidth posts status callbacks to the URL configured on the messaging
+ * application, not per message, so our b_ref travels in the message `tag`
+ * and comes back on every callback.
+ *
+ * @module services/sms/providers/bandwidth
+ */
+
+const axios = require('axios');
+const { logger } = require('../../logger.service');
+const { toE164 } = require('../../phone/phone.service');
+const CONFIG = require('../../../config/config');
+
+const NAME = 'bandwidth';
+const API_URL = 'https://messaging.bandwidth.com/api/v2/users';
+
+/**
+ * Bandwidth callback type → our status
+ */
+const STATUS_MAP = {
+    'message-sending': 'sending',
+    'message-delivered': 'delivered',
+    'message-failed': 'failed',
+    'message-received': 'received'
+};
+
+/**
+ * Resolve credentials
+ * @param {Object} credentials - { accountId, username, password, applicationId }, falls back to BANDWIDTH_* env
+ */
+const initClient = (credentials) => {
+    const client = {
+        accountId: credentials?.accountId || CONFIG.BANDWIDTH.ACCOUNT_ID,
+        username: credentials?.username || CONFIG.BANDWIDTH.USERNAME,
+        password: credentials?.password || CONFIG.BANDWIDTH.PASSWORD,
+        applicationId: credentials?.applicationId || CONFIG.BANDWIDTH.APPLICATION_ID
+    };
+
+    if (!client.accountId || !client.username || !client.password || !client.applicationId) {
+        logger.error('[Bandwidth] Missing credentials');
+        throw new Error('Bandwidth account ID, API credentials and application ID are required');
+    }
+
+    return client;
+};
+
+const mapStatus = (status) => STATUS_MAP[String(status || '').toLowerCase()] || status;
+
+/**
+ * Error body ({ type, description }) or network error → { code, message }
+ */
+const normalizeError = (error) => {
+    const apiError = error.response?.data;
+    if (apiError && (apiError.type || apiError.description)) {
+        return {
+            code: apiError.type || error.response.status,
+            message: apiError.description || error.message
+        };
+    }
+    return { code: error.code || 'UNKNOWN', message: error.message };
+};
+
+/**
+ * Send SMS/MMS via Bandwidth
+ */
+const send = async ({ from, to, body, mediaUrl, statusCallback, reference, credentials }) => {
+    console.log('[Bandwidth] sendSMS called:', {
+        from,
+        to,
+        bodyLength: body?.length,
+        hasMedia: !!mediaUrl,
+        hasCallback: !!statusCallback
+    });
+
+    try {
+        const client = initClient(credentials);
+
+        const formattedFrom = toE164(from);
+        const formattedTo = toE164(to);
+
+        if (!formattedFrom || !formattedTo) {
+            logger.error('[Bandwidth] Invalid phone numbers:', { from, to });
+            throw new Error('Invalid phone numbers provided');
+        }
+
+        const request = {
+            applicationId: client.applicationId,
+            from: formattedFrom,
+            to: [formattedTo],
+            text: body || ''
+        };
+
+        if (mediaUrl) {
+            request.media = Array.isArray(mediaUrl) ? mediaUrl : [mediaUrl];
+        }
+
+        if (reference) {
+            request.tag = reference;
+        }
+
+        const response = await axios.post(`${API_URL}/${client.accountId}/messages`, request, {
+            auth: { username: client.username, password: client.password },
+            timeout: CONFIG.SMS.HTTP_TIMEOUT_MS
+        });
+
+        console.log('[Bandwidth] Message sent successfully:', { id: response.data.id });
+
+        return {
+            success: true,
+            provider: NAME,
+            sid: response.data.id,
+            status: 'queued',
+            numSegments: response.data.segmentCount,
+            numMedia: response.data.media?.length || 0,
+            dateCreated: response.data.time || null,
+            errorCode: null,
+            errorMessage: null
+        };
+
+    } catch (error) {
+        const { code, message } = normalizeError(error);
+
+        logger.error('[Bandwidth] Error sending message:', { error: message, code });
+
+        return {
+            success: false,
+            provider: NAME,
+            sid: null,
+            status: 'failed',
+            numSegments: 0,
+            numMedia: 0,
+            dateCreated: null,
+            errorCode: code,
+            errorMessage: message
+        };
+    }
+};
+
+/**
+ * Callbacks arrive as an array of events; we get one event per queue message
+ */
+const firstEvent = (raw) => (Array.isArray(raw) ? raw[0] : raw) || {};
+
+/**
+ * message-received callback → inbound message
+ */
+const parseInbound = (raw) => {
+    const event = firstEvent(raw);
+    const message = event.message || {};
+    const media = message.media || [];
+
+    return {
+        messageSid: message.id,
+        from: message.from,
+        to: event.to || message.to?.[0],
+        body: message.text || '',
+        mediaUrl: media.length > 0 ? media : null,
+        numMedia: media.length
+    };
+};
+
+/**
+ * message-sending / -delivered / -failed callback → status update
+ */
+const parseStatus = (raw) => {
+    const event = firstEvent(raw);
+    const failed = event.type === 'message-failed';
+
+    return {
+        messageSid: event.message?.id,
+        from: event.message?.from || null,
+        bRef: event.message?.tag || null,
+        status: mapStatus(event.type),
+        rawStatus: event.type,
+        errorCode: failed ? (event.errorCode ?? null) : null,
+        errorMessage: failed ? (event.description || null) : null
+    };
+};
+
+module.exports = {
+    name: NAME,
+    initClient,
+    send,
+    mapStatus,
+    normalizeError,
+    parseInbound,
+    parseStatus
+};
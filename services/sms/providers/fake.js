@@ -0,0 +1,254 @@
+/**
+ * Fake SMS Provider for sengine-workers
+ * Simulates a carrier for local development - nothing leaves the machine
+ *
+ * Sends get Twilio-style SIDs and segment counts. FAKE_SMS_SEND_FAILURE_PERCENT
+ * of them are rejected with a code from FAKE_SMS_SEND_ERROR_CODES. Accepted
+ * sends then play out queued → sent → delivered (or undelivered, for
+ * FAKE_SMS_UNDELIVERED_PERCENT) as STATUS_UPDATE v2 messages on
+ * inbox.status.update, so the delivery report worker and webhooks run as they
+ * would against a real provider.
+ *
+ * Error codes are Twilio's, so send error classification applies unchanged.
+ * Refuses to send unless FAKE_SMS_ENABLED=true.
+ *
+ * @module services/sms/providers/fake
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../../logger.service');
+const { toE164 } = require('../../phone/phone.service');
+const { calculateSegments } = require('../segment.service');
+const rabbitmq = require('../../../config/rabbitmq');
+const CONFIG = require('../../../config/config');
+
+const NAME = 'fake';
+
+/**
+ * Fake status → our status (the lifecycle already uses our names)
+ */
+const STATUS_MAP = {
+    'queued': 'queued',
+    'sent': 'sent',
+    'delivered': 'delivered',
+    'undelivered': 'undelivered',
+    'failed': 'failed'
+};
+
+/**
+ * Messages for the Twilio codes the fake uses by default
+ */
+const ERROR_MESSAGES = {
+    '21211': "Invalid 'To' Phone Number",
+    '21610': 'Attempt to send to unsubscribed recipient',
+    '21614': "'To' number is not a valid mobile number",
+    '30001': 'Queue overflow',
+    '30003': 'Unreachable destination handset',
+    '30005': 'Unknown destination handset',
+    '30006': 'Landline or unreachable carrier',
+    '30007': 'Message filtered'
+};
+
+// Simulated callbacks not yet published
+let pendingCallbacks = 0;
+
+/**
+ * No credentials - only checks the fake is switched on
+ */
+const initClient = () => {
+    if (!CONFIG.FAKE_SMS.ENABLED) {
+        logger.error('[FakeSMS] Fake provider selected but FAKE_SMS_ENABLED is not true');
+        throw new Error('Fake SMS provider is disabled');
+    }
+    return { name: NAME };
+};
+
+const mapStatus = (status) => STATUS_MAP[String(status || '').toLowerCase()] || status;
+
+const normalizeError = (error) => ({ code: error.code || 'UNKNOWN', message: error.message });
+
+const generateSid = () => `SM${crypto.randomBytes(16).toString('hex')}`;
+
+const roll = (percent) => Math.random() * 100 < percent;
+
+const pick = (values) => values[Math.floor(Math.random() * values.length)];
+
+const fakeError = (code) => {
+    const error = new Error(ERROR_MESSAGES[code] || `Simulated error ${code}`);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Publish one simulated status callback to inbox.status.update
+ */
+const publishStatus = async (event) => {
+    const data = { provider: NAME, payload: event };
+    if (event.reference) {
+        data.bRef = event.reference;
+    }
+
+    const published = await rabbitmq.publish(rabbitmq.ROUTING_KEYS.STATUS, {
+        type: 'STATUS_UPDATE',
+        schemaVersion: 2,
+        data
+    });
+
+    if (!published) {
+        logger.warn('[FakeSMS] Failed to publish simulated status:', { sid: event.sid, status: event.status });
+    }
+};
+
+/**
+ * Schedule a status callback after `delayMs`
+ */
+const scheduleStatus = (delayMs, event) => {
+    pendingCallbacks++;
+
+    const timer = setTimeout(() => {
+        publishStatus({ ...event, timestamp: new Date().toISOString() })
+            .catch(error => logger.error('[FakeSMS] Status publish error:', error))
+            .finally(() => { pendingCallbacks--; });
+    }, Math.max(0, delayMs));
+
+    // Don't hold a worker open during shutdown for a simulated callback
+    timer.unref();
+};
+
+/**
+ * Play out queued → sent → delivered/undelivered for an accepted send
+ */
+const simulateLifecycle = ({ sid, from, to, reference }) => {
+    const base = { sid, from, to, reference };
+    const sentAt = CONFIG.FAKE_SMS.SENT_DELAY_MS;
+    const finalAt = sentAt + CONFIG.FAKE_SMS.DELIVERED_DELAY_MS;
+
+    scheduleStatus(0, { ...base, status: 'queued' });
+    scheduleStatus(sentAt, { ...base, status: 'sent' });
+
+    if (roll(CONFIG.FAKE_SMS.UNDELIVERED_PERCENT)) {
+        const code = pick(CONFIG.FAKE_SMS.UNDELIVERED_ERROR_CODES);
+        scheduleStatus(finalAt, {
+            ...base,
+            status: 'undelivered',
+            errorCode: code,
+            errorMessage: ERROR_MESSAGES[code] || `Simulated error ${code}`
+        });
+    } else {
+        scheduleStatus(finalAt, { ...base, status: 'delivered' });
+    }
+};
+
+/**
+ * "Send" an SMS/MMS
+ */
+const send = async ({ from, to, body, mediaUrl, statusCallback, reference, credentials }) => {
+    console.log('[FakeSMS] sendSMS called:', {
+        from,
+        to,
+        bodyLength: body?.length,
+        hasMedia: !!mediaUrl,
+        hasCallback: !!statusCallback
+    });
+
+    try {
+        initClient(credentials);
+
+        const formattedFrom = toE164(from);
+        const formattedTo = toE164(to);
+
+        if (!formattedFrom) {
+            throw new Error('Invalid phone numbers provided');
+        }
+        if (!formattedTo) {
+            throw fakeError('21211');
+        }
+
+        if (roll(CONFIG.FAKE_SMS.SEND_FAILURE_PERCENT)) {
+            throw fakeError(pick(CONFIG.FAKE_SMS.SEND_ERROR_CODES));
+        }
+
+        const sid = generateSid();
+        const media = mediaUrl ? (Array.isArray(mediaUrl) ? mediaUrl : [mediaUrl]) : [];
+
+        simulateLifecycle({ sid, from: formattedFrom, to: formattedTo, reference });
+
+        console.log('[FakeSMS] Message accepted:', { sid });
+
+        return {
+            success: true,
+            provider: NAME,
+            sid,
+            from: formattedFrom,
+            status: 'queued',
+            numSegments: calculateSegments(body).segments,
+            numMedia: media.length,
+            dateCreated: new Date().toISOString(),
+            errorCode: null,
+            errorMessage: null
+        };
+
+    } catch (error) {
+        const { code, message } = normalizeError(error);
+
+        logger.error('[FakeSMS] Simulated send failure:', { error: message, code });
+
+        return {
+            success: false,
+            provider: NAME,
+            sid: null,
+            status: 'failed',
+            numSegments: 0,
+            numMedia: 0,
+            dateCreated: null,
+            errorCode: code,
+            errorMessage: message
+        };
+    }
+};
+
+/**
+ * Inbound body (same shape as the simulated events) → inbound message
+ * Lets a local script publish INBOUND_SMS v2 with provider 'fake'
+ */
+const parseInbound = (raw) => {
+    const media = raw.mediaUrl ? (Array.isArray(raw.mediaUrl) ? raw.mediaUrl : [raw.mediaUrl]) : [];
+
+    return {
+        messageSid: raw.sid || generateSid(),
+        from: raw.from,
+        to: raw.to,
+        body: raw.body || '',
+        mediaUrl: media.length > 0 ? media : null,
+        numMedia: media.length
+    };
+};
+
+/**
+ * Simulated status event → status update
+ */
+const parseStatus = (raw) => ({
+    messageSid: raw.sid,
+    from: raw.from || null,
+    bRef: raw.reference || null,
+    status: mapStatus(raw.status),
+    rawStatus: raw.status,
+    errorCode: raw.errorCode ?? null,
+    errorMessage: raw.errorMessage || null
+});
+
+/**
+ * Simulated callbacks still waiting to be published
+ */
+const getPendingCallbacks = () => pendingCallbacks;
+
+module.exports = {
+    name: NAME,
+    initClient,
+    send,
+    mapStatus,
+    normalizeError,
+    parseInbound,
+    parseStatus,
+    getPendingCallbacks
+};
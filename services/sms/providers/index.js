@@ -0,0 +1,45 @@
+/**
+ * SMS Providers for sengine-workers
+ * Every provider exposes the same interface:
+ *
+ * - send({ from, to, body, mediaUrl, statusCallback, reference, messagingServiceSid, credentials })
+ *     → { success, provider, sid, status, numSegments, numMedia, dateCreated, errorCode, errorMessage }
+ *     Never throws - failures come back with success: false and a normalized error
+ *     messagingServiceSid (sender pool) is Twilio only; the others always send from `from`
+ * - initClient(credentials)  client/credentials for the account (env fallback)
+ * - mapStatus(status)        provider status → queued | sending | sent | delivered | undelivered | failed | read | received
+ * - normalizeError(error)    SDK/HTTP error → { code, message }
+ * - parseInbound(raw)        inbound webhook body → { messageSid, from, to, body, mediaUrl, numMedia }
+ * - parseStatus(raw)         status callback body → { messageSid, from, status, rawStatus, errorCode, errorMessage }
+ *                            `from` is the number that actually sent it (the pool's pick)
+ *
+ * @module services/sms/providers
+ */
+
+const PROVIDERS = {
+    twilio: () => require('./twilio'),
+    telnyx: () => require('./telnyx'),
+    vonage: () => require('./vonage'),
+    bandwidth: () => require('./bandwidth'),
+    // Local development only (FAKE_SMS_ENABLED)
+    fake: () => require('./fake')
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Load a provider by name
+ * @param {string} name - 'twilio' | 'telnyx' | 'vonage' | 'bandwidth' | 'fake'
+ */
+const getProvider = (name) => {
+    const load = PROVIDERS[String(name || '').toLowerCase()];
+    if (!load) {
+        throw new Error(`Unknown SMS provider: ${name} (expected one of ${PROVIDER_NAMES.join(', ')})`);
+    }
+    return load();
+};
+
+module.exports = {
+    PROVIDER_NAMES,
+    getProvider
+};
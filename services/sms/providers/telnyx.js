@@ -0,0 +1,196 @@
+/**
+ * Telnyx SMS Provider for sengine-workers
+ * Messaging API v2 over HTTPS
+ *
+ * @module services/sms/providers/telnyx
+ */
+
+const axios = require('axios');
+const { logger } = require('../../logger.service');
+const { toE164 } = require('../../phone/phone.service');
+const CONFIG = require('../../../config/config');
+
+const NAME = 'telnyx';
+const API_URL = 'https://api.telnyx.com/v2/messages';
+
+/**
+ * Telnyx message status → our status
+ */
+const STATUS_MAP = {
+    'queued': 'queued',
+    'sending': 'sending',
+    'sent': 'sent',
+    'delivered': 'delivered',
+    'delivery_unconfirmed': 'sent',
+    'delivery_failed': 'undelivered',
+    'sending_failed': 'failed',
+    'webhook_delivered': 'received'
+};
+
+/**
+ * Resolve credentials
+ * @param {Object} credentials - { apiKey, messagingProfileId }, falls back to TELNYX_* env
+ */
+const initClient = (credentials) => {
+    const apiKey = credentials?.apiKey || CONFIG.TELNYX.API_KEY;
+
+    if (!apiKey) {
+        logger.error('[Telnyx] Missing credentials');
+        throw new Error('Telnyx API key is required');
+    }
+
+    return {
+        apiKey,
+        messagingProfileId: credentials?.messagingProfileId || CONFIG.TELNYX.MESSAGING_PROFILE_ID || null
+    };
+};
+
+const mapStatus = (status) => STATUS_MAP[String(status || '').toLowerCase()] || status;
+
+/**
+ * API error ({ errors: [{ code, title, detail }] }) or network error → { code, message }
+ */
+const normalizeError = (error) => {
+    const apiError = error.response?.data?.errors?.[0];
+    if (apiError) {
+        return {
+            code: apiError.code || error.response.status,
+            message: apiError.detail || apiError.title || error.message
+        };
+    }
+    return { code: error.code || 'UNKNOWN', message: error.message };
+};
+
+/**
+ * Send SMS/MMS via Telnyx
+ */
+const send = async ({ from, to, body, mediaUrl, statusCallback, credentials }) => {
+    console.log('[Telnyx] sendSMS called:', {
+        from,
+        to,
+        bodyLength: body?.length,
+        hasMedia: !!mediaUrl,
+        hasCallback: !!statusCallback
+    });
+
+    try {
+        const client = initClient(credentials);
+
+        const formattedFrom = toE164(from);
+        const formattedTo = toE164(to);
+
+        if (!formattedFrom || !formattedTo) {
+            logger.error('[Telnyx] Invalid phone numbers:', { from, to });
+            throw new Error('Invalid phone numbers provided');
+        }
+
+        const request = {
+            from: formattedFrom,
+            to: formattedTo,
+            text: body || ''
+        };
+
+        if (client.messagingProfileId) {
+            request.messaging_profile_id = client.messagingProfileId;
+        }
+
+        if (mediaUrl) {
+            request.media_urls = Array.isArray(mediaUrl) ? mediaUrl : [mediaUrl];
+        }
+
+        if (statusCallback) {
+            request.webhook_url = statusCallback;
+        }
+
+        const response = await axios.post(API_URL, request, {
+            headers: { Authorization: `Bearer ${client.apiKey}` },
+            timeout: CONFIG.SMS.HTTP_TIMEOUT_MS
+        });
+
+        const message = response.data.data;
+
+        console.log('[Telnyx] Message sent successfully:', {
+            id: message.id,
+            status: message.to?.[0]?.status
+        });
+
+        return {
+            success: true,
+            provider: NAME,
+            sid: message.id,
+            status: mapStatus(message.to?.[0]?.status || 'queued'),
+            numSegments: message.parts,
+            numMedia: message.media?.length || 0,
+            dateCreated: message.received_at || null,
+            errorCode: null,
+            errorMessage: null
+        };
+
+    } catch (error) {
+        const { code, message } = normalizeError(error);
+
+        logger.error('[Telnyx] Error sending message:', { error: message, code });
+
+        return {
+            success: false,
+            provider: NAME,
+            sid: null,
+            status: 'failed',
+            numSegments: 0,
+            numMedia: 0,
+            dateCreated: null,
+            errorCode: code,
+            errorMessage: message
+        };
+    }
+};
+
+/**
+ * Webhooks wrap the message as { data: { event_type, payload } }
+ */
+const unwrap = (raw) => raw?.data?.payload || raw?.payload || raw;
+
+/**
+ * message.received webhook → inbound message
+ */
+const parseInbound = (raw) => {
+    const payload = unwrap(raw);
+    const media = (payload.media || []).map(item => item.url).filter(Boolean);
+
+    return {
+        messageSid: payload.id,
+        from: payload.from?.phone_number,
+        to: payload.to?.[0]?.phone_number,
+        body: payload.text || '',
+        mediaUrl: media.length > 0 ? media : null,
+        numMedia: media.length
+    };
+};
+
+/**
+ * message.sent / message.finalized webhook → status update
+ */
+const parseStatus = (raw) => {
+    const payload = unwrap(raw);
+    const rawStatus = payload.to?.[0]?.status;
+    const error = payload.errors?.[0];
+
+    return {
+        messageSid: payload.id,
+        from: payload.from?.phone_number || null,
+        status: mapStatus(rawStatus),
+        rawStatus,
+        errorCode: error?.code || null,
+        errorMessage: error ? (error.detail || error.title) : null
+    };
+};
+
+module.exports = {
+    name: NAME,
+    initClient,
+    send,
+    mapStatus,
+    normalizeError,
+    parseInbound,
+    parseStatus
+};
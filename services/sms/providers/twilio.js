@@ -0,0 +1,325 @@
+/**
+ * Twilio SMS Provider for sengine-workers
+ * Handles all Twilio API interactions for sending messages
+ *
+ * @module services/sms/providers/twilio
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../../logger.service');
+const { toE164 } = require('../../phone/phone.service');
+const CONFIG = require('../../../config/config');
+
+const NAME = 'twilio';
+
+// Twilio rejected the account SID / auth token
+const AUTH_ERROR_CODE = 20003;
+
+/**
+ * Twilio message status → our status
+ */
+const STATUS_MAP = {
+    'accepted': 'queued',
+    'scheduled': 'queued',
+    'queued': 'queued',
+    'sending': 'sending',
+    'sent': 'sent',
+    'delivered': 'delivered',
+    'undelivered': 'undelivered',
+    'failed': 'failed',
+    'canceled': 'failed',
+    'read': 'read',
+    'receiving': 'received',
+    'received': 'received'
+};
+
+// ============================================================================
+// CLIENT CACHE
+// ============================================================================
+// One client per account SID, least recently used evicted first. Each client
+// has its own keep-alive agent, so an account reuses its TLS connections and
+// can hold at most MAX_SOCKETS_PER_ACCOUNT of them.
+
+// accountSid -> { client, agent, tokenHash, createdAt } (Map order = LRU order)
+const clientCache = new Map();
+
+// accountSid -> requests currently waiting on Twilio
+const inFlightByAccount = new Map();
+
+const cacheStats = {
+    hits: 0,
+    misses: 0,
+    invalidations: 0,
+    evictions: 0
+};
+
+/**
+ * Tokens are compared by hash so the cache never holds a second copy
+ */
+const hashToken = (authToken) => crypto.createHash('sha256').update(authToken).digest('hex');
+
+/**
+ * Close an evicted client's idle sockets
+ * Sockets still carrying a request close on their own after the agent timeout
+ */
+const releaseClient = (accountSid, entry) => {
+    if (!inFlightByAccount.get(accountSid)) {
+        entry.agent.destroy();
+    }
+};
+
+/**
+ * Drop the cached client for an account (e.g. after its token was rotated)
+ * @param {string} accountSid
+ * @returns {boolean} true if a client was cached
+ */
+const invalidateClient = (accountSid) => {
+    const entry = clientCache.get(accountSid);
+    if (!entry) return false;
+
+    clientCache.delete(accountSid);
+    cacheStats.invalidations++;
+    releaseClient(accountSid, entry);
+    return true;
+};
+
+const createClient = (accountSid, authToken) => {
+    console.log('[Twilio] Initializing client with SID:', accountSid.substring(0, 10) + '...');
+
+    const twilio = require('twilio');
+    const httpClient = new twilio.RequestClient({
+        timeout: CONFIG.SMS.HTTP_TIMEOUT_MS,
+        keepAlive: true,
+        keepAliveMsecs: CONFIG.TWILIO.KEEP_ALIVE_MSECS,
+        maxSockets: CONFIG.TWILIO.MAX_SOCKETS_PER_ACCOUNT,
+        maxFreeSockets: CONFIG.TWILIO.MAX_SOCKETS_PER_ACCOUNT
+    });
+
+    return {
+        client: twilio(accountSid, authToken, { httpClient }),
+        agent: httpClient.axios.defaults.httpsAgent,
+        tokenHash: hashToken(authToken),
+        createdAt: Date.now()
+    };
+};
+
+/**
+ * Get the Twilio client for a credential set, from the cache when possible
+ * A cached client whose token no longer matches is replaced
+ * @param {Object} credentials - { accountSid, authToken }, falls back to TWILIO_* env
+ */
+const initClient = (credentials) => {
+    const accountSid = credentials?.accountSid || CONFIG.TWILIO.ACCOUNT_SID;
+    const authToken = credentials?.authToken || CONFIG.TWILIO.AUTH_TOKEN;
+
+    if (!accountSid || !authToken) {
+        logger.error('[Twilio] Missing credentials');
+        throw new Error('Twilio credentials are required');
+    }
+
+    const cached = clientCache.get(accountSid);
+    if (cached && cached.tokenHash === hashToken(authToken)) {
+        // Move to the most recently used end
+        clientCache.delete(accountSid);
+        clientCache.set(accountSid, cached);
+        cacheStats.hits++;
+        return cached.client;
+    }
+
+    if (cached) {
+        logger.info('[Twilio] Auth token changed, replacing client:', accountSid.substring(0, 10) + '...');
+        invalidateClient(accountSid);
+    }
+
+    cacheStats.misses++;
+    const entry = createClient(accountSid, authToken);
+    clientCache.set(accountSid, entry);
+
+    while (clientCache.size > CONFIG.TWILIO.CLIENT_CACHE_SIZE) {
+        const [oldestSid, oldest] = clientCache.entries().next().value;
+        clientCache.delete(oldestSid);
+        cacheStats.evictions++;
+        releaseClient(oldestSid, oldest);
+    }
+
+    return entry.client;
+};
+
+/**
+ * Cache counters plus per-account in-flight requests
+ */
+const getClientCacheStats = () => {
+    const lookups = cacheStats.hits + cacheStats.misses;
+    return {
+        ...cacheStats,
+        size: clientCache.size,
+        maxSize: CONFIG.TWILIO.CLIENT_CACHE_SIZE,
+        hitRate: lookups > 0 ? cacheStats.hits / lookups : null,
+        inFlightByAccount: Object.fromEntries(inFlightByAccount)
+    };
+};
+
+const mapStatus = (status) => STATUS_MAP[String(status || '').toLowerCase()] || status;
+
+/**
+ * Twilio RestException → { code, message }
+ */
+const normalizeError = (error) => ({
+    code: error.code || error.status || 'UNKNOWN',
+    message: error.message
+});
+
+/**
+ * Send SMS message via Twilio
+ * With a messagingServiceSid the service's sender pool picks the number
+ * (sticky sender, geo-match) and `from` is not sent
+ */
+const send = async ({ from, to, body, mediaUrl, statusCallback, messagingServiceSid, credentials }) => {
+    console.log('[Twilio] sendSMS called:', {
+        from,
+        to,
+        messagingServiceSid,
+        bodyLength: body?.length,
+        hasMedia: !!mediaUrl,
+        hasCallback: !!statusCallback
+    });
+
+    let accountSid = null;
+
+    try {
+        const client = initClient(credentials);
+        accountSid = client.accountSid;
+
+        const formattedFrom = toE164(from);
+        const formattedTo = toE164(to);
+
+        if ((!formattedFrom && !messagingServiceSid) || !formattedTo) {
+            logger.error('[Twilio] Invalid phone numbers:', { from, to });
+            throw new Error('Invalid phone numbers provided');
+        }
+
+        const messageOptions = {
+            to: formattedTo,
+            body: body || ''
+        };
+
+        if (messagingServiceSid) {
+            messageOptions.messagingServiceSid = messagingServiceSid;
+        } else {
+            messageOptions.from = formattedFrom;
+        }
+
+        if (mediaUrl) {
+            messageOptions.mediaUrl = Array.isArray(mediaUrl) ? mediaUrl : [mediaUrl];
+        }
+
+        if (statusCallback) {
+            messageOptions.statusCallback = statusCallback;
+        }
+
+        console.log('[Twilio] Sending message:', {
+            from: messageOptions.from || messagingServiceSid,
+            to: messageOptions.to,
+            bodyLength: messageOptions.body?.length
+        });
+
+        inFlightByAccount.set(accountSid, (inFlightByAccount.get(accountSid) || 0) + 1);
+        let message;
+        try {
+            message = await client.messages.create(messageOptions);
+        } finally {
+            const remaining = inFlightByAccount.get(accountSid) - 1;
+            if (remaining > 0) {
+                inFlightByAccount.set(accountSid, remaining);
+            } else {
+                inFlightByAccount.delete(accountSid);
+            }
+        }
+
+        console.log('[Twilio] Message sent successfully:', {
+            sid: message.sid,
+            status: message.status
+        });
+
+        return {
+            success: true,
+            provider: NAME,
+            sid: message.sid,
+            status: mapStatus(message.status),
+            // Null until the pool has picked a sender - the status callback reports it
+            from: message.from || null,
+            messagingServiceSid: message.messagingServiceSid || null,
+            numSegments: message.numSegments,
+            numMedia: message.numMedia,
+            dateCreated: message.dateCreated,
+            errorCode: null,
+            errorMessage: null
+        };
+
+    } catch (error) {
+        const { code, message } = normalizeError(error);
+
+        logger.error('[Twilio] Error sending message:', { error: message, code });
+
+        // The token was rotated or revoked - build a fresh client next time
+        if (code === AUTH_ERROR_CODE && accountSid) {
+            invalidateClient(accountSid);
+        }
+
+        return {
+            success: false,
+            provider: NAME,
+            sid: null,
+            status: 'failed',
+            numSegments: 0,
+            numMedia: 0,
+            dateCreated: null,
+            errorCode: code,
+            errorMessage: message
+        };
+    }
+};
+
+/**
+ * Inbound webhook body (form fields) → inbound message
+ */
+const parseInbound = (raw) => {
+    const numMedia = parseInt(raw.NumMedia || '0', 10);
+    const mediaUrl = [];
+    for (let i = 0; i < numMedia; i++) {
+        if (raw[`MediaUrl${i}`]) mediaUrl.push(raw[`MediaUrl${i}`]);
+    }
+
+    return {
+        messageSid: raw.MessageSid || raw.SmsSid,
+        from: raw.From,
+        to: raw.To,
+        body: raw.Body || '',
+        mediaUrl: mediaUrl.length > 0 ? mediaUrl : null,
+        numMedia
+    };
+};
+
+/**
+ * Status callback body → status update
+ */
+const parseStatus = (raw) => ({
+    messageSid: raw.MessageSid || raw.SmsSid,
+    from: raw.From || null,
+    status: mapStatus(raw.MessageStatus || raw.SmsStatus),
+    rawStatus: raw.MessageStatus || raw.SmsStatus,
+    errorCode: raw.ErrorCode || null,
+    errorMessage: raw.ErrorMessage || null
+});
+
+module.exports = {
+    name: NAME,
+    initClient,
+    invalidateClient,
+    getClientCacheStats,
+    send,
+    mapStatus,
+    normalizeError,
+    parseInbound,
+    parseStatus
+};
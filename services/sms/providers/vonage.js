@@ -0,0 +1,180 @@
+/**
+ * Vonage SMS Provider for sengine-workers
+ * Messages API v1 over HTTPS (basic auth with the account API key/secret)
+ *
+ * @module services/sms/providers/vonage
+ */
+
+const axios = require('axios');
+const { logger } = require('../../logger.service');
+const { toDigits } = require('../../phone/phone.service');
+const CONFIG = require('../../../config/config');
+
+const NAME = 'vonage';
+const API_URL = 'https://api.nexmo.com/v1/messages';
+
+/**
+ * Vonage message status → our status
+ */
+const STATUS_MAP = {
+    'submitted': 'sent',
+    'delivered': 'delivered',
+    'read': 'read',
+    'rejected': 'failed',
+    'undeliverable': 'undelivered'
+};
+
+/**
+ * Resolve credentials
+ * @param {Object} credentials - { apiKey, apiSecret }, falls back to VONAGE_* env
+ */
+const initClient = (credentials) => {
+    const apiKey = credentials?.apiKey || CONFIG.VONAGE.API_KEY;
+    const apiSecret = credentials?.apiSecret || CONFIG.VONAGE.API_SECRET;
+
+    if (!apiKey || !apiSecret) {
+        logger.error('[Vonage] Missing credentials');
+        throw new Error('Vonage API key and secret are required');
+    }
+
+    return { apiKey, apiSecret };
+};
+
+const mapStatus = (status) => STATUS_MAP[String(status || '').toLowerCase()] || status;
+
+/**
+ * Error body ({ type: '.../api-errors/messages#1150', title, detail }) → { code, message }
+ * The numeric code is the fragment of the error type URL
+ */
+const normalizeError = (error) => {
+    const apiError = error.response?.data;
+    if (apiError && (apiError.type || apiError.title)) {
+        const code = String(apiError.type || '').split('#')[1];
+        return {
+            code: code || error.response.status,
+            message: apiError.detail || apiError.title
+        };
+    }
+    return { code: error.code || 'UNKNOWN', message: error.message };
+};
+
+/**
+ * Vonage wants international format without the leading '+'
+ */
+const toVonageNumber = (phone) => toDigits(phone) || null;
+
+/**
+ * Send SMS/MMS via Vonage
+ * MMS carries one image; the message body becomes its caption
+ */
+const send = async ({ from, to, body, mediaUrl, statusCallback, credentials }) => {
+    console.log('[Vonage] sendSMS called:', {
+        from,
+        to,
+        bodyLength: body?.length,
+        hasMedia: !!mediaUrl,
+        hasCallback: !!statusCallback
+    });
+
+    try {
+        const client = initClient(credentials);
+
+        const formattedFrom = toVonageNumber(from);
+        const formattedTo = toVonageNumber(to);
+
+        if (!formattedFrom || !formattedTo) {
+            logger.error('[Vonage] Invalid phone numbers:', { from, to });
+            throw new Error('Invalid phone numbers provided');
+        }
+
+        const media = mediaUrl ? (Array.isArray(mediaUrl) ? mediaUrl : [mediaUrl]) : [];
+        if (media.length > 1) {
+            logger.warn('[Vonage] MMS supports one image, sending the first:', { count: media.length });
+        }
+
+        const request = media.length > 0
+            ? { channel: 'mms', message_type: 'image', image: { url: media[0], caption: body || undefined } }
+            : { channel: 'sms', message_type: 'text', text: body || '' };
+
+        request.from = formattedFrom;
+        request.to = formattedTo;
+
+        if (statusCallback) {
+            request.webhook_url = statusCallback;
+        }
+
+        const response = await axios.post(API_URL, request, {
+            auth: { username: client.apiKey, password: client.apiSecret },
+            timeout: CONFIG.SMS.HTTP_TIMEOUT_MS
+        });
+
+        console.log('[Vonage] Message sent successfully:', { id: response.data.message_uuid });
+
+        return {
+            success: true,
+            provider: NAME,
+            sid: response.data.message_uuid,
+            status: 'queued',
+            numSegments: null,
+            numMedia: media.length > 0 ? 1 : 0,
+            dateCreated: null,
+            errorCode: null,
+            errorMessage: null
+        };
+
+    } catch (error) {
+        const { code, message } = normalizeError(error);
+
+        logger.error('[Vonage] Error sending message:', { error: message, code });
+
+        return {
+            success: false,
+            provider: NAME,
+            sid: null,
+            status: 'failed',
+            numSegments: 0,
+            numMedia: 0,
+            dateCreated: null,
+            errorCode: code,
+            errorMessage: message
+        };
+    }
+};
+
+/**
+ * Inbound message webhook → inbound message
+ */
+const parseInbound = (raw) => {
+    const media = raw.image?.url ? [raw.image.url] : [];
+
+    return {
+        messageSid: raw.message_uuid,
+        from: raw.from,
+        to: raw.to,
+        body: raw.text || raw.image?.caption || '',
+        mediaUrl: media.length > 0 ? media : null,
+        numMedia: media.length
+    };
+};
+
+/**
+ * Message status webhook → status update
+ */
+const parseStatus = (raw) => ({
+    messageSid: raw.message_uuid,
+    from: raw.from || null,
+    status: mapStatus(raw.status),
+    rawStatus: raw.status,
+    errorCode: raw.error ? (String(raw.error.type || '').split('#')[1] || raw.error.title) : null,
+    errorMessage: raw.error ? (raw.error.detail || raw.error.title) : null
+});
+
+module.exports = {
+    name: NAME,
+    initClient,
+    send,
+    mapStatus,
+    normalizeError,
+    parseInbound,
+    parseStatus
+};
@@ -0,0 +1,137 @@
+/**
+ * Segment Service for sengine-workers
+ * Works out how a message body is encoded and how many segments it costs
+ *
+ * Carriers bill SMS per segment:
+ * - GSM-7: 160 characters in one segment, 153 per segment once concatenated.
+ *   Characters from the extension table (€ [ ] { } ~ ^ \ | and form feed)
+ *   take two septets and are never split across segments.
+ * - UCS-2: any character outside GSM-7 switches the whole body to UCS-2:
+ *   70 code units in one segment, 67 once concatenated. Characters outside the
+ *   BMP (most emoji) take two units and are never split.
+ *
+ * An MMS is billed as one message whatever its body length.
+ *
+ * @module services/sms/segment.service
+ */
+
+const CONFIG = require('../../config/config');
+
+const ENCODINGS = {
+    GSM7: 'GSM-7',
+    UCS2: 'UCS-2'
+};
+
+// GSM 03.38 basic character set (ESC excluded)
+const GSM7_BASIC = new Set(Array.from(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+
+// GSM 03.38 extension table - sent as ESC + character
+const GSM7_EXTENDED = new Set(Array.from('^{}\\[~]|€\f'));
+
+const LIMITS = {
+    [ENCODINGS.GSM7]: { single: 160, concatenated: 153 },
+    [ENCODINGS.UCS2]: { single: 70, concatenated: 67 }
+};
+
+const isGsm7Char = (char) => GSM7_BASIC.has(char) || GSM7_EXTENDED.has(char);
+
+/**
+ * Characters in the body that aren't in GSM-7 (each listed once)
+ * @param {string} body
+ * @returns {string[]}
+ */
+const findNonGsm7Chars = (body) => [...new Set(Array.from(body || '').filter(char => !isGsm7Char(char)))];
+
+/**
+ * GSM-7 when every character is in the GSM alphabet, otherwise UCS-2
+ */
+const detectEncoding = (body) => (findNonGsm7Chars(body).length === 0 ? ENCODINGS.GSM7 : ENCODINGS.UCS2);
+
+/**
+ * Units one character takes: septets for GSM-7, UTF-16 code units for UCS-2
+ */
+const charUnits = (char, encoding) => {
+    if (encoding === ENCODINGS.GSM7) {
+        return GSM7_EXTENDED.has(char) ? 2 : 1;
+    }
+    return char.length;
+};
+
+/**
+ * Count the segments for a body
+ * Concatenated segments are packed a character at a time, so an escape
+ * sequence or surrogate pair that doesn't fit starts the next segment.
+ *
+ * @param {string} body - Message text
+ * @param {Object} options - { mediaUrl } - a URL or array of URLs; any media makes it an MMS
+ * @returns {{encoding, characters, units, segments, unitsPerSegment, nonGsm7Chars, isMms, mmsUnits}}
+ */
+const calculateSegments = (body, { mediaUrl = null } = {}) => {
+    const chars = Array.from(body || '');
+    const nonGsm7Chars = findNonGsm7Chars(body);
+    const encoding = nonGsm7Chars.length === 0 ? ENCODINGS.GSM7 : ENCODINGS.UCS2;
+    const limits = LIMITS[encoding];
+
+    const units = chars.reduce((total, char) => total + charUnits(char, encoding), 0);
+
+    let segments = 1;
+    if (units > limits.single) {
+        let used = 0;
+        for (const char of chars) {
+            const size = charUnits(char, encoding);
+            if (used + size > limits.concatenated) {
+                segments++;
+                used = 0;
+            }
+            used += size;
+        }
+    }
+
+    const isMms = [].concat(mediaUrl || []).filter(Boolean).length > 0;
+
+    return {
+        encoding,
+        characters: chars.length,
+        units,
+        segments,
+        unitsPerSegment: segments > 1 ? limits.concatenated : limits.single,
+        nonGsm7Chars,
+        isMms,
+        mmsUnits: isMms ? 1 : 0
+    };
+};
+
+/**
+ * Credits a send costs
+ * @param {Object} calculation - From calculateSegments()
+ * @returns {number}
+ */
+const calculateCredits = (calculation) => {
+    if (calculation.isMms) {
+        return calculation.mmsUnits * CONFIG.SMS.CREDITS_PER_MMS;
+    }
+    return calculation.segments * CONFIG.SMS.CREDITS_PER_SEGMENT;
+};
+
+/**
+ * Segment count a provider reported, or null when it didn't report one
+ * (Twilio returns it as a string, Vonage not at all)
+ */
+const parseProviderSegments = (numSegments) => {
+    const value = parseInt(numSegments, 10);
+    return isNaN(value) || value <= 0 ? null : value;
+};
+
+module.exports = {
+    ENCODINGS,
+    LIMITS,
+    isGsm7Char,
+    findNonGsm7Chars,
+    detectEncoding,
+    calculateSegments,
+    calculateCredits,
+    parseProviderSegments
+};
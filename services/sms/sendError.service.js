@@ -0,0 +1,187 @@
+/**
+ * Send Error Service for sengine-workers
+ * Classifies provider error codes and applies the follow-up action
+ *
+ * Every failed send (and failed/undelivered status callback) is looked up in
+ * ERROR_CLASSIFICATIONS. The action says what the caller does next:
+ * - opt_out            the recipient unsubscribed - opt the contact out
+ * - mark_undeliverable the number can't take SMS - flag the contact
+ * - retry              transient - retry the send with backoff
+ * - alert_sender       carriers are filtering the sending number
+ * - none               fail the message, nothing else
+ *
+ * @module services/sms/sendError.service
+ */
+
+const { dbWriter } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const optoutService = require('../message/optout.service');
+const { phoneVariants } = require('../phone/phone.service');
+const metrics = require('../metrics.service');
+
+const ACTIONS = {
+    OPT_OUT: 'opt_out',
+    MARK_UNDELIVERABLE: 'mark_undeliverable',
+    RETRY: 'retry',
+    ALERT_SENDER: 'alert_sender',
+    NONE: 'none'
+};
+
+/**
+ * provider -> error code -> classification
+ * `*` applies to every provider (HTTP status codes from the REST adapters)
+ */
+const ERROR_CLASSIFICATIONS = {
+    twilio: {
+        21610: { category: 'unsubscribed', action: ACTIONS.OPT_OUT, description: 'Recipient has replied STOP' },
+        21211: { category: 'invalid_number', action: ACTIONS.MARK_UNDELIVERABLE, description: 'Invalid To number' },
+        21614: { category: 'not_mobile', action: ACTIONS.MARK_UNDELIVERABLE, description: 'To number is not a mobile number' },
+        20429: { category: 'rate_limited', action: ACTIONS.RETRY, description: 'Too many requests' },
+        30001: { category: 'queue_overflow', action: ACTIONS.RETRY, description: 'Message queue overflow' },
+        30007: { category: 'carrier_filtered', action: ACTIONS.ALERT_SENDER, description: 'Message filtered by the carrier' }
+    },
+    '*': {
+        429: { category: 'rate_limited', action: ACTIONS.RETRY, description: 'Too many requests' }
+    }
+};
+
+// The fake provider simulates failures with Twilio's codes
+ERROR_CLASSIFICATIONS.fake = ERROR_CLASSIFICATIONS.twilio;
+
+const UNCLASSIFIED = { category: 'failed', action: ACTIONS.NONE, description: 'Send failed' };
+
+const sendErrors = metrics.createCounter(
+    'sms_send_errors_total',
+    'Failed sends and failed deliveries by provider error classification',
+    ['provider', 'category', 'action']
+);
+
+/**
+ * Classify a provider error code
+ * @param {string} provider - Provider name (twilio, telnyx, ...)
+ * @param {string|number} errorCode - Code from the send result or status callback
+ * @returns {{provider, code, category, action, retryable: boolean, description}}
+ */
+const classifyError = (provider, errorCode) => {
+    const code = errorCode === null || errorCode === undefined ? null : String(errorCode);
+    const entry = (code && (ERROR_CLASSIFICATIONS[provider]?.[code] || ERROR_CLASSIFICATIONS['*'][code])) || UNCLASSIFIED;
+
+    return {
+        provider: provider || null,
+        code,
+        ...entry,
+        retryable: entry.action === ACTIONS.RETRY
+    };
+};
+
+/**
+ * Opt the contact out and add the number to the user's opt-out list
+ */
+const optOutContact = async ({ userId, contactId, toNumber }) => {
+    if (contactId) {
+        await to(
+            dbWriter('contacts')
+                .where({ id: contactId })
+                .update({ opted_out: 1, updated_at: new Date() })
+        );
+    }
+
+    if (toNumber && userId) {
+        await optoutService.addOptOut(toNumber, userId);
+    }
+};
+
+/**
+ * Flag the contact so nothing else is sent to it
+ */
+const markContactUndeliverable = async ({ contactId }, classification) => {
+    if (!contactId) return;
+
+    await to(
+        dbWriter('contacts')
+            .where({ id: contactId })
+            .update({
+                undeliverable: 1,
+                undeliverable_reason: `${classification.provider} ${classification.code}: ${classification.description}`,
+                updated_at: new Date()
+            })
+    );
+};
+
+/**
+ * Record the filtering on the sending number and raise an alert
+ */
+const alertSender = async ({ userId, sid, fromNumber }, classification) => {
+    logger.error('[SendError] Carrier filtering on sender number:', {
+        userId,
+        sid,
+        fromNumber,
+        provider: classification.provider,
+        code: classification.code
+    });
+
+    if (!userId || (!sid && !fromNumber)) return;
+
+    await to(
+        dbWriter('user_numbers')
+            .where({ user_id: userId })
+            .where(function() {
+                if (sid) {
+                    this.where('id', sid);
+                } else {
+                    this.whereIn('phone', phoneVariants(fromNumber));
+                }
+            })
+            .update({
+                carrier_filtered_count: dbWriter.raw('COALESCE(carrier_filtered_count, 0) + 1'),
+                last_carrier_filtered_at: new Date()
+            })
+    );
+};
+
+/**
+ * Apply a classification's side effects
+ * `retry` is left to the caller - only it knows whether attempts are left
+ * Never throws: a failed follow-up must not fail the message a second time
+ * @param {Object} classification - From classifyError()
+ * @param {Object} context - { userId, contactId, toNumber, sid, fromNumber }
+ */
+const applyErrorAction = async (classification, context = {}) => {
+    sendErrors.inc({
+        provider: classification.provider || 'unknown',
+        category: classification.category,
+        action: classification.action
+    });
+
+    try {
+        switch (classification.action) {
+            case ACTIONS.OPT_OUT:
+                await optOutContact(context);
+                break;
+            case ACTIONS.MARK_UNDELIVERABLE:
+                await markContactUndeliverable(context, classification);
+                break;
+            case ACTIONS.ALERT_SENDER:
+                await alertSender(context, classification);
+                break;
+            default:
+                return;
+        }
+
+        console.log('[SendError] Applied action:', {
+            action: classification.action,
+            code: classification.code,
+            contactId: context.contactId
+        });
+    } catch (error) {
+        logger.error('[SendError] Failed to apply action:', { action: classification.action, error: error.message });
+    }
+};
+
+module.exports = {
+    ACTIONS,
+    ERROR_CLASSIFICATIONS,
+    classifyError,
+    applyErrorAction
+};
@@ -0,0 +1,163 @@
+/**
+ * Smart Encoding Service for sengine-workers
+ * Replaces Unicode look-alikes with GSM-7 characters before sending
+ *
+ * One curly quote or em dash makes the whole body UCS-2, which more than
+ * doubles its segment count (see segment.service). Swapping the common
+ * look-alikes - smart quotes, dashes, ellipses, unusual spaces - keeps most
+ * bodies in GSM-7. Characters with no GSM-7 equivalent (emoji, CJK) are left
+ * alone, so those bodies stay UCS-2.
+ *
+ * Opt-in per workspace (workspaces.smart_encoding), defaulting to
+ * SMS_SMART_ENCODING_DEFAULT.
+ *
+ * @module services/sms/smartEncoding.service
+ */
+
+const { dbReader } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const segmentService = require('./segment.service');
+const metrics = require('../metrics.service');
+const CONFIG = require('../../config/config');
+
+/**
+ * Look-alike → GSM-7 replacement
+ */
+const REPLACEMENTS = {
+    // Quotes and primes
+    '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'", '‹': "'", '›': "'",
+    '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"',
+    // Dashes and minus
+    '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+    // Ellipsis
+    '…': '...',
+    // Spaces (no-break, en/em and other widths, ideographic)
+    '\u00A0': ' ', '\u2000': ' ', '\u2001': ' ', '\u2002': ' ', '\u2003': ' ', '\u2004': ' ',
+    '\u2005': ' ', '\u2006': ' ', '\u2007': ' ', '\u2008': ' ', '\u2009': ' ', '\u200A': ' ',
+    '\u202F': ' ', '\u205F': ' ', '\u3000': ' ',
+    // Invisible characters (soft hyphen, zero-width, BOM)
+    '\u00AD': '', '\u200B': '', '\u200C': '', '\u200D': '', '\u2060': '', '\uFEFF': '',
+    // Modifier accents
+    'ˆ': '^', '˜': '~'
+};
+
+const REPLACEMENT_PATTERN = new RegExp(`[${Object.keys(REPLACEMENTS).join('')}]`, 'g');
+
+// workspaceId -> { enabled, expiresAt }
+const settingCache = new Map();
+
+const encodedMessages = metrics.createCounter(
+    'sms_smart_encoding_messages_total',
+    'Bodies changed by smart encoding',
+    ['source']
+);
+
+const segmentsSaved = metrics.createCounter(
+    'sms_smart_encoding_segments_saved_total',
+    'Segments saved by smart encoding',
+    ['source']
+);
+
+/**
+ * Replace look-alikes in a body
+ * @param {string} body - Message text
+ * @returns {{body: string, replacements: number, encoding: string, segmentsBefore: number, segmentsAfter: number, segmentsSaved: number}}
+ */
+const smartEncode = (body) => {
+    const original = body || '';
+    let replacements = 0;
+
+    const encoded = original.replace(REPLACEMENT_PATTERN, (char) => {
+        replacements++;
+        return REPLACEMENTS[char];
+    });
+
+    const before = segmentService.calculateSegments(original).segments;
+    const after = replacements > 0 ? segmentService.calculateSegments(encoded) : null;
+
+    return {
+        body: encoded,
+        replacements,
+        encoding: segmentService.detectEncoding(encoded),
+        segmentsBefore: before,
+        segmentsAfter: after ? after.segments : before,
+        segmentsSaved: after ? before - after.segments : 0
+    };
+};
+
+/**
+ * Whether a workspace has smart encoding on (workspaces.smart_encoding)
+ * Cached for SMS_SMART_ENCODING_CACHE_TTL_MS; database errors fall back to the default
+ * @param {number} workspaceId
+ * @returns {Promise<boolean>}
+ */
+const isEnabledForWorkspace = async (workspaceId) => {
+    if (!workspaceId) return CONFIG.SMS.SMART_ENCODING_DEFAULT;
+
+    const cached = settingCache.get(workspaceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.enabled;
+    }
+
+    const [err, workspace] = await to(
+        dbReader('workspaces')
+            .select('smart_encoding')
+            .where({ id: workspaceId })
+            .first()
+    );
+
+    if (err) {
+        logger.error('[SmartEncoding] Workspace setting lookup failed:', { workspaceId, error: err.message });
+        return CONFIG.SMS.SMART_ENCODING_DEFAULT;
+    }
+
+    const setting = workspace?.smart_encoding;
+    const enabled = setting === null || setting === undefined
+        ? CONFIG.SMS.SMART_ENCODING_DEFAULT
+        : !!setting;
+
+    settingCache.set(workspaceId, { enabled, expiresAt: Date.now() + CONFIG.SMS.SMART_ENCODING_CACHE_TTL_MS });
+    return enabled;
+};
+
+/**
+ * Smart-encode a body if its workspace has it on, and report the savings
+ * @param {string} body - Message text
+ * @param {number} workspaceId
+ * @param {string} source - Where the body came from, for logs and metrics
+ * @returns {Promise<string>} The body to send
+ */
+const applyForWorkspace = async (body, workspaceId, source) => {
+    if (!body || !(await isEnabledForWorkspace(workspaceId))) {
+        return body;
+    }
+
+    const result = smartEncode(body);
+    if (result.replacements === 0) {
+        return body;
+    }
+
+    encodedMessages.inc({ source });
+    if (result.segmentsSaved > 0) {
+        segmentsSaved.inc({ source }, result.segmentsSaved);
+    }
+
+    console.log('[SmartEncoding] Replaced look-alike characters:', {
+        source,
+        workspaceId,
+        replacements: result.replacements,
+        encoding: result.encoding,
+        segmentsBefore: result.segmentsBefore,
+        segmentsAfter: result.segmentsAfter
+    });
+
+    return result.body;
+};
+
+module.exports = {
+    REPLACEMENTS,
+    smartEncode,
+    isEnabledForWorkspace,
+    applyForWorkspace
+};
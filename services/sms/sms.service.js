@@ -0,0 +1,216 @@
+/**
+ * SMS Service for sengine-workers
+ * Picks the provider for a sender and sends through it
+ *
+ * Provider selection, first match wins:
+ * 1. user_numbers.provider - the carrier hosting the sending number
+ * 2. users.sms_provider    - the account's default
+ * 3. SMS_DEFAULT_PROVIDER  - twilio unless configured
+ *
+ * Credentials: Twilio uses users.twilio_sid / twilio_token, the others read
+ * users.sms_credentials (JSON keyed by provider). Missing credentials fall
+ * back to the provider's environment variables.
+ *
+ * Twilio senders may go through a Messaging Service (sender pool) instead of
+ * their own number: campaigns.messaging_service_sid, else
+ * user_numbers.messaging_service_sid.
+ *
+ * @module services/sms/sms.service
+ */
+
+const { dbReader } = require('../../config/database');
+const { to } = require('../util.service');
+const { phoneVariants } = require('../phone/phone.service');
+const { logger } = require('../logger.service');
+const { getProvider, PROVIDER_NAMES } = require('./providers');
+const CONFIG = require('../../config/config');
+
+// `${userId}:${sid|fromNumber}` -> { sender, expiresAt }
+const senderCache = new Map();
+
+/**
+ * Parse users.sms_credentials (jsonb, or text on older schemas)
+ */
+const parseCredentials = (value) => {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.warn('[SMS] Unparseable users.sms_credentials');
+        return {};
+    }
+};
+
+/**
+ * Credentials a user has for a provider (null = use env)
+ * @param {string} provider - Provider name
+ * @param {Object} user - users row
+ */
+const getCredentials = (provider, user) => {
+    if (!user) return null;
+
+    if (provider === 'twilio') {
+        return user.twilio_sid && user.twilio_token
+            ? { accountSid: user.twilio_sid, authToken: user.twilio_token }
+            : null;
+    }
+
+    return parseCredentials(user.sms_credentials)[provider] || null;
+};
+
+/**
+ * Pick the provider for rows the caller has already loaded
+ * @param {Object|null} userNumber - user_numbers row (needs `provider`, `messaging_service_sid`)
+ * @param {Object|null} user - users row (needs `sms_provider` + credential columns)
+ * @param {Object|null} campaign - campaigns row (`messaging_service_sid`), for campaign sends
+ * @returns {{provider: string, credentials: Object|null, messagingServiceSid: string|null}}
+ */
+const selectProvider = (userNumber, user, campaign = null) => {
+    const provider = String(userNumber?.provider || user?.sms_provider || CONFIG.SMS.DEFAULT_PROVIDER).toLowerCase();
+
+    if (!PROVIDER_NAMES.includes(provider)) {
+        throw new Error(`Unknown SMS provider: ${provider}`);
+    }
+
+    // Sender pools are a Twilio feature
+    const messagingServiceSid = provider === 'twilio'
+        ? (campaign?.messaging_service_sid || userNumber?.messaging_service_sid || null)
+        : null;
+
+    return { provider, credentials: getCredentials(provider, user), messagingServiceSid };
+};
+
+/**
+ * Look up the provider, credentials and sender pool for a sender
+ * Cached for SMS_PROVIDER_CACHE_TTL_MS - these rows rarely change
+ * @param {Object} params - { userId, sid (user_numbers.id), fromNumber, campaignId }
+ * @returns {Promise<{provider: string, credentials: Object|null, messagingServiceSid: string|null}>}
+ */
+const resolveProvider = async ({ userId, sid = null, fromNumber = null, campaignId = null }) => {
+    const cacheKey = `${userId}:${sid || fromNumber}:${campaignId || ''}`;
+    const cached = senderCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.sender;
+    }
+
+    const [numberErr, userNumber] = await to(
+        dbReader('user_numbers')
+            .select('id', 'provider', 'messaging_service_sid')
+            .where({ user_id: userId })
+            .where(function() {
+                if (sid) {
+                    this.where('id', sid);
+                } else {
+                    this.whereIn('phone', phoneVariants(fromNumber));
+                }
+            })
+            .whereNull('deleted_at')
+            .first()
+    );
+
+    const [userErr, user] = await to(
+        dbReader('users')
+            .select('id', 'sms_provider', 'sms_credentials', 'twilio_sid', 'twilio_token')
+            .where({ id: userId })
+            .first()
+    );
+
+    const [campaignErr, campaign] = campaignId
+        ? await to(
+            dbReader('campaigns')
+                .select('id', 'messaging_service_sid')
+                .where({ id: campaignId })
+                .first()
+        )
+        : [null, null];
+
+    const lookupErr = numberErr || userErr || campaignErr;
+    if (lookupErr) {
+        // Don't cache a guess made while the database was failing
+        logger.error('[SMS] Provider lookup failed:', { userId, sid, campaignId, error: lookupErr.message });
+        throw lookupErr;
+    }
+
+    const sender = selectProvider(userNumber, user, campaign);
+    senderCache.set(cacheKey, { sender, expiresAt: Date.now() + CONFIG.SMS.PROVIDER_CACHE_TTL_MS });
+    return sender;
+};
+
+/**
+ * Status callback URL for a provider with our b_ref attached
+ * @returns {string|null} null when the provider has no callback URL configured
+ */
+const buildStatusCallbackUrl = (provider, bRef) => {
+    const baseUrl = CONFIG[String(provider).toUpperCase()]?.STATUS_CALLBACK_URL;
+    if (!baseUrl) return null;
+
+    const separator = baseUrl.includes('?') ? '&' : '?';
+    return `${baseUrl}${separator}b_ref=${encodeURIComponent(bRef)}`;
+};
+
+/**
+ * Send an SMS/MMS through a provider
+ * @param {Object} params - { provider, credentials, from, to, body, mediaUrl, statusCallback, reference, messagingServiceSid }
+ * @returns {Promise<Object>} Provider send result (see services/sms/providers)
+ */
+const sendSMS = async ({ provider = CONFIG.SMS.DEFAULT_PROVIDER, ...params }) => {
+    return getProvider(provider).send(params);
+};
+
+/**
+ * Normalize a STATUS_UPDATE payload
+ * v1: fields the API extracted from a Twilio callback (optionally with `provider`)
+ * v2: { provider, bRef, payload } - the provider's raw callback body
+ * @returns {{provider, messageSid, from, bRef, status, rawStatus, errorCode, errorMessage}}
+ */
+const parseStatusUpdate = ({ data, schemaVersion = 1 }) => {
+    const provider = getProvider(data.provider || 'twilio');
+
+    if (schemaVersion >= 2) {
+        const parsed = provider.parseStatus(data.payload);
+        return {
+            ...parsed,
+            provider: provider.name,
+            bRef: parsed.bRef || data.bRef || null
+        };
+    }
+
+    return {
+        provider: provider.name,
+        messageSid: data.messageSid,
+        from: data.from || null,
+        bRef: data.bRef || null,
+        status: provider.mapStatus(data.status),
+        rawStatus: data.status,
+        errorCode: data.errorCode ?? null,
+        errorMessage: data.errorMessage || null
+    };
+};
+
+/**
+ * Normalize an INBOUND_SMS payload
+ * v1: fields the API extracted from a Twilio webhook
+ * v2: { provider, payload } - the provider's raw webhook body
+ * @returns {{provider, messageSid, from, to, body, mediaUrl, numMedia}}
+ */
+const parseInboundMessage = ({ data, schemaVersion = 1 }) => {
+    if (schemaVersion >= 2) {
+        const provider = getProvider(data.provider);
+        return { ...provider.parseInbound(data.payload), provider: provider.name };
+    }
+
+    return { ...data, provider: data.provider || 'twilio' };
+};
+
+module.exports = {
+    PROVIDER_NAMES,
+    getProvider,
+    getCredentials,
+    selectProvider,
+    resolveProvider,
+    buildStatusCallbackUrl,
+    sendSMS,
+    parseStatusUpdate,
+    parseInboundMessage
+};
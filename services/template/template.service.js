@@ -0,0 +1,653 @@
+/**
+ * Template Service for sengine-workers
+ * Renders drip and scheduled message bodies for a contact.
+ *
+ * Syntax:
+ *   {{first}}                       a variable - blank, and reported missing, when empty
+ *   {{first|there}}                 with a fallback for when it's empty
+ *   {{date renewal_at "MMM D"}}     a date, in the contact's time zone (now / today work too)
+ *   {{#if city}}...{{else}}...{{/if}}, {{#unless vip}}...{{/unless}}
+ *   {{#if plan == "gold"}}...{{/if}}  (and !=)
+ *   {Hi|Hello|Hey}                  spintax - one option per contact, the same on every render
+ *   [first], [name], ...            the legacy tokens, still supported
+ *   \{ \} \[ \|                     a literal brace, bracket or bar
+ *
+ * Variables are first, last, name, phone, email and campaign, plus any of the
+ * contact's custom fields (contacts.custom_fields), matched case-insensitively.
+ *
+ * Date formats: YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm A a z,
+ * anything in [brackets] is literal.
+ *
+ * @module services/template/template.service
+ */
+
+const { dbReader } = require('../../config/database');
+const { to } = require('../util.service');
+const { logger } = require('../logger.service');
+const metrics = require('../metrics.service');
+const quietHoursService = require('../compliance/quietHours.service');
+const CONFIG = require('../../config/config');
+
+const STANDARD_VARIABLES = ['first', 'last', 'name', 'phone', 'email', 'campaign'];
+const DATE_VARIABLES = ['now', 'today'];
+const LEGACY_TOKEN = /^\[(first|name|phone|email|campaign)\]/i;
+
+const NAME = '[a-zA-Z_][\\w.]*';
+const VARIABLE_PATTERN = new RegExp(`^(${NAME})$`);
+const DATE_PATTERN = new RegExp(`^date\\s+(${NAME})(?:\\s+"([^"]*)")?$`);
+const CONDITION_PATTERN = new RegExp(`^(${NAME})(?:\\s*(==|!=)\\s*"([^"]*)")?$`);
+const BLOCK_PATTERN = /^#(if|unless)\s+(.+)$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December'];
+const DATE_TOKENS = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|A|a|z/g;
+
+const MISSING_ACTIONS = {
+    BLANK: 'blank',
+    FAIL: 'fail'
+};
+
+// template -> { nodes, errors, variables }
+const parseCache = new Map();
+
+// workspaceId -> { fields, expiresAt }
+const fieldsCache = new Map();
+
+// timeZone -> Intl.DateTimeFormat
+const formatters = new Map();
+
+const templateRenders = metrics.createCounter(
+    'template_renders_total',
+    'Message templates rendered, by result: ok, missing (empty variables without a fallback) or error',
+    ['source', 'result']
+);
+
+/**
+ * Whether a body has anything to render - plain text skips the parser
+ */
+const hasTemplateSyntax = (text) => !!text && /[{[\\]/.test(text);
+
+const normalizeName = (name) => name.toLowerCase();
+
+/**
+ * Split a tag at its first | outside quotes: expression and fallback
+ */
+const splitFallback = (raw) => {
+    let quoted = false;
+    for (let i = 0; i < raw.length; i++) {
+        if (raw[i] === '"') quoted = !quoted;
+        if (raw[i] === '|' && !quoted) {
+            return [raw.slice(0, i).trim(), raw.slice(i + 1)];
+        }
+    }
+    return [raw.trim(), null];
+};
+
+/**
+ * Parse a template into nodes
+ * Errors don't stop the parse - a tag that can't be parsed is kept as text,
+ * so the body goes out as written
+ * @param {string} template
+ * @returns {{nodes: Array, errors: Array<{message: string, index: number}>, variables: Array<Object>}}
+ */
+const parse = (template) => {
+    const errors = [];
+    const variables = [];
+    const length = template.length;
+    let pos = 0;
+
+    const error = (message, index) => errors.push({ message, index });
+
+    const parseTag = (raw, index) => {
+        const [expression, fallback] = splitFallback(raw);
+
+        const date = expression.match(DATE_PATTERN);
+        if (date) {
+            const name = normalizeName(date[1]);
+            variables.push({ name, index, hasFallback: fallback !== null, date: true });
+            return { type: 'var', name, fallback, date: true, format: date[2] ?? null };
+        }
+
+        const variable = expression.match(VARIABLE_PATTERN);
+        if (variable) {
+            const name = normalizeName(variable[1]);
+            variables.push({ name, index, hasFallback: fallback !== null });
+            return { type: 'var', name, fallback };
+        }
+
+        error(`Unknown tag {{${raw}}}`, index);
+        return null;
+    };
+
+    // Returns when it reaches a terminator for its context: {{else}} / {{/...}}
+    // in a block, | or } in a spintax option
+    const parseSequence = (context) => {
+        const nodes = [];
+        let text = '';
+
+        const flush = () => {
+            if (text) nodes.push({ type: 'text', value: text });
+            text = '';
+        };
+
+        while (pos < length) {
+            const ch = template[pos];
+
+            if (template.startsWith('{{', pos)) {
+                const end = template.indexOf('}}', pos + 2);
+                if (end === -1) {
+                    error('Unclosed {{', pos);
+                    text += template.slice(pos);
+                    pos = length;
+                    break;
+                }
+
+                const index = pos;
+                const raw = template.slice(pos + 2, end).trim();
+                pos = end + 2;
+
+                const source = template.slice(index, pos);
+
+                if (raw === 'else' || raw.startsWith('/')) {
+                    if (context === 'block') {
+                        flush();
+                        return { nodes, terminator: raw, index, source };
+                    }
+                    error(`Unexpected {{${raw}}}`, index);
+                    text += source;
+                    continue;
+                }
+
+                const block = raw.match(BLOCK_PATTERN);
+                if (block) {
+                    flush();
+                    nodes.push(...parseBlock(block[1], block[2].trim(), index, source));
+                    continue;
+                }
+
+                const node = parseTag(raw, index);
+                if (node) {
+                    flush();
+                    nodes.push(node);
+                } else {
+                    text += source;
+                }
+                continue;
+            }
+
+            if (context === 'spin' && (ch === '|' || ch === '}')) {
+                flush();
+                return { nodes, terminator: ch };
+            }
+
+            if (ch === '{') {
+                flush();
+                const spin = parseSpin();
+                if (spin) {
+                    nodes.push(spin);
+                    continue;
+                }
+            }
+
+            if (ch === '[') {
+                const legacy = template.slice(pos).match(LEGACY_TOKEN);
+                if (legacy) {
+                    flush();
+                    const name = normalizeName(legacy[1]);
+                    variables.push({ name, index: pos, hasFallback: false });
+                    nodes.push({ type: 'var', name, fallback: null });
+                    pos += legacy[0].length;
+                    continue;
+                }
+            }
+
+            if (ch === '\\' && '{}[]|'.includes(template[pos + 1])) {
+                text += template[pos + 1];
+                pos += 2;
+                continue;
+            }
+
+            text += ch;
+            pos++;
+        }
+
+        flush();
+        return { nodes, terminator: null };
+    };
+
+    // {a|b|c} - anything without a | at its own level is left as text
+    const parseSpin = () => {
+        const start = pos;
+        const errorCount = errors.length;
+        const variableCount = variables.length;
+        const options = [];
+
+        pos++;
+        while (pos < length) {
+            const result = parseSequence('spin');
+            options.push(result.nodes);
+            if (result.terminator === '|') {
+                pos++;
+                continue;
+            }
+            if (result.terminator === '}') {
+                pos++;
+                if (options.length > 1) {
+                    return { type: 'spin', options, index: start };
+                }
+            }
+            break;
+        }
+
+        pos = start;
+        errors.length = errorCount;
+        variables.length = variableCount;
+
+        // Not spintax - the brace is text
+        return null;
+    };
+
+    // Returns the block's nodes - a block that doesn't parse is its tags as
+    // text, around its contents
+    const parseBlock = (kind, expression, index, source) => {
+        const condition = expression.match(CONDITION_PATTERN);
+        if (!condition) {
+            error(`Invalid condition {{#${kind} ${expression}}}`, index);
+        } else {
+            variables.push({ name: normalizeName(condition[1]), index, hasFallback: true, condition: true });
+        }
+
+        const body = parseSequence('block');
+        let otherwise = { nodes: [], terminator: body.terminator, index: body.index, source: body.source };
+
+        if (body.terminator === 'else') {
+            otherwise = parseSequence('block');
+            if (otherwise.terminator === 'else') {
+                error(`Second {{else}} in {{#${kind}}}`, otherwise.index);
+            }
+        }
+
+        let closed = true;
+        if (otherwise.terminator === null) {
+            error(`Unclosed {{#${kind}}}`, index);
+            closed = false;
+        } else if (otherwise.terminator !== `/${kind}`) {
+            error(`{{${otherwise.terminator}}} closes {{#${kind}}}`, otherwise.index);
+            closed = false;
+        }
+
+        if (!condition || !closed) {
+            return [
+                { type: 'text', value: source },
+                ...body.nodes,
+                ...(body.terminator === 'else' ? [{ type: 'text', value: body.source }, ...otherwise.nodes] : []),
+                ...(otherwise.source ? [{ type: 'text', value: otherwise.source }] : [])
+            ];
+        }
+
+        return [{
+            type: 'if',
+            negate: kind === 'unless',
+            name: normalizeName(condition[1]),
+            operator: condition[2] || null,
+            value: condition[3] ?? null,
+            then: body.nodes,
+            otherwise: body.terminator === 'else' ? otherwise.nodes : []
+        }];
+    };
+
+    const { nodes } = parseSequence(null);
+    return { nodes, errors, variables };
+};
+
+/**
+ * Parsed template, cached - drips render the same body for every contact
+ */
+const getParsed = (template) => {
+    const cached = parseCache.get(template);
+    if (cached) return cached;
+
+    const parsed = parse(template);
+    parseCache.set(template, parsed);
+
+    while (parseCache.size > CONFIG.TEMPLATE.CACHE_SIZE) {
+        parseCache.delete(parseCache.keys().next().value);
+    }
+
+    return parsed;
+};
+
+/**
+ * FNV-1a, for picking spintax options that stay the same for a contact
+ */
+const hash = (value) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        h ^= value.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            weekday: 'long',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Format a date value in a time zone
+ * Date-only values (2026-03-14) are the same day everywhere and aren't shifted
+ * @returns {string|null} null for values that aren't dates
+ */
+const formatDate = (value, format, timeZone) => {
+    let date;
+    let zone = timeZone;
+
+    if (value instanceof Date) {
+        date = value;
+    } else if (typeof value === 'string' && DATE_ONLY.test(value.trim())) {
+        date = new Date(`${value.trim()}T00:00:00Z`);
+        zone = 'UTC';
+    } else if (typeof value === 'string' || typeof value === 'number') {
+        date = new Date(value);
+    }
+
+    if (!date || Number.isNaN(date.getTime())) return null;
+
+    const parts = {};
+    getFormatter(zone).formatToParts(date).forEach(({ type, value: part }) => { parts[type] = part; });
+
+    const monthNumber = MONTHS.indexOf(parts.month) + 1;
+    const hour = parseInt(parts.hour, 10);
+    const hour12 = hour % 12 || 12;
+    const pad = (number) => String(number).padStart(2, '0');
+
+    const tokens = {
+        YYYY: parts.year,
+        YY: parts.year.slice(-2),
+        MMMM: parts.month,
+        MMM: parts.month.slice(0, 3),
+        MM: pad(monthNumber),
+        M: String(monthNumber),
+        DD: pad(parts.day),
+        D: String(parseInt(parts.day, 10)),
+        dddd: parts.weekday,
+        ddd: parts.weekday.slice(0, 3),
+        HH: pad(hour),
+        H: String(hour),
+        hh: pad(hour12),
+        h: String(hour12),
+        mm: parts.minute,
+        A: hour < 12 ? 'AM' : 'PM',
+        a: hour < 12 ? 'am' : 'pm',
+        z: parts.timeZoneName
+    };
+
+    return (format || CONFIG.TEMPLATE.DEFAULT_DATE_FORMAT)
+        .replace(DATE_TOKENS, (token, literal) => (literal !== undefined ? literal : tokens[token]));
+};
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Variables for a contact
+ * @param {Object} params
+ * @param {Object} params.contact - contacts row (name, phone, email, custom_fields)
+ * @param {string} params.campaign - Campaign title
+ * @param {Object} params.extra - More variables, override the contact's
+ */
+const buildVariables = ({ contact = null, campaign = null, extra = {} } = {}) => {
+    const variables = {};
+
+    let custom = contact?.custom_fields;
+    if (typeof custom === 'string') {
+        try {
+            custom = JSON.parse(custom);
+        } catch (error) {
+            custom = null;
+        }
+    }
+    if (custom && typeof custom === 'object') {
+        Object.entries(custom).forEach(([key, value]) => { variables[normalizeName(key)] = value; });
+    }
+
+    const name = (contact?.name || '').trim();
+    const [first = '', ...rest] = name.split(/\s+/);
+
+    Object.assign(variables, {
+        name,
+        first,
+        last: rest.join(' '),
+        phone: contact?.phone || '',
+        email: contact?.email || '',
+        campaign: campaign || ''
+    });
+
+    Object.entries(extra).forEach(([key, value]) => { variables[normalizeName(key)] = value; });
+
+    return variables;
+};
+
+/**
+ * Render a template
+ * @param {string} template
+ * @param {Object} variables - From buildVariables
+ * @param {Object} options
+ * @param {string} options.timeZone - For dates (default QUIET_HOURS_DEFAULT_TIME_ZONE)
+ * @param {string} options.seed - Picks the spintax options; random without one
+ * @param {Date} options.now
+ * @returns {{body: string, missing: string[], errors: Array}}
+ *          missing: variables that were empty with no fallback (rendered blank)
+ */
+const renderTemplate = (template, variables = {}, { timeZone = CONFIG.QUIET_HOURS.DEFAULT_TIME_ZONE, seed = null, now = new Date() } = {}) => {
+    if (!hasTemplateSyntax(template)) {
+        return { body: (template || '').trim(), missing: [], errors: [] };
+    }
+
+    const { nodes, errors } = getParsed(template);
+    const missing = new Set();
+    let spins = 0;
+
+    const lookup = (name) => (DATE_VARIABLES.includes(name) && isEmpty(variables[name]) ? now : variables[name]);
+
+    const renderNodes = (list) => list.map((node) => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+
+            case 'var': {
+                let value = lookup(node.name);
+                if (!isEmpty(value) && (node.date || value instanceof Date)) {
+                    value = formatDate(value, node.format, timeZone);
+                }
+                if (!isEmpty(value)) {
+                    return String(value);
+                }
+                if (node.fallback !== null) {
+                    return node.fallback;
+                }
+                missing.add(node.name);
+                return '';
+            }
+
+            case 'if': {
+                const value = variables[node.name];
+                let matched;
+                if (node.operator === '==') {
+                    matched = !isEmpty(value) && String(value).toLowerCase() === node.value.toLowerCase();
+                } else if (node.operator === '!=') {
+                    matched = isEmpty(value) || String(value).toLowerCase() !== node.value.toLowerCase();
+                } else {
+                    matched = !isEmpty(value) && !['false', '0', 'no'].includes(String(value).trim().toLowerCase());
+                }
+                return renderNodes(matched !== node.negate ? node.then : node.otherwise);
+            }
+
+            case 'spin': {
+                spins++;
+                const pick = seed === null
+                    ? Math.floor(Math.random() * node.options.length)
+                    : hash(`${seed}:${spins}`) % node.options.length;
+                return renderNodes(node.options[pick]);
+            }
+
+            default:
+                return '';
+        }
+    }).join('');
+
+    return { body: renderNodes(nodes).trim(), missing: [...missing], errors };
+};
+
+/**
+ * Render a body for a contact: variables from the contact, dates in their zone,
+ * spintax fixed per contact and drip
+ * @param {string} template
+ * @param {Object} params
+ * @param {Object} params.contact - contacts row (name, phone, email, timezone, custom_fields)
+ * @param {string} params.phone - Recipient number, for the time zone when the contact has none
+ * @param {string} params.campaign - Campaign title
+ * @param {string|number} params.seed - e.g. `${contactId}:${dripId}`
+ * @param {string} params.source - Label for metrics
+ * @returns {{body: string, missing: string[], errors: Array, failed: boolean, reason: string|null}}
+ *          errors: tags that didn't parse - sent as written, logged and counted.
+ *          failed: variables are missing and TEMPLATE_MISSING_VARIABLE_ACTION is fail
+ */
+const renderForContact = (template, { contact = null, phone = null, campaign = null, seed = null, source = 'send' } = {}) => {
+    const { timeZones } = quietHoursService.resolveTimeZones({ contact, phone: phone || contact?.phone });
+    const rendered = renderTemplate(template, buildVariables({ contact, campaign }), {
+        timeZone: timeZones[0],
+        seed: seed === null ? null : String(seed)
+    });
+
+    let reason = null;
+    if (rendered.missing.length > 0 && CONFIG.TEMPLATE.MISSING_VARIABLE_ACTION === MISSING_ACTIONS.FAIL) {
+        reason = `Template variables missing for this contact: ${rendered.missing.join(', ')}`;
+    }
+
+    let result = 'ok';
+    if (rendered.errors.length > 0) {
+        result = 'error';
+    } else if (rendered.missing.length > 0) {
+        result = 'missing';
+    }
+    templateRenders.inc({ source, result });
+
+    if (rendered.missing.length > 0 || rendered.errors.length > 0) {
+        logger.warn('[Template] Rendered with problems:', {
+            source,
+            contactId: contact?.id,
+            missing: rendered.missing,
+            errors: rendered.errors.map(item => item.message)
+        });
+    }
+
+    return { ...rendered, failed: !!reason, reason };
+};
+
+/**
+ * Custom field keys a workspace's contacts have (contacts.custom_fields)
+ * Cached for TEMPLATE_FIELDS_CACHE_TTL_MS; empty on database errors
+ * @param {number} workspaceId
+ * @returns {Promise<string[]>}
+ */
+const getWorkspaceFields = async (workspaceId) => {
+    if (!workspaceId) return [];
+
+    const cached = fieldsCache.get(workspaceId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.fields;
+    }
+
+    const [err, rows] = await to(
+        dbReader('contacts')
+            .distinct(dbReader.raw('lower(jsonb_object_keys(custom_fields)) as field'))
+            .where({ workspace_id: workspaceId })
+            .whereRaw("jsonb_typeof(custom_fields) = 'object'")
+            .whereNull('deleted_at')
+    );
+
+    if (err) {
+        logger.error('[Template] Custom field lookup failed:', { workspaceId, error: err.message });
+        return [];
+    }
+
+    const fields = (rows || []).map(row => row.field);
+    fieldsCache.set(workspaceId, { fields, expiresAt: Date.now() + CONFIG.TEMPLATE.FIELDS_CACHE_TTL_MS });
+    return fields;
+};
+
+/**
+ * Check a template before it's saved
+ * @param {string} template
+ * @param {Object} options
+ * @param {string[]} options.fields - Custom fields that exist (see getWorkspaceFields)
+ * @returns {{valid: boolean, errors: Array, variables: string[], undefinedVariables: Array, missingFallbacks: string[]}}
+ *          valid: no syntax errors and every variable exists.
+ *          undefinedVariables: [{ name, index, hasFallback }] - not a standard or custom field;
+ *          with a fallback they render the fallback, without one they render blank.
+ *          missingFallbacks: custom fields used without a fallback - blank for contacts without them
+ */
+const validateTemplate = (template, { fields = [] } = {}) => {
+    const { errors, variables } = parse(template || '');
+    const known = new Set([...STANDARD_VARIABLES, ...fields.map(normalizeName)]);
+    const dates = new Set(DATE_VARIABLES);
+
+    const names = [...new Set(variables.map(variable => variable.name))];
+    const undefinedVariables = [];
+    const missingFallbacks = new Set();
+
+    variables.forEach((variable) => {
+        if (known.has(variable.name) || dates.has(variable.name)) {
+            if (!variable.hasFallback && !STANDARD_VARIABLES.includes(variable.name) && !dates.has(variable.name)) {
+                missingFallbacks.add(variable.name);
+            }
+            return;
+        }
+        if (!undefinedVariables.some(item => item.name === variable.name)) {
+            undefinedVariables.push({ name: variable.name, index: variable.index, hasFallback: variable.hasFallback });
+        }
+    });
+
+    return {
+        valid: errors.length === 0 && undefinedVariables.length === 0,
+        errors,
+        variables: names,
+        undefinedVariables,
+        missingFallbacks: [...missingFallbacks]
+    };
+};
+
+/**
+ * validateTemplate against a workspace's custom fields
+ * @param {string} template
+ * @param {number} workspaceId
+ */
+const validateForWorkspace = async (template, workspaceId) => {
+    const fields = await getWorkspaceFields(workspaceId);
+    return validateTemplate(template, { fields });
+};
+
+module.exports = {
+    MISSING_ACTIONS,
+    STANDARD_VARIABLES,
+    hasTemplateSyntax,
+    buildVariables,
+    renderTemplate,
+    renderForContact,
+    getWorkspaceFields,
+    validateTemplate,
+    validateForWorkspace
+};
@@ -9,7 +9,7 @@ const { v4: uuidv4 } = require('uuid');
 const { dbReader, dbWriter } = require('../../config/database');
 const rabbitmq = require('../../config/rabbitmq');
 const { to } = require('../util.service');
-const { logger } = require('../logger.service');
+const outboxService = require('../outbox/outbox.service');
 
 /**
  * Get webhooks subscribed to a specific event
@@ -34,24 +34,46 @@ const getWebhooksForEvent = async (userId, workspaceId, eventType) => {
 };
 
 /**
- * Create a webhook delivery record
+ * Create a webhook delivery record and its dispatch message, in one transaction
+ * The WEBHOOK_DISPATCH message goes to the outbox, so a delivery row never
+ * exists without something left to deliver it
  * @param {Object} data - Delivery data
- * @returns {Promise<Object|null>} Created delivery or null
+ * @param {Object} webhook - Webhook row (url, secret)
+ * @returns {Promise<Object|null>} Outbox entry or null
  */
-const createDelivery = async (data) => {
-    const [err, delivery] = await to(
-        dbWriter('webhook_deliveries')
-            .insert({
-                webhook_id: data.webhook_id,
-                user_id: data.user_id,
-                workspace_id: data.workspace_id,
-                event_id: data.event_id,
-                event_type: data.event_type,
-                payload: data.payload,
-                status: 'pending',
-                created_at: new Date()
-            })
-            .returning('*')
+const createDelivery = async (data, webhook) => {
+    const [err, entry] = await to(
+        dbWriter.transaction(async (trx) => {
+            const [delivery] = await trx('webhook_deliveries')
+                .insert({
+                    webhook_id: data.webhook_id,
+                    user_id: data.user_id,
+                    workspace_id: data.workspace_id,
+                    event_id: data.event_id,
+                    event_type: data.event_type,
+                    payload: data.payload,
+                    status: 'pending',
+                    created_at: new Date()
+                })
+                .returning('*');
+
+            return outboxService.enqueue(trx, {
+                aggregateType: 'webhook_delivery',
+                aggregateId: delivery.id,
+                routingKey: rabbitmq.ROUTING_KEYS.WEBHOOK,
+                payload: {
+                    type: 'WEBHOOK_DISPATCH',
+                    deliveryId: delivery.id,
+                    webhookId: webhook.id,
+                    url: webhook.url,
+                    secret: webhook.secret,
+                    eventId: data.event_id,
+                    eventType: data.event_type,
+                    payload: data.payload,
+                    timestamp: Date.now()
+                }
+            });
+        })
     );
 
     if (err) {
@@ -59,11 +81,13 @@ const createDelivery = async (data) => {
         return null;
     }
 
-    return delivery[0];
+    return entry;
 };
 
 /**
  * Queue a webhook event for processing
+ * Deliveries are committed with their outbox entries, then published straight
+ * away; anything the broker doesn't confirm is published by the outbox relay
  * @param {Object} eventData - Event data
  * @returns {Promise<{queued: number, failed: number}>}
  */
@@ -78,55 +102,34 @@ const queueWebhookEvent = async (eventData) => {
             return { queued: 0, failed: 0 };
         }
 
-        let queued = 0;
+        const entries = [];
         let failed = 0;
 
         for (const webhook of webhooks) {
-            try {
-                const eventId = `evt_${uuidv4()}`;
-
-                // Create delivery record
-                const delivery = await createDelivery({
-                    webhook_id: webhook.id,
-                    user_id: userId,
-                    workspace_id: workspaceId,
-                    event_id: eventId,
-                    event_type: eventType,
-                    payload: payload
-                });
-
-                if (!delivery) {
-                    failed++;
-                    continue;
-                }
-
-                // Queue for processing
-                const success = await rabbitmq.publish(rabbitmq.ROUTING_KEYS.WEBHOOK, {
-                    type: 'WEBHOOK_DISPATCH',
-                    deliveryId: delivery.id,
-                    webhookId: webhook.id,
-                    url: webhook.url,
-                    secret: webhook.secret,
-                    eventId: eventId,
-                    eventType: eventType,
-                    payload: payload,
-                    timestamp: Date.now()
-                });
+            const eventId = `evt_${uuidv4()}`;
 
-                if (success) {
-                    queued++;
-                    console.log('[WebhookProducer] Event queued:', { eventId, eventType, webhookId: webhook.id });
-                } else {
-                    failed++;
-                }
+            // Create delivery record with its outbox entry
+            const entry = await createDelivery({
+                webhook_id: webhook.id,
+                user_id: userId,
+                workspace_id: workspaceId,
+                event_id: eventId,
+                event_type: eventType,
+                payload: payload
+            }, webhook);
 
-            } catch (error) {
+            if (!entry) {
                 failed++;
-                console.error('[WebhookProducer] Error queueing webhook:', error.message);
+                continue;
             }
+
+            entries.push(entry);
+            console.log('[WebhookProducer] Event queued:', { eventId, eventType, webhookId: webhook.id });
         }
 
-        return { queued, failed };
+        await outboxService.dispatch(entries);
+
+        return { queued: entries.length, failed };
 
     } catch (error) {
         console.error('[WebhookProducer] Error in queueWebhookEvent:', error.message);
@@ -235,10 +238,34 @@ const queueMessageFailedEvent = async (data) => {
     });
 };
 
+/**
+ * Queue link clicked webhook event
+ */
+const queueLinkClickedEvent = async (data) => {
+    const { userId, workspaceId, messageId, contactId, dripId, campaignId, url, shortUrl, clickCount, clickedAt } = data;
+
+    return await queueWebhookEvent({
+        userId,
+        workspaceId,
+        eventType: 'message.link_clicked',
+        payload: {
+            message_id: messageId,
+            contact_id: contactId,
+            drip_id: dripId || null,
+            campaign_id: campaignId || null,
+            url,
+            short_url: shortUrl,
+            click_count: clickCount,
+            clicked_at: (clickedAt || new Date()).toISOString()
+        }
+    });
+};
+
 module.exports = {
     queueWebhookEvent,
     queueInboundMessageEvent,
     queueOutboundMessageEvent,
     queueMessageDeliveredEvent,
-    queueMessageFailedEvent
+    queueMessageFailedEvent,
+    queueLinkClickedEvent
 };
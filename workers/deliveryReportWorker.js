@@ -1,6 +1,6 @@
 /**
  * Delivery Report Worker for sengine-workers
- * Processes delivery status updates from Twilio webhooks
+ * Processes delivery status updates from SMS provider callbacks
  *
  * This worker:
  * - Consumes messages from STATUS_UPDATE queue
@@ -20,12 +20,19 @@ const rabbitmq = require('../config/rabbitmq');
 const { dbReader, dbWriter } = require('../config/database');
 const { to } = require('../services/util.service');
 const webhookProducer = require('../services/webhook/webhookProducer.service');
+const smsService = require('../services/sms/sms.service');
+const phoneService = require('../services/phone/phone.service');
+const sendErrorService = require('../services/sms/sendError.service');
 const CONFIG = require('../config/config');
 
 let isRunning = false;
 
+// Dedicated RabbitMQ channel - own prefetch, restarted independently
+const CHANNEL_NAME = 'delivery-report';
+
 /**
- * Status mapping from Twilio to our format
+ * Status mapping from our provider-neutral status to the messages columns
+ * Each provider adapter maps its own statuses first (see services/sms/providers)
  */
 const STATUS_MAP = {
     'queued': { status: '0', delivery_status: 'queued' },
@@ -37,17 +44,47 @@ const STATUS_MAP = {
     'read': { status: '2', delivery_status: 'read' }
 };
 
+/**
+ * Columns to change when the callback reports a different sender
+ * Messaging Service sends only learn their number from the provider; point
+ * messages.sid at the user's number so replies thread onto the same sender.
+ */
+const buildSenderUpdate = async (message, from) => {
+    const fromDigits = phoneService.toDigits(from);
+    if (!fromDigits || fromDigits === message.from_number) {
+        return {};
+    }
+
+    const [numberErr, userNumber] = await to(
+        dbReader('user_numbers')
+            .select('id')
+            .where({ user_id: message.user_id })
+            .whereIn('phone', phoneService.phoneVariants(from))
+            .whereNull('deleted_at')
+            .first()
+    );
+
+    if (numberErr) {
+        logger.warn('[DeliveryReportWorker] Sender number lookup failed:', { messageId: message.id, error: numberErr.message });
+    }
+
+    return userNumber
+        ? { from_number: fromDigits, sid: userNumber.id }
+        : { from_number: fromDigits };
+};
+
 /**
  * Update message delivery status in database
+ * @param {string} from - Sender the provider reports (pool sends), optional
  */
-const updateDeliveryStatus = async (bRef, status, messageSid, errorCode = null) => {
+const updateDeliveryStatus = async (bRef, status, messageSid, errorCode = null, from = null) => {
     console.log('[DeliveryReportWorker] Updating delivery status:', { bRef, status, messageSid });
 
     try {
         // Find message by b_ref or msg_id
         const [findErr, message] = await to(
             dbReader('messages')
-                .select('id', 'user_id', 'contact_id', 'workspace_id', 'delivery_status')
+                .select('id', 'user_id', 'contact_id', 'workspace_id', 'sid', 'from_number', 'to_number', 'delivery_status')
                 .where(function() {
                     this.where('b_ref', bRef)
                         .orWhere('msg_id', messageSid);
@@ -74,6 +111,10 @@ const updateDeliveryStatus = async (bRef, status, messageSid, errorCode = null)
             updateData.msg_id = messageSid;
         }
 
+        if (from) {
+            Object.assign(updateData, await buildSenderUpdate(message, from));
+        }
+
         // Update message
         const [updateErr] = await to(
             dbWriter('messages')
@@ -100,6 +141,9 @@ const updateDeliveryStatus = async (bRef, status, messageSid, errorCode = null)
                 user_id: message.user_id,
                 contact_id: message.contact_id,
                 workspace_id: message.workspace_id,
+                sid: updateData.sid || message.sid,
+                from_number: updateData.from_number || message.from_number,
+                to_number: message.to_number,
                 delivery_status: status
             }
         };
@@ -132,11 +176,14 @@ const publishNotification = async (channel, data) => {
  * Handle a single status update
  */
 const handleStatusUpdate = async (payload) => {
-    const { data } = payload;
+    // Provider-neutral view of the callback (v1 fields or a raw v2 provider body)
+    const data = smsService.parseStatusUpdate(payload);
 
     console.log('[DeliveryReportWorker] Processing status update:', {
+        provider: data.provider,
         messageSid: data.messageSid,
         status: data.status,
+        rawStatus: data.rawStatus,
         bRef: data.bRef
     });
 
@@ -146,7 +193,8 @@ const handleStatusUpdate = async (payload) => {
             data.bRef,
             data.status,
             data.messageSid,
-            data.errorCode
+            data.errorCode,
+            data.from
         );
 
         if (result.success && result.message) {
@@ -162,6 +210,19 @@ const handleStatusUpdate = async (payload) => {
 
             // If message failed, send failure notification
             if (data.status === 'failed' || data.status === 'undelivered') {
+                // Carrier errors arrive here too (e.g. 30007 filtering) - act on them
+                // like send errors. Nothing is re-sent from a callback.
+                if (data.errorCode) {
+                    const classification = sendErrorService.classifyError(data.provider, data.errorCode);
+                    await sendErrorService.applyErrorAction(classification, {
+                        userId: result.message.user_id,
+                        contactId: result.message.contact_id,
+                        toNumber: result.message.to_number,
+                        sid: result.message.sid,
+                        fromNumber: result.message.from_number
+                    });
+                }
+
                 await publishNotification('message:delivery_failed', {
                     userId: result.message.user_id,
                     messageId: result.message.id,
@@ -222,11 +283,7 @@ const startConsumer = async () => {
     try {
         console.log('[DeliveryReportWorker] Starting consumer...');
 
-        const channel = rabbitmq.getChannel();
-
-        channel.consume(rabbitmq.QUEUES.STATUS_UPDATE, async (msg) => {
-            if (!msg) return;
-
+        await rabbitmq.subscribe(rabbitmq.QUEUES.STATUS_UPDATE, async (msg, channel) => {
             let payload;
             try {
                 payload = JSON.parse(msg.content.toString());
@@ -238,15 +295,15 @@ const startConsumer = async () => {
 
             try {
                 await handleStatusUpdate(payload);
-                // Always ACK status updates (don't retry - Twilio sends multiple)
+                // Always ACK status updates (don't retry - providers send multiple)
                 channel.ack(msg);
             } catch (error) {
                 console.error('[DeliveryReportWorker] Error handling status update:', error);
                 // ACK anyway - status updates are not critical enough to retry
-                // Twilio will send multiple status updates, so missing one is not fatal
+                // Providers send multiple status updates, so missing one is not fatal
                 channel.ack(msg);
             }
-        }, { noAck: false });
+        }, { channelName: CHANNEL_NAME, prefetch: CONFIG.MESSAGE_WORKER.PREFETCH });
 
         console.log('[DeliveryReportWorker] Consumer started');
         isRunning = true;
@@ -287,6 +344,7 @@ const start = async () => {
  */
 const stop = async () => {
     console.log('[DeliveryReportWorker] Stopping worker...');
+    await rabbitmq.closeChannel(CHANNEL_NAME);
     isRunning = false;
     console.log('[DeliveryReportWorker] Worker stopped');
 };
@@ -1,6 +1,6 @@
 /**
  * Inbound Message Worker for sengine-workers
- * Processes incoming SMS/MMS messages from Twilio webhooks
+ * Processes incoming SMS/MMS messages from SMS provider webhooks
  *
  * This worker:
  * - Consumes messages from INBOUND_MESSAGE queue
@@ -23,22 +23,19 @@ const { dbReader, dbWriter } = require('../config/database');
 const { to } = require('../services/util.service');
 const optoutService = require('../services/message/optout.service');
 const webhookProducer = require('../services/webhook/webhookProducer.service');
+const smsService = require('../services/sms/sms.service');
+const phoneService = require('../services/phone/phone.service');
 const CONFIG = require('../config/config');
 
 let isRunning = false;
 
+// Dedicated RabbitMQ channel - own prefetch, restarted independently
+const CHANNEL_NAME = 'inbound';
+
 // Opt-out keywords
 const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe', 'cancel', 'end', 'quit', 'stopall'];
 const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'yes'];
 
-/**
- * Normalize phone number
- */
-const normalizePhone = (phone) => {
-    if (!phone) return '';
-    return phone.replace(/\D/g, '');
-};
-
 /**
  * Check if message is opt-out
  */
@@ -61,17 +58,10 @@ const isOptInMessage = (message) => {
  * Find user by phone number (the number that received the message)
  */
 const findUserByNumber = async (toNumber) => {
-    const normalizedTo = normalizePhone(toNumber);
-
     const [err, userNumber] = await to(
         dbReader('user_numbers')
             .select('user_id', 'id as sid', 'phone')
-            .where(function() {
-                this.where('phone', toNumber)
-                    .orWhere('phone', normalizedTo)
-                    .orWhere('phone', '+1' + normalizedTo)
-                    .orWhere('phone', '1' + normalizedTo);
-            })
+            .whereIn('phone', phoneService.phoneVariants(toNumber))
             .whereNull('deleted_at')
             .first()
     );
@@ -105,19 +95,14 @@ const findUserByNumber = async (toNumber) => {
  * Find or create contact by phone number
  */
 const findOrCreateContact = async (fromNumber, userId, workspaceId) => {
-    const normalizedFrom = normalizePhone(fromNumber);
+    const region = await phoneService.getWorkspaceRegion(workspaceId);
 
     // Try to find existing contact
     const [findErr, existingContact] = await to(
         dbReader('contacts')
             .select('*')
             .where({ user_id: userId, workspace_id: workspaceId })
-            .where(function() {
-                this.where('phone', fromNumber)
-                    .orWhere('phone', normalizedFrom)
-                    .orWhere('phone', '+1' + normalizedFrom)
-                    .orWhere('phone', '1' + normalizedFrom);
-            })
+            .whereIn('phone', phoneService.phoneVariants(fromNumber, region))
             .whereNull('deleted_at')
             .first()
     );
@@ -130,7 +115,7 @@ const findOrCreateContact = async (fromNumber, userId, workspaceId) => {
     const now = new Date();
     const contactData = {
         name: fromNumber,
-        phone: normalizedFrom.length === 10 ? '+1' + normalizedFrom : '+' + normalizedFrom,
+        phone: phoneService.toE164(fromNumber, region) || fromNumber,
         user_id: userId,
         workspace_id: workspaceId,
         source: 'inbound',
@@ -213,8 +198,8 @@ const saveInboundMessage = async (data, user, contact) => {
         uid: data.messageSid || require('uuid').v4(),
         msg_id: data.messageSid,
         sid: user.sid,
-        from_number: normalizePhone(data.from),
-        to_number: normalizePhone(data.to),
+        from_number: phoneService.toDigits(data.from) || data.from,
+        to_number: phoneService.toDigits(data.to) || data.to,
         message: data.body || '',
         media_html: data.mediaUrl || null,
         status: '2', // Received
@@ -279,9 +264,13 @@ const publishNotification = async (channel, data) => {
  * Handle a single inbound message
  */
 const handleInboundMessage = async (payload) => {
-    const { data, retryCount = 0 } = payload;
+    const { retryCount = 0 } = payload;
+
+    // Provider-neutral view of the webhook (v1 fields or a raw v2 provider body)
+    const data = smsService.parseInboundMessage(payload);
 
     console.log('[InboundMessageWorker] Processing inbound message:', {
+        provider: data.provider,
         messageSid: data.messageSid,
         from: data.from,
         to: data.to,
@@ -418,6 +407,10 @@ const startConsumer = async () => {
 
         await rabbitmq.consume(rabbitmq.QUEUES.INBOUND_MESSAGE, async (payload, msg) => {
             await handleInboundMessage(payload);
+        }, {
+            channelName: CHANNEL_NAME,
+            prefetch: CONFIG.MESSAGE_WORKER.PREFETCH,
+            retryPolicy: 'FAST'     // Conversations are user-facing - retry quickly
         });
 
         console.log('[InboundMessageWorker] Consumer started');
@@ -459,6 +452,7 @@ const start = async () => {
  */
 const stop = async () => {
     console.log('[InboundMessageWorker] Stopping worker...');
+    await rabbitmq.closeChannel(CHANNEL_NAME);
     isRunning = false;
     console.log('[InboundMessageWorker] Worker stopped');
 };
@@ -0,0 +1,247 @@
+/**
+ * Link Redirect Server for sengine-workers
+ *
+ * Serves the tracked short links (LINK_TRACKING_BASE_URL points here):
+ * GET /:code → 302 to the original URL, then records the click
+ *
+ * Features:
+ * - The redirect doesn't wait on the database write - clicks are recorded
+ *   (link_clicks, message.link_clicked webhook) after the response
+ * - HEAD requests redirect without counting, so link previews that only
+ *   check the target aren't clicks
+ * - Unknown codes get a 404, or LINK_REDIRECT_NOT_FOUND_URL
+ *
+ * Run standalone: node workers/linkRedirectServer.js
+ * Or as part of main app: require('./workers/linkRedirectServer').start()
+ *
+ * @module workers/linkRedirectServer
+ */
+
+const path = require('path');
+const http = require('http');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { logger } = require('../services/logger.service');
+const { to } = require('../services/util.service');
+const linkTrackingService = require('../services/links/linkTracking.service');
+const rabbitmq = require('../config/rabbitmq');
+const CONFIG = require('../config/config');
+
+// Configuration
+const LINKS_CONFIG = CONFIG.LINKS;
+
+let server = null;
+
+// Clicks still being written, so stop() can wait for them
+const pendingClicks = new Set();
+
+const stats = {
+    redirected: 0,
+    notFound: 0,
+    clicksRecorded: 0,
+    clickErrors: 0
+};
+
+/**
+ * Client address. X-Forwarded-For is only read behind a trusted proxy
+ * (LINK_REDIRECT_TRUST_PROXY) - any client can send the header
+ */
+const clientIp = (req) => {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (LINKS_CONFIG.TRUST_PROXY && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || null;
+};
+
+const respond = (res, status, headers = {}, body = '') => {
+    res.writeHead(status, { 'Cache-Control': 'no-store', ...headers });
+    res.end(body);
+};
+
+/**
+ * Record a click after the visitor has been redirected
+ */
+const trackClick = (link, req) => {
+    const pending = linkTrackingService.recordClick(link, {
+        ip: clientIp(req),
+        userAgent: req.headers['user-agent'] || null,
+        referer: req.headers.referer || null
+    })
+        .then((click) => {
+            if (click) {
+                stats.clicksRecorded++;
+            } else {
+                stats.clickErrors++;
+            }
+        })
+        .catch((error) => {
+            stats.clickErrors++;
+            logger.error('[LinkRedirect] Error recording click:', { linkId: link.id, error: error.message });
+        })
+        .finally(() => pendingClicks.delete(pending));
+
+    pendingClicks.add(pending);
+};
+
+/**
+ * Handle one request
+ */
+const handleRequest = async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        respond(res, 405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain' }, 'Method not allowed\n');
+        return;
+    }
+
+    const code = req.url.split('?')[0].replace(/^\/+|\/+$/g, '');
+
+    if (!/^[A-Za-z0-9]+$/.test(code)) {
+        respond(res, 404, { 'Content-Type': 'text/plain' }, 'Not found\n');
+        return;
+    }
+
+    const link = await linkTrackingService.resolveLink(code);
+
+    if (!link) {
+        stats.notFound++;
+        linkTrackingService.linkClicks.inc({ result: 'not_found' });
+
+        if (LINKS_CONFIG.NOT_FOUND_URL) {
+            respond(res, 302, { Location: LINKS_CONFIG.NOT_FOUND_URL });
+        } else {
+            respond(res, 404, { 'Content-Type': 'text/plain' }, 'Not found\n');
+        }
+        return;
+    }
+
+    stats.redirected++;
+    respond(res, 302, { Location: link.url });
+
+    if (req.method === 'HEAD') {
+        linkTrackingService.linkClicks.inc({ result: 'head' });
+        return;
+    }
+
+    linkTrackingService.linkClicks.inc({ result: 'redirected' });
+    trackClick(link, req);
+};
+
+/**
+ * Start the redirect server
+ * @returns {Promise<http.Server|null>}
+ */
+const start = async () => {
+    console.log('[LinkRedirect] ========================================');
+    console.log('[LinkRedirect] Starting Link Redirect Server');
+    console.log('[LinkRedirect] Short Domain:', LINKS_CONFIG.BASE_URL || '(not set - links are not rewritten)');
+    console.log('[LinkRedirect] Listening On:', `${LINKS_CONFIG.HOST}:${LINKS_CONFIG.PORT}`);
+    console.log('[LinkRedirect] ========================================');
+
+    if (server) {
+        console.log('[LinkRedirect] Server already running');
+        return server;
+    }
+
+    // Click webhooks are published straight away when connected, by the outbox relay otherwise
+    if (!rabbitmq.isConnected()) {
+        console.log('[LinkRedirect] Connecting to RabbitMQ...');
+        const [err] = await to(rabbitmq.connect());
+        if (err) {
+            logger.warn('[LinkRedirect] RabbitMQ unavailable, click webhooks wait for the outbox relay:', { error: err.message });
+        }
+    }
+
+    server = http.createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            logger.error('[LinkRedirect] Error handling request:', { url: req.url, error: error.message });
+            if (!res.headersSent) {
+                respond(res, 500, { 'Content-Type': 'text/plain' }, 'Error\n');
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.once('error', (error) => {
+            console.error(`[LinkRedirect] Could not listen on port ${LINKS_CONFIG.PORT}:`, error.message);
+            logger.error('[LinkRedirect] Server error:', error);
+            server = null;
+            resolve(null);
+        });
+
+        server.listen(LINKS_CONFIG.PORT, LINKS_CONFIG.HOST, () => {
+            console.log(`[LinkRedirect] Serving http://${LINKS_CONFIG.HOST}:${LINKS_CONFIG.PORT}`);
+            resolve(server);
+        });
+    });
+};
+
+/**
+ * Stop the server once the clicks in flight are recorded
+ */
+const stop = async () => {
+    console.log('[LinkRedirect] Stopping server...');
+
+    if (server) {
+        const closing = server;
+        server = null;
+        await new Promise(resolve => closing.close(() => resolve()));
+    }
+
+    if (pendingClicks.size > 0) {
+        console.log('[LinkRedirect] Waiting for', pendingClicks.size, 'clicks to be recorded');
+        await Promise.all([...pendingClicks]);
+    }
+
+    console.log('[LinkRedirect] Final stats:', stats);
+    console.log('[LinkRedirect] Server stopped');
+};
+
+/**
+ * Get server status
+ */
+const getStatus = () => {
+    return {
+        running: !!server,
+        pendingClicks: pendingClicks.size,
+        stats: { ...stats },
+        config: {
+            baseUrl: LINKS_CONFIG.BASE_URL,
+            host: LINKS_CONFIG.HOST,
+            port: LINKS_CONFIG.PORT,
+            trustProxy: LINKS_CONFIG.TRUST_PROXY
+        }
+    };
+};
+
+// Export for use in main app
+module.exports = {
+    start,
+    stop,
+    getStatus,
+    handleRequest
+};
+
+// If running as standalone script
+if (require.main === module) {
+    console.log('[LinkRedirect] Running as standalone process');
+
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\n[LinkRedirect] Received SIGINT, shutting down...');
+        await stop();
+        await rabbitmq.close();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', async () => {
+        console.log('\n[LinkRedirect] Received SIGTERM, shutting down...');
+        await stop();
+        await rabbitmq.close();
+        process.exit(0);
+    });
+
+    // Start the server
+    start();
+}
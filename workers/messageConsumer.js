@@ -2,14 +2,14 @@
  * Message Consumer Worker for sengine-workers (HIGH-SCALE MODE)
  *
  * This worker is part of the high-scale drip processing pipeline:
- * scheduled_messages (DB) → PreQueueWorker → RabbitMQ → MessageConsumer → Twilio
+ * scheduled_messages (DB) → PreQueueWorker → RabbitMQ → MessageConsumer → SMS provider
  *
  * Features:
  * - Consumes drip messages from RabbitMQ queue
- * - Validates contact (not opted out, not blocked)
- * - Checks and deducts user credits
- * - Sends SMS via Twilio with rate limiting
- * - Updates scheduled_messages and drip_contact status
+ * - Sends through the send pipeline (validation, compliance, quiet hours,
+ *   per-segment credits, provider send, message record, webhooks) with rate limiting
+ * - Updates scheduled_messages and drip_contact status; sends outside the
+ *   recipient's send window go back to scheduled_messages for later
  * - Scalable: Run multiple instances for higher throughput
  *
  * Scaling:
@@ -29,370 +29,199 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const { to } = require('../services/util.service');
-const { dbReader, dbWriter } = require('../config/database');
+const { dbWriter } = require('../config/database');
 const { logger } = require('../services/logger.service');
-const { v4: uuidv4 } = require('uuid');
-const twilioService = require('../services/sms/twilio.service');
+const { runSendPipeline, SOURCES, BILLING } = require('../services/send/sendPipeline.service');
 const scheduledMessageService = require('../services/drip/scheduledMessage.service');
-const creditsService = require('../services/credits.service');
 const rabbitmq = require('../config/rabbitmq');
+const metrics = require('../services/metrics.service');
 const CONFIG = require('../config/config');
 
-// Credit cost per SMS
-const SMS_CREDIT_COST = 1;
-
 // Configuration
 const HIGH_SCALE_CONFIG = CONFIG.HIGH_SCALE_DRIP;
 const PREFETCH_COUNT = HIGH_SCALE_CONFIG.CONSUMER_PREFETCH;
 const RATE_LIMIT_MS = HIGH_SCALE_CONFIG.RATE_LIMIT_MS;
 const CONSUMER_TAG = `drip-consumer-${process.pid}`;
+const CHANNEL_NAME = 'drip-consumer';
+
+// Retryable provider errors (rate limits, queue overflow) - 10s, 1m, 10m, 1h
+const RETRY_POLICY = 'DEFAULT';
 
 let isRunning = false;
 let consumerTag = null;
 let processedCount = 0;
 let failedCount = 0;
+let deferredCount = 0;
 let startTime = null;
 
 /**
- * Generate unique b_ref for message tracking
- */
-const generateBRef = () => {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 900000) + 100000;
-    return `DM-${timestamp}-${random}`;
-};
-
-/**
- * Normalize phone number
+ * Record the outcome on drip_contact
  */
-const normalizePhone = (phone) => {
-    if (!phone) return '';
-    return phone.replace(/\D/g, '');
+const updateDripContact = async (dripContactId, update) => {
+    if (!dripContactId) return;
+
+    await to(
+        dbWriter('drip_contact')
+            .where('id', dripContactId)
+            .update({ ...update, updated_at: new Date() })
+    );
 };
 
 /**
  * Process a single message from the queue
+ * @param {Object} msgData - DRIP_SEND payload
+ * @param {Object} options - { canRetry } - false on the last attempt
+ * @returns {Promise<Object>} { success, error, retry, deferred } - retry: requeue with backoff,
+ *          deferred: rescheduled for the recipient's send window
  */
-const processMessage = async (msgData) => {
+const processMessage = async (msgData, { canRetry = false } = {}) => {
     console.log('[MessageConsumer] Processing message:', {
         scheduledMessageId: msgData.scheduledMessageId,
         to: msgData.toNumber,
         scheduledAt: msgData.scheduledAt
     });
 
-    try {
-        // Rate limiting
-        if (RATE_LIMIT_MS > 0) {
-            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_MS));
-        }
-
-        // Check if contact is still valid
-        const [contactErr, contact] = await to(
-            dbReader('contacts')
-                .where('id', msgData.contactId)
-                .whereNull('deleted_at')
-                .first()
-        );
-
-        if (contactErr || !contact) {
-            console.log('[MessageConsumer] Contact not found:', msgData.contactId);
-            await scheduledMessageService.markMessageAsFailed(
-                msgData.scheduledMessageId,
-                'Contact not found or deleted'
-            );
-            return { success: false, error: 'Contact not found' };
-        }
-
-        // Check if opted out or blocked
-        if (contact.opted_out || contact.is_block) {
-            console.log('[MessageConsumer] Contact opted out or blocked:', msgData.contactId);
-            await scheduledMessageService.markMessageAsFailed(
-                msgData.scheduledMessageId,
-                'Contact opted out or blocked'
-            );
-            return { success: false, error: 'Contact opted out' };
-        }
-
-        // Get user for Twilio credentials
-        const [userErr, user] = await to(
-            dbReader('users')
-                .select('id', 'twilio_sid', 'twilio_token', 'messaging_status')
-                .where('id', msgData.userId)
-                .first()
-        );
-
-        if (userErr || !user) {
-            console.log('[MessageConsumer] User not found:', msgData.userId);
-            await scheduledMessageService.markMessageAsFailed(
-                msgData.scheduledMessageId,
-                'User not found'
-            );
-            return { success: false, error: 'User not found' };
-        }
-
-        if (user.messaging_status !== 1) {
-            console.log('[MessageConsumer] User messaging disabled:', msgData.userId);
-            await scheduledMessageService.markMessageAsFailed(
-                msgData.scheduledMessageId,
-                'User messaging disabled'
-            );
-            return { success: false, error: 'Messaging disabled' };
-        }
+    // Rate limiting
+    if (RATE_LIMIT_MS > 0) {
+        await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_MS));
+        metrics.rateLimiterWait.observe({ worker: CHANNEL_NAME }, RATE_LIMIT_MS / 1000);
+    }
 
-        // ====== CREDITS CHECK AND DEDUCTION ======
-        console.log('[MessageConsumer] Checking credits for user:', msgData.userId);
+    // Charged per segment (per message for MMS), refunded if the send fails
+    const result = await runSendPipeline({
+        source: SOURCES.DRIP,
+        billing: BILLING.CHARGE,
+        worker: CHANNEL_NAME,
+        canRetry,
+        openChat: false,
+        userId: msgData.userId,
+        workspaceId: msgData.workspaceId,
+        contactId: msgData.contactId,
+        sid: msgData.sid,
+        fromNumber: msgData.fromNumber,
+        toNumber: msgData.toNumber,
+        message: msgData.message,
+        mediaUrl: msgData.mediaUrl,
+        campaignId: msgData.campaignId,
+        isDrip: true,
+        dripId: msgData.dripId,
+        dripContactId: msgData.dripContactId,
+        contentFlags: msgData.contentFlags
+    });
 
-        const hasCredits = await creditsService.hasEnoughCredits(msgData.userId, SMS_CREDIT_COST);
-        if (!hasCredits) {
-            console.log('[MessageConsumer] Insufficient credits for user:', msgData.userId);
-            await scheduledMessageService.markMessageAsFailed(
-                msgData.scheduledMessageId,
-                'Insufficient credits'
-            );
+    // Transient error - the retry charges again
+    if (result.retry) {
+        return { success: false, retry: true, error: result.error };
+    }
 
-            // Update drip_contact status to FAILED
-            if (msgData.dripContactId) {
-                await to(
-                    dbWriter('drip_contact')
-                        .where('id', msgData.dripContactId)
-                        .update({
-                            status: 3, // FAILED
-                            error_message: 'Insufficient credits',
-                            updated_at: new Date()
-                        })
-                );
-            }
+    // Outside the send window - nothing was charged. The pre-queue worker queues
+    // up to PRE_QUEUE_MINUTES early, so schedule that much later to land inside it
+    if (result.deferred) {
+        const scheduledAt = new Date(result.deferUntil.getTime() + HIGH_SCALE_CONFIG.PRE_QUEUE_MINUTES * 60 * 1000);
+        const rescheduled = await scheduledMessageService.rescheduleMessage(msgData.scheduledMessageId, scheduledAt, result.error);
 
-            return { success: false, error: 'Insufficient credits' };
+        // The row is still QUEUED and the pre-queue worker won't pick it up again -
+        // keep the delivery (retry / dead-letter) rather than ack it away
+        if (!rescheduled) {
+            return { success: false, retry: true, error: `Could not reschedule deferred send: ${result.error}` };
         }
 
-        // Deduct credit before sending
-        try {
-            const deductResult = await creditsService.deductCredits(msgData.userId, SMS_CREDIT_COST, {
-                description: `Drip SMS sent to ${msgData.toNumber}`,
-                referenceType: 'drip_sms',
-                referenceId: msgData.dripId || null,
-            });
-            console.log('[MessageConsumer] Credit deducted. New balance:', deductResult?.credits?.balance);
-        } catch (creditErr) {
-            console.log('[MessageConsumer] Failed to deduct credit:', creditErr.message);
-            await scheduledMessageService.markMessageAsFailed(
-                msgData.scheduledMessageId,
-                creditErr.message || 'Failed to deduct credits'
-            );
+        console.log('[MessageConsumer] Send deferred:', {
+            scheduledMessageId: msgData.scheduledMessageId,
+            scheduledAt
+        });
 
-            // Update drip_contact status to FAILED
-            if (msgData.dripContactId) {
-                await to(
-                    dbWriter('drip_contact')
-                        .where('id', msgData.dripContactId)
-                        .update({
-                            status: 3, // FAILED
-                            error_message: creditErr.message || 'Failed to deduct credits',
-                            updated_at: new Date()
-                        })
-                );
-            }
+        return { success: false, deferred: true, scheduledAt };
+    }
 
-            return { success: false, error: creditErr.message };
-        }
-        // ====== END CREDITS CHECK ======
-
-        // Generate tracking IDs
-        const bRef = generateBRef();
-        const uid = uuidv4();
-        const now = new Date();
-
-        // Build status callback URL
-        const statusCallbackUrl = CONFIG.TWILIO.STATUS_CALLBACK_URL
-            ? `${CONFIG.TWILIO.STATUS_CALLBACK_URL}?b_ref=${bRef}`
-            : null;
-
-        // Get Twilio credentials
-        const twilioCredentials = user.twilio_sid && user.twilio_token
-            ? { accountSid: user.twilio_sid, authToken: user.twilio_token }
-            : null;
-
-        console.log('[MessageConsumer] Sending via Twilio:', {
-            from: msgData.fromNumber,
-            to: msgData.toNumber,
-            bRef
+    if (!result.success) {
+        console.log('[MessageConsumer] Send failed:', {
+            scheduledMessageId: msgData.scheduledMessageId,
+            stage: result.stage,
+            error: result.error
         });
 
-        // Send via Twilio
-        const twilioResult = await twilioService.sendSMS({
-            to: msgData.toNumber,
-            from: msgData.fromNumber,
-            body: msgData.message,
-            mediaUrl: msgData.mediaUrl || null,
-            statusCallback: statusCallbackUrl,
-            credentials: twilioCredentials
+        await scheduledMessageService.markMessageAsFailed(msgData.scheduledMessageId, result.error);
+        await updateDripContact(msgData.dripContactId, {
+            status: 3, // FAILED
+            error_message: result.error
         });
 
-        if (twilioResult.success) {
-            console.log('[MessageConsumer] Twilio send success:', {
-                sid: twilioResult.sid,
-                bRef
-            });
-
-            // Create message record
-            const messageData = {
-                uid: uid,
-                sid: msgData.sid,
-                from_number: normalizePhone(msgData.fromNumber),
-                to_number: normalizePhone(msgData.toNumber),
-                message: msgData.message || '',
-                media_html: msgData.mediaUrl || null,
-                status: '1',
-                delivery_status: 'sent',
-                msg_id: twilioResult.sid,
-                user_id: msgData.userId,
-                workspace_id: msgData.workspaceId,
-                contact_id: msgData.contactId,
-                b_ref: bRef,
-                is_read: 1,
-                is_drip: 1,
-                drip_id: msgData.dripId || null,
-                is_charged: 0,
-                counter: 0,
-                direction: 'outbound',
-                intent: 0,
-                message_type: msgData.mediaUrl ? 2 : 0,
-                created_at: now
-            };
-
-            const [insertErr, insertedMessages] = await to(
-                dbWriter('messages')
-                    .insert(messageData)
-                    .returning('*')
-            );
-
-            if (insertErr) {
-                logger.error('[MessageConsumer] Error creating message record:', insertErr);
-            }
-
-            const createdMessage = insertedMessages ? insertedMessages[0] : null;
-
-            // Mark scheduled_message as sent
-            await scheduledMessageService.markMessageAsSent(
-                msgData.scheduledMessageId,
-                createdMessage?.id,
-                twilioResult.sid
-            );
-
-            // Update drip_contact status to SENT (1)
-            if (msgData.dripContactId) {
-                await to(
-                    dbWriter('drip_contact')
-                        .where('id', msgData.dripContactId)
-                        .update({
-                            status: 1, // SENT
-                            sent_at: now,
-                            message_id: createdMessage?.id,
-                            b_ref: bRef,
-                            updated_at: now
-                        })
-                );
-                console.log('[MessageConsumer] Updated drip_contact status:', {
-                    dripContactId: msgData.dripContactId,
-                    status: 'SENT'
-                });
-            }
-
-            // Update contact's last_message
-            await to(
-                dbWriter('contacts')
-                    .where('id', msgData.contactId)
-                    .update({ last_message: now, updated_at: now })
-            );
-
-            return {
-                success: true,
-                messageId: createdMessage?.id,
-                twilioSid: twilioResult.sid
-            };
-
-        } else {
-            console.log('[MessageConsumer] Twilio send failed:', {
-                error: twilioResult.errorMessage || twilioResult.error,
-                code: twilioResult.errorCode
-            });
-
-            await scheduledMessageService.markMessageAsFailed(
-                msgData.scheduledMessageId,
-                twilioResult.errorMessage || twilioResult.error || 'Twilio send failed'
-            );
-
-            // Update drip_contact status to FAILED (3)
-            if (msgData.dripContactId) {
-                await to(
-                    dbWriter('drip_contact')
-                        .where('id', msgData.dripContactId)
-                        .update({
-                            status: 3, // FAILED
-                            error_message: twilioResult.errorMessage || twilioResult.error || 'Twilio send failed',
-                            updated_at: new Date()
-                        })
-                );
-            }
-
-            return {
-                success: false,
-                error: twilioResult.errorMessage || twilioResult.error
-            };
-        }
-
-    } catch (error) {
-        logger.error('[MessageConsumer] processMessage error:', error);
-        await scheduledMessageService.markMessageAsFailed(
-            msgData.scheduledMessageId,
-            error.message
-        );
+        return { success: false, error: result.error, classification: result.classification };
+    }
 
-        // Update drip_contact status to FAILED (3)
-        if (msgData.dripContactId) {
-            await to(
-                dbWriter('drip_contact')
-                    .where('id', msgData.dripContactId)
-                    .update({
-                        status: 3, // FAILED
-                        error_message: error.message,
-                        updated_at: new Date()
-                    })
-            );
-        }
+    // Mark scheduled_message as sent
+    await scheduledMessageService.markMessageAsSent(
+        msgData.scheduledMessageId,
+        result.messageId,
+        result.sendResult.sid
+    );
+
+    // Update drip_contact status to SENT (1)
+    await updateDripContact(msgData.dripContactId, {
+        status: 1, // SENT
+        sent_at: new Date(),
+        message_id: result.messageId,
+        b_ref: result.bRef
+    });
 
-        return { success: false, error: error.message };
-    }
+    return {
+        success: true,
+        messageId: result.messageId,
+        twilioSid: result.sendResult.sid
+    };
 };
 
 /**
  * Message handler for RabbitMQ consumer
+ * Acks on the channel the message was delivered on (it changes after a reconnect)
  */
-const messageHandler = async (msg) => {
-    if (!msg) return;
-
-    const channel = rabbitmq.getChannel();
-
+const messageHandler = async (msg, channel) => {
     try {
         const content = msg.content.toString();
         const msgData = JSON.parse(content);
 
         console.log('[MessageConsumer] Received message:', msgData.scheduledMessageId);
 
-        const result = await processMessage(msgData);
+        const result = await processMessage(msgData, { canRetry: rabbitmq.hasRetriesLeft(msg, RETRY_POLICY) });
+
+        if (result.retry) {
+            // Park in a delay queue; retryOrDeadLetter settles the delivery
+            const outcome = await rabbitmq.retryOrDeadLetter(
+                msg, channel, rabbitmq.QUEUES.DRIP_MESSAGES, RETRY_POLICY, new Error(result.error)
+            );
+            if (outcome !== 'retry') {
+                await scheduledMessageService.markMessageAsFailed(msgData.scheduledMessageId, result.error);
+            }
+            metrics.workerMessages.inc({
+                worker: CHANNEL_NAME,
+                queue: rabbitmq.QUEUES.DRIP_MESSAGES,
+                outcome: outcome === 'retry' ? 'retried' : 'failed'
+            });
+            return;
+        }
 
         // ACK the message
         channel.ack(msg);
 
+        let outcome = 'failed';
         if (result.success) {
             processedCount++;
+            outcome = 'processed';
+        } else if (result.deferred) {
+            deferredCount++;
+            outcome = 'deferred';
         } else {
             failedCount++;
         }
+        metrics.workerMessages.inc({
+            worker: CHANNEL_NAME,
+            queue: rabbitmq.QUEUES.DRIP_MESSAGES,
+            outcome
+        });
 
         // Log stats periodically
-        if ((processedCount + failedCount) % 100 === 0) {
+        if ((processedCount + failedCount + deferredCount) % 100 === 0) {
             const runtime = Date.now() - startTime;
             console.log('[MessageConsumer] Stats:', {
                 processed: processedCount,
@@ -406,6 +235,7 @@ const messageHandler = async (msg) => {
         logger.error('[MessageConsumer] Failed to parse message:', parseError);
         channel.nack(msg, false, false);
         failedCount++;
+        metrics.workerMessages.inc({ worker: CHANNEL_NAME, queue: rabbitmq.QUEUES.DRIP_MESSAGES, outcome: 'failed' });
     }
 };
 
@@ -431,26 +261,23 @@ const start = async () => {
     }
 
     try {
-        const channel = rabbitmq.getChannel();
-
-        // Set prefetch
-        await channel.prefetch(PREFETCH_COUNT);
-
-        // Start consuming
-        const result = await channel.consume(
+        // Start consuming (registered so it survives reconnects)
+        consumerTag = await rabbitmq.subscribe(
             rabbitmq.QUEUES.DRIP_MESSAGES,
             messageHandler,
             {
+                channelName: CHANNEL_NAME,
+                prefetch: PREFETCH_COUNT,
                 consumerTag: CONSUMER_TAG,
-                noAck: false
+                retryPolicy: RETRY_POLICY
             }
         );
 
-        consumerTag = result.consumerTag;
         isRunning = true;
         startTime = Date.now();
         processedCount = 0;
         failedCount = 0;
+        deferredCount = 0;
 
         console.log('[MessageConsumer] Consumer started:', {
             consumerTag: consumerTag,
@@ -468,14 +295,8 @@ const start = async () => {
 const stop = async () => {
     console.log('[MessageConsumer] Stopping consumer...');
 
-    if (rabbitmq.isConnected() && consumerTag) {
-        try {
-            const channel = rabbitmq.getChannel();
-            await channel.cancel(consumerTag);
-        } catch (e) {
-            // Ignore
-        }
-    }
+    // Cancels our consumer and closes the dedicated channel
+    await rabbitmq.closeChannel(CHANNEL_NAME);
 
     consumerTag = null;
     isRunning = false;
@@ -504,9 +325,11 @@ const getStatus = () => {
         running: isRunning,
         consumerTag: consumerTag,
         rabbitMQConnected: rabbitmq.isConnected(),
+        channel: rabbitmq.getChannelStatus(CHANNEL_NAME),
         stats: {
             processed: processedCount,
             failed: failedCount,
+            deferred: deferredCount,
             runtimeMs: runtime,
             messagesPerSecond: runtime > 0 ? Math.round(((processedCount + failedCount) / runtime) * 1000) : 0
         },
@@ -1,11 +1,11 @@
 /**
  * Outbound Message Worker for sengine-workers
- * Consumes messages from RabbitMQ and sends them via Twilio
+ * Consumes messages from RabbitMQ and sends them through the send pipeline
  *
  * This worker handles the SEND_MESSAGE queue and processes
  * messages that were queued by the main sengine API.
  *
- * OPTIMIZED: Added rate limiting to prevent exceeding Twilio API limits
+ * OPTIMIZED: Added rate limiting to prevent exceeding provider API limits
  *
  * @module workers/outboundMessageWorker
  */
@@ -17,19 +17,28 @@ require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const { logger } = require('../services/logger.service');
 const rabbitmq = require('../config/rabbitmq');
-const twilioService = require('../services/sms/twilio.service');
+const { runSendPipeline, SOURCES, BILLING } = require('../services/send/sendPipeline.service');
 const { dbWriter, dbReader } = require('../config/database');
 const { to } = require('../services/util.service');
+const outboxService = require('../services/outbox/outbox.service');
 const CONFIG = require('../config/config');
-const webhookProducer = require('../services/webhook/webhookProducer.service');
+const metrics = require('../services/metrics.service');
 
 let isRunning = false;
 
+// Dedicated RabbitMQ channel - own prefetch, restarted independently
+const CHANNEL_NAME = 'outbound';
+
+// 10s, 1m, 10m, 1h then inbox.failed
+const RETRY_POLICY = 'DEFAULT';
+
 // ============================================================================
 // RATE LIMITER - Token Bucket Implementation
 // ============================================================================
 // Twilio limits: ~1 message/second for regular numbers, ~10/second for toll-free
 // We use a conservative limit to prevent hitting API limits
+// Callers waiting for a token are served highest priority first (FIFO within
+// a priority), so transactional sends overtake bulk ones already prefetched
 
 class RateLimiter {
     constructor(options = {}) {
@@ -66,26 +75,63 @@ class RateLimiter {
 
     /**
      * Wait until a token is available
+     * @param {number} priority - Higher is served first
      * @returns {Promise<void>}
      */
-    async acquire() {
-        if (this.tryAcquire()) {
+    async acquire(priority = 0) {
+        // Only take the fast path when nobody is queued ahead of us
+        if (this.waitQueue.length === 0 && this.tryAcquire()) {
             return;
         }
 
+        return new Promise((resolve) => {
+            // Insert after every waiter of the same or higher priority
+            const index = this.waitQueue.findIndex(waiter => waiter.priority < priority);
+            const waiter = { priority, resolve };
+            if (index === -1) {
+                this.waitQueue.push(waiter);
+            } else {
+                this.waitQueue.splice(index, 0, waiter);
+            }
+
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Hand out tokens to waiters as they refill
+     */
+    processQueue() {
+        if (this.isProcessingQueue) return;
+
+        while (this.waitQueue.length > 0 && this.tryAcquire()) {
+            this.waitQueue.shift().resolve();
+        }
+
+        if (this.waitQueue.length === 0) return;
+
         // Calculate wait time until next token is available
         const tokensNeeded = 1 - this.tokens;
         const waitTime = Math.ceil((tokensNeeded / this.refillRate) * 1000);
 
-        logger.debug('[RateLimiter] Waiting for token:', { waitTime, tokens: this.tokens });
+        logger.debug('[RateLimiter] Waiting for token:', { waitTime, tokens: this.tokens, waiting: this.waitQueue.length });
 
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                this.refill();
-                this.tokens -= 1;
-                resolve();
-            }, waitTime);
+        this.isProcessingQueue = true;
+        setTimeout(() => {
+            this.isProcessingQueue = false;
+            this.processQueue();
+        }, waitTime);
+    }
+
+    /**
+     * Count of waiters per priority
+     */
+    getWaitingByPriority() {
+        const waiting = {};
+        this.waitQueue.forEach(waiter => {
+            waiting[waiter.priority] = (waiting[waiter.priority] || 0) + 1;
         });
+        return waiting;
     }
 
     /**
@@ -96,7 +142,9 @@ class RateLimiter {
         return {
             tokens: Math.floor(this.tokens * 100) / 100,
             maxTokens: this.maxTokens,
-            refillRate: this.refillRate
+            refillRate: this.refillRate,
+            waiting: this.waitQueue.length,
+            waitingByPriority: this.getWaitingByPriority()
         };
     }
 }
@@ -112,10 +160,16 @@ const rateLimiter = new RateLimiter({
 const stats = {
     processed: 0,
     failed: 0,
+    retried: 0,
+    deferred: 0,
     rateLimited: 0,
+    sentByPriority: {},
     startTime: Date.now()
 };
 
+// Messages this worker holds (prefetched, waiting or sending), per priority
+const inFlightByPriority = {};
+
 /**
  * Get worker statistics
  */
@@ -125,60 +179,60 @@ const getStats = () => {
         ...stats,
         uptime,
         messagesPerSecond: stats.processed / uptime,
+        inFlightByPriority: { ...inFlightByPriority },
         rateLimiterStatus: rateLimiter.getStatus()
     };
 };
 
 /**
- * Refund credits for failed message
- * @param {string} userId - User ID
- * @param {number} creditCost - Amount to refund
- * @param {string} reason - Refund reason
- * @param {number} messageId - Message ID for reference
+ * Send the message again once the recipient's send window opens
+ * The same SEND_SMS job goes back through the outbox, held until deferUntil.
+ * The row stays pending and charged.
  */
-const refundCredits = async (userId, creditCost, reason, messageId) => {
-    if (!creditCost || creditCost <= 0) return;
+const deferSend = async (payload, result) => {
+    const { data } = payload;
 
-    try {
-        // Check if credits service exists
-        let creditsService;
-        try {
-            creditsService = require('../services/credits');
-        } catch (e) {
-            logger.warn('[OutboundMessageWorker] Credits service not available for refund');
-            return;
-        }
+    await dbWriter.transaction(async (trx) => {
+        await trx('messages')
+            .where({ id: data.messageId })
+            .update({
+                response: JSON.stringify({ deferred: true, deferUntil: result.deferUntil, reason: result.error }),
+                updated_at: new Date()
+            });
 
-        await creditsService.refundCredits(userId, creditCost, {
-            description: `Refund: ${reason}`,
-            referenceType: 'sms_refund',
-            referenceId: messageId,
+        await outboxService.enqueue(trx, {
+            aggregateType: 'message',
+            aggregateId: data.messageId,
+            routingKey: rabbitmq.ROUTING_KEYS.SEND,
+            payload,
+            availableAt: result.deferUntil
         });
-
-        logger.info('[OutboundMessageWorker] Credit refunded:', { userId, amount: creditCost, reason });
-    } catch (error) {
-        logger.error('[OutboundMessageWorker] Failed to refund credit:', error);
-    }
+    });
 };
 
 /**
  * Handle a send message job from the queue
- * OPTIMIZED: Uses rate limiting and supports credit refunds
+ * OPTIMIZED: Uses rate limiting; the send pipeline refunds the API's charge on failure
  */
 const handleSendMessage = async (payload, msg) => {
     const { data } = payload;
+    const requestedPriority = payload.priority ?? msg?.properties?.priority;
+    const priority = rabbitmq.normalizePriority(requestedPriority);
 
     logger.info('[OutboundMessageWorker] Processing message:', {
         messageId: data.messageId,
         bRef: data.bRef,
         to: data.toNumber,
+        priority,
         retryCount: payload.retryCount || 0
     });
 
+    inFlightByPriority[priority] = (inFlightByPriority[priority] || 0) + 1;
+
     try {
         // ========== LOAD TEST CHECK ==========
         if (data.isLoadTest) {
-            logger.debug('[OutboundMessageWorker] LOAD TEST message - skipping Twilio:', data.bRef);
+            logger.debug('[OutboundMessageWorker] LOAD TEST message - skipping provider send:', data.bRef);
             await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 150));
             stats.processed++;
             return { success: true, loadTest: true };
@@ -197,7 +251,7 @@ const handleSendMessage = async (payload, msg) => {
             logger.warn('[OutboundMessageWorker] DUPLICATE DETECTED - Already sent:', {
                 messageId: data.messageId,
                 bRef: data.bRef,
-                existingTwilioSid: existingMessage.msg_id,
+                existingMsgId: existingMessage.msg_id,
                 status: existingMessage.delivery_status
             });
             stats.processed++;
@@ -208,8 +262,9 @@ const handleSendMessage = async (payload, msg) => {
         // ========== RATE LIMITING ==========
         // Wait for rate limiter token before sending
         const rateLimitStart = Date.now();
-        await rateLimiter.acquire();
+        await rateLimiter.acquire(priority);
         const rateLimitWait = Date.now() - rateLimitStart;
+        metrics.rateLimiterWait.observe({ worker: CHANNEL_NAME }, rateLimitWait / 1000);
 
         if (rateLimitWait > 100) {
             stats.rateLimited++;
@@ -217,116 +272,103 @@ const handleSendMessage = async (payload, msg) => {
         }
         // ===================================
 
-        // Send via Twilio
-        const twilioResult = await twilioService.sendSMS({
-            from: data.fromNumber,
-            to: data.toNumber,
-            body: data.message,
+        // The API created the message row and charged creditCost up front
+        const result = await runSendPipeline({
+            source: SOURCES.API,
+            billing: BILLING.PREPAID,
+            worker: CHANNEL_NAME,
+            canRetry: rabbitmq.hasRetriesLeft(msg, RETRY_POLICY),
+            openChat: true,
+            // Unset for the API's conversation replies - quiet hours don't hold them
+            priority: requestedPriority === undefined || requestedPriority === null ? null : priority,
+            messageId: data.messageId,
+            bRef: data.bRef,
+            userId: data.userId,
+            workspaceId: data.workspaceId,
+            contactId: data.contactId,
+            sid: data.sid,
+            fromNumber: data.fromNumber,
+            toNumber: data.toNumber,
+            message: data.message,
             mediaUrl: data.mediaUrl,
-            statusCallback: data.statusCallbackUrl,
-            credentials: data.twilioCredentials
+            provider: data.provider,
+            providerCredentials: data.providerCredentials,
+            twilioCredentials: data.twilioCredentials,
+            messagingServiceSid: data.messagingServiceSid,
+            statusCallbackUrl: data.statusCallbackUrl,
+            creditCost: data.creditCost,
+            dripId: data.dripId,
+            dripContactId: data.dripContactId
         });
 
-        // Update message record in database
-        const updateData = {
-            msg_id: twilioResult.sid,
-            status: twilioResult.success ? '1' : '3',
-            delivery_status: twilioResult.success ? twilioResult.status : 'failed',
-            response: JSON.stringify(twilioResult),
-            is_charged: twilioResult.success ? 1 : 0,
-            updated_at: new Date()
-        };
+        // ========== RETRYABLE FAILURE ==========
+        // Leave the message pending and charged; the retry policy sends it again.
+        // The last attempt fails the message like any other error.
+        if (result.retry) {
+            stats.retried++;
 
-        await to(
-            dbWriter('messages')
-                .where({ id: data.messageId })
-                .update(updateData)
-        );
+            const retryError = new Error(`Retryable send failure: ${result.error}`);
+            retryError.retryable = true;
+            throw retryError;
+        }
+        // =======================================
 
-        // Handle success/failure
-        if (twilioResult.success) {
-            const now = new Date();
-            await to(
-                dbWriter('contacts')
-                    .where({ id: data.contactId })
-                    .update({
-                        last_message: now,
-                        open_chat: 1,
-                        archive: 0,
-                        updated_at: now
-                    })
-            );
-            stats.processed++;
+        // ========== OUTSIDE THE SEND WINDOW ==========
+        // Nothing was sent or refunded; a failed write is retried like any error
+        if (result.deferred) {
+            await deferSend(payload, result);
+            stats.deferred++;
 
-            // ========== TRIGGER WEBHOOK FOR OUTBOUND MESSAGE ==========
-            webhookProducer.queueOutboundMessageEvent({
-                userId: data.userId,
-                workspaceId: data.workspaceId,
+            logger.info('[OutboundMessageWorker] Send deferred to the recipient\'s send window:', {
                 messageId: data.messageId,
-                contactId: data.contactId,
-                toNumber: data.toNumber,
-                fromNumber: data.fromNumber,
-                message: data.message,
-                twilioSid: twilioResult.sid
-            }).then(result => {
-                if (result.queued > 0) {
-                    console.log('[OutboundMessageWorker] Webhook events queued:', result.queued);
-                }
-            }).catch(err => {
-                console.error('[OutboundMessageWorker] Webhook error:', err.message);
+                bRef: data.bRef,
+                deferUntil: result.deferUntil
             });
-            // ===========================================================
+
+            return { success: false, deferred: true, deferUntil: result.deferUntil };
+        }
+        // =============================================
+
+        if (result.success) {
+            stats.processed++;
+            stats.sentByPriority[priority] = (stats.sentByPriority[priority] || 0) + 1;
         } else {
-            // ========== REFUND CREDITS ON FAILURE ==========
-            // Credits were deducted upfront for queued messages
-            if (data.creditCost && data.userId) {
-                await refundCredits(
-                    data.userId,
-                    data.creditCost,
-                    `Message send failed to ${data.toNumber}`,
-                    data.messageId
+            stats.failed++;
+
+            // Legacy drip sends are marked SENT once queued (message.service)
+            if (data.dripContactId) {
+                await to(
+                    dbWriter('drip_contact')
+                        .where({ id: data.dripContactId })
+                        .update({ status: 3, error_message: result.error, updated_at: new Date() }) // FAILED
                 );
             }
-            stats.failed++;
         }
 
         logger.info('[OutboundMessageWorker] Message processed:', {
             messageId: data.messageId,
             bRef: data.bRef,
-            success: twilioResult.success,
-            twilioSid: twilioResult.sid
+            success: result.success,
+            stage: result.stage,
+            error: result.error,
+            provider: result.sendResult?.provider,
+            msgId: result.sendResult?.sid
         });
 
-        return { success: twilioResult.success };
+        return { success: result.success, error: result.error };
 
     } catch (error) {
-        logger.error('[OutboundMessageWorker] Error processing message:', error);
-
-        // Update message as failed
-        await to(
-            dbWriter('messages')
-                .where({ id: data.messageId })
-                .update({
-                    status: '3',
-                    delivery_status: 'failed',
-                    response: JSON.stringify({ error: error.message }),
-                    is_charged: 0,
-                    updated_at: new Date()
-                })
-        );
-
-        // ========== REFUND CREDITS ON ERROR ==========
-        if (data.creditCost && data.userId) {
-            await refundCredits(
-                data.userId,
-                data.creditCost,
-                `Message error: ${error.message}`,
-                data.messageId
-            );
+        // Retryable provider error - the message stays pending for the next attempt
+        if (error.retryable) {
+            logger.warn('[OutboundMessageWorker] Send will be retried:', { messageId: data.messageId, error: error.message });
+            throw error;
         }
 
+        logger.error('[OutboundMessageWorker] Error processing message:', error);
         stats.failed++;
         throw error;
+    } finally {
+        inFlightByPriority[priority]--;
     }
 };
 
@@ -344,6 +386,10 @@ const startConsumer = async () => {
             } else {
                 logger.warn('[OutboundMessageWorker] Unknown message type:', payload.type);
             }
+        }, {
+            channelName: CHANNEL_NAME,
+            prefetch: CONFIG.MESSAGE_WORKER.PREFETCH,
+            retryPolicy: RETRY_POLICY
         });
 
         logger.info('[OutboundMessageWorker] Consumer started');
@@ -397,7 +443,7 @@ const stop = async () => {
     logger.info('[OutboundMessageWorker] Final stats:', getStats());
 
     try {
-        await rabbitmq.close();
+        await rabbitmq.closeChannel(CHANNEL_NAME);
         isRunning = false;
         logger.info('[OutboundMessageWorker] Worker stopped');
     } catch (error) {
@@ -428,12 +474,14 @@ if (require.main === module) {
     process.on('SIGINT', async () => {
         logger.info('\n[OutboundMessageWorker] Received SIGINT, shutting down...');
         await stop();
+        await rabbitmq.close();
         process.exit(0);
     });
 
     process.on('SIGTERM', async () => {
         logger.info('\n[OutboundMessageWorker] Received SIGTERM, shutting down...');
         await stop();
+        await rabbitmq.close();
         process.exit(0);
     });
 
@@ -0,0 +1,211 @@
+/**
+ * Outbox Relay Worker for sengine-workers
+ *
+ * Publishes the transactional outbox to RabbitMQ:
+ * outbox (DB) → OutboxRelayWorker → RabbitMQ → outbound / webhook workers
+ *
+ * Features:
+ * - Relay: every OUTBOX_RELAY_INTERVAL_MS, publishes pending entries with
+ *   broker confirms and marks them dispatched
+ * - Sweeper: every OUTBOX_SWEEP_INTERVAL_MS, re-publishes entries stuck in
+ *   dispatching (their publisher died), purges old dispatched entries and
+ *   warns when pending entries are piling up
+ * - Safe to run in every instance - entries are claimed with SKIP LOCKED
+ *
+ * Run standalone: node workers/outboxRelayWorker.js
+ * Or as part of main app: require('./workers/outboxRelayWorker').start()
+ *
+ * @module workers/outboxRelayWorker
+ */
+
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { logger } = require('../services/logger.service');
+const outboxService = require('../services/outbox/outbox.service');
+const rabbitmq = require('../config/rabbitmq');
+const CONFIG = require('../config/config');
+
+// Configuration
+const OUTBOX_CONFIG = CONFIG.OUTBOX;
+
+let relayIntervalId = null;
+let sweepIntervalId = null;
+let isRelaying = false;
+let isSweeping = false;
+
+const stats = {
+    dispatched: 0,
+    failed: 0,
+    swept: 0,
+    purged: 0
+};
+
+/**
+ * Relay cycle - drain pending entries, a batch at a time
+ */
+const runRelayCycle = async () => {
+    if (isRelaying || !rabbitmq.isConnected()) return;
+
+    isRelaying = true;
+
+    try {
+        for (let batch = 0; batch < OUTBOX_CONFIG.MAX_BATCHES_PER_CYCLE; batch++) {
+            const result = await outboxService.relayBatch(OUTBOX_CONFIG.BATCH_SIZE);
+
+            stats.dispatched += result.dispatched;
+            stats.failed += result.failed;
+
+            if (result.dispatched > 0 || result.failed > 0) {
+                console.log('[OutboxRelay] Batch published:', result);
+            }
+
+            // Drained, or the broker is refusing - wait for the next cycle
+            if (result.claimed < OUTBOX_CONFIG.BATCH_SIZE || result.failed > 0) break;
+        }
+    } catch (error) {
+        logger.error('[OutboxRelay] Relay cycle error:', error);
+    } finally {
+        isRelaying = false;
+    }
+};
+
+/**
+ * Sweep cycle - stuck entries, purge, backlog alert
+ */
+const runSweepCycle = async () => {
+    if (isSweeping || !rabbitmq.isConnected()) return;
+
+    isSweeping = true;
+
+    try {
+        const swept = await outboxService.sweepStuck(OUTBOX_CONFIG.BATCH_SIZE);
+        stats.swept += swept.dispatched;
+        stats.failed += swept.failed;
+
+        if (swept.claimed > 0) {
+            console.log('[OutboxRelay] Swept stuck entries:', swept);
+        }
+
+        const purged = await outboxService.purgeDispatched();
+        stats.purged += purged;
+
+        if (purged > 0) {
+            console.log('[OutboxRelay] Purged dispatched entries:', purged);
+        }
+
+        const backlog = await outboxService.getStats();
+        if (backlog?.oldestPendingMs > OUTBOX_CONFIG.STALE_ALERT_MS) {
+            logger.warn('[OutboxRelay] Outbox backlog is growing:', backlog);
+        }
+    } catch (error) {
+        logger.error('[OutboxRelay] Sweep cycle error:', error);
+    } finally {
+        isSweeping = false;
+    }
+};
+
+/**
+ * Start the relay and sweeper
+ */
+const start = async () => {
+    console.log('[OutboxRelay] ========================================');
+    console.log('[OutboxRelay] Starting Outbox Relay');
+    console.log('[OutboxRelay] Relay Interval:', OUTBOX_CONFIG.RELAY_INTERVAL_MS, 'ms');
+    console.log('[OutboxRelay] Sweep Interval:', OUTBOX_CONFIG.SWEEP_INTERVAL_MS, 'ms');
+    console.log('[OutboxRelay] Batch Size:', OUTBOX_CONFIG.BATCH_SIZE);
+    console.log('[OutboxRelay] ========================================');
+
+    // Connect to RabbitMQ if not connected
+    if (!rabbitmq.isConnected()) {
+        console.log('[OutboxRelay] Connecting to RabbitMQ...');
+        await rabbitmq.connect();
+    }
+
+    if (relayIntervalId) {
+        console.log('[OutboxRelay] Relay already running');
+        return;
+    }
+
+    // Publish whatever was left by the last run straight away
+    await runSweepCycle();
+    await runRelayCycle();
+
+    relayIntervalId = setInterval(runRelayCycle, OUTBOX_CONFIG.RELAY_INTERVAL_MS);
+    sweepIntervalId = setInterval(runSweepCycle, OUTBOX_CONFIG.SWEEP_INTERVAL_MS);
+
+    console.log('[OutboxRelay] Worker started successfully');
+};
+
+/**
+ * Stop the relay and sweeper
+ * An entry claimed mid-cycle is left dispatching for the sweeper
+ */
+const stop = async () => {
+    console.log('[OutboxRelay] Stopping worker...');
+
+    if (relayIntervalId) {
+        clearInterval(relayIntervalId);
+        relayIntervalId = null;
+    }
+
+    if (sweepIntervalId) {
+        clearInterval(sweepIntervalId);
+        sweepIntervalId = null;
+    }
+
+    console.log('[OutboxRelay] Final stats:', stats);
+    console.log('[OutboxRelay] Worker stopped');
+};
+
+/**
+ * Get worker status
+ */
+const getStatus = () => {
+    return {
+        running: !!relayIntervalId,
+        isRelaying,
+        isSweeping,
+        rabbitMQConnected: rabbitmq.isConnected(),
+        stats: { ...stats },
+        config: {
+            relayIntervalMs: OUTBOX_CONFIG.RELAY_INTERVAL_MS,
+            sweepIntervalMs: OUTBOX_CONFIG.SWEEP_INTERVAL_MS,
+            batchSize: OUTBOX_CONFIG.BATCH_SIZE
+        }
+    };
+};
+
+// Export for use in main app
+module.exports = {
+    start,
+    stop,
+    getStatus,
+    runRelayCycle,
+    runSweepCycle
+};
+
+// If running as standalone script
+if (require.main === module) {
+    console.log('[OutboxRelay] Running as standalone process');
+
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\n[OutboxRelay] Received SIGINT, shutting down...');
+        await stop();
+        await rabbitmq.close();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', async () => {
+        console.log('\n[OutboxRelay] Received SIGTERM, shutting down...');
+        await stop();
+        await rabbitmq.close();
+        process.exit(0);
+    });
+
+    // Start the worker
+    start();
+}
@@ -7,8 +7,13 @@
  * Features:
  * - Fetches pending scheduled_messages from database
  * - Pushes to RabbitMQ 10-15 minutes before send time
+ * - Renders bodies for their contact (template.service): tags that don't
+ *   parse are sent as written; with TEMPLATE_MISSING_VARIABLE_ACTION=fail,
+ *   a message missing a variable fails here
+ * - Scans bodies with the content scanner: blocked messages fail here,
+ *   the opt-out text is appended, flags travel with the message
  * - Batch processing for high throughput (2000+ per cycle)
- * - Marks messages as QUEUED in database
+ * - Marks messages as QUEUED in database once the broker confirms them
  *
  * Run standalone: node workers/preQueueWorker.js
  * Or as part of main app: require('./workers/preQueueWorker').start()
@@ -24,6 +29,10 @@ require('dotenv').config({ path: path.join(__dirname, '../.env') });
 const { logger } = require('../services/logger.service');
 const scheduledMessageService = require('../services/drip/scheduledMessage.service');
 const rabbitmq = require('../config/rabbitmq');
+const schemaRegistry = require('../services/schema/schemaRegistry.service');
+const smartEncodingService = require('../services/sms/smartEncoding.service');
+const contentScanner = require('../services/compliance/contentScanner.service');
+const templateService = require('../services/template/template.service');
 const CONFIG = require('../config/config');
 
 // Configuration
@@ -56,13 +65,64 @@ const pushMessagesToQueue = async (messages) => {
         return result;
     }
 
-    const queuedIds = [];
-    const channel = rabbitmq.getChannel();
+    const outgoing = [];
+    const templateData = await scheduledMessageService.getTemplateData(messages);
+
+    // Contacts that already had a drip - a contact queued earlier in this
+    // batch is added too, so only its first step gets the opt-out text
+    const priorMarketing = await contentScanner.getContactsWithPriorMarketing(messages.map(msg => msg.contact_id));
 
     for (const msg of messages) {
         try {
+            let body = msg.message;
+
+            if (templateService.hasTemplateSyntax(body)) {
+                // Left pending - rendered next cycle once the contact can be loaded
+                if (!templateData) {
+                    result.failed++;
+                    result.errors.push({ id: msg.id, error: 'Template data unavailable' });
+                    continue;
+                }
+
+                const rendered = templateService.renderForContact(body, {
+                    contact: templateData.contacts.get(String(msg.contact_id)) || null,
+                    phone: msg.to_number,
+                    campaign: templateData.campaigns.get(String(msg.campaign_id)) || null,
+                    seed: `${msg.contact_id}:${msg.drip_id}`,
+                    source: 'pre_queue'
+                });
+
+                if (rendered.failed) {
+                    await scheduledMessageService.markMessageAsBlocked(msg, rendered.reason);
+                    result.failed++;
+                    result.errors.push({ id: msg.id, error: rendered.reason });
+                    continue;
+                }
+
+                body = rendered.body;
+            }
+
+            body = await smartEncodingService.applyForWorkspace(body, msg.workspace_id, 'pre_queue');
+
+            // Caught before the send is paid for, rather than filtered by the carrier
+            const scan = await contentScanner.scanContent({
+                body,
+                workspaceId: msg.workspace_id,
+                contactId: msg.contact_id,
+                isMarketing: true,
+                hasPriorMarketing: priorMarketing.has(String(msg.contact_id)),
+                source: 'pre_queue'
+            });
+
+            if (scan.blocked) {
+                await scheduledMessageService.markMessageAsBlocked(msg, scan.reason, scan.flags);
+                result.failed++;
+                result.errors.push({ id: msg.id, error: scan.reason });
+                continue;
+            }
+
             // Create message payload
-            const payload = {
+            const { payload, report } = schemaRegistry.preparePayload({
                 scheduledMessageId: msg.id,
                 dripContactId: msg.drip_contact_id,  // Link to drip_contact for status update
                 userId: msg.user_id,
@@ -73,32 +133,38 @@ const pushMessagesToQueue = async (messages) => {
                 fromNumber: msg.from_number,
                 toNumber: msg.to_number,
                 sid: msg.sid,
-                message: msg.message,
+                message: scan.body,
                 mediaUrl: msg.media_url,
                 scheduledAt: msg.scheduled_at,
-                queuedAt: new Date().toISOString()
-            };
-
-            // Publish to drip exchange
-            const published = channel.publish(
-                rabbitmq.EXCHANGES.DRIP,
-                rabbitmq.ROUTING_KEYS.DRIP_SEND,
-                Buffer.from(JSON.stringify(payload)),
-                {
+                queuedAt: new Date().toISOString(),
+                contentFlags: scan.flags,
+                priority: msg.priority ?? rabbitmq.PRIORITY.BULK
+            }, 'DRIP_SEND');
+
+            // A bad row would fail the same way every cycle - fail it for good
+            if (schemaRegistry.shouldReject(report, { scheduledMessageId: msg.id })) {
+                const reason = schemaRegistry.formatReport(report);
+                await scheduledMessageService.markMessageAsFailed(msg.id, reason);
+                result.failed++;
+                result.errors.push({ id: msg.id, error: reason });
+                continue;
+            }
+
+            outgoing.push({
+                id: msg.id,
+                exchange: rabbitmq.EXCHANGES.DRIP,
+                routingKey: rabbitmq.ROUTING_KEYS.DRIP_SEND,
+                content: Buffer.from(JSON.stringify(payload)),
+                options: {
                     persistent: true,
                     contentType: 'application/json',
                     messageId: msg.uid || String(msg.id),
-                    timestamp: Date.now()
+                    timestamp: Date.now(),
+                    priority: rabbitmq.normalizePriority(payload.priority)
                 }
-            );
+            });
 
-            if (published) {
-                queuedIds.push(msg.id);
-                result.queued++;
-            } else {
-                result.failed++;
-                result.errors.push({ id: msg.id, error: 'Publish returned false (buffer full)' });
-            }
+            priorMarketing.add(String(msg.contact_id));
 
         } catch (error) {
             result.failed++;
@@ -106,9 +172,18 @@ const pushMessagesToQueue = async (messages) => {
         }
     }
 
-    // Mark successfully queued messages in database
-    if (queuedIds.length > 0) {
-        await scheduledMessageService.markMessagesAsQueued(queuedIds);
+    // Publish to drip exchange and wait for broker confirms.
+    // Only acked messages move to QUEUED - nacked/timed-out ones stay PENDING
+    // and are picked up again on the next cycle.
+    const { acked, failed } = await rabbitmq.publishBatchConfirmed(outgoing);
+
+    result.queued += acked.length;
+    result.failed += failed.length;
+    result.errors.push(...failed);
+
+    // Mark confirmed messages in database
+    if (acked.length > 0) {
+        await scheduledMessageService.markMessagesAsQueued(acked);
     }
 
     return result;
@@ -159,6 +234,11 @@ const runWorkerCycle = async () => {
         console.log(`  - Failed: ${result.failed}`);
         console.log(`  - Duration: ${duration}ms`);
 
+        const publisher = rabbitmq.getPublisherStats();
+        if (publisher.stalls > 0) {
+            console.log(`  - Publisher stalls: ${publisher.stalls} (total ${publisher.totalStallMs}ms, longest ${publisher.longestStallMs}ms)`);
+        }
+
         if (result.errors.length > 0) {
             console.log('[PreQueueWorker] Errors:', JSON.stringify(result.errors.slice(0, 5), null, 2));
             logger.warn('[PreQueueWorker] Queue errors:', result.errors);
@@ -189,6 +269,11 @@ const start = async () => {
         await rabbitmq.connect();
     }
 
+    // QUEUED rows are exactly what's on the drip queue, so they give its depth per priority
+    if (CONFIG.RABBITMQ.MAX_PRIORITY > 0) {
+        rabbitmq.setPriorityDepthReporter(rabbitmq.QUEUES.DRIP_MESSAGES, scheduledMessageService.getQueuedCountsByPriority);
+    }
+
     // Process immediately on start
     await runWorkerCycle();
 
@@ -26,6 +26,9 @@ const CONFIG = require('../config/config');
 
 let isRunning = false;
 
+// Dedicated RabbitMQ channel - own prefetch, restarted independently
+const CHANNEL_NAME = 'webhook';
+
 // Webhook dispatch timeout (10 seconds)
 const WEBHOOK_TIMEOUT = 10000;
 
@@ -254,6 +257,22 @@ const handleRetry = async (retryData) => {
     }
 };
 
+/**
+ * Whether a delivery has already succeeded
+ * A delivery not found yet (replica lag) is not a duplicate
+ * @param {number} deliveryId - Delivery ID
+ */
+const isAlreadyDelivered = async (deliveryId) => {
+    const [err, delivery] = await to(
+        dbReader('webhook_deliveries')
+            .select('status')
+            .where({ id: deliveryId })
+            .first()
+    );
+
+    return !err && delivery?.status === 'success';
+};
+
 /**
  * Handle a single webhook message
  * @param {Object} payload - Message payload
@@ -265,6 +284,12 @@ const handleWebhookMessage = async (payload) => {
 
     try {
         if (type === 'WEBHOOK_DISPATCH') {
+            // The outbox publishes at least once - don't POST a delivery twice
+            if (await isAlreadyDelivered(deliveryId)) {
+                console.log('[WebhookWorker] Delivery already succeeded, skipping duplicate:', deliveryId);
+                return;
+            }
+
             // New webhook dispatch
             await dispatchWebhook(payload);
 
@@ -290,11 +315,7 @@ const startConsumer = async () => {
     try {
         console.log('[WebhookWorker] Starting consumer...');
 
-        const channel = rabbitmq.getChannel();
-
-        channel.consume(rabbitmq.QUEUES.WEBHOOK, async (msg) => {
-            if (!msg) return;
-
+        await rabbitmq.subscribe(rabbitmq.QUEUES.WEBHOOK, async (msg, channel) => {
             let payload;
             try {
                 payload = JSON.parse(msg.content.toString());
@@ -313,7 +334,7 @@ const startConsumer = async () => {
                 // User can manually retry from the UI
                 channel.ack(msg);
             }
-        }, { noAck: false });
+        }, { channelName: CHANNEL_NAME, prefetch: CONFIG.MESSAGE_WORKER.PREFETCH });
 
         console.log('[WebhookWorker] Consumer started');
         isRunning = true;
@@ -354,6 +375,7 @@ const start = async () => {
  */
 const stop = async () => {
     console.log('[WebhookWorker] Stopping worker...');
+    await rabbitmq.closeChannel(CHANNEL_NAME);
     isRunning = false;
     console.log('[WebhookWorker] Worker stopped');
 };